@@ -0,0 +1,30 @@
+// Recreates the metadata store from the files in the buckets: npm run metadata:rebuild
+const config = require('../src/config');
+const MinioService = require('../src/services/minioService');
+const TenantService = require('../src/services/tenantService');
+const { getMetadataStore } = require('../src/services/metadata');
+
+async function rebuild() {
+  const minioService = new MinioService();
+  const services = [minioService];
+
+  if (config.tenancy.enabled) {
+    const tenants = new TenantService(minioService);
+    for (const tenant of await tenants.listTenants()) {
+      services.push(tenants.serviceFor(tenant));
+    }
+  }
+
+  for (const service of services) {
+    if (!(await service.client.bucketExists(service.bucketName))) continue;
+    const { files, removed } = await service.metadata.rebuild();
+    console.log(`🗂️  ${service.bucketName}: indexed ${files} files, removed ${removed} stale records`);
+  }
+}
+
+rebuild()
+  .then(() => getMetadataStore().close())
+  .catch((error) => {
+    console.error('❌ Metadata rebuild failed:', error.message);
+    process.exit(1);
+  });
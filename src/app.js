@@ -7,6 +7,11 @@ const swaggerUi = require('swagger-ui-express');
 const config = require('./config');
 const swaggerSpecs = require('./config/swagger');
 const fileRoutes = require('./routes/fileRoutes');
+const tusRoutes = require('./routes/tusRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const { tusHeaders } = require('./middleware/tus');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -14,6 +19,9 @@ app.set('trust proxy', true);
 // Security middleware
 app.use(helmet());
 
+// tus clients discover capabilities via OPTIONS, which the CORS middleware answers itself
+app.options('/api/files/tus', tusHeaders);
+
 // CORS configuration
 app.use(cors({
   origin: (origin, callback) => {
@@ -31,9 +39,20 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count', 'X-File-Count']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key',
+    'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since',
+    'Content-MD5', 'X-Checksum-SHA256', 'X-Share-Password',
+    'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset',
+    config.tenancy.header
+  ],
+  exposedHeaders: [
+    'X-Total-Count', 'X-File-Count',
+    'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'ETag',
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires'
+  ]
 }));
 
 // Compression middleware
@@ -53,7 +72,8 @@ const limiter = rateLimit({
   legacyHeaders: false
 });
 
-app.use('/api', limiter);
+// Share links are rate limited too, which slows down password guessing
+app.use(['/api', '/s'], limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '500mb' }));
@@ -73,7 +93,11 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
 }));
 
 // API routes
+app.use('/api/files/tus', tusRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/admin', adminRoutes);
+app.use(shareRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -86,10 +110,33 @@ app.get('/', (req, res) => {
       health: 'GET /api/files/health',
       uploadSingle: 'POST /api/files/upload',
       uploadMultiple: 'POST /api/files/upload/multiple',
+      resumableUpload: 'POST /api/files/tus',
+      presignedUpload: 'POST /api/files/upload/presigned',
+      presignedPost: 'POST /api/files/upload/presigned-post',
+      completeUpload: 'POST /api/files/upload/complete',
       getUrl: 'GET /api/files/url/:filename',
+      download: 'GET /api/files/download/:filename',
+      thumbnail: 'GET /api/files/thumbnail/:filename',
       getInfo: 'GET /api/files/info/:filename',
       listFiles: 'GET /api/files/list',
-      deleteFile: 'DELETE /api/files/:filename'
+      searchFiles: 'GET /api/files/search',
+      usage: 'GET /api/files/usage',
+      tags: 'GET|PUT|DELETE /api/files/tags/:filename',
+      versions: 'GET|POST|DELETE /api/files/versions/:filename',
+      updateMetadata: 'PATCH /api/files/metadata/:filename',
+      copyFile: 'POST /api/files/copy',
+      moveFile: 'POST /api/files/move',
+      deleteFile: 'DELETE /api/files/:filename',
+      deleteFiles: 'POST /api/files/delete',
+      trash: 'GET|DELETE /api/trash',
+      restoreTrash: 'POST /api/trash/restore',
+      apiKeys: 'GET|POST /api/admin/keys',
+      tenants: 'GET|POST /api/admin/tenants',
+      lifecycle: 'GET|PUT /api/admin/lifecycle',
+      retention: 'GET|PUT /api/admin/retention/:filename',
+      legalHold: 'PUT /api/admin/legal-hold/:filename',
+      shares: 'GET|POST /api/shares',
+      openShare: 'GET /s/:token'
     }
   });
 });
@@ -11,7 +11,8 @@ const config = {
     useSSL: process.env.MINIO_USE_SSL === 'true',
     accessKey: process.env.MINIO_ACCESS_KEY || 'minioadmin',
     secretKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
-    bucketName: process.env.MINIO_BUCKET_NAME || 'uploads'
+    bucketName: process.env.MINIO_BUCKET_NAME || 'uploads',
+    partSize: parseInt(process.env.MINIO_PART_SIZE) || 5 * 1024 * 1024
   },
   upload: {
     maxFileSize: process.env.MAX_FILE_SIZE || '100MB',
@@ -28,6 +29,92 @@ const config = {
   },
   presignedUrl: {
     expiry: parseInt(process.env.PRESIGNED_URL_EXPIRY) || 3600
+  },
+  tus: {
+    uploadExpiry: parseInt(process.env.TUS_UPLOAD_EXPIRY) || 86400
+  },
+  dedup: {
+    enabled: process.env.DEDUP_ENABLED !== 'false'
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true',
+    adminApiKey: process.env.ADMIN_API_KEY || '',
+    // Token users store their files below <userPrefix><user id>/
+    userPrefix: process.env.USER_PREFIX || 'users/',
+    jwt: {
+      issuer: process.env.JWT_ISSUER || '',
+      audience: process.env.JWT_AUDIENCE || '',
+      jwksUri: process.env.JWT_JWKS_URI || '',
+      jwksCacheMaxAge: parseInt(process.env.JWT_JWKS_CACHE_MAX_AGE) || 600000,
+      // Static key mode: a PEM public key or an HMAC secret instead of a JWKS
+      publicKey: (process.env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n'),
+      algorithms: process.env.JWT_ALGORITHMS ? process.env.JWT_ALGORITHMS.split(',').map(alg => alg.trim()) : [],
+      userClaim: process.env.JWT_USER_CLAIM || 'sub',
+      rolesClaim: process.env.JWT_ROLES_CLAIM || 'roles',
+      tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant',
+      adminRole: process.env.JWT_ADMIN_ROLE || 'admin'
+    }
+  },
+  tenancy: {
+    enabled: process.env.TENANCY_ENABLED === 'true',
+    header: process.env.TENANT_HEADER || 'X-Tenant-ID',
+    // Tenants are also read from <tenant>.<baseDomain> host names when set
+    baseDomain: process.env.TENANT_BASE_DOMAIN || '',
+    // Without it, requests naming no tenant use MINIO_BUCKET_NAME
+    required: process.env.TENANT_REQUIRED === 'true'
+  },
+  quota: {
+    // Sizes such as 5GB and object counts; empty or 0 means unlimited
+    userSize: process.env.QUOTA_USER_SIZE || '',
+    userObjects: parseInt(process.env.QUOTA_USER_OBJECTS) || 0,
+    // The default bucket's quota and that of tenants not setting their own
+    tenantSize: process.env.QUOTA_TENANT_SIZE || '',
+    tenantObjects: parseInt(process.env.QUOTA_TENANT_OBJECTS) || 0,
+    reconcileInterval: parseInt(process.env.QUOTA_RECONCILE_INTERVAL) || 86400
+  },
+  metadata: {
+    // sqlite, or memory for tests and throwaway setups
+    store: process.env.METADATA_STORE || 'sqlite',
+    sqlitePath: process.env.METADATA_SQLITE_PATH || './data/metadata.db'
+  },
+  trash: {
+    // Deleted files are kept this many days before they are purged; TRASH_ENABLED=false deletes at once
+    enabled: process.env.TRASH_ENABLED !== 'false',
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL) || 3600
+  },
+  versioning: {
+    // Turn on MinIO versioning of the buckets, so replaced and deleted files keep their history
+    enabled: process.env.VERSIONING_ENABLED === 'true'
+  },
+  objectLock: {
+    // Create new buckets with object locking, for retention and legal holds; implies versioning
+    enabled: process.env.OBJECT_LOCK_ENABLED === 'true'
+  },
+  renditions: {
+    // Scaled-down copies of uploaded images, fitted into squares of RENDITION_SIZES pixels
+    enabled: process.env.RENDITIONS_ENABLED !== 'false',
+    sizes: (process.env.RENDITION_SIZES || '150,600').split(',').map(size => parseInt(size)).filter(size => size > 0),
+    // webp, jpeg, png or avif
+    format: process.env.RENDITION_FORMAT || 'webp',
+    quality: parseInt(process.env.RENDITION_QUALITY) || 80
+  },
+  share: {
+    // Share links are built on this URL, e.g. https://files.example.com, instead of the request's host
+    baseUrl: process.env.SHARE_BASE_URL || '',
+    // Redirect share downloads to a short-lived presigned URL instead of streaming them
+    redirect: process.env.SHARE_REDIRECT === 'true',
+    redirectExpiry: parseInt(process.env.SHARE_REDIRECT_EXPIRY) || 60
+  },
+  scan: {
+    enabled: process.env.SCAN_ENABLED === 'true',
+    scanner: process.env.SCAN_SCANNER || 'clamd',
+    clamd: {
+      host: process.env.CLAMD_HOST || 'localhost',
+      port: parseInt(process.env.CLAMD_PORT) || 3310,
+      socket: process.env.CLAMD_SOCKET || '',
+      timeout: parseInt(process.env.CLAMD_TIMEOUT) || 60000
+    }
   }
 };
 
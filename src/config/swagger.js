@@ -27,7 +27,22 @@ const options = {
         description: 'Production server'
       }
     ],
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key (mvk_...), also accepted as `Authorization: Bearer <key>`. File routes only require it while AUTH_ENABLED is set; /api/admin always does.'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from the OIDC provider configured with JWT_ISSUER (or signed with JWT_PUBLIC_KEY). Users with the JWT_ADMIN_ROLE role get the admin scope; other users can read, write and delete files.'
+        }
+      },
       schemas: {
         SuccessResponse: {
           type: 'object',
@@ -102,7 +117,41 @@ const options = {
             mimetype: {
               type: 'string',
               example: 'video/mp4',
-              description: 'MIME type of the uploaded file'
+              description: 'MIME type detected from the file content'
+            },
+            hash: {
+              type: 'string',
+              example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+              description: 'SHA-256 of the file content'
+            },
+            deduplicated: {
+              type: 'boolean',
+              example: false,
+              description: 'Whether identical content was already stored and is now shared'
+            },
+            scanStatus: {
+              type: 'string',
+              nullable: true,
+              enum: ['pending', null],
+              example: 'pending',
+              description: 'pending while the malware scan runs; null when scanning is disabled'
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice',
+              description: 'API key id or `user:<id>` of the uploader; null for anonymous uploads'
+            },
+            metadata: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { campaign: 'spring' },
+              description: 'Custom metadata stored with the file'
+            },
+            tags: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { project: 'launch' }
             },
             uploadDate: {
               type: 'string',
@@ -113,7 +162,8 @@ const options = {
               type: 'string',
               format: 'uri',
               example: 'https://minio.example.com/bucket/video_1640995200000_abc123.mp4?signature=xyz789',
-              description: 'Presigned URL for immediate file access'
+              nullable: true,
+              description: 'Presigned URL for immediate file access; null until the malware scan has passed'
             },
             urlExpiresAt: {
               type: 'string',
@@ -124,6 +174,69 @@ const options = {
           },
           required: ['objectName', 'originalName', 'size', 'mimetype', 'uploadDate']
         },
+        DirectUploadRequest: {
+          type: 'object',
+          required: ['filename', 'contentType'],
+          properties: {
+            filename: {
+              type: 'string',
+              example: 'my-video.mp4',
+              description: 'Original filename, used to derive the object name'
+            },
+            contentType: {
+              type: 'string',
+              example: 'video/mp4',
+              description: 'MIME type of the file; must be one of the allowed file types'
+            },
+            path: {
+              type: 'string',
+              example: 'videos/2024',
+              description: 'Optional custom path for file organization'
+            },
+            expiry: {
+              type: 'integer',
+              example: 3600,
+              description: 'Validity of the URL or policy in seconds (max 7 days)'
+            }
+          }
+        },
+        DirectUploadResult: {
+          type: 'object',
+          properties: {
+            objectName: {
+              type: 'string',
+              example: 'videos/2024/my-video_1640995200000_abc123.mp4',
+              description: 'Object name to pass to /api/files/upload/complete'
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'URL to PUT the file to, or to POST the form to'
+            },
+            method: {
+              type: 'string',
+              enum: ['PUT', 'POST']
+            },
+            headers: {
+              type: 'object',
+              description: 'Headers to send with a PUT upload'
+            },
+            fields: {
+              type: 'object',
+              description: 'Form fields to send before the file in a POST upload'
+            },
+            expiresIn: {
+              type: 'integer',
+              example: 3600
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-01T13:00:00.000Z'
+            }
+          },
+          required: ['objectName', 'url', 'method', 'expiresIn', 'expiresAt']
+        },
         PresignedUrlResult: {
           type: 'object',
           properties: {
@@ -179,6 +292,83 @@ const options = {
               type: 'string',
               format: 'date-time',
               example: '2024-01-01T12:00:00.000Z'
+            },
+            hash: {
+              type: 'string',
+              nullable: true,
+              example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+              description: 'SHA-256 of the file content, when known'
+            },
+            checksum: {
+              type: 'string',
+              nullable: true,
+              example: 'md5:1b2cf535f27731c974343645a3985328',
+              description: 'Checksum the client supplied and the upload was verified against'
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice',
+              description: 'API key id or `user:<id>` of the uploader'
+            },
+            scanStatus: {
+              type: 'string',
+              nullable: true,
+              enum: ['pending', 'clean', 'infected', null],
+              example: 'clean',
+              description: 'Malware scan status; null for files stored while scanning was disabled'
+            },
+            scanVerdict: {
+              type: 'string',
+              nullable: true,
+              example: null,
+              description: 'Signature found in an infected file'
+            },
+            tags: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { project: 'launch' },
+              description: 'Object tags'
+            },
+            metadata: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { campaign: 'spring' },
+              description: 'Custom metadata stored with the file'
+            },
+            renditions: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Rendition' },
+              description: 'Scaled-down renditions of images; empty for other files'
+            }
+          }
+        },
+        Rendition: {
+          type: 'object',
+          properties: {
+            size: {
+              type: 'integer',
+              example: 150,
+              description: 'Side of the square the image is fitted into, in pixels'
+            },
+            format: {
+              type: 'string',
+              example: 'webp'
+            },
+            width: {
+              type: 'integer',
+              nullable: true,
+              example: 150,
+              description: 'Width of the rendition; null until it is made'
+            },
+            height: {
+              type: 'integer',
+              nullable: true,
+              example: 100
+            },
+            url: {
+              type: 'string',
+              example: '/api/files/thumbnail/photos/cat.jpg?size=150'
             }
           }
         },
@@ -201,9 +391,43 @@ const options = {
             etag: {
               type: 'string',
               example: 'abc123def456'
+            },
+            originalName: {
+              type: 'string',
+              example: 'my-video.mp4'
+            },
+            mimetype: {
+              type: 'string',
+              example: 'video/mp4'
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice'
             }
           }
         },
+        FileSearchItem: {
+          allOf: [
+            { $ref: '#/components/schemas/FileListItem' },
+            {
+              type: 'object',
+              properties: {
+                uploadDate: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  example: '2024-01-01T12:00:00.000Z'
+                },
+                tags: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  example: { project: 'launch' }
+                }
+              }
+            }
+          ]
+        },
         HealthStatus: {
           type: 'object',
           properties: {
@@ -227,6 +451,307 @@ const options = {
               example: 'uploads'
             }
           }
+        },
+        UsageCounter: {
+          type: 'object',
+          properties: {
+            bytes: {
+              type: 'integer',
+              example: 73400320
+            },
+            objects: {
+              type: 'integer',
+              example: 42
+            },
+            quota: {
+              type: 'object',
+              nullable: true,
+              description: 'Limits, null when unlimited; admins have no user quota',
+              properties: {
+                bytes: {
+                  type: 'integer',
+                  nullable: true,
+                  example: 5368709120
+                },
+                objects: {
+                  type: 'integer',
+                  nullable: true,
+                  example: null
+                }
+              }
+            }
+          }
+        },
+        Usage: {
+          type: 'object',
+          properties: {
+            user: {
+              description: 'Files owned by the caller; null for anonymous requests',
+              nullable: true,
+              allOf: [
+                { $ref: '#/components/schemas/UsageCounter' },
+                { type: 'object', properties: { id: { type: 'string', example: 'user:alice' } } }
+              ]
+            },
+            tenant: {
+              description: 'All files in the bucket of the caller\'s tenant',
+              allOf: [
+                { $ref: '#/components/schemas/UsageCounter' },
+                {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', nullable: true, example: 'acme' },
+                    bucket: { type: 'string', example: 'uploads-acme' }
+                  }
+                }
+              ]
+            }
+          }
+        },
+        TransferRequest: {
+          type: 'object',
+          description: 'Either `source` and `target` or `sourcePrefix` and `targetPrefix`',
+          properties: {
+            source: {
+              type: 'string',
+              example: 'videos/2024/clip_1640995200000_abc123.mp4'
+            },
+            target: {
+              type: 'string',
+              example: 'archive/2024/clip.mp4'
+            },
+            sourcePrefix: {
+              type: 'string',
+              description: 'Transfer every file below this prefix; it may not be empty or `/`',
+              example: 'videos/2024/'
+            },
+            targetPrefix: {
+              type: 'string',
+              description: 'Prefix the files of `sourcePrefix` are placed below, keeping the rest of their names',
+              example: 'archive/2024/'
+            },
+            overwrite: {
+              type: 'boolean',
+              default: false,
+              description: 'Replace existing targets instead of failing with FILE_EXISTS'
+            },
+            metadataDirective: {
+              type: 'string',
+              enum: ['COPY', 'REPLACE'],
+              default: 'COPY',
+              description: 'Keep the custom metadata of the source, or replace it with `metadata`'
+            },
+            metadata: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { campaign: 'spring' }
+            }
+          }
+        },
+        TransferResult: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              example: 'videos/2024/clip_1640995200000_abc123.mp4'
+            },
+            target: {
+              type: 'string',
+              example: 'archive/2024/clip.mp4'
+            },
+            size: {
+              type: 'integer',
+              example: 15728640
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice'
+            },
+            deduplicated: {
+              type: 'boolean',
+              description: 'Copies only: the copy shares the stored content of the source'
+            },
+            metadata: {
+              type: 'object',
+              additionalProperties: { type: 'string' }
+            },
+            tags: {
+              type: 'object',
+              additionalProperties: { type: 'string' }
+            }
+          }
+        },
+        BatchTransferResult: {
+          type: 'object',
+          properties: {
+            operation: {
+              type: 'string',
+              enum: ['copy', 'move']
+            },
+            sourcePrefix: {
+              type: 'string',
+              example: 'videos/2024/'
+            },
+            targetPrefix: {
+              type: 'string',
+              example: 'archive/2024/'
+            },
+            total: {
+              type: 'integer',
+              example: 3
+            },
+            succeeded: {
+              type: 'integer',
+              example: 2
+            },
+            failed: {
+              type: 'integer',
+              example: 1
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  source: { type: 'string', example: 'videos/2024/intro.mp4' },
+                  target: { type: 'string', example: 'archive/2024/intro.mp4' },
+                  success: { type: 'boolean', example: false },
+                  error: { type: 'string', example: 'archive/2024/intro.mp4 already exists' },
+                  code: { type: 'string', example: 'FILE_EXISTS' }
+                }
+              }
+            }
+          }
+        },
+        BulkDeleteResult: {
+          type: 'object',
+          properties: {
+            dryRun: {
+              type: 'boolean',
+              example: false
+            },
+            prefix: {
+              type: 'string',
+              description: 'Only for prefix deletes',
+              example: 'videos/2023/'
+            },
+            total: {
+              type: 'integer',
+              example: 3
+            },
+            succeeded: {
+              type: 'integer',
+              description: 'Files deleted, or that would be deleted in a dry run',
+              example: 2
+            },
+            failed: {
+              type: 'integer',
+              example: 1
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: { type: 'string', example: 'videos/2023/intro.mp4' },
+                  success: { type: 'boolean', example: false },
+                  error: { type: 'string', example: 'File not found' },
+                  code: { type: 'string', example: 'FILE_NOT_FOUND' }
+                }
+              }
+            }
+          }
+        },
+        TrashItem: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              example: '9b2f6c1e-4d3a-4f7b-8e21-5c0d9a7e3f10'
+            },
+            objectName: {
+              type: 'string',
+              description: 'Key the file was deleted from',
+              example: 'videos/intro_1640995200000_abc123.mp4'
+            },
+            originalName: {
+              type: 'string',
+              example: 'intro.mp4'
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice'
+            },
+            size: {
+              type: 'integer',
+              example: 1048576
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deletedBy: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the file is purged for good'
+            }
+          }
+        },
+        FileVersion: {
+          type: 'object',
+          properties: {
+            versionId: {
+              type: 'string',
+              example: '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b'
+            },
+            isLatest: {
+              type: 'boolean',
+              description: 'The current version of the file'
+            },
+            isDeleteMarker: {
+              type: 'boolean',
+              description: 'Left by deleting the file; has no content'
+            },
+            lastModified: {
+              type: 'string',
+              format: 'date-time'
+            },
+            size: {
+              type: 'integer',
+              nullable: true,
+              example: 1048576
+            },
+            etag: {
+              type: 'string',
+              example: 'd41d8cd98f00b204e9800998ecf8427e'
+            },
+            originalName: {
+              type: 'string',
+              example: 'intro.mp4'
+            },
+            mimetype: {
+              type: 'string',
+              example: 'video/mp4'
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              example: 'user:alice'
+            },
+            uploadDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
         }
       },
       parameters: {
@@ -236,9 +761,9 @@ const options = {
           required: true,
           schema: {
             type: 'string',
-            example: 'video_1640995200000_abc123.mp4'
+            example: 'videos/2024/video_1640995200000_abc123.mp4'
           },
-          description: 'The unique filename of the file'
+          description: 'The full object key of the file. Keys may contain slashes for nested paths; `..`, empty segments and control characters are rejected'
         },
         ExpiryQuery: {
           name: 'expiry',
@@ -253,6 +778,16 @@ const options = {
           },
           description: 'URL expiration time in seconds (max 7 days)'
         },
+        VersionIdQuery: {
+          name: 'versionId',
+          in: 'query',
+          required: false,
+          schema: {
+            type: 'string',
+            example: '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b'
+          },
+          description: 'A version of the file as listed by /api/files/versions, instead of the current one'
+        },
         PrefixQuery: {
           name: 'prefix',
           in: 'query',
@@ -326,11 +861,104 @@ const options = {
                     code: 'INVALID_FILE_TYPE',
                     timestamp: '2024-01-01T12:00:00.000Z'
                   }
+                },
+                checksumMismatch: {
+                  summary: 'Checksum mismatch',
+                  value: {
+                    success: false,
+                    error: 'Checksum mismatch: expected sha256 9f86d0..., got 2c26b4...',
+                    code: 'CHECKSUM_MISMATCH'
+                  }
+                },
+                invalidObjectKey: {
+                  summary: 'Invalid object key',
+                  value: {
+                    success: false,
+                    error: 'Invalid object key',
+                    message: 'Object key must not contain relative path segments',
+                    code: 'INVALID_OBJECT_KEY'
+                  }
+                }
+              }
+            }
+          }
+        },
+        Unauthorized: {
+          description: 'Missing, invalid or revoked API key',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                error: 'API key required',
+                code: 'UNAUTHORIZED',
+                timestamp: '2024-01-01T12:00:00.000Z'
+              }
+            }
+          }
+        },
+        Forbidden: {
+          description: 'The API key lacks the required scope or is limited to another prefix',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                error: 'API key lacks the files:delete scope',
+                code: 'FORBIDDEN',
+                timestamp: '2024-01-01T12:00:00.000Z'
+              }
+            }
+          }
+        },
+        ScanNotPassed: {
+          description: 'The file is still being scanned for malware (409) or was quarantined (403)',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              examples: {
+                scanPending: {
+                  summary: 'Scan pending',
+                  value: {
+                    success: false,
+                    error: 'File is still being scanned for malware',
+                    code: 'SCAN_PENDING'
+                  }
+                },
+                fileInfected: {
+                  summary: 'File infected',
+                  value: {
+                    success: false,
+                    error: 'File was quarantined: Eicar-Test-Signature',
+                    code: 'FILE_INFECTED'
+                  }
                 }
               }
             }
           }
         },
+        QuotaExceeded: {
+          description: 'The upload would exceed the storage quota of the caller or its tenant',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                error: 'User storage quota of 5368709120 bytes exceeded (5368000000 used)',
+                code: 'QUOTA_EXCEEDED',
+                timestamp: '2024-01-01T12:00:00.000Z'
+              }
+            }
+          }
+        },
         NotFound: {
           description: 'Resource not found',
           content: {
@@ -388,9 +1016,25 @@ const options = {
         name: 'Files',
         description: 'File upload and management operations'
       },
+      {
+        name: 'Resumable Uploads',
+        description: 'Chunked uploads following the tus 1.0 protocol'
+      },
       {
         name: 'Health',
         description: 'Service health monitoring'
+      },
+      {
+        name: 'Trash',
+        description: 'Deleted files kept for a retention period, to be restored or purged'
+      },
+      {
+        name: 'Shares',
+        description: 'Revocable share links with optional password, expiry and download limit'
+      },
+      {
+        name: 'Admin',
+        description: 'API key management'
       }
     ]
   },
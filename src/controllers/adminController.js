@@ -0,0 +1,317 @@
+const MinioService = require('../services/minioService');
+const ApiKeyService = require('../services/apiKeyService');
+const TenantService = require('../services/tenantService');
+
+class AdminController {
+  constructor() {
+    this.minioService = new MinioService();
+    this.apiKeyService = new ApiKeyService(this.minioService);
+    this.tenantService = new TenantService(this.minioService);
+  }
+
+  // The default bucket's service, or the service of the tenant given
+  async serviceFor(tenant) {
+    return tenant
+      ? this.tenantService.serviceFor(await this.tenantService.getTenant(tenant))
+      : this.minioService;
+  }
+
+  async createApiKey(req, res, next) {
+    try {
+      const { name, scopes, prefix, tenant } = req.body;
+
+      if (!scopes) {
+        return res.status(400).json({
+          success: false,
+          error: 'scopes is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      // Keys may only be bound to an existing tenant
+      if (tenant) {
+        await this.tenantService.getTenant(tenant);
+      }
+
+      const result = await this.apiKeyService.createKey({ name, scopes, prefix, tenant });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created; store it now, it cannot be shown again',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listApiKeys(req, res, next) {
+    try {
+      const keys = await this.apiKeyService.listKeys();
+
+      res.json({
+        success: true,
+        message: 'API keys retrieved successfully',
+        data: {
+          keys,
+          count: keys.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async revokeApiKey(req, res, next) {
+    try {
+      const result = await this.apiKeyService.revokeKey(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Recompute storage usage of the default bucket, or of the tenant given in the body
+  async reconcileUsage(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.body.tenant);
+      const result = await minioService.usage.reconcile();
+
+      res.json({
+        success: true,
+        message: 'Storage usage reconciled successfully',
+        data: { bucket: minioService.bucketName, ...result }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getLifecycleRules(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.query.tenant);
+      const rules = await minioService.lifecycle.getRules();
+
+      res.json({
+        success: true,
+        message: 'Lifecycle rules retrieved successfully',
+        data: {
+          bucket: minioService.bucketName,
+          rules,
+          count: rules.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setLifecycleRules(req, res, next) {
+    try {
+      if (req.body.rules === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'rules is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const minioService = await this.serviceFor(req.query.tenant);
+      const rules = await minioService.lifecycle.setRules(req.body.rules);
+
+      res.json({
+        success: true,
+        message: 'Lifecycle rules updated successfully',
+        data: {
+          bucket: minioService.bucketName,
+          rules,
+          count: rules.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async putLifecycleRule(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.query.tenant);
+      const rule = await minioService.lifecycle.putRule({ ...req.body, id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Lifecycle rule saved successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async removeLifecycleRule(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.query.tenant);
+      const rule = await minioService.lifecycle.removeRule(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Lifecycle rule removed successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getObjectLock(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.query.tenant);
+      const result = await minioService.retention.getBucketLock();
+
+      res.json({
+        success: true,
+        message: 'Object lock configuration retrieved successfully',
+        data: { bucket: minioService.bucketName, ...result }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRetention(req, res, next) {
+    try {
+      const minioService = await this.serviceFor(req.query.tenant);
+      const result = await minioService.retention.get(req.params.filename, req.query.versionId);
+
+      res.json({
+        success: true,
+        message: 'Retention retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setRetention(req, res, next) {
+    try {
+      const { mode, retainUntil, bypassGovernance } = req.body;
+
+      if (!mode || !retainUntil) {
+        return res.status(400).json({
+          success: false,
+          error: 'mode and retainUntil are required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const minioService = await this.serviceFor(req.query.tenant);
+      const result = await minioService.retention.setRetention(req.params.filename, {
+        mode,
+        retainUntil,
+        bypassGovernance: bypassGovernance === true || bypassGovernance === 'true',
+        versionId: req.query.versionId
+      });
+
+      res.json({
+        success: true,
+        message: 'Retention updated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setLegalHold(req, res, next) {
+    try {
+      const { enabled } = req.body;
+
+      if (enabled === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'enabled is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const minioService = await this.serviceFor(req.query.tenant);
+      const result = await minioService.retention.setLegalHold(
+        req.params.filename,
+        enabled === true || enabled === 'true',
+        req.query.versionId
+      );
+
+      res.json({
+        success: true,
+        message: result.legalHold ? 'Legal hold placed successfully' : 'Legal hold lifted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createTenant(req, res, next) {
+    try {
+      if (!req.body.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'id is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const { id, name, bucket, allowedFileTypes, maxFileSize, urlExpiry, quotaSize, quotaObjects } = req.body;
+      const result = await this.tenantService.createTenant({
+        id, name, bucket, allowedFileTypes, maxFileSize, urlExpiry, quotaSize, quotaObjects
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Tenant created successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listTenants(req, res, next) {
+    try {
+      const tenants = await this.tenantService.listTenants();
+
+      res.json({
+        success: true,
+        message: 'Tenants retrieved successfully',
+        data: {
+          tenants,
+          count: tenants.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async disableTenant(req, res, next) {
+    try {
+      const result = await this.tenantService.disableTenant(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Tenant disabled successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -1,8 +1,70 @@
 const MinioService = require('../services/minioService');
+const DirectUploadService = require('../services/directUploadService');
+const { isAllowedType } = require('../utils/uploadLimits');
+const { pipeline } = require('stream');
+const { assertOwner } = require('../utils/ownership');
+const { sendFile } = require('../utils/download');
+
+const MAX_PRESIGNED_EXPIRY = 604800; // 7 days, the S3 signature limit
 
 class FileController {
   constructor() {
     this.minioService = new MinioService();
+    this.directUploadService = new DirectUploadService(this.minioService);
+    this.tenantDirectUploads = new WeakMap();
+  }
+
+  // The service of the request's tenant (see resolveTenant), else the default bucket's
+  serviceFor(req) {
+    return req.minioService || this.minioService;
+  }
+
+  directUploadsFor(req) {
+    const minioService = this.serviceFor(req);
+    if (minioService === this.minioService) return this.directUploadService;
+    if (!this.tenantDirectUploads.has(minioService)) {
+      this.tenantDirectUploads.set(minioService, new DirectUploadService(minioService));
+    }
+    return this.tenantDirectUploads.get(minioService);
+  }
+
+  // Attach a presigned URL for immediate access; files awaiting a malware scan get none yet
+  async withAccessUrl(result, minioService = this.minioService) {
+    if (result.scanStatus === 'pending') {
+      return { ...result, accessUrl: null, urlExpiresAt: null };
+    }
+    const urlResult = await minioService.getPresignedUrl(result.objectName);
+    return { ...result, accessUrl: urlResult.url, urlExpiresAt: urlResult.expiresAt };
+  }
+
+  // Point each rendition at the thumbnail endpoint serving it
+  withThumbnailUrls(req, objectName, renditions) {
+    const path = `${req.baseUrl}/thumbnail/${objectName.split('/').map(encodeURIComponent).join('/')}`;
+    return renditions.map(rendition => ({ ...rendition, url: `${path}?size=${rendition.size}` }));
+  }
+
+  // Refuse multipart uploads up front when the request body alone would exceed
+  // a quota; the body includes the multipart framing, so this errs on the strict side
+  async checkQuota(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    try {
+      const length = parseInt(req.get('Content-Length')) || 0;
+      await this.serviceFor(req).usage.assertWithinQuota(req.auth, length, 1);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Files are only sized once stored; those that pushed a quota over are deleted again
+  async enforceQuota(minioService, principal, results) {
+    try {
+      await minioService.usage.assertWithinQuota(principal);
+    } catch (error) {
+      await Promise.all(results.map(result => minioService.deleteFile(result.objectName, null, { permanent: true })));
+      throw error;
+    }
   }
 
   async uploadSingle(req, res, next) {
@@ -15,20 +77,16 @@ class FileController {
         });
       }
 
+      // Files streamed by MinioStorage are already stored; buffered ones are uploaded here
       const customPath = req.body.path || req.query.path || '';
-      const result = await this.minioService.uploadFile(req.file, customPath);
-
-      // Generate presigned URL for immediate access
-      const urlResult = await this.minioService.getPresignedUrl(result.objectName);
+      const minioService = this.serviceFor(req);
+      const result = req.file.upload || await minioService.uploadFile(req.file, customPath, req.auth);
+      await this.enforceQuota(minioService, req.auth, [result]);
 
       res.status(201).json({
         success: true,
         message: 'File uploaded successfully',
-        data: {
-          ...result,
-          accessUrl: urlResult.url,
-          urlExpiresAt: urlResult.expiresAt
-        }
+        data: await this.withAccessUrl(result, minioService)
       });
     } catch (error) {
       next(error);
@@ -46,23 +104,16 @@ class FileController {
       }
 
       const customPath = req.body.path || req.query.path || '';
+      const minioService = this.serviceFor(req);
       const uploadPromises = req.files.map(file => 
-        this.minioService.uploadFile(file, customPath)
+        file.upload || minioService.uploadFile(file, customPath, req.auth)
       );
 
       const results = await Promise.all(uploadPromises);
+      await this.enforceQuota(minioService, req.auth, results);
 
       // Generate presigned URLs for all uploaded files
-      const urlPromises = results.map(result => 
-        this.minioService.getPresignedUrl(result.objectName)
-      );
-      const urlResults = await Promise.all(urlPromises);
-
-      const filesWithUrls = results.map((result, index) => ({
-        ...result,
-        accessUrl: urlResults[index].url,
-        urlExpiresAt: urlResults[index].expiresAt
-      }));
+      const filesWithUrls = await Promise.all(results.map(result => this.withAccessUrl(result, minioService)));
 
       res.status(201).json({
         success: true,
@@ -77,6 +128,93 @@ class FileController {
     }
   }
 
+  // Shared validation for presigned PUT and POST upload requests
+  validateDirectUpload(req, res) {
+    const { filename, contentType } = req.body;
+
+    if (!filename || !contentType) {
+      res.status(400).json({
+        success: false,
+        error: 'filename and contentType are required',
+        code: 'MISSING_FIELDS'
+      });
+      return null;
+    }
+
+    const { limits } = this.serviceFor(req);
+    if (!isAllowedType(contentType, limits.allowedFileTypes)) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid file type',
+        message: `File type ${contentType} is not allowed. Allowed types: ${limits.allowedFileTypes.join(', ')}`,
+        code: 'INVALID_FILE_TYPE'
+      });
+      return null;
+    }
+
+    const expiry = Math.min(parseInt(req.body.expiry) || limits.urlExpiry, MAX_PRESIGNED_EXPIRY);
+    return { filename, contentType, path: req.body.path || '', expiry, principal: req.auth };
+  }
+
+  async createPresignedUpload(req, res, next) {
+    try {
+      const options = this.validateDirectUpload(req, res);
+      if (!options) return;
+
+      const result = await this.directUploadsFor(req).createPutUpload(options);
+
+      res.status(201).json({
+        success: true,
+        message: 'Presigned upload URL generated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createPresignedPost(req, res, next) {
+    try {
+      const options = this.validateDirectUpload(req, res);
+      if (!options) return;
+
+      const result = await this.directUploadsFor(req).createPostUpload(options);
+
+      res.status(201).json({
+        success: true,
+        message: 'Presigned POST policy generated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async completeDirectUpload(req, res, next) {
+    try {
+      const { objectName } = req.body;
+
+      if (!objectName) {
+        return res.status(400).json({
+          success: false,
+          error: 'objectName is required',
+          code: 'MISSING_FILENAME'
+        });
+      }
+
+      const result = await this.directUploadsFor(req).completeUpload(objectName, req.auth);
+      await this.enforceQuota(this.serviceFor(req), req.auth, [result]);
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: await this.withAccessUrl(result, this.serviceFor(req))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getFileUrl(req, res, next) {
     try {
       const { filename } = req.params;
@@ -90,7 +228,7 @@ class FileController {
         });
       }
 
-      const result = await this.minioService.getPresignedUrl(filename, expiry);
+      const result = await this.serviceFor(req).getPresignedUrl(filename, expiry, req.auth, req.query.versionId);
 
       res.json({
         success: true,
@@ -102,6 +240,71 @@ class FileController {
     }
   }
 
+  // Serves GET and HEAD, proxying the object so clients never talk to MinIO directly
+  async downloadFile(req, res, next) {
+    try {
+      const { filename } = req.params;
+      const { versionId } = req.query;
+
+      const minioService = this.serviceFor(req);
+      const stat = versionId
+        ? await minioService.versions.statFile(filename, versionId)
+        : await minioService.statFile(filename);
+      if (!stat) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+      assertOwner(req.auth, stat.metaData.owner);
+      minioService.scans.assertScanPassed(stat);
+
+      await sendFile(req, res, minioService, stat, filename);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Serves a scaled-down rendition of an image, made first if it is still missing
+  async getThumbnail(req, res, next) {
+    try {
+      const { filename } = req.params;
+
+      const minioService = this.serviceFor(req);
+      const stat = await minioService.statFile(filename);
+      if (!stat) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+      assertOwner(req.auth, stat.metaData.owner);
+      minioService.scans.assertScanPassed(stat);
+
+      const rendition = await minioService.renditions.get(filename, stat, req.query.size);
+      res.set({
+        'Content-Type': rendition.contentType,
+        'Content-Length': String(rendition.bytes),
+        ETag: `"${rendition.etag}"`,
+        'Cache-Control': 'private, no-transform'
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const stream = await minioService.getObjectStream(rendition.key);
+      pipeline(stream, res, error => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('❌ Error streaming thumbnail:', error.message);
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async deleteFile(req, res, next) {
     try {
       const { filename } = req.params;
@@ -114,11 +317,241 @@ class FileController {
         });
       }
 
-      const result = await this.minioService.deleteFile(filename);
+      const permanent = req.query.permanent === 'true';
+      const result = await this.serviceFor(req).deleteFile(filename, req.auth, { permanent });
 
       res.json({
         success: true,
-        message: 'File deleted successfully',
+        message: result.trash ? 'File moved to trash' : 'File deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteFiles(req, res, next) {
+    try {
+      const { keys, prefix, confirm } = req.body;
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+      const permanent = req.body.permanent === true || req.body.permanent === 'true';
+
+      if (keys === undefined && prefix === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'keys or prefix is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+      // Deleting a whole prefix is easy to get wrong, so it has to be asked for explicitly
+      if (prefix !== undefined && !dryRun && confirm !== true && confirm !== 'true') {
+        return res.status(400).json({
+          success: false,
+          error: 'Deleting a prefix requires "confirm": true; try "dryRun": true first',
+          code: 'CONFIRMATION_REQUIRED'
+        });
+      }
+
+      const result = await this.serviceFor(req).deleteFiles({ keys, prefix, dryRun, permanent }, req.auth);
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `${result.succeeded} files would be deleted`
+          : `${result.succeeded} of ${result.total} files deleted`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getTags(req, res, next) {
+    try {
+      const result = await this.serviceFor(req).getFileTags(req.params.filename, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Tags retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setTags(req, res, next) {
+    try {
+      if (req.body.tags === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'tags is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = await this.serviceFor(req).setFileTags(req.params.filename, req.body.tags, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Tags updated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async removeTags(req, res, next) {
+    try {
+      const result = await this.serviceFor(req).setFileTags(req.params.filename, {}, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Tags removed successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateMetadata(req, res, next) {
+    try {
+      if (req.body.metadata === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'metadata is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = await this.serviceFor(req).updateFileMetadata(req.params.filename, req.body.metadata, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Metadata updated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listVersions(req, res, next) {
+    try {
+      const versions = await this.serviceFor(req).versions.list(req.params.filename, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Versions retrieved successfully',
+        data: {
+          objectName: req.params.filename,
+          versions,
+          count: versions.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async restoreVersion(req, res, next) {
+    try {
+      const { versionId } = req.body;
+
+      if (!versionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'versionId is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = await this.serviceFor(req).versions.restore(req.params.filename, versionId, req.auth);
+
+      res.json({
+        success: true,
+        message: result.restored ? 'Version restored successfully' : 'Version is already current',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteVersion(req, res, next) {
+    try {
+      const { versionId } = req.query;
+
+      if (!versionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'versionId is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = await this.serviceFor(req).versions.remove(req.params.filename, versionId, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Version deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async copyFile(req, res, next) {
+    return this.transfer('copy', req, res, next);
+  }
+
+  async moveFile(req, res, next) {
+    return this.transfer('move', req, res, next);
+  }
+
+  // Copies and moves take one file (source, target) or everything below a prefix (sourcePrefix, targetPrefix)
+  async transfer(operation, req, res, next) {
+    try {
+      const { source, target, sourcePrefix, targetPrefix, overwrite, metadataDirective, metadata } = req.body;
+      const options = { overwrite: overwrite === true || overwrite === 'true', metadataDirective, metadata };
+      const minioService = this.serviceFor(req);
+      const done = operation === 'move' ? 'moved' : 'copied';
+
+      if (sourcePrefix !== undefined) {
+        if (typeof targetPrefix !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: 'targetPrefix is required',
+            code: 'MISSING_FIELDS'
+          });
+        }
+
+        const result = await minioService.transferPrefix(operation, sourcePrefix, targetPrefix, options, req.auth);
+        return res.json({
+          success: true,
+          message: `${result.succeeded} of ${result.total} files ${done}`,
+          data: result
+        });
+      }
+
+      if (!source || !target) {
+        return res.status(400).json({
+          success: false,
+          error: 'source and target are required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = operation === 'move'
+        ? await minioService.moveFile(source, target, options, req.auth)
+        : await minioService.copyFile(source, target, options, req.auth);
+
+      res.status(operation === 'move' ? 200 : 201).json({
+        success: true,
+        message: `File ${done} successfully`,
         data: result
       });
     } catch (error) {
@@ -129,9 +562,15 @@ class FileController {
   async listFiles(req, res, next) {
     try {
       const prefix = req.query.prefix || '';
-      const maxKeys = parseInt(req.query.limit) || 1000;
+      const maxKeys = Math.min(parseInt(req.query.limit) || 1000, 1000);
+      const { delimiter = '', cursor = '', startAfter = '' } = req.query;
+
+      const result = await this.serviceFor(req).listFiles(prefix, maxKeys, { delimiter, cursor, startAfter, principal: req.auth });
 
-      const result = await this.minioService.listFiles(prefix, maxKeys);
+      // The total is only known without extra requests when everything fit on one page
+      if (!result.nextCursor && !cursor && !startAfter) {
+        res.set('X-Total-Count', String(result.files.length + result.folders.length));
+      }
 
       res.json({
         success: true,
@@ -143,6 +582,20 @@ class FileController {
     }
   }
 
+  async searchFiles(req, res, next) {
+    try {
+      const result = await this.serviceFor(req).searchFiles(req.query, { principal: req.auth });
+
+      res.json({
+        success: true,
+        message: 'Search completed successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getFileInfo(req, res, next) {
     try {
       const { filename } = req.params;
@@ -155,7 +608,8 @@ class FileController {
         });
       }
 
-      const result = await this.minioService.getFileInfo(filename);
+      const result = await this.serviceFor(req).getFileInfo(filename, req.auth);
+      result.info.renditions = this.withThumbnailUrls(req, filename, result.info.renditions);
 
       res.json({
         success: true,
@@ -167,6 +621,23 @@ class FileController {
     }
   }
 
+  async getUsage(req, res, next) {
+    try {
+      const usage = await this.serviceFor(req).usage.getUsage(req.auth);
+
+      res.json({
+        success: true,
+        message: 'Usage retrieved successfully',
+        data: {
+          ...usage,
+          tenant: { id: req.tenant ? req.tenant.id : null, ...usage.tenant }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async healthCheck(req, res, next) {
     try {
       // Test MinIO connection
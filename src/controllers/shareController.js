@@ -0,0 +1,151 @@
+const config = require('../config');
+const MinioService = require('../services/minioService');
+const ShareService = require('../services/shareService');
+const TenantService = require('../services/tenantService');
+const { AppError } = require('../utils/errors');
+const { assertOwner } = require('../utils/ownership');
+const { sendFile } = require('../utils/download');
+
+const tenantOf = req => (req.tenant ? req.tenant.id : null);
+
+class ShareController {
+  constructor() {
+    this.minioService = new MinioService();
+    this.shareService = new ShareService(this.minioService);
+    this.tenantService = new TenantService(this.minioService);
+  }
+
+  // The service of the request's tenant (see resolveTenant), else the default bucket's
+  serviceFor(req) {
+    return req.minioService || this.minioService;
+  }
+
+  // Links are opened without credentials, so the share itself names its tenant
+  async serviceForShare(share) {
+    if (!share.tenant) return this.minioService;
+
+    const tenant = await this.tenantService.getTenant(share.tenant);
+    if (tenant.disabled) {
+      throw new AppError(`Tenant ${tenant.id} is disabled`, 403, 'TENANT_DISABLED');
+    }
+    return this.tenantService.serviceFor(tenant);
+  }
+
+  withUrl(req, share) {
+    const base = (config.share.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return { ...share, url: `${base}/s/${share.token}` };
+  }
+
+  async createShare(req, res, next) {
+    try {
+      const { objectName, password, expiresAt, maxDownloads } = req.body;
+
+      if (!objectName) {
+        return res.status(400).json({
+          success: false,
+          error: 'objectName is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const stat = await this.serviceFor(req).statFile(objectName);
+      if (!stat) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+      assertOwner(req.auth, stat.metaData.owner);
+
+      const share = await this.shareService.createShare({
+        objectName,
+        tenant: tenantOf(req),
+        createdBy: req.auth ? req.auth.id : null,
+        password,
+        expiresAt,
+        maxDownloads
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created successfully',
+        data: this.withUrl(req, share)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listShares(req, res, next) {
+    try {
+      const shares = await this.shareService.listShares({
+        tenant: tenantOf(req),
+        principal: req.auth,
+        objectName: req.query.objectName || null
+      });
+
+      res.json({
+        success: true,
+        message: 'Share links retrieved successfully',
+        data: { shares: shares.map(share => this.withUrl(req, share)), count: shares.length }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async revokeShare(req, res, next) {
+    try {
+      const share = await this.shareService.revokeShare(req.params.token, { tenant: tenantOf(req), principal: req.auth });
+
+      res.json({
+        success: true,
+        message: 'Share link revoked successfully',
+        data: share
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Serves GET, HEAD and POST of /s/:token; only responses that start the file count as a download.
+  // Passwords are never taken from the query string, which ends up in logs and browser history
+  async openShare(req, res, next) {
+    try {
+      const { token } = req.params;
+      const password = req.get('X-Share-Password') || (req.method === 'POST' && req.body ? req.body.password : undefined);
+      const share = await this.shareService.openShare(token, password);
+
+      const minioService = await this.serviceForShare(share);
+      const stat = await minioService.statFile(share.objectName);
+      if (!stat) {
+        return res.status(404).json({
+          success: false,
+          error: 'The shared file no longer exists',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+      minioService.scans.assertScanPassed(stat);
+
+      // A download is counted once: range requests that resume or seek into it are not
+      const recordDownload = () => this.shareService.recordDownload(token);
+
+      if (config.share.redirect) {
+        const range = req.get('Range');
+        if (req.method !== 'HEAD' && (!range || /^bytes=0-/.test(range.trim()))) {
+          await recordDownload();
+        }
+        const { url } = await minioService.getPresignedUrl(share.objectName, config.share.redirectExpiry);
+        return res.redirect(302, url);
+      }
+      await sendFile(req, res, minioService, stat, share.objectName, {
+        onBody: range => (!range || range.start === 0 ? recordDownload() : undefined)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ShareController;
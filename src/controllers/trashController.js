@@ -0,0 +1,92 @@
+const MinioService = require('../services/minioService');
+
+const isTrue = value => value === true || value === 'true';
+
+class TrashController {
+  constructor() {
+    this.minioService = new MinioService();
+  }
+
+  // The service of the request's tenant (see resolveTenant), else the default bucket's
+  serviceFor(req) {
+    return req.minioService || this.minioService;
+  }
+
+  async listTrash(req, res, next) {
+    try {
+      const items = await this.serviceFor(req).trash.list(req.auth);
+
+      res.json({
+        success: true,
+        message: 'Trash retrieved successfully',
+        data: { items, count: items.length }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async restore(req, res, next) {
+    try {
+      const { id, ids, target } = req.body;
+      const { trash } = this.serviceFor(req);
+
+      if (ids !== undefined) {
+        const result = await trash.restoreMany(ids, req.auth);
+        return res.json({
+          success: true,
+          message: `${result.succeeded} of ${result.total} files restored`,
+          data: result
+        });
+      }
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'id or ids is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const result = await trash.restore(id, { target, overwrite: isTrue(req.body.overwrite) }, req.auth);
+
+      res.json({
+        success: true,
+        message: 'File restored successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async purge(req, res, next) {
+    try {
+      const { ids, confirm } = req.body || {};
+      const { trash } = this.serviceFor(req);
+
+      // Emptying the whole trash cannot be undone, so it has to be asked for explicitly
+      if (ids === undefined && !isTrue(confirm)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Give the ids to purge, or "confirm": true to empty the trash',
+          code: 'CONFIRMATION_REQUIRED'
+        });
+      }
+
+      const result = ids !== undefined
+        ? await trash.purgeMany(ids, req.auth)
+        : await trash.purgeAll(req.auth);
+
+      res.json({
+        success: true,
+        message: `${result.succeeded} of ${result.total} files purged`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TrashController;
@@ -0,0 +1,200 @@
+const MinioService = require('../services/minioService');
+const TusService = require('../services/tusService');
+const { parseSize, isAllowedType } = require('../utils/uploadLimits');
+
+// Upload-Metadata is a comma-separated list of "key base64(value)" pairs
+function parseMetadata(header = '') {
+  return header.split(',').reduce((metadata, pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+  }, {});
+}
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+    .join(',');
+}
+
+function uploadHeaders(upload) {
+  return {
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.length),
+    'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+  };
+}
+
+class TusController {
+  constructor() {
+    this.minioService = new MinioService();
+    this.tusService = new TusService(this.minioService);
+    this.tenantTusServices = new WeakMap();
+  }
+
+  // The service of the request's tenant (see resolveTenant), else the default bucket's
+  serviceFor(req) {
+    return req.minioService || this.minioService;
+  }
+
+  // One TusService per bucket, so its chunk locks are shared by all requests
+  tusServiceFor(req) {
+    const minioService = this.serviceFor(req);
+    if (minioService === this.minioService) return this.tusService;
+    if (!this.tenantTusServices.has(minioService)) {
+      this.tenantTusServices.set(minioService, new TusService(minioService));
+    }
+    return this.tenantTusServices.get(minioService);
+  }
+
+  async createUpload(req, res, next) {
+    try {
+      if (req.get('Upload-Defer-Length')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Deferred upload length is not supported',
+          code: 'INVALID_UPLOAD_LENGTH'
+        });
+      }
+
+      const length = Number(req.get('Upload-Length'));
+      if (!req.get('Upload-Length') || !Number.isInteger(length) || length < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload-Length header must be a non-negative integer',
+          code: 'INVALID_UPLOAD_LENGTH'
+        });
+      }
+
+      const minioService = this.serviceFor(req);
+      const { limits } = minioService;
+      if (length > parseSize(limits.maxFileSize)) {
+        return res.status(413).json({
+          success: false,
+          error: 'File too large',
+          message: `Maximum file size is ${limits.maxFileSize}`,
+          code: 'FILE_TOO_LARGE'
+        });
+      }
+
+      const metadata = parseMetadata(req.get('Upload-Metadata'));
+      const filetype = metadata.filetype || 'application/octet-stream';
+      if (!isAllowedType(filetype, limits.allowedFileTypes)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid file type',
+          message: `File type ${filetype} is not allowed. Allowed types: ${limits.allowedFileTypes.join(', ')}`,
+          code: 'INVALID_FILE_TYPE'
+        });
+      }
+
+      await minioService.usage.assertWithinQuota(req.auth, length, 1);
+
+      const upload = await this.tusServiceFor(req).createUpload(length, metadata, req.auth);
+
+      res.set({
+        Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/${upload.id}`,
+        ...uploadHeaders(upload)
+      });
+
+      if (upload.result) {
+        return res.status(201).json(await this.completionResponse(upload, minioService));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Upload created successfully',
+        data: {
+          id: upload.id,
+          offset: upload.offset,
+          length: upload.length,
+          expiresAt: upload.expiresAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getOffset(req, res, next) {
+    try {
+      const upload = await this.tusServiceFor(req).getUpload(req.params.id, req.auth);
+
+      res.set({
+        ...uploadHeaders(upload),
+        'Upload-Metadata': encodeMetadata(upload.metadata),
+        'Cache-Control': 'no-store'
+      });
+      res.status(200).end();
+    } catch (error) {
+      // HEAD responses cannot carry the JSON error body
+      if (error.statusCode) {
+        return res.status(error.statusCode).end();
+      }
+      next(error);
+    }
+  }
+
+  async appendChunk(req, res, next) {
+    try {
+      if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({
+          success: false,
+          error: 'Content-Type must be application/offset+octet-stream',
+          code: 'UNSUPPORTED_MEDIA_TYPE'
+        });
+      }
+
+      const offset = Number(req.get('Upload-Offset'));
+      if (!req.get('Upload-Offset') || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload-Offset header must be a non-negative integer',
+          code: 'INVALID_UPLOAD_OFFSET'
+        });
+      }
+
+      const upload = await this.tusServiceFor(req).writeChunk(req.params.id, offset, req, req.auth);
+      res.set(uploadHeaders(upload));
+
+      if (upload.result) {
+        return res.status(200).json(await this.completionResponse(upload, this.serviceFor(req)));
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async terminate(req, res, next) {
+    try {
+      await this.tusServiceFor(req).terminate(req.params.id, req.auth);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Same payload FileController.uploadSingle returns for a regular upload
+  async completionResponse(upload, minioService = this.minioService) {
+    // Files awaiting a malware scan cannot be presigned yet
+    const urlResult = upload.result.scanStatus === 'pending'
+      ? { url: null, expiresAt: null }
+      : await minioService.getPresignedUrl(upload.result.objectName);
+
+    return {
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        ...upload.result,
+        accessUrl: urlResult.url,
+        urlExpiresAt: urlResult.expiresAt
+      }
+    };
+  }
+}
+
+module.exports = TusController;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const config = require('../config');
+const ApiKeyService = require('../services/apiKeyService');
+const TokenService = require('../services/tokenService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { userPrefix } = require('../utils/ownership');
+
+// ADMIN_API_KEY may do everything, anywhere
+const ADMIN_PRINCIPAL = { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], prefix: '', tenant: null };
+
+// Scopes of a token user without the admin role
+const USER_SCOPES = ['files:read', 'files:write', 'files:delete'];
+
+// Shared so every router uses the same cached key set
+let sharedTokens = null;
+const defaultTokenService = () => sharedTokens || (sharedTokens = new TokenService());
+
+// Keys and OIDC tokens are accepted as a bearer token, keys also in X-API-Key
+function readCredential(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer /i.test(authorization)) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function isAdminKey(key) {
+  if (!config.auth.adminApiKey) return false;
+  // Compare digests so the comparison takes the same time for any length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(key), digest(config.auth.adminApiKey));
+}
+
+// Token users act as `user:<id>` within their own folder, owning what they
+// upload; the admin role grants the admin scope and the whole bucket
+const userPrincipal = (user, adminRole) => {
+  const admin = user.roles.includes(adminRole);
+  return {
+    id: `user:${user.id}`,
+    name: user.id,
+    scopes: admin ? ['admin'] : USER_SCOPES,
+    prefix: admin ? '' : userPrefix(user.id),
+    tenant: user.tenant,
+    isolated: true
+  };
+};
+
+/**
+ * Build the authentication middleware for a router. `requireApiKey` always
+ * demands a valid API key or, when OIDC is configured, bearer token and
+ * attaches its principal ({ id, name, scopes, prefix, tenant }) as req.auth,
+ * plus the token's { id, roles, tenant, claims } as req.user; `authenticate`
+ * does the same only while AUTH_ENABLED is set, so file routes stay open by
+ * default.
+ */
+const createAuth = (minioService, tokens = defaultTokenService()) => {
+  const apiKeys = new ApiKeyService(minioService);
+
+  const requireApiKey = async (req, res, next) => {
+    try {
+      const credential = readCredential(req);
+      if (!credential) {
+        throw new UnauthorizedError(tokens.enabled ? 'API key or bearer token required' : 'API key required');
+      }
+
+      let principal;
+      if (tokens.enabled && TokenService.isToken(credential)) {
+        req.user = await tokens.verify(credential);
+        principal = userPrincipal(req.user, tokens.options.adminRole);
+      } else {
+        principal = isAdminKey(credential) ? ADMIN_PRINCIPAL : await apiKeys.verify(credential);
+        if (!principal) {
+          throw new UnauthorizedError('Invalid or revoked API key');
+        }
+      }
+
+      req.auth = principal;
+      next();
+    } catch (error) {
+      if (error instanceof UnauthorizedError) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      next(error);
+    }
+  };
+
+  const authenticate = (req, res, next) => (config.auth.enabled ? requireApiKey(req, res, next) : next());
+
+  return { authenticate, requireApiKey };
+};
+
+const hasScope = (auth, scope) => auth.scopes.includes(scope) || auth.scopes.includes('admin');
+
+// Throw unless the caller's prefix covers the object key `target`
+function assertPrefix(auth, target) {
+  if (auth && auth.prefix && !String(target || '').startsWith(auth.prefix)) {
+    throw new ForbiddenError(`Access is limited to ${auth.prefix}`);
+  }
+}
+
+/**
+ * Require a scope of the authenticated caller and, given `getTarget`, that
+ * the caller's prefix covers the object key it returns for the request.
+ * Anonymous requests, which only get this far while auth is disabled, pass.
+ * Administering the service takes credentials not bound to a tenant.
+ */
+const requireScope = (scope, getTarget) => (req, res, next) => {
+  if (!req.auth) return next();
+
+  if (!hasScope(req.auth, scope)) {
+    return next(new ForbiddenError(`API key lacks the ${scope} scope`));
+  }
+  if (scope === 'admin' && req.auth.tenant) {
+    return next(new ForbiddenError(`Credentials of tenant ${req.auth.tenant} cannot administer the service`));
+  }
+  try {
+    if (getTarget) {
+      assertPrefix(req.auth, getTarget(req));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createAuth,
+  requireScope,
+  assertPrefix
+};
@@ -0,0 +1,90 @@
+const { PassThrough } = require('stream');
+const { requestChecksum } = require('../utils/checksum');
+const { parseMetadata, assertMetadataSize, parseTags } = require('../utils/userMetadata');
+
+/**
+ * Multer storage engine that pipes each incoming file straight into MinIO
+ * instead of buffering it in memory. Size limits are enforced by busboy while
+ * parsing; when a limit is hit or the client goes away the pending multipart
+ * upload is aborted so no partial object is left behind.
+ */
+class MinioStorage {
+  constructor(minioService) {
+    this.minioService = minioService;
+    // Files handled so far per request, to pair each one with its checksum field
+    this.fileCounts = new WeakMap();
+  }
+
+  _handleFile(req, file, cb) {
+    // Fields are only available here if they precede the file in the form
+    const customPath = req.body.path || req.query.path || '';
+    // Stored under its original name, replacing the file there, instead of a unique one
+    const overwrite = (req.body.overwrite || req.query.overwrite) === 'true';
+    const index = this.fileCounts.get(req) || 0;
+    this.fileCounts.set(req, index + 1);
+
+    // Custom metadata and tags apply to every file of the request
+    let checksum;
+    let metadata;
+    let tags;
+    try {
+      checksum = requestChecksum(req, index);
+      metadata = parseMetadata(req.body.metadata);
+      assertMetadataSize(metadata);
+      tags = parseTags(req.body.tags);
+    } catch (error) {
+      file.stream.resume();
+      return cb(error);
+    }
+
+    const source = new PassThrough();
+
+    const abort = (error) => {
+      file.stream.unpipe(source);
+      // Keep draining so busboy can finish parsing the rest of the request
+      file.stream.resume();
+      source.destroy(error);
+    };
+    const onLimit = () => abort(new Error('File size limit exceeded'));
+    const onClose = () => {
+      if (!req.complete) abort(new Error('Client disconnected during upload'));
+    };
+
+    file.stream.on('limit', onLimit);
+    req.on('close', onClose);
+    file.stream.pipe(source);
+
+    this.minioService.uploadFile({
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      stream: source,
+      checksum,
+      metadata,
+      tags,
+      overwrite
+    }, customPath, req.auth)
+      .then((result) => cb(null, {
+        objectName: result.objectName,
+        size: result.size,
+        upload: result
+      }), (error) => {
+        // The upload may fail before reading anything, e.g. on an invalid path
+        abort(error);
+        cb(error);
+      })
+      .finally(() => {
+        file.stream.removeListener('limit', onLimit);
+        req.removeListener('close', onClose);
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    // Nothing was stored if the upload failed before completing
+    if (!file.objectName) return cb(null);
+
+    this.minioService.deleteFile(file.objectName, null, { permanent: true })
+      .then(() => cb(null), cb);
+  }
+}
+
+module.exports = MinioStorage;
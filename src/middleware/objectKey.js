@@ -0,0 +1,27 @@
+const { validateObjectKey } = require('../utils/objectKey');
+
+// Wildcard routes capture the full object key, slashes included, in params[0];
+// validate it once here and hand it to controllers as params.filename
+const objectKeyParam = (req, res, next) => {
+  const key = req.params[0];
+  // Like a :filename param, the wildcard must not match an empty key
+  if (!key) return next('route');
+
+  const problem = validateObjectKey(key);
+
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid object key',
+      message: problem,
+      code: 'INVALID_OBJECT_KEY'
+    });
+  }
+
+  req.params.filename = key;
+  next();
+};
+
+module.exports = {
+  objectKeyParam
+};
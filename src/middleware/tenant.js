@@ -0,0 +1,67 @@
+const config = require('../config');
+const TenantService = require('../services/tenantService');
+const { AppError, ForbiddenError } = require('../utils/errors');
+
+// Tenant the request asks for through the tenant header or a subdomain of TENANT_BASE_DOMAIN
+function requestedTenant(req) {
+  const header = req.get(config.tenancy.header);
+  if (header) return header.trim().toLowerCase();
+
+  const { baseDomain } = config.tenancy;
+  const host = req.hostname || '';
+  if (baseDomain && host.endsWith(`.${baseDomain}`)) {
+    const subdomain = host.slice(0, -baseDomain.length - 1);
+    // Only direct subdomains name a tenant
+    if (!subdomain.includes('.')) return subdomain;
+  }
+  return null;
+}
+
+/**
+ * Build the middleware resolving the tenant of a request while
+ * TENANCY_ENABLED is set. Credentials bound to a tenant (a key's tenant or
+ * the token's tenant claim) decide it; other callers pick one through the
+ * tenant header or host name. The tenant is attached as req.tenant and the
+ * MinioService of its bucket as req.minioService. Requests without a tenant
+ * use the default bucket unless TENANT_REQUIRED is set.
+ */
+const createTenancy = (minioService) => {
+  const tenants = new TenantService(minioService);
+
+  const resolveTenant = async (req, res, next) => {
+    if (!config.tenancy.enabled) return next();
+
+    try {
+      const bound = req.auth && req.auth.tenant;
+      const requested = requestedTenant(req);
+      if (bound && requested && requested !== bound) {
+        throw new ForbiddenError(`These credentials belong to tenant ${bound}`);
+      }
+
+      const id = bound || requested;
+      if (!id) {
+        if (config.tenancy.required) {
+          throw new AppError(`A tenant is required; name it in the ${config.tenancy.header} header`, 400, 'TENANT_REQUIRED');
+        }
+        return next();
+      }
+
+      const tenant = await tenants.getTenant(id);
+      if (tenant.disabled) {
+        throw new AppError(`Tenant ${id} is disabled`, 403, 'TENANT_DISABLED');
+      }
+
+      req.tenant = tenant;
+      req.minioService = tenants.serviceFor(tenant);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { resolveTenant, tenants };
+};
+
+module.exports = {
+  createTenancy
+};
@@ -0,0 +1,40 @@
+const config = require('../config');
+const { parseSize } = require('../utils/uploadLimits');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+
+// Every tus response carries the protocol version; OPTIONS also advertises capabilities
+const tusHeaders = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+      'Tus-Max-Size': String(parseSize(config.upload.maxFileSize))
+    });
+  }
+  next();
+};
+
+// Requests other than OPTIONS must state which protocol version they speak
+const requireTusVersion = (req, res, next) => {
+  if (req.method === 'OPTIONS' || req.get('Tus-Resumable') === TUS_VERSION) {
+    return next();
+  }
+
+  res.set('Tus-Version', TUS_VERSION);
+  return res.status(412).json({
+    success: false,
+    error: 'Unsupported tus version',
+    message: `Tus-Resumable must be ${TUS_VERSION}`,
+    code: 'TUS_VERSION_UNSUPPORTED'
+  });
+};
+
+module.exports = {
+  TUS_VERSION,
+  tusHeaders,
+  requireTusVersion
+};
@@ -1,44 +1,38 @@
 const multer = require('multer');
 const config = require('../config');
+const MinioStorage = require('./minioStorage');
+const { parseSize } = require('../utils/uploadLimits');
 
-// Convert size string to bytes
-function parseSize(sizeStr) {
-  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
-  const match = sizeStr.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)$/i);
-  if (!match) return 10 * 1024 * 1024; // Default 10MB
-  return parseFloat(match[1]) * units[match[2].toUpperCase()];
-}
+// Size limit of a service: a tenant's own, else the configured one
+const maxFileSize = minioService => (minioService && minioService.limits ? minioService.limits : config.upload).maxFileSize;
 
-const storage = multer.memoryStorage();
-
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = config.upload.allowedFileTypes;
-  
-  // Check if file type is allowed
-  const isAllowed = allowedTypes.some(type => {
-    if (type.endsWith('/*')) {
-      const baseType = type.slice(0, -2);
-      return file.mimetype.startsWith(baseType);
-    }
-    return file.mimetype === type;
-  });
-
-  if (isAllowed) {
-    cb(null, true);
-  } else {
-    cb(new Error(`File type ${file.mimetype} is not allowed. Allowed types: ${allowedTypes.join(', ')}`), false);
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
+// Build the multer instance that streams files into the given MinIO service.
+// There is no fileFilter: the claimed MIME type is not trusted, and the type
+// is checked against the file's leading bytes while it is stored.
+const buildMulter = (minioService) => multer({
+  storage: new MinioStorage(minioService),
   limits: {
-    fileSize: parseSize(config.upload.maxFileSize),
+    fileSize: parseSize(maxFileSize(minioService)),
     files: 10 // Maximum 10 files per request
   }
 });
 
+// Upload middleware with multer's single/array interface. Requests resolved
+// to a tenant (req.minioService) store into its bucket with its size limit.
+const createUpload = (minioService) => {
+  const uploads = new WeakMap();
+  const uploadFor = (service) => {
+    if (!uploads.has(service)) {
+      uploads.set(service, buildMulter(service));
+    }
+    return uploads.get(service);
+  };
+  const perService = method => (...args) => (req, res, next) =>
+    uploadFor(req.minioService || minioService)[method](...args)(req, res, next);
+
+  return { single: perService('single'), array: perService('array') };
+};
+
 // Error handling middleware for multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -47,7 +41,7 @@ const handleMulterError = (error, req, res, next) => {
         return res.status(400).json({
           success: false,
           error: 'File too large',
-          message: `Maximum file size is ${config.upload.maxFileSize}`,
+          message: `Maximum file size is ${maxFileSize(req.minioService)}`,
           code: 'FILE_TOO_LARGE'
         });
       case 'LIMIT_FILE_COUNT':
@@ -87,6 +81,6 @@ const handleMulterError = (error, req, res, next) => {
 };
 
 module.exports = {
-  upload,
+  createUpload,
   handleMulterError
 };
\ No newline at end of file
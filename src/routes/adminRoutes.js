@@ -0,0 +1,708 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const { createAuth, requireScope } = require('../middleware/auth');
+const { objectKeyParam } = require('../middleware/objectKey');
+
+const router = express.Router();
+const adminController = new AdminController();
+const { requireApiKey } = createAuth(adminController.minioService);
+
+// Key and tenant management needs an admin key even while file routes are open
+router.use(requireApiKey, requireScope('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "3f9a0c1d2e4b5a6c"
+ *         name:
+ *           type: string
+ *           example: "gallery uploader"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [files:read, files:write, files:delete, admin]
+ *           example: ["files:read", "files:write"]
+ *         prefix:
+ *           type: string
+ *           description: Folder the key is limited to; empty for the whole bucket
+ *           example: "gallery/"
+ *         tenant:
+ *           type: string
+ *           nullable: true
+ *           description: Tenant the key belongs to in multi-tenant mode
+ *           example: "acme"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     Tenant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "acme"
+ *         name:
+ *           type: string
+ *           example: "Acme Corp"
+ *         bucket:
+ *           type: string
+ *           example: "uploads-acme"
+ *         allowedFileTypes:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Overrides ALLOWED_FILE_TYPES; null keeps the global setting
+ *           example: ["image/*"]
+ *         maxFileSize:
+ *           type: string
+ *           nullable: true
+ *           description: Overrides MAX_FILE_SIZE; null keeps the global setting
+ *           example: "50MB"
+ *         urlExpiry:
+ *           type: integer
+ *           nullable: true
+ *           description: Overrides PRESIGNED_URL_EXPIRY in seconds; null keeps the global setting
+ *           example: 900
+ *         quotaSize:
+ *           type: string
+ *           nullable: true
+ *           description: Overrides QUOTA_TENANT_SIZE; null keeps the global setting
+ *           example: "50GB"
+ *         quotaObjects:
+ *           type: integer
+ *           nullable: true
+ *           description: Overrides QUOTA_TENANT_OBJECTS; null keeps the global setting
+ *           example: 100000
+ *         disabled:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         disabledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     LifecycleRule:
+ *       type: object
+ *       required: [id]
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "expire-tmp"
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         prefix:
+ *           type: string
+ *           description: Files whose key starts with this; required for expirationDays
+ *           example: "tmp/"
+ *         tags:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Only files with all of these tags
+ *         expirationDays:
+ *           type: integer
+ *           minimum: 1
+ *           description: Delete files this many days after they were stored
+ *           example: 7
+ *         noncurrentVersionExpirationDays:
+ *           type: integer
+ *           minimum: 1
+ *           description: Delete versions this many days after they were replaced or deleted
+ *         abortIncompleteUploadDays:
+ *           type: integer
+ *           minimum: 1
+ *           description: Abort multipart uploads left unfinished this many days; not combined with tags
+ *     FileLock:
+ *       type: object
+ *       properties:
+ *         objectName:
+ *           type: string
+ *           example: "exports/2024/q4.csv"
+ *         versionId:
+ *           type: string
+ *           nullable: true
+ *         retention:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [GOVERNANCE, COMPLIANCE]
+ *             retainUntil:
+ *               type: string
+ *               format: date-time
+ *         legalHold:
+ *           type: boolean
+ *   parameters:
+ *     TenantQuery:
+ *       name: tenant
+ *       in: query
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Tenant whose bucket to manage; the default bucket when omitted
+ */
+
+/**
+ * @swagger
+ * /api/admin/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key itself is only returned in this response; just its hash is stored.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [files:read, files:write, files:delete, admin]
+ *               prefix:
+ *                 type: string
+ *                 description: Limit the key to keys below this folder
+ *               tenant:
+ *                 type: string
+ *                 description: Bind the key to an existing tenant
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ApiKey'
+ *                         - type: object
+ *                           properties:
+ *                             key:
+ *                               type: string
+ *                               example: "mvk_3f9a0c1d2e4b5a6c_Q2hhbmdlIG1lIGJlZm9yZSB1c2luZyBpdA"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   get:
+ *     summary: List API keys
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: All keys, including revoked ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         keys:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ApiKey'
+ *                         count:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/keys', adminController.createApiKey.bind(adminController));
+router.get('/keys', adminController.listApiKeys.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/keys/:id', adminController.revokeApiKey.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/usage/reconcile:
+ *   post:
+ *     summary: Recompute storage usage
+ *     description: Recounts the files of a bucket to correct drifting usage counters, and frees deduplicated content only files deleted behind the service's back used. This also runs every QUOTA_RECONCILE_INTERVAL seconds.
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tenant:
+ *                 type: string
+ *                 description: Tenant whose bucket to recount; the default bucket when omitted
+ *     responses:
+ *       200:
+ *         description: Usage reconciled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         bucket:
+ *                           type: string
+ *                         bytes:
+ *                           type: integer
+ *                         objects:
+ *                           type: integer
+ *                         owners:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/usage/reconcile', adminController.reconcileUsage.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/lifecycle:
+ *   get:
+ *     summary: List the lifecycle rules of a bucket
+ *     description: The rules MinIO applies to the bucket, as set through its lifecycle configuration.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     responses:
+ *       200:
+ *         description: Lifecycle rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         bucket:
+ *                           type: string
+ *                         rules:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LifecycleRule'
+ *                         count:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     summary: Replace the lifecycle rules of a bucket
+ *     description: |
+ *       Replaces every rule of the bucket's lifecycle configuration; an empty list removes it.
+ *       Files expired by MinIO leave usage counters and listings at the next reconciliation
+ *       (QUOTA_RECONCILE_INTERVAL).
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rules]
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   $ref: '#/components/schemas/LifecycleRule'
+ *     responses:
+ *       200:
+ *         description: Lifecycle rules updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/lifecycle', adminController.getLifecycleRules.bind(adminController));
+router.put('/lifecycle', adminController.setLifecycleRules.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/lifecycle/{id}:
+ *   put:
+ *     summary: Add or replace a lifecycle rule
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LifecycleRule'
+ *     responses:
+ *       200:
+ *         description: Lifecycle rule saved
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Remove a lifecycle rule
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     responses:
+ *       200:
+ *         description: Lifecycle rule removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/lifecycle/:id', adminController.putLifecycleRule.bind(adminController));
+router.delete('/lifecycle/:id', adminController.removeLifecycleRule.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/object-lock:
+ *   get:
+ *     summary: Get the object lock configuration of a bucket
+ *     description: |
+ *       Whether the bucket supports retention and legal holds, which takes a bucket created with
+ *       object locking (OBJECT_LOCK_ENABLED), and the retention it gives new versions.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     responses:
+ *       200:
+ *         description: Object lock configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         bucket:
+ *                           type: string
+ *                         enabled:
+ *                           type: boolean
+ *                         defaultRetention:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             mode:
+ *                               type: string
+ *                             validity:
+ *                               type: integer
+ *                             unit:
+ *                               type: string
+ *                               enum: [Days, Years]
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/object-lock', adminController.getObjectLock.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/retention/{filename}:
+ *   get:
+ *     summary: Get the retention and legal hold of a file
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - $ref: '#/components/parameters/VersionIdQuery'
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     responses:
+ *       200:
+ *         description: Retention and legal hold of the file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileLock'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The bucket does not support object locking (OBJECT_LOCK_UNSUPPORTED)
+ *   put:
+ *     summary: Put a file under retention
+ *     description: |
+ *       Keep the current version of the file, or the given version, from being deleted or
+ *       overwritten until `retainUntil`. Retention can always be extended. GOVERNANCE retention
+ *       can be shortened or replaced with `bypassGovernance`; COMPLIANCE retention cannot.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - $ref: '#/components/parameters/VersionIdQuery'
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mode, retainUntil]
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [GOVERNANCE, COMPLIANCE]
+ *               retainUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-01-31T00:00:00.000Z"
+ *               bypassGovernance:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Retention updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileLock'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Object locking is not supported (OBJECT_LOCK_UNSUPPORTED), or the retention in force does not allow the change (OBJECT_LOCKED)
+ */
+router.get('/retention/*', objectKeyParam, adminController.getRetention.bind(adminController));
+router.put('/retention/*', objectKeyParam, adminController.setRetention.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/legal-hold/{filename}:
+ *   put:
+ *     summary: Place or lift a legal hold
+ *     description: |
+ *       A legal hold keeps the current version of the file, or the given version, from being
+ *       deleted or overwritten until it is lifted, whatever its retention.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - $ref: '#/components/parameters/VersionIdQuery'
+ *       - $ref: '#/components/parameters/TenantQuery'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [enabled]
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Legal hold updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileLock'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The bucket does not support object locking (OBJECT_LOCK_UNSUPPORTED)
+ */
+router.put('/legal-hold/*', objectKeyParam, adminController.setLegalHold.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/tenants:
+ *   post:
+ *     summary: Create a tenant
+ *     description: Creates the tenant's bucket unless it already exists. Limits left out fall back to the global configuration.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: 1-32 lowercase letters, digits or dashes
+ *               name:
+ *                 type: string
+ *               bucket:
+ *                 type: string
+ *                 description: Defaults to "<MINIO_BUCKET_NAME>-<id>"
+ *               allowedFileTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               maxFileSize:
+ *                 type: string
+ *               urlExpiry:
+ *                 type: integer
+ *               quotaSize:
+ *                 type: string
+ *               quotaObjects:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Tenant created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Tenant'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Tenant or bucket already exists
+ *   get:
+ *     summary: List tenants
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: All tenants, including disabled ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         tenants:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Tenant'
+ *                         count:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/tenants', adminController.createTenant.bind(adminController));
+router.get('/tenants', adminController.listTenants.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/tenants/{id}:
+ *   delete:
+ *     summary: Disable a tenant
+ *     description: The tenant's bucket and files are kept, but its requests are refused.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tenant disabled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/tenants/:id', adminController.disableTenant.bind(adminController));
+
+module.exports = router;
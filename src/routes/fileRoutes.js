@@ -1,9 +1,22 @@
 const express = require('express');
 const FileController = require('../controllers/fileController');
-const { upload, handleMulterError } = require('../middleware/upload');
+const { createUpload, handleMulterError } = require('../middleware/upload');
+const { objectKeyParam } = require('../middleware/objectKey');
+const { createAuth, requireScope } = require('../middleware/auth');
+const { createTenancy } = require('../middleware/tenant');
 
 const router = express.Router();
 const fileController = new FileController();
+const upload = createUpload(fileController.minioService);
+const { authenticate } = createAuth(fileController.minioService);
+const { resolveTenant } = createTenancy(fileController.minioService);
+
+// Prefix-limited keys may only touch keys below their prefix; uploads and
+// listings are placed inside it by the service instead
+const objectKey = req => req.params.filename;
+// Copies and moves name a file, or a whole prefix when sourcePrefix is given
+const transferSource = req => (req.body.sourcePrefix !== undefined ? req.body.sourcePrefix : req.body.source);
+const transferTarget = req => (req.body.sourcePrefix !== undefined ? req.body.targetPrefix : req.body.target);
 
 /**
  * @swagger
@@ -18,8 +31,39 @@ const fileController = new FileController();
  *           description: File to upload
  *         path:
  *           type: string
- *           description: Optional custom path for file organization
+ *           description: Optional custom path for file organization (must precede the file field)
  *           example: "videos/2024"
+ *         checksum:
+ *           type: string
+ *           description: Optional checksum of the file as "sha256:<digest>" or "md5:<digest>", hex or base64 (must precede the file field)
+ *           example: "sha256:9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *         metadata:
+ *           type: string
+ *           description: Optional custom metadata as a JSON object (must precede the file field)
+ *           example: '{"campaign":"spring","language":"en"}'
+ *         tags:
+ *           type: string
+ *           description: Optional tags as a JSON object or a comma-separated list of key=value pairs (must precede the file field)
+ *           example: "project=launch,status=draft"
+ *         overwrite:
+ *           type: boolean
+ *           default: false
+ *           description: |
+ *             Store the file under its original name, replacing the file there, instead of a
+ *             unique name. With VERSIONING_ENABLED the replaced file is kept as a version (must
+ *             precede the file field)
+ *     FileTags:
+ *       type: object
+ *       properties:
+ *         objectName:
+ *           type: string
+ *           example: "videos/clip_1640995200000_abc123.mp4"
+ *         tags:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             project: launch
  *     MultipleFileUpload:
  *       type: object
  *       properties:
@@ -31,8 +75,19 @@ const fileController = new FileController();
  *           description: Multiple files to upload (max 10)
  *         path:
  *           type: string
- *           description: Optional custom path for file organization
+ *           description: Optional custom path for file organization (must precede the files fields)
  *           example: "videos/2024"
+ *         checksum:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Optional checksums, one per file in the same order, each preceding its file
+ *         metadata:
+ *           type: string
+ *           description: Optional custom metadata for every file, as a JSON object (must precede the files fields)
+ *         tags:
+ *           type: string
+ *           description: Optional tags for every file, as a JSON object or a list of key=value pairs (must precede the files fields)
  */
 
 /**
@@ -42,6 +97,7 @@ const fileController = new FileController();
  *     summary: Check service health
  *     description: Returns the health status of the file upload service and MinIO connection
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Service is healthy
@@ -67,13 +123,30 @@ const fileController = new FileController();
  */
 router.get('/health', fileController.healthCheck.bind(fileController));
 
+// Everything below requires an API key while AUTH_ENABLED is set and runs
+// against the request's tenant while TENANCY_ENABLED is set
+router.use(authenticate, resolveTenant);
+
 /**
  * @swagger
  * /api/files/upload:
  *   post:
  *     summary: Upload a single file
- *     description: Upload a single file to MinIO storage with automatic unique naming
+ *     description: |
+ *       Upload a single file to MinIO storage with automatic unique naming. The file is streamed to storage as it arrives rather than buffered in memory.
+ *       If a checksum is supplied (header or form field), the stored content is verified against it and the upload is rejected with `CHECKSUM_MISMATCH` when it differs.
  *     tags: [Files]
+ *     parameters:
+ *       - in: header
+ *         name: Content-MD5
+ *         schema:
+ *           type: string
+ *         description: Base64 MD5 of the file
+ *       - in: header
+ *         name: X-Checksum-SHA256
+ *         schema:
+ *           type: string
+ *         description: SHA-256 of the file, hex or base64
  *     requestBody:
  *       required: true
  *       content:
@@ -108,6 +181,8 @@ router.get('/health', fileController.healthCheck.bind(fileController));
  *                 urlExpiresAt: "2024-01-01T13:00:00.000Z"
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
  *       429:
  *         $ref: '#/components/responses/RateLimit'
  *       500:
@@ -118,6 +193,8 @@ router.get('/health', fileController.healthCheck.bind(fileController));
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.post('/upload', 
+  requireScope('files:write'),
+  fileController.checkQuota.bind(fileController),
   upload.single('file'), 
   handleMulterError,
   fileController.uploadSingle.bind(fileController)
@@ -174,15 +251,139 @@ router.post('/upload',
  *                 count: 3
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
  *       429:
  *         $ref: '#/components/responses/RateLimit'
  */
 router.post('/upload/multiple', 
+  requireScope('files:write'),
+  fileController.checkQuota.bind(fileController),
   upload.array('files', 10), 
   handleMulterError,
   fileController.uploadMultiple.bind(fileController)
 );
 
+/**
+ * @swagger
+ * /api/files/upload/presigned:
+ *   post:
+ *     summary: Get a presigned PUT URL for a direct upload
+ *     description: Issue a URL the client can PUT the file to directly on MinIO. Call /api/files/upload/complete afterwards to register the file.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DirectUploadRequest'
+ *     responses:
+ *       201:
+ *         description: Presigned upload URL generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DirectUploadResult'
+ *             example:
+ *               success: true
+ *               message: "Presigned upload URL generated successfully"
+ *               data:
+ *                 objectName: "videos/2024/my-video_1640995200000_abc123.mp4"
+ *                 url: "https://minio.example.com/bucket/videos/2024/my-video_1640995200000_abc123.mp4?X-Amz-Signature=xyz789"
+ *                 method: "PUT"
+ *                 headers:
+ *                   Content-Type: "video/mp4"
+ *                 expiresIn: 3600
+ *                 expiresAt: "2024-01-01T13:00:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post('/upload/presigned', requireScope('files:write'), fileController.createPresignedUpload.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/upload/presigned-post:
+ *   post:
+ *     summary: Get a presigned POST policy for a direct browser upload
+ *     description: Issue a form POST policy restricted to the generated object key, the requested content type and the maximum file size. Submit `fields` plus the file as multipart/form-data to `url`, then call /api/files/upload/complete.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DirectUploadRequest'
+ *     responses:
+ *       201:
+ *         description: Presigned POST policy generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DirectUploadResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post('/upload/presigned-post', requireScope('files:write'), fileController.createPresignedPost.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/upload/complete:
+ *   post:
+ *     summary: Register a finished direct upload
+ *     description: Verify that an object uploaded through a presigned URL or POST policy exists and respects the upload limits, then register it like a regular upload. Objects breaking the limits are deleted.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [objectName]
+ *             properties:
+ *               objectName:
+ *                 type: string
+ *                 example: "videos/2024/my-video_1640995200000_abc123.mp4"
+ *     responses:
+ *       201:
+ *         description: File registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileUploadResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       410:
+ *         description: The upload was not stored, or not completed, within a day of its URL's expiry; the upload was discarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               error: "Upload has expired"
+ *               code: "UPLOAD_EXPIRED"
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post('/upload/complete', requireScope('files:write', req => req.body.objectName), fileController.completeDirectUpload.bind(fileController));
+
 /**
  * @swagger
  * /api/files/url/{filename}:
@@ -193,6 +394,7 @@ router.post('/upload/multiple',
  *     parameters:
  *       - $ref: '#/components/parameters/FilenameParam'
  *       - $ref: '#/components/parameters/ExpiryQuery'
+ *       - $ref: '#/components/parameters/VersionIdQuery'
  *     responses:
  *       200:
  *         description: Presigned URL generated successfully
@@ -214,8 +416,12 @@ router.post('/upload/multiple',
  *                 expiresAt: "2024-01-01T13:00:00.000Z"
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/ScanNotPassed'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/ScanNotPassed'
  *       500:
  *         description: Failed to generate URL
  *         content:
@@ -223,7 +429,123 @@ router.post('/upload/multiple',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/url/:filename', fileController.getFileUrl.bind(fileController));
+router.get('/url/*', objectKeyParam, requireScope('files:read', objectKey), fileController.getFileUrl.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/download/{filename}:
+ *   get:
+ *     summary: Download a file
+ *     description: |
+ *       Stream a file through the API instead of redirecting to MinIO. Supports single
+ *       byte ranges (`Range` / `If-Range`) for seeking in media players, and conditional
+ *       requests via `If-None-Match` and `If-Modified-Since`. The file is offered for
+ *       download under its original name.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - $ref: '#/components/parameters/VersionIdQuery'
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         example: bytes=0-1048575
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range
+ *       304:
+ *         description: The cached copy is still current
+ *       403:
+ *         $ref: '#/components/responses/ScanNotPassed'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/ScanNotPassed'
+ *       416:
+ *         description: The requested range lies outside the file
+ *   head:
+ *     summary: Get download headers
+ *     description: Same headers as the GET request (size, type, ETag, range support) without the body
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     responses:
+ *       200:
+ *         description: File exists
+ *       404:
+ *         description: File not found
+ */
+router.get('/download/*', objectKeyParam, requireScope('files:read', objectKey), fileController.downloadFile.bind(fileController));
+router.head('/download/*', objectKeyParam, requireScope('files:read', objectKey), fileController.downloadFile.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/thumbnail/{filename}:
+ *   get:
+ *     summary: Get an image rendition
+ *     description: |
+ *       Serve a scaled-down rendition of an image, fitted into a square of `size` pixels
+ *       and never enlarged, in the configured format (WebP by default). Renditions are
+ *       made in the background after upload; one still missing is made on the spot.
+ *       The sizes a file offers are listed under `renditions` in its file info.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *         example: 150
+ *         description: One of the configured sizes (RENDITION_SIZES); the smallest when omitted
+ *     responses:
+ *       200:
+ *         description: The rendition
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The cached copy is still current
+ *       400:
+ *         description: The size is not one of the configured sizes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               error: "size must be one of 150, 600"
+ *               code: "INVALID_RENDITION_SIZE"
+ *       403:
+ *         $ref: '#/components/responses/ScanNotPassed'
+ *       404:
+ *         description: File not found, or the file is not an image with renditions (RENDITION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/ScanNotPassed'
+ *       422:
+ *         description: The image could not be decoded (RENDITION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/thumbnail/*', objectKeyParam, requireScope('files:read', objectKey), fileController.getThumbnail.bind(fileController));
 
 /**
  * @swagger
@@ -261,6 +583,7 @@ router.get('/url/:filename', fileController.getFileUrl.bind(fileController));
  *                   contentType: "video/mp4"
  *                   originalName: "my-video.mp4"
  *                   uploadDate: "2024-01-01T12:00:00.000Z"
+ *                   renditions: []
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       404:
@@ -272,21 +595,48 @@ router.get('/url/:filename', fileController.getFileUrl.bind(fileController));
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/info/:filename', fileController.getFileInfo.bind(fileController));
+router.get('/info/*', objectKeyParam, requireScope('files:read', objectKey), fileController.getFileInfo.bind(fileController));
 
 /**
  * @swagger
  * /api/files/list:
  *   get:
  *     summary: List files
- *     description: Retrieve a list of files with optional filtering by prefix
+ *     description: |
+ *       Retrieve one page of files with optional filtering by prefix. Pass `delimiter=/`
+ *       to browse folder by folder: keys below the next `/` are grouped into `folders`.
+ *       When more results exist, `nextCursor` is set; send it back as `cursor` to get
+ *       the next page. Callers limited to a prefix, such as token users, only list inside
+ *       it; the `prefix` in the response is the one actually used.
  *     tags: [Files]
  *     parameters:
  *       - $ref: '#/components/parameters/PrefixQuery'
  *       - $ref: '#/components/parameters/LimitQuery'
+ *       - in: query
+ *         name: delimiter
+ *         schema:
+ *           type: string
+ *           example: /
+ *         description: Group keys into folders at this character
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor of the previous page
+ *       - in: query
+ *         name: startAfter
+ *         schema:
+ *           type: string
+ *           example: videos/2024/clip_1640995200000_abc123.mp4
+ *         description: Only list keys after this one
  *     responses:
  *       200:
  *         description: Files retrieved successfully
+ *         headers:
+ *           X-Total-Count:
+ *             description: Total number of entries, only sent when the whole listing fits in one page
+ *             schema:
+ *               type: integer
  *         content:
  *           application/json:
  *             schema:
@@ -297,17 +647,32 @@ router.get('/info/:filename', fileController.getFileInfo.bind(fileController));
  *                     data:
  *                       type: object
  *                       properties:
+ *                         prefix:
+ *                           type: string
+ *                           example: videos/
  *                         files:
  *                           type: array
  *                           items:
  *                             $ref: '#/components/schemas/FileListItem'
+ *                         folders:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               prefix:
+ *                                 type: string
+ *                                 example: videos/2024/
  *                         count:
  *                           type: integer
  *                           example: 25
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
  *             example:
  *               success: true
  *               message: "Files retrieved successfully"
  *               data:
+ *                 prefix: ""
  *                 files:
  *                   - name: "video1_1640995200000_abc123.mp4"
  *                     size: 1048576
@@ -317,7 +682,10 @@ router.get('/info/:filename', fileController.getFileInfo.bind(fileController));
  *                     size: 524288
  *                     lastModified: "2024-01-01T12:05:00.000Z"
  *                     etag: "def789ghi012"
+ *                 folders:
+ *                   - prefix: "videos/2024/"
  *                 count: 25
+ *                 nextCursor: null
  *       500:
  *         description: Failed to list files
  *         content:
@@ -325,20 +693,574 @@ router.get('/info/:filename', fileController.getFileInfo.bind(fileController));
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/list', fileController.listFiles.bind(fileController));
+router.get('/list', requireScope('files:read'), fileController.listFiles.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/search:
+ *   get:
+ *     summary: Search files
+ *     description: |
+ *       Find files by original name, type, size, upload date, owner and tags, read from the
+ *       metadata store. All filters given must match. When more results exist, `nextCursor`
+ *       is set; send it back as `cursor`, with the same `sort` and `order`, to get the next
+ *       page. Like listings, searches stay inside the caller's prefix, and token users only
+ *       find their own files.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           example: launch video
+ *         description: Words that must all occur in the original name, ignoring case
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: video,image/png
+ *         description: Comma-separated MIME types or families (`video` or `video/*`)
+ *       - in: query
+ *         name: minSize
+ *         schema:
+ *           type: integer
+ *         description: Smallest size in bytes
+ *       - in: query
+ *         name: maxSize
+ *         schema:
+ *           type: integer
+ *         description: Largest size in bytes
+ *       - in: query
+ *         name: uploadedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest upload date
+ *       - in: query
+ *         name: uploadedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest upload date
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *           example: user:alice
+ *       - in: query
+ *         name: tags
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             project: launch
+ *         description: Tags the files must have, as `tags[<key>]=<value>`
+ *       - $ref: '#/components/parameters/PrefixQuery'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, mimetype, size, uploadDate, owner]
+ *           default: name
+ *         description: Field to sort by; `name` is the original name
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - $ref: '#/components/parameters/LimitQuery'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor of the previous page
+ *     responses:
+ *       200:
+ *         description: Search completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         files:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FileSearchItem'
+ *                         count:
+ *                           type: integer
+ *                           example: 25
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/search', requireScope('files:read'), fileController.searchFiles.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/usage:
+ *   get:
+ *     summary: Get storage usage
+ *     description: Bytes and files stored by the caller and by its tenant's bucket, with the quotas that apply
+ *     tags: [Files]
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Usage'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/usage', requireScope('files:read'), fileController.getUsage.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/tags/{filename}:
+ *   get:
+ *     summary: Get the tags of a file
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileTags'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Replace the tags of a file
+ *     description: |
+ *       Tags are stored as MinIO object tags: up to 10 per file, keys up to 128 and values up
+ *       to 256 characters of letters, digits, spaces and `+ - = . _ : / @`. Send an empty
+ *       object to remove all tags.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tags]
+ *             properties:
+ *               tags:
+ *                 description: Tags as an object, or a list of `key=value` pairs
+ *                 oneOf:
+ *                   - type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 example:
+ *                   project: launch
+ *                   language: en
+ *     responses:
+ *       200:
+ *         description: Tags updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileTags'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Remove the tags of a file
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     responses:
+ *       200:
+ *         description: Tags removed successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/tags/*', objectKeyParam, requireScope('files:read', objectKey), fileController.getTags.bind(fileController));
+router.put('/tags/*', objectKeyParam, requireScope('files:write', objectKey), fileController.setTags.bind(fileController));
+router.delete('/tags/*', objectKeyParam, requireScope('files:write', objectKey), fileController.removeTags.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/versions/{filename}:
+ *   get:
+ *     summary: List the versions of a file
+ *     description: |
+ *       Versions kept by bucket versioning (VERSIONING_ENABLED), newest first: every upload
+ *       replacing the file and every delete leaves the previous content as a version. Deleting
+ *       the file leaves a delete marker, so the versions of deleted files can be listed too.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         objectName:
+ *                           type: string
+ *                         versions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FileVersion'
+ *                         count:
+ *                           type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Restore a version
+ *     description: |
+ *       Make an older version the current file again. The file it replaces is kept as a
+ *       version itself; restoring a version of a deleted file brings the file back.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [versionId]
+ *             properties:
+ *               versionId:
+ *                 type: string
+ *                 example: "0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b"
+ *     responses:
+ *       200:
+ *         description: Version restored, or already current (`restored` is false)
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       410:
+ *         description: The deduplicated content of the version is no longer stored (VERSION_CONTENT_MISSING)
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ *   delete:
+ *     summary: Delete a version
+ *     description: |
+ *       Delete an older version, or a delete marker, for good. The current version cannot be
+ *       deleted this way: delete the file instead.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *       - in: query
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Version deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The version is the current one (VERSION_IS_CURRENT)
+ */
+router.get('/versions/*', objectKeyParam, requireScope('files:read', objectKey), fileController.listVersions.bind(fileController));
+router.post('/versions/*', objectKeyParam, requireScope('files:write', objectKey), fileController.restoreVersion.bind(fileController));
+router.delete('/versions/*', objectKeyParam, requireScope('files:delete', objectKey), fileController.deleteVersion.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/metadata/{filename}:
+ *   patch:
+ *     summary: Update the custom metadata of a file
+ *     description: |
+ *       Merge fields into the file's custom metadata; `null` removes a field. Keys are
+ *       lowercased and may use letters, digits, `-` and `_`; values must be printable ASCII,
+ *       and all fields together may take up to 1 KB. The service's own fields, such as
+ *       `original-name` and `owner`, cannot be changed. The object is copied onto itself,
+ *       so its last-modified date changes.
+ *     tags: [Files]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FilenameParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [metadata]
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                 example:
+ *                   campaign: spring
+ *                   language: null
+ *     responses:
+ *       200:
+ *         description: Metadata updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         objectName:
+ *                           type: string
+ *                         metadata:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: string
+ *                           example:
+ *                             campaign: spring
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/metadata/*', objectKeyParam, requireScope('files:write', objectKey), fileController.updateMetadata.bind(fileController));
+
+/**
+ * @swagger
+ * /api/files/copy:
+ *   post:
+ *     summary: Copy a file or every file below a prefix
+ *     description: |
+ *       Copy on the server side, without the data passing through this service. Files over
+ *       5 GB are copied in parts. The copy keeps the source's tags and custom metadata, or
+ *       gets `metadata` instead with `metadataDirective: REPLACE`. An existing target is only
+ *       replaced with `overwrite`. Copies belong to the caller and count towards its quota.
+ *
+ *       With `sourcePrefix` and `targetPrefix`, every file below the source prefix is copied
+ *       one by one; files that fail do not stop the batch, and the result reports each one.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferRequest'
+ *     responses:
+ *       200:
+ *         description: Prefix copied; see `failed` and `items` for files that were not
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BatchTransferResult'
+ *       201:
+ *         description: File copied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TransferResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The target exists and `overwrite` was not set (FILE_EXISTS), or the source is still being scanned
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post('/copy',
+  requireScope('files:read', transferSource),
+  requireScope('files:write', transferTarget),
+  fileController.copyFile.bind(fileController)
+);
+
+/**
+ * @swagger
+ * /api/files/move:
+ *   post:
+ *     summary: Move (rename) a file or every file below a prefix
+ *     description: |
+ *       Copy on the server side like `/api/files/copy`, then delete the source. Moved files
+ *       keep their owner, tags and upload date, and storage usage does not change.
+ *       Takes the files:delete scope for the source and files:write for the target.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferRequest'
+ *     responses:
+ *       200:
+ *         description: File moved, or the prefix processed with a result per file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       oneOf:
+ *                         - $ref: '#/components/schemas/TransferResult'
+ *                         - $ref: '#/components/schemas/BatchTransferResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The target exists and `overwrite` was not set (FILE_EXISTS), or the source is still being scanned
+ */
+router.post('/move',
+  requireScope('files:delete', transferSource),
+  requireScope('files:write', transferTarget),
+  fileController.moveFile.bind(fileController)
+);
+
+/**
+ * @swagger
+ * /api/files/delete:
+ *   post:
+ *     summary: Delete many files at once
+ *     description: |
+ *       Delete a list of up to 1000 keys, or every file below a prefix, with one storage
+ *       request per 1000 files. Deleting a prefix requires `confirm: true`. With `dryRun`,
+ *       nothing is deleted and the result lists the files that would be. Files that cannot be
+ *       deleted, for example because they are missing or belong to another user, do not stop
+ *       the rest; the result reports each key. With the trash enabled, files are moved there
+ *       one by one unless `permanent` is set.
+ *     tags: [Files]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *                 example: ["videos/2023/intro.mp4", "videos/2023/outro.mp4"]
+ *               prefix:
+ *                 type: string
+ *                 description: Delete every file whose key starts with this prefix, instead of `keys`
+ *                 example: "videos/2023/"
+ *               confirm:
+ *                 type: boolean
+ *                 description: Required to delete a prefix
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *               permanent:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Delete for good instead of moving the files to the trash
+ *     responses:
+ *       200:
+ *         description: Files deleted, or listed in a dry run; see `failed` and `items` for files that were not
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BulkDeleteResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/delete', requireScope('files:delete'), fileController.deleteFiles.bind(fileController));
 
 /**
  * @swagger
  * /api/files/{filename}:
  *   delete:
  *     summary: Delete a file
- *     description: Permanently delete a file from MinIO storage
+ *     description: |
+ *       Move a file to the trash, from where it can be restored until TRASH_RETENTION_DAYS
+ *       have passed. With `permanent=true`, or with TRASH_ENABLED=false, the file is deleted
+ *       from MinIO storage at once.
  *     tags: [Files]
  *     parameters:
  *       - $ref: '#/components/parameters/FilenameParam'
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Delete for good instead of moving the file to the trash
  *     responses:
  *       200:
- *         description: File deleted successfully
+ *         description: File moved to the trash or deleted
  *         content:
  *           application/json:
  *             schema:
@@ -355,6 +1277,8 @@ router.get('/list', fileController.listFiles.bind(fileController));
  *                         message:
  *                           type: string
  *                           example: "File deleted successfully"
+ *                         trash:
+ *                           $ref: '#/components/schemas/TrashItem'
  *             example:
  *               success: true
  *               message: "File deleted successfully"
@@ -372,6 +1296,6 @@ router.get('/list', fileController.listFiles.bind(fileController));
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:filename', fileController.deleteFile.bind(fileController));
+router.delete('/*', objectKeyParam, requireScope('files:delete', objectKey), fileController.deleteFile.bind(fileController));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,271 @@
+const express = require('express');
+const ShareController = require('../controllers/shareController');
+const { createAuth, requireScope } = require('../middleware/auth');
+const { createTenancy } = require('../middleware/tenant');
+
+// Mounted at the root: share management lives under /api/shares, the links
+// themselves under /s so they stay short
+const router = express.Router();
+const shareController = new ShareController();
+const { authenticate } = createAuth(shareController.minioService);
+const { resolveTenant } = createTenancy(shareController.minioService);
+
+// Managing shares takes the same credentials and tenant as the file routes
+const managed = [authenticate, resolveTenant];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Share:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           example: "q3Zr8v1XwJk2mN4pL6tY0a"
+ *         url:
+ *           type: string
+ *           description: Link opening the file without credentials
+ *           example: "https://files.example.com/s/q3Zr8v1XwJk2mN4pL6tY0a"
+ *         objectName:
+ *           type: string
+ *           example: "videos/clip_1640995200000_abc123.mp4"
+ *         tenant:
+ *           type: string
+ *           nullable: true
+ *           example: "acme"
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *           description: Principal that created the share; null while auth is disabled
+ *           example: "user:alice"
+ *         hasPassword:
+ *           type: boolean
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxDownloads:
+ *           type: integer
+ *           nullable: true
+ *           example: 5
+ *         downloads:
+ *           type: integer
+ *           example: 2
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/shares:
+ *   post:
+ *     summary: Create a share link
+ *     description: |
+ *       Create a link that opens one file without credentials. Unlike presigned URLs, a
+ *       link may be password protected, may outlive the 7 day signature limit, may be
+ *       limited to a number of downloads, and can be revoked at any time.
+ *     tags: [Shares]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [objectName]
+ *             properties:
+ *               objectName:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Required to open the link, in the X-Share-Password header or a posted form
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a link that does not expire
+ *               maxDownloads:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Share'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   get:
+ *     summary: List share links
+ *     description: Admins see every share of the tenant; other callers see the shares they created.
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: query
+ *         name: objectName
+ *         schema:
+ *           type: string
+ *         description: Only list shares of this file
+ *     responses:
+ *       200:
+ *         description: Share links, including revoked and expired ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         shares:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Share'
+ *                         count:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/api/shares', ...managed, requireScope('files:read', req => req.body.objectName), shareController.createShare.bind(shareController));
+router.get('/api/shares', ...managed, requireScope('files:read'), shareController.listShares.bind(shareController));
+
+/**
+ * @swagger
+ * /api/shares/{token}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working at once. Takes `files:write`; only its creator or an admin may revoke it.
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/api/shares/:token', ...managed, requireScope('files:write'), shareController.revokeShare.bind(shareController));
+
+/**
+ * @swagger
+ * /s/{token}:
+ *   get:
+ *     summary: Open a share link
+ *     description: |
+ *       Download the shared file, supporting the same `Range` and conditional requests as
+ *       /api/files/download. With SHARE_REDIRECT set, redirects to a short-lived presigned
+ *       URL instead. A GET counts as a download when it sends the file from its first
+ *       byte; later ranges and 304 answers do not.
+ *     tags: [Shares]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range
+ *       302:
+ *         description: Redirect to a presigned URL (SHARE_REDIRECT)
+ *       401:
+ *         description: The link needs a password (SHARE_PASSWORD_REQUIRED) or the password is wrong (INVALID_SHARE_PASSWORD)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/ScanNotPassed'
+ *       410:
+ *         description: The link was revoked (SHARE_REVOKED), has expired (SHARE_EXPIRED) or reached its download limit (SHARE_EXHAUSTED)
+ *   head:
+ *     summary: Get the headers of a shared file
+ *     description: Same checks and headers as the GET request, without the body; not counted as a download
+ *     tags: [Shares]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The link can be opened
+ *   post:
+ *     summary: Open a password-protected share link from a form
+ *     description: Same as the GET request, with the password posted as a form or JSON field instead of the X-Share-Password header
+ *     tags: [Shares]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *       401:
+ *         description: The link needs a password (SHARE_PASSWORD_REQUIRED) or the password is wrong (INVALID_SHARE_PASSWORD)
+ *       410:
+ *         description: The link was revoked, has expired or reached its download limit
+ */
+router.get('/s/:token', shareController.openShare.bind(shareController));
+router.head('/s/:token', shareController.openShare.bind(shareController));
+router.post('/s/:token', shareController.openShare.bind(shareController));
+
+module.exports = router;
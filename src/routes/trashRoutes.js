@@ -0,0 +1,178 @@
+const express = require('express');
+const TrashController = require('../controllers/trashController');
+const { createAuth, requireScope } = require('../middleware/auth');
+const { createTenancy } = require('../middleware/tenant');
+
+const router = express.Router();
+const trashController = new TrashController();
+const { authenticate } = createAuth(trashController.minioService);
+const { resolveTenant } = createTenancy(trashController.minioService);
+
+// The trash takes the same credentials and tenant as the file routes
+router.use(authenticate, resolveTenant);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashBatchResult:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           example: 2
+ *         succeeded:
+ *           type: integer
+ *           example: 1
+ *         failed:
+ *           type: integer
+ *           example: 1
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               success:
+ *                 type: boolean
+ *                 example: false
+ *               error:
+ *                 type: string
+ *                 example: "Trashed file not found"
+ *               code:
+ *                 type: string
+ *                 example: "TRASH_NOT_FOUND"
+ */
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List the trash
+ *     description: |
+ *       Deleted files that can still be restored, most recently deleted first. Token users see
+ *       the files they owned; prefix-limited keys see files deleted from inside their prefix.
+ *     tags: [Trash]
+ *     responses:
+ *       200:
+ *         description: Trashed files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TrashItem'
+ *                         count:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Purge files from the trash
+ *     description: |
+ *       Delete trashed files for good: those given in `ids`, or every file in the trash visible
+ *       to the caller with `confirm: true`. Files past TRASH_RETENTION_DAYS are purged on a
+ *       schedule anyway.
+ *     tags: [Trash]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *               confirm:
+ *                 type: boolean
+ *                 description: Required to empty the trash without ids
+ *     responses:
+ *       200:
+ *         description: Files purged; see `failed` and `items` for files that were not
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TrashBatchResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', requireScope('files:read'), trashController.listTrash.bind(trashController));
+router.delete('/', requireScope('files:delete'), trashController.purge.bind(trashController));
+
+/**
+ * @swagger
+ * /api/trash/restore:
+ *   post:
+ *     summary: Restore files from the trash
+ *     description: |
+ *       Move a trashed file back to where it was deleted from, or to `target`. An existing file
+ *       there is only replaced with `overwrite`. With `ids`, several files are restored to their
+ *       original keys and the result reports each. Restored files count towards quotas again.
+ *     tags: [Trash]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: "9b2f6c1e-4d3a-4f7b-8e21-5c0d9a7e3f10"
+ *               target:
+ *                 type: string
+ *                 description: Key to restore the file to, instead of its original key
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *               ids:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *                 description: Restore several files, instead of `id`
+ *     responses:
+ *       200:
+ *         description: The restored file (with `restoredTo`), or a TrashBatchResult for `ids`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TrashItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: A file exists at the target (FILE_EXISTS)
+ *       413:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post('/restore', requireScope('files:write'), trashController.restore.bind(trashController));
+
+module.exports = router;
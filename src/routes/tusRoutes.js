@@ -0,0 +1,152 @@
+const express = require('express');
+const TusController = require('../controllers/tusController');
+const { tusHeaders, requireTusVersion } = require('../middleware/tus');
+const { createAuth, requireScope } = require('../middleware/auth');
+const { createTenancy } = require('../middleware/tenant');
+
+const router = express.Router();
+const tusController = new TusController();
+const { authenticate } = createAuth(tusController.minioService);
+const { resolveTenant } = createTenancy(tusController.minioService);
+
+// The upload path is checked against the key's prefix when the upload is created
+router.use(tusHeaders, requireTusVersion, authenticate, requireScope('files:write'), resolveTenant);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     TusResumableHeader:
+ *       name: Tus-Resumable
+ *       in: header
+ *       required: true
+ *       schema:
+ *         type: string
+ *         example: "1.0.0"
+ *       description: tus protocol version used by the client
+ *     UploadIdParam:
+ *       name: id
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *         example: "3f2b9c1e8a7d4f6b9e0c1a2b3c4d5e6f"
+ *       description: Upload identifier taken from the Location header returned on creation
+ */
+
+/**
+ * @swagger
+ * /api/files/tus:
+ *   options:
+ *     summary: Discover tus server capabilities
+ *     description: Returns the supported tus version, extensions and maximum upload size in response headers
+ *     tags: [Resumable Uploads]
+ *     responses:
+ *       204:
+ *         description: Capabilities advertised in Tus-Version, Tus-Extension and Tus-Max-Size headers
+ *   post:
+ *     summary: Create a resumable upload
+ *     description: Announce an upload of Upload-Length bytes. File name, MIME type and custom path are passed base64-encoded in Upload-Metadata as `filename`, `filetype` and `path`; custom metadata (a JSON object) and tags as `metadata` and `tags`.
+ *     tags: [Resumable Uploads]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TusResumableHeader'
+ *       - name: Upload-Length
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 104857600
+ *       - name: Upload-Metadata
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "filename bXktdmlkZW8ubXA0,filetype dmlkZW8vbXA0"
+ *     responses:
+ *       201:
+ *         description: Upload created; its URL is returned in the Location header
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       412:
+ *         description: Unsupported tus version
+ *       413:
+ *         description: Upload-Length exceeds the maximum file size or the storage quota (QUOTA_EXCEEDED)
+ */
+router.post('/', tusController.createUpload.bind(tusController));
+
+/**
+ * @swagger
+ * /api/files/tus/{id}:
+ *   head:
+ *     summary: Get the current offset of an upload
+ *     tags: [Resumable Uploads]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TusResumableHeader'
+ *       - $ref: '#/components/parameters/UploadIdParam'
+ *     responses:
+ *       200:
+ *         description: Offset returned in the Upload-Offset header
+ *       404:
+ *         description: Upload not found
+ *       410:
+ *         description: Upload has expired
+ *   patch:
+ *     summary: Append data to an upload
+ *     description: Sends the next chunk starting at Upload-Offset. Returns 204 while the upload is incomplete and 200 with the uploaded file once the final byte has been received.
+ *     tags: [Resumable Uploads]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TusResumableHeader'
+ *       - $ref: '#/components/parameters/UploadIdParam'
+ *       - name: Upload-Offset
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 0
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Upload completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FileUploadResult'
+ *       204:
+ *         description: Chunk stored; new offset returned in the Upload-Offset header
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Upload-Offset does not match the current offset
+ *       410:
+ *         description: Upload has expired
+ *       415:
+ *         description: Content-Type is not application/offset+octet-stream
+ *   delete:
+ *     summary: Terminate an upload
+ *     description: Aborts an unfinished upload and discards the data received so far
+ *     tags: [Resumable Uploads]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TusResumableHeader'
+ *       - $ref: '#/components/parameters/UploadIdParam'
+ *     responses:
+ *       204:
+ *         description: Upload terminated
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.head('/:id', tusController.getOffset.bind(tusController));
+router.patch('/:id', tusController.appendChunk.bind(tusController));
+router.delete('/:id', tusController.terminate.bind(tusController));
+
+module.exports = router;
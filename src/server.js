@@ -1,6 +1,12 @@
 const app = require('./app');
 const config = require('./config');
 const MinioService = require('./services/minioService');
+const TusService = require('./services/tusService');
+const DirectUploadService = require('./services/directUploadService');
+const TenantService = require('./services/tenantService');
+
+const TUS_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const SCAN_RETRY_INTERVAL = 15 * 60 * 1000; // 15 minutes
 
 async function startServer() {
   try {
@@ -9,6 +15,87 @@ async function startServer() {
     const minioService = new MinioService();
     await minioService.initialize();
 
+    // In multi-tenant mode every enabled tenant's bucket is looked after too;
+    // tenants are listed again each time so new ones are picked up
+    const tenants = new TenantService(minioService);
+    const activeServices = async () => {
+      if (!config.tenancy.enabled) return [minioService];
+      const records = await tenants.listTenants();
+      return [minioService, ...records.filter(tenant => !tenant.disabled).map(tenant => tenants.serviceFor(tenant))];
+    };
+    const tenantServices = (await activeServices()).slice(1);
+    for (const service of tenantServices) {
+      await service.initialize();
+    }
+    if (config.tenancy.enabled) {
+      console.log(`🏢 Multi-tenant mode: ${tenantServices.length} active tenants`);
+    }
+
+    // A new metadata store starts empty: fill it from the buckets in the background
+    for (const service of await activeServices()) {
+      if (!(await service.metadata.isEmpty())) continue;
+      console.log(`🗂️  Indexing file metadata of bucket ${service.bucketName}...`);
+      service.metadata.rebuild()
+        .then(({ files }) => console.log(`🗂️  ${service.bucketName}: indexed ${files} files`))
+        .catch(error => console.error('❌ Error rebuilding file metadata:', error.message));
+    }
+
+    // Periodically discard abandoned resumable and direct uploads
+    setInterval(() => {
+      activeServices()
+        .then(services => Promise.all(services.map(service => new TusService(service).removeExpired())))
+        .then((counts) => {
+          const count = counts.reduce((sum, n) => sum + n, 0);
+          if (count) console.log(`🧹 Removed ${count} expired resumable uploads`);
+        })
+        .catch(error => console.error('❌ Error removing expired uploads:', error.message));
+      activeServices()
+        .then(services => Promise.all(services.map(service => new DirectUploadService(service).removeExpired())))
+        .then((counts) => {
+          const count = counts.reduce((sum, n) => sum + n, 0);
+          if (count) console.log(`🧹 Removed ${count} expired direct uploads`);
+        })
+        .catch(error => console.error('❌ Error removing expired direct uploads:', error.message));
+    }, TUS_CLEANUP_INTERVAL).unref();
+
+    // Recompute storage usage from the buckets to correct drifting counters; files
+    // expired by lifecycle rules leave the metadata store at the same time
+    setInterval(() => {
+      activeServices()
+        .then(services => Promise.all(services.map(async (service) => {
+          if (await service.lifecycle.expiresFiles()) {
+            await service.metadata.rebuild();
+          }
+          return service.usage.reconcile();
+        })))
+        .then(totals => console.log(`📏 Reconciled storage usage of ${totals.length} buckets`))
+        .catch(error => console.error('❌ Error reconciling storage usage:', error.message));
+    }, config.quota.reconcileInterval * 1000).unref();
+
+    // Purge trashed files past their retention period, also after the trash was turned off
+    setInterval(() => {
+      activeServices()
+        .then(services => Promise.all(services.map(service => service.trash.purgeExpired())))
+        .then((counts) => {
+          const count = counts.reduce((sum, n) => sum + n, 0);
+          if (count) console.log(`🗑️  Purged ${count} expired files from the trash`);
+        })
+        .catch(error => console.error('❌ Error purging the trash:', error.message));
+    }, config.trash.purgeInterval * 1000).unref();
+
+    // Retry malware scans interrupted by a restart or an unreachable scanner
+    if (config.scan.enabled) {
+      const rescan = (queuedBefore) => activeServices()
+        .then(services => Promise.all(services.map(service => service.scans.scanPending(queuedBefore))))
+        .then((counts) => {
+          const count = counts.reduce((sum, n) => sum + n, 0);
+          if (count) console.log(`🔍 Scanned ${count} pending uploads`);
+        })
+        .catch(error => console.error('❌ Error scanning pending uploads:', error.message));
+      rescan(new Date());
+      setInterval(() => rescan(new Date(Date.now() - SCAN_RETRY_INTERVAL)), SCAN_RETRY_INTERVAL).unref();
+    }
+
     // Start the server
     const server = app.listen(config.server.port, () => {
       console.log('🚀 Server started successfully!');
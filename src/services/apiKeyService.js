@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { AppError } = require('../utils/errors');
+const { validateObjectKey } = require('../utils/objectKey');
+
+const KEYS_PREFIX = 'api-keys/';
+const KEY_PATTERN = /^mvk_([a-f0-9]{16})_([A-Za-z0-9_-]{32})$/;
+
+// `admin` manages keys and implies every file scope
+const SCOPES = ['files:read', 'files:write', 'files:delete', 'admin'];
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Records as returned to clients, without the secret's hash
+const publicRecord = ({ hash, ...record }) => record;
+
+/**
+ * API keys stored as system objects. A key is shown once when created, as
+ * `mvk_<id>_<secret>`; only the SHA-256 of the secret is kept. Each key
+ * carries its scopes and, optionally, a prefix that limits it to the keys
+ * below one folder and the tenant it belongs to.
+ */
+class ApiKeyService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  recordKey(id) {
+    return `${KEYS_PREFIX}${id}.json`;
+  }
+
+  async createKey({ name = '', scopes, prefix = '', tenant = null }) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length) {
+      throw new AppError(`Unknown scopes: ${unknown.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+
+    // Prefixes name a folder, so "alice" does not also grant "alice-archive/"
+    const folder = String(prefix).replace(/^\/+|\/+$/g, '');
+    const problem = folder && validateObjectKey(folder);
+    if (problem) {
+      throw new AppError(`Invalid prefix: ${problem}`, 400, 'INVALID_PREFIX');
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name,
+      scopes: [...new Set(scopes)],
+      prefix: folder ? `${folder}/` : '',
+      tenant: tenant || null,
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    await this.minioService.writeSystemObject(this.recordKey(id), record);
+
+    return { ...publicRecord(record), key: `mvk_${id}_${secret}` };
+  }
+
+  async listKeys() {
+    const keys = await this.minioService.listSystemObjects(KEYS_PREFIX);
+    const records = await Promise.all(keys.map(key => this.minioService.readSystemObject(key)));
+    return records.filter(Boolean).map(publicRecord);
+  }
+
+  // Revoked keys are kept, so the listing still shows what they could do
+  async revokeKey(id) {
+    const record = /^[a-f0-9]{16}$/.test(id)
+      ? await this.minioService.readSystemObject(this.recordKey(id))
+      : null;
+    if (!record) {
+      throw new AppError('API key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.minioService.writeSystemObject(this.recordKey(id), record);
+    }
+    return publicRecord(record);
+  }
+
+  // Resolves to the key's { id, name, scopes, prefix, tenant }, or null if the key is unknown or revoked
+  async verify(key) {
+    const match = KEY_PATTERN.exec(key);
+    if (!match) return null;
+
+    const record = await this.minioService.readSystemObject(this.recordKey(match[1]));
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    return { id: record.id, name: record.name, scopes: record.scopes, prefix: record.prefix, tenant: record.tenant || null };
+  }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,347 @@
+const querystring = require('querystring');
+const { SYSTEM_PREFIX } = require('../utils/objectKey');
+const { AppError } = require('../utils/errors');
+
+const INDEX_PREFIX = 'dedup/';
+// Hashes of files holding the bytes they were stored with, which carry no hash of their own
+const HOLDER_PREFIX = 'dedup-holders/';
+const BLOB_PREFIX = `${SYSTEM_PREFIX}blobs/`;
+
+// Times an index update is retried after losing to a concurrent one
+const MAX_ATTEMPTS = 5;
+
+// Lock chains per bucket, so every service of a bucket in this process shares them
+const bucketLocks = new Map();
+
+// Stored metadata of a stat, without what marks it as deduplicated
+const storedMetadata = metaData => Object.fromEntries(Object.entries(metaData)
+  .filter(([key]) => !key.startsWith('x-amz-') && key !== 'content-sha256' && key !== 'dedup-ref'));
+
+/**
+ * Content-hash deduplication of stored files.
+ * The first upload of some content keeps its bytes under its own key and
+ * becomes the blob for that SHA-256. Once a second file uses the content,
+ * the bytes move to a hidden blob object and both files become empty
+ * reference objects that resolve to it through the hash index: no file
+ * holds content others use, so a file expired by a lifecycle rule behind
+ * the service's back takes no other file's content with it. The index
+ * counts every key using the content, so the blob is only removed together
+ * with its last reference; if a key still holding bytes from before is
+ * deleted first, they are moved to the blob object.
+ * A file holding its own bytes is found in the index through a holder
+ * record, so registering it does not rewrite the object; references carry
+ * their hash as metadata.
+ * Index updates for the same hash are serialised within the process and
+ * written conditionally on the entry's ETag, so an update racing another
+ * process is redone on the entry that process wrote.
+ */
+class DedupService {
+  constructor(minioService) {
+    this.minioService = minioService;
+    if (!bucketLocks.has(minioService.bucketName)) {
+      bucketLocks.set(minioService.bucketName, new Map());
+    }
+    this.locks = bucketLocks.get(minioService.bucketName);
+  }
+
+  indexKey(hash) {
+    return `${INDEX_PREFIX}${hash}.json`;
+  }
+
+  holderKey(objectName) {
+    return `${HOLDER_PREFIX}${objectName}.json`;
+  }
+
+  /**
+   * Hash of the content a file uses, given its metadata: references carry
+   * it, files holding their own bytes have a holder record. Null for files
+   * not in the index.
+   */
+  async hashOf(objectName, metaData) {
+    if (metaData['content-sha256']) return metaData['content-sha256'];
+
+    const holder = await this.minioService.readSystemObject(this.holderKey(objectName));
+    return holder ? holder.hash : null;
+  }
+
+  async withLock(hash, task) {
+    const previous = this.locks.get(hash) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(hash, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(hash) === current) {
+        this.locks.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Apply `change` to the index entry of a hash (null when there is none,
+   * or when its content is gone) and write the entry it resolves to. When
+   * another process wrote the entry in the meantime, `change` runs again on
+   * what that process wrote. Resolves to the entry written, or null when
+   * `change` resolved to null and left the index as it was.
+   */
+  async update(hash, change) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const { value, etag } = await this.minioService.readSystemRecord(this.indexKey(hash));
+      const entry = await change(value && value.refs.length ? value : null);
+      if (!entry || await this.minioService.writeSystemObjectIf(this.indexKey(hash), entry, etag)) {
+        return entry;
+      }
+    }
+    throw new AppError('Deduplication index is busy, try again', 503, 'DEDUP_CONFLICT');
+  }
+
+  /**
+   * Record a freshly stored object. When the same content is already stored
+   * the object is overwritten with a reference and true is returned; else it
+   * keeps its bytes and gets a holder record. Should that record not be
+   * written, the index has a file it cannot find, which prune drops.
+   */
+  async register(objectName, hash, size, metaData) {
+    return this.withLock(hash, async () => {
+      let holder = null;
+      const entry = await this.update(hash, async (current) => {
+        const blob = current && await this.minioService.statObject(current.blob);
+        if (!blob || blob.size !== size) {
+          // References left over from a lost blob resolve to this copy from now on
+          const refs = current ? current.refs.filter(ref => ref !== current.blob) : [];
+          holder = null;
+          return { hash, size, blob: objectName, refs: [...refs, objectName] };
+        }
+        holder = await this.moveToBlob(current, blob);
+        return { ...current, blob: this.blobKey(hash), refs: [...current.refs, objectName] };
+      });
+
+      if (entry.blob === objectName) {
+        await this.minioService.writeSystemObject(this.holderKey(objectName), { hash });
+        return false;
+      }
+      await this.convertToReference(holder, hash);
+      await this.putReference(objectName, hash, metaData);
+      return true;
+    });
+  }
+
+  /**
+   * Store `objectName` as a new reference to content already stored under
+   * `hash`, as a server-side copy does. Resolves to false, storing nothing,
+   * when the content is not (or no longer) in the index.
+   */
+  async link(objectName, hash, metaData) {
+    return this.withLock(hash, async () => {
+      let holder = null;
+      const entry = await this.update(hash, async (current) => {
+        const blob = current && await this.minioService.statObject(current.blob);
+        if (!blob) return null;
+
+        holder = await this.moveToBlob(current, blob);
+        return { ...current, blob: this.blobKey(hash), refs: [...current.refs, objectName] };
+      });
+      if (!entry) return false;
+
+      await this.convertToReference(holder, hash);
+      await this.putReference(objectName, hash, metaData);
+      return true;
+    });
+  }
+
+  blobKey(hash) {
+    return `${BLOB_PREFIX}${hash}`;
+  }
+
+  /**
+   * Copy the bytes of an entry onto its blob object, unless they are there
+   * already. Resolves to the file that held them, { objectName, stat }, to
+   * be replaced with a reference once the index no longer points at it.
+   */
+  async moveToBlob(entry, stat) {
+    if (entry.blob === this.blobKey(entry.hash)) return null;
+
+    await this.minioService.copyObject(entry.blob, this.blobKey(entry.hash));
+    return { objectName: entry.blob, stat };
+  }
+
+  /**
+   * Replace a file that held shared bytes with a reference, keeping its
+   * metadata and tags. Skipped when the file changed since its stat was
+   * taken; a failure leaves it full, which only costs the saving.
+   */
+  async convertToReference(holder, hash) {
+    if (!holder) return;
+
+    const { objectName, stat } = holder;
+    try {
+      const metaData = storedMetadata(stat.metaData);
+      const tags = await this.minioService.getObjectTags(objectName);
+      if (Object.keys(tags).length) {
+        metaData['X-Amz-Tagging'] = querystring.stringify(tags);
+      }
+      if (await this.minioService.putObjectIf(objectName, Buffer.alloc(0), {
+        ...metaData,
+        'Content-Sha256': hash,
+        'Dedup-Ref': 'true'
+      }, stat.etag)) {
+        await this.minioService.removeSystemObject(this.holderKey(objectName));
+      }
+    } catch (error) {
+      console.error('❌ Error replacing file with a reference:', error.message);
+    }
+  }
+
+  // The reference object is only stored once the index counts it
+  async putReference(objectName, hash, metaData) {
+    await this.minioService.putObject(objectName, Buffer.alloc(0), {
+      ...metaData,
+      'Content-Sha256': hash,
+      'Dedup-Ref': 'true'
+    });
+  }
+
+  /**
+   * Record that a file using the content was moved to `target`. When it
+   * held the bytes, the moved object holds them from now on.
+   */
+  async rename(source, target, hash) {
+    return this.withLock(hash, async () => {
+      const entry = await this.update(hash, async (current) => {
+        if (!current) return null;
+        return {
+          ...current,
+          blob: current.blob === source ? target : current.blob,
+          refs: current.refs.map(ref => (ref === source ? target : ref))
+        };
+      });
+      if (entry && entry.blob === target) {
+        await this.minioService.writeSystemObject(this.holderKey(target), { hash });
+      }
+      await this.minioService.removeSystemObject(this.holderKey(source));
+    });
+  }
+
+  // Key and stat of the object holding the bytes for a hash
+  async resolve(hash) {
+    const entry = await this.minioService.readSystemObject(this.indexKey(hash));
+    const stat = entry && entry.refs.length && await this.minioService.statObject(entry.blob);
+
+    if (!stat) {
+      throw new AppError('Stored content for this file is missing', 500, 'CONTENT_MISSING');
+    }
+    return { key: entry.blob, stat };
+  }
+
+  /**
+   * Move the bytes `objectName` holds for other files to their blob before
+   * the object is overwritten. Its own reference stays until release, once
+   * the new content is stored.
+   */
+  async vacate(objectName, hash) {
+    return this.withLock(hash, async () => {
+      await this.update(hash, async (current) => {
+        if (!current || current.blob !== objectName || current.refs.every(ref => ref === objectName)) return null;
+
+        await this.minioService.copyObject(objectName, this.blobKey(hash));
+        return { ...current, blob: this.blobKey(hash) };
+      });
+    });
+  }
+
+  /**
+   * Drop one reference before its object is deleted, or after it was
+   * replaced (see vacate). Removes the blob with the last reference, or
+   * moves the bytes out of the way when the object being deleted holds them
+   * for others. Resolves to the content's size.
+   * The entry of content no longer stored is kept, emptied: deleting it
+   * could drop an entry another process has just written.
+   */
+  async release(objectName, hash) {
+    return this.withLock(hash, async () => {
+      const blobKey = this.blobKey(hash);
+      const entry = await this.update(hash, async (current) => {
+        if (!current) return null;
+
+        // One use only: a file linked again before its old reference was released counts twice
+        const index = current.refs.indexOf(objectName);
+        const refs = index === -1 ? current.refs : [...current.refs.slice(0, index), ...current.refs.slice(index + 1)];
+        const moved = refs.length > 0 && current.blob === objectName;
+        if (moved) {
+          await this.minioService.copyObject(objectName, blobKey);
+        }
+        return { ...current, blob: moved ? blobKey : current.blob, refs };
+      });
+      await this.minioService.removeSystemObject(this.holderKey(objectName));
+      if (!entry) return null;
+
+      if (entry.refs.length === 0 && entry.blob !== objectName) {
+        await this.minioService.removeObject(entry.blob);
+      }
+      return entry.size;
+    });
+  }
+
+  // Whether `objectName` still exists and uses the content of `entry`
+  async uses(objectName, entry) {
+    const stat = await this.minioService.statObject(objectName);
+    return Boolean(stat) && await this.hashOf(objectName, stat.metaData) === entry.hash;
+  }
+
+  /**
+   * Drop the references of files deleted behind the service's back, e.g.
+   * expired by a lifecycle rule, and remove the blobs no file uses any more,
+   * including ones left by a release that did not get to remove its blob.
+   * Resolves to the number of blobs removed.
+   */
+  async prune() {
+    let removed = 0;
+    for (const key of await this.minioService.listSystemObjects(INDEX_PREFIX)) {
+      const hash = key.slice(INDEX_PREFIX.length).replace(/\.json$/, '');
+      await this.withLock(hash, async () => {
+        await this.update(hash, async (current) => {
+          if (!current) return null;
+
+          const refs = [];
+          for (const ref of new Set(current.refs)) {
+            if (await this.uses(ref, current)) refs.push(ref);
+          }
+          return refs.length === current.refs.length ? null : { ...current, refs };
+        });
+      });
+    }
+
+    for (const key of await this.minioService.listSystemObjects(BLOB_PREFIX.slice(SYSTEM_PREFIX.length))) {
+      const hash = key.slice(BLOB_PREFIX.length - SYSTEM_PREFIX.length);
+      await this.withLock(hash, async () => {
+        const entry = await this.minioService.readSystemObject(this.indexKey(hash));
+        if (!entry || !entry.refs.length) {
+          await this.minioService.removeObject(this.blobKey(hash));
+          removed++;
+        }
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * Give a reference its own copy of the content, e.g. to lock it: a lock
+   * on an empty reference would not keep the content. The file then no
+   * longer counts as using the shared content. Resolves to its new stat.
+   */
+  async materialize(objectName, stat) {
+    const hash = stat.metaData['content-sha256'];
+    const blob = await this.resolve(hash);
+    const tags = await this.minioService.getObjectTags(objectName);
+
+    await this.minioService.copyContent(blob.key, objectName, {
+      ...storedMetadata(stat.metaData),
+      'Content-Sha256': hash
+    }, tags);
+    await this.release(objectName, hash);
+    return this.minioService.statObject(objectName);
+  }
+}
+
+module.exports = DedupService;
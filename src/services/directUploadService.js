@@ -0,0 +1,171 @@
+const { parseSize } = require('../utils/uploadLimits');
+const { AppError } = require('../utils/errors');
+const { SNIFF_BYTES, resolveContentType } = require('../utils/fileType');
+const { scopedPath, assertOwner } = require('../utils/ownership');
+const { toUploadResult } = require('../utils/uploadResult');
+
+const PENDING_PREFIX = 'direct-uploads/';
+
+// A URL is only checked when a PUT or POST starts, so one started just before
+// expiry may finish long after; uploads get this long past expiry to land
+const COMPLETION_GRACE = 24 * 60 * 60 * 1000;
+
+// Whether an upload's time was up at `time`. Records written before uploads
+// had an expiry never expire
+const isExpired = (pending, time = new Date()) => Boolean(pending.expiresAt)
+  && new Date(pending.expiresAt).getTime() + COMPLETION_GRACE < new Date(time).getTime();
+
+/**
+ * Uploads that go from the browser straight to MinIO through presigned PUT
+ * URLs or POST policies. Every issued upload is remembered until the client
+ * reports completion, at which point the stored object is checked against the
+ * upload limits and registered like a regular upload. Uploads not stored
+ * within COMPLETION_GRACE of their URL's expiry, or not completed by then,
+ * are discarded along with anything uploaded.
+ */
+class DirectUploadService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  pendingKey(objectName) {
+    return `${PENDING_PREFIX}${objectName}.json`;
+  }
+
+  async prepare({ filename, contentType, path = '', expiry, principal = null }) {
+    const objectName = this.minioService.buildObjectName(filename, scopedPath(principal, path));
+    const pending = {
+      objectName,
+      originalName: filename,
+      mimetype: contentType,
+      owner: principal ? principal.id : null,
+      expiresAt: new Date(Date.now() + expiry * 1000).toISOString()
+    };
+    await this.minioService.writeSystemObject(this.pendingKey(objectName), pending);
+    return pending;
+  }
+
+  async createPutUpload({ filename, contentType, path, expiry = this.minioService.limits.urlExpiry, principal }) {
+    const { objectName } = await this.prepare({ filename, contentType, path, expiry, principal });
+    const result = await this.minioService.getPresignedUploadUrl(objectName, expiry);
+
+    return {
+      ...result,
+      objectName,
+      // MinIO does not enforce these for PUT; they are verified on completion
+      headers: { 'Content-Type': contentType }
+    };
+  }
+
+  async createPostUpload({ filename, contentType, path, expiry = this.minioService.limits.urlExpiry, principal }) {
+    const { objectName } = await this.prepare({ filename, contentType, path, expiry, principal });
+    const result = await this.minioService.getPresignedPostPolicy(objectName, {
+      contentType,
+      maxSize: parseSize(this.minioService.limits.maxFileSize),
+      metaData: {
+        'original-name': filename,
+        'upload-date': new Date().toISOString(),
+        ...(principal && { owner: principal.id }),
+        // Keeps the object unavailable from the moment it lands
+        ...(this.minioService.scans.enabled && { 'scan-status': 'pending' })
+      },
+      expiry
+    });
+
+    return { ...result, objectName };
+  }
+
+  async completeUpload(objectName, principal = null) {
+    const pending = await this.minioService.readSystemObject(this.pendingKey(objectName));
+    if (!pending) {
+      throw new AppError('No pending direct upload for this object', 404, 'UPLOAD_NOT_FOUND');
+    }
+    assertOwner(principal, pending.owner);
+
+    // Judged by when the object was stored, not when completion is reported
+    const stat = await this.minioService.statObject(objectName);
+    if (isExpired(pending, stat && stat.lastModified ? stat.lastModified : new Date())) {
+      await this.reject(objectName);
+      throw new AppError('Upload has expired', 410, 'UPLOAD_EXPIRED');
+    }
+    if (!stat) {
+      throw new AppError('Object has not been uploaded yet', 404, 'FILE_NOT_FOUND');
+    }
+
+    const { maxFileSize, allowedFileTypes } = this.minioService.limits;
+    if (stat.size > parseSize(maxFileSize)) {
+      await this.reject(objectName);
+      throw new AppError(`Maximum file size is ${maxFileSize}`, 400, 'FILE_TOO_LARGE');
+    }
+
+    // The Content-Type the client sent to MinIO is only a claim; check it against the bytes
+    const claimedType = stat.metaData['content-type'];
+    const head = await this.minioService.readHead(objectName, Math.min(stat.size, SNIFF_BYTES));
+    let contentType;
+    try {
+      contentType = resolveContentType(head, pending.originalName, claimedType, allowedFileTypes);
+    } catch (error) {
+      await this.reject(objectName);
+      throw error;
+    }
+
+    const uploadDate = stat.metaData['upload-date'] || new Date().toISOString();
+    // Presigned PUTs carry no metadata of ours; add it the way uploadFile stores it.
+    // With scanning enabled it is always rewritten, as a PUT could claim any scan status,
+    // and so is a missing or forged owner.
+    const owner = pending.owner || undefined;
+    const metaData = {
+      'Content-Type': contentType,
+      'Original-Name': pending.originalName,
+      'Upload-Date': uploadDate,
+      ...(owner && { Owner: owner }),
+      ...this.minioService.scans.pendingMetadata()
+    };
+    if (!stat.metaData['original-name'] || contentType !== claimedType || this.minioService.scans.enabled
+      || stat.metaData.owner !== owner) {
+      await this.minioService.replaceMetadata(objectName, metaData);
+    }
+    await this.minioService.removeSystemObject(this.pendingKey(objectName));
+    const { hash, deduplicated } = await this.minioService.deduplicateStored(objectName, stat.size, metaData);
+    const scanStatus = await this.minioService.scans.enqueue(objectName);
+    await this.minioService.usage.record(pending.owner, stat.size, 1);
+    await this.minioService.metadata.sync(objectName);
+    this.minioService.renditions.enqueue(objectName, contentType);
+
+    return toUploadResult({
+      objectName,
+      originalName: pending.originalName,
+      size: stat.size,
+      mimetype: contentType,
+      hash,
+      deduplicated,
+      scanStatus,
+      owner: pending.owner || null,
+      uploadDate
+    });
+  }
+
+  // Objects breaking the upload limits are removed along with their pending entry;
+  // they were never counted as stored, so they bypass deleteFile
+  async reject(objectName) {
+    await this.minioService.removeObject(objectName);
+    await this.minioService.removeSystemObject(this.pendingKey(objectName));
+  }
+
+  // Drop uploads not completed within the grace period past their expiry, and their objects
+  async removeExpired() {
+    const keys = await this.minioService.listSystemObjects(PENDING_PREFIX);
+    let removed = 0;
+
+    for (const key of keys) {
+      const pending = await this.minioService.readSystemObject(key);
+      if (pending && isExpired(pending)) {
+        await this.reject(pending.objectName);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = DirectUploadService;
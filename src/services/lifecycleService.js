@@ -0,0 +1,187 @@
+const { AppError } = require('../utils/errors');
+const { SYSTEM_PREFIX } = require('../utils/objectKey');
+const { parseTags } = require('../utils/userMetadata');
+
+// S3 takes up to 1000 rules per bucket
+const MAX_RULES = 1000;
+const ID_PATTERN = /^[A-Za-z0-9._-]{1,255}$/;
+const ACTIONS = ['expirationDays', 'noncurrentVersionExpirationDays', 'abortIncompleteUploadDays'];
+
+const invalid = message => new AppError(message, 400, 'INVALID_LIFECYCLE_RULE');
+const toArray = value => (value === undefined ? [] : [].concat(value));
+
+function parseDays(rule, field) {
+  const value = rule[field];
+  if (value === undefined || value === null) return undefined;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1) {
+    throw invalid(`${field} of rule "${rule.id}" must be a whole number of days`);
+  }
+  return days;
+}
+
+/**
+ * Validate a rule as given to the API and bring it into shape:
+ * { id, enabled, prefix, tags, expirationDays, noncurrentVersionExpirationDays,
+ * abortIncompleteUploadDays }. Throws 400 INVALID_LIFECYCLE_RULE.
+ */
+function parseRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw invalid('A rule must be an object');
+  }
+  if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+    throw invalid('Rule id must be up to 255 letters, digits, dots, dashes or underscores');
+  }
+  const prefix = rule.prefix === undefined || rule.prefix === null ? '' : rule.prefix;
+  if (typeof prefix !== 'string') {
+    throw invalid(`prefix of rule "${rule.id}" must be a string`);
+  }
+  if (prefix.startsWith(SYSTEM_PREFIX)) {
+    throw invalid(`prefix of rule "${rule.id}" uses a reserved prefix`);
+  }
+
+  const parsed = {
+    id: rule.id,
+    enabled: rule.enabled === undefined ? true : rule.enabled === true || rule.enabled === 'true',
+    prefix,
+    tags: parseTags(rule.tags)
+  };
+  for (const action of ACTIONS) {
+    const days = parseDays(rule, action);
+    if (days) parsed[action] = days;
+  }
+
+  if (!ACTIONS.some(action => parsed[action])) {
+    throw invalid(`Rule "${rule.id}" needs at least one of ${ACTIONS.join(', ')}`);
+  }
+  // Without a prefix, or with one covering it, expiry would reach the service's own objects
+  if (parsed.expirationDays && (!prefix || SYSTEM_PREFIX.startsWith(prefix))) {
+    throw invalid(`Rule "${rule.id}" expires files, so it needs a prefix such as "tmp/"`);
+  }
+  // S3 cannot tell which file an unfinished upload will have tags
+  if (parsed.abortIncompleteUploadDays && Object.keys(parsed.tags).length) {
+    throw invalid(`Rule "${rule.id}" aborts incomplete uploads, so it cannot filter by tags`);
+  }
+  return parsed;
+}
+
+function toFilter({ prefix, tags }) {
+  const tagList = Object.entries(tags).map(([Key, Value]) => ({ Key, Value }));
+  if (!tagList.length) return { Prefix: prefix };
+  if (!prefix && tagList.length === 1) return { Tag: tagList[0] };
+  return { And: { Prefix: prefix, Tag: tagList } };
+}
+
+// A rule in the shape of the S3 lifecycle configuration
+function toS3Rule(rule) {
+  const s3Rule = {
+    ID: rule.id,
+    Status: rule.enabled ? 'Enabled' : 'Disabled',
+    Filter: toFilter(rule)
+  };
+  if (rule.expirationDays) {
+    s3Rule.Expiration = { Days: rule.expirationDays };
+  }
+  if (rule.noncurrentVersionExpirationDays) {
+    s3Rule.NoncurrentVersionExpiration = { NoncurrentDays: rule.noncurrentVersionExpirationDays };
+  }
+  if (rule.abortIncompleteUploadDays) {
+    s3Rule.AbortIncompleteMultipartUpload = { DaysAfterInitiation: rule.abortIncompleteUploadDays };
+  }
+  return s3Rule;
+}
+
+// A rule of the bucket's lifecycle configuration, as the API shows it
+function fromS3Rule(s3Rule) {
+  const filter = s3Rule.Filter || {};
+  const scope = filter.And || filter;
+  const prefix = scope.Prefix !== undefined ? scope.Prefix : s3Rule.Prefix;
+  const rule = {
+    id: String(s3Rule.ID),
+    enabled: s3Rule.Status === 'Enabled',
+    prefix: prefix === undefined || prefix === null ? '' : String(prefix),
+    tags: Object.fromEntries(toArray(scope.Tag).map(tag => [String(tag.Key), String(tag.Value)]))
+  };
+  if (s3Rule.Expiration && s3Rule.Expiration.Days) {
+    rule.expirationDays = Number(s3Rule.Expiration.Days);
+  }
+  if (s3Rule.NoncurrentVersionExpiration && s3Rule.NoncurrentVersionExpiration.NoncurrentDays) {
+    rule.noncurrentVersionExpirationDays = Number(s3Rule.NoncurrentVersionExpiration.NoncurrentDays);
+  }
+  if (s3Rule.AbortIncompleteMultipartUpload && s3Rule.AbortIncompleteMultipartUpload.DaysAfterInitiation) {
+    rule.abortIncompleteUploadDays = Number(s3Rule.AbortIncompleteMultipartUpload.DaysAfterInitiation);
+  }
+  return rule;
+}
+
+/**
+ * Lifecycle rules of one bucket, applied by MinIO through the bucket's
+ * lifecycle configuration: expiring files by prefix and tags, expiring
+ * noncurrent versions and aborting incomplete multipart uploads. The
+ * configuration in the bucket is the only copy of the rules.
+ *
+ * MinIO expires files without going through the service, so usage and the
+ * metadata store only catch up at the next reconciliation. Deduplicated
+ * content shared with other files lives on a blob object, not on a file an
+ * expiration rule can reach (see DedupService).
+ */
+class LifecycleService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  async getRules() {
+    const lifecycle = await this.minioService.getBucketLifecycle();
+    return lifecycle ? toArray(lifecycle.Rule).map(fromS3Rule) : [];
+  }
+
+  // Replace every rule of the bucket; no rules removes the lifecycle configuration
+  async setRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw invalid('rules must be a list of rules');
+    }
+    if (rules.length > MAX_RULES) {
+      throw invalid(`A bucket may have up to ${MAX_RULES} lifecycle rules`);
+    }
+    const parsed = rules.map(parseRule);
+    const ids = new Set(parsed.map(rule => rule.id));
+    if (ids.size < parsed.length) {
+      throw invalid('Rule ids must be unique');
+    }
+
+    await this.minioService.setBucketLifecycle(parsed.length ? { Rule: parsed.map(toS3Rule) } : null);
+    return parsed;
+  }
+
+  // Add a rule, or replace the rule with the same id
+  async putRule(rule) {
+    const parsed = parseRule(rule);
+    const rules = await this.getRules();
+    const index = rules.findIndex(existing => existing.id === parsed.id);
+    if (index < 0) {
+      rules.push(parsed);
+    } else {
+      rules[index] = parsed;
+    }
+    await this.setRules(rules);
+    return parsed;
+  }
+
+  async removeRule(id) {
+    const rules = await this.getRules();
+    const rule = rules.find(existing => existing.id === id);
+    if (!rule) {
+      throw new AppError('Lifecycle rule not found', 404, 'LIFECYCLE_RULE_NOT_FOUND');
+    }
+    await this.setRules(rules.filter(existing => existing !== rule));
+    return rule;
+  }
+
+  // Whether files of the bucket may disappear through expiration rules
+  async expiresFiles() {
+    const rules = await this.getRules();
+    return rules.some(rule => rule.enabled && rule.expirationDays);
+  }
+}
+
+module.exports = LifecycleService;
@@ -0,0 +1,49 @@
+const config = require('../../config');
+const SqliteMetadataStore = require('./sqliteStore');
+const MemoryMetadataStore = require('./memoryStore');
+
+/**
+ * Build the metadata store named in the metadata configuration. A store
+ * keeps one record per file and bucket ({ name, originalName, owner,
+ * mimetype, size, hash, checksum, etag, lastModified, uploadDate,
+ * scanStatus, scanVerdict, tags, metadata }) and implements, all returning
+ * promises:
+ *
+ * - put(bucket, record): insert or replace the record of record.name
+ * - get(bucket, name): the record, or null
+ * - remove(bucket, name)
+ * - list(bucket, { prefix, after, limit }): up to `limit` records whose
+ *   names start with `prefix` and sort after `after`, ordered by name as
+ *   UTF-8 bytes
+ * - count(bucket): the number of records
+ * - search(bucket, { prefix, terms, types, minSize, maxSize, uploadedFrom,
+ *   uploadedTo, owner, tags, sort, order, after, limit }): up to `limit`
+ *   records matching every criterion given, ordered by `sort` (name,
+ *   mimetype, size, uploadDate or owner) then by name, in `order` (asc or
+ *   desc), continuing after `after` ({ value, name } of the last record
+ *   returned). `terms` must all occur in the lowercased original name;
+ *   `types` are MIME types, or families such as 'video/'; the upload date
+ *   falls back to lastModified
+ * - close()
+ */
+function createMetadataStore(options) {
+  switch (options.store) {
+    case 'sqlite':
+      return new SqliteMetadataStore({ path: options.sqlitePath });
+    case 'memory':
+      return new MemoryMetadataStore();
+    default:
+      throw new Error(`Unknown metadata store: ${options.store}`);
+  }
+}
+
+// Every bucket's records live in the one store, opened on first use
+let sharedStore = null;
+const getMetadataStore = () => sharedStore || (sharedStore = createMetadataStore(config.metadata));
+
+module.exports = {
+  createMetadataStore,
+  getMetadataStore,
+  SqliteMetadataStore,
+  MemoryMetadataStore
+};
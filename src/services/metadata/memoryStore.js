@@ -0,0 +1,96 @@
+// Order names as UTF-8 bytes like S3 and SQLite, not as UTF-16 code units
+const compareNames = (a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b));
+
+// Same values as the SQL sort columns of SqliteMetadataStore
+const sortValue = (record, sort) => {
+  switch (sort) {
+    case 'size':
+      return record.size;
+    case 'uploadDate':
+      return record.uploadDate || record.lastModified || '';
+    case 'owner':
+      return record.owner || '';
+    case 'mimetype':
+      return record.mimetype;
+    default:
+      return record.originalName;
+  }
+};
+
+const compareValues = (a, b) => (typeof a === 'number' ? a - b : compareNames(a, b));
+
+/**
+ * Metadata store kept in process memory, for tests and throwaway
+ * development setups; everything is lost on restart.
+ */
+class MemoryMetadataStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  bucket(name) {
+    if (!this.buckets.has(name)) {
+      this.buckets.set(name, new Map());
+    }
+    return this.buckets.get(name);
+  }
+
+  async put(bucket, record) {
+    this.bucket(bucket).set(record.name, JSON.parse(JSON.stringify(record)));
+  }
+
+  async get(bucket, name) {
+    const record = this.bucket(bucket).get(name);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  async remove(bucket, name) {
+    this.bucket(bucket).delete(name);
+  }
+
+  async list(bucket, { prefix = '', after = '', limit = 1000 } = {}) {
+    return [...this.bucket(bucket).values()]
+      .filter(record => record.name.startsWith(prefix) && compareNames(record.name, after) > 0)
+      .sort((a, b) => compareNames(a.name, b.name))
+      .slice(0, limit)
+      .map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  async count(bucket) {
+    return this.bucket(bucket).size;
+  }
+
+  async search(bucket, criteria = {}) {
+    const {
+      prefix = '', terms = [], types = [], minSize = null, maxSize = null, uploadedFrom = null, uploadedTo = null,
+      owner = null, tags = {}, sort = 'name', order = 'asc', after = null, limit = 1000
+    } = criteria;
+    const sign = order === 'desc' ? -1 : 1;
+    const compareKeys = (value, name, other) => sign * (compareValues(value, other.value) || compareNames(name, other.name));
+    const keyOf = record => ({ value: sortValue(record, sort), name: record.name });
+
+    const matches = (record) => {
+      const uploaded = sortValue(record, 'uploadDate');
+      return record.name.startsWith(prefix)
+        && terms.every(term => record.originalName.toLowerCase().includes(term))
+        && (!types.length || types.some(type => (type.endsWith('/') ? record.mimetype.startsWith(type) : record.mimetype === type)))
+        && (minSize === null || record.size >= minSize)
+        && (maxSize === null || record.size <= maxSize)
+        && (uploadedFrom === null || uploaded >= uploadedFrom)
+        && (uploadedTo === null || uploaded <= uploadedTo)
+        && (owner === null || record.owner === owner)
+        && Object.entries(tags).every(([key, value]) => record.tags[key] === value)
+        && (!after || compareKeys(sortValue(record, sort), record.name, after) > 0);
+    };
+
+    return [...this.bucket(bucket).values()]
+      .filter(matches)
+      .sort((a, b) => compareKeys(sortValue(a, sort), a.name, keyOf(b)))
+      .slice(0, limit)
+      .map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryMetadataStore;
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS files (
+    bucket TEXT NOT NULL,
+    name TEXT NOT NULL,
+    original_name TEXT,
+    owner TEXT,
+    mimetype TEXT,
+    size INTEGER NOT NULL DEFAULT 0,
+    hash TEXT,
+    checksum TEXT,
+    etag TEXT,
+    last_modified TEXT,
+    upload_date TEXT,
+    scan_status TEXT,
+    scan_verdict TEXT,
+    tags TEXT NOT NULL DEFAULT '{}',
+    metadata TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (bucket, name)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS files_owner ON files (bucket, owner);
+`;
+
+// SQL of each search sort; missing values sort as empty strings
+const SORT_COLUMNS = {
+  name: 'original_name',
+  mimetype: 'mimetype',
+  size: 'size',
+  uploadDate: "COALESCE(upload_date, last_modified, '')",
+  owner: "COALESCE(owner, '')"
+};
+
+const toRow = (bucket, record) => ({
+  bucket,
+  name: record.name,
+  original_name: record.originalName,
+  owner: record.owner,
+  mimetype: record.mimetype,
+  size: record.size,
+  hash: record.hash,
+  checksum: record.checksum,
+  etag: record.etag,
+  last_modified: record.lastModified,
+  upload_date: record.uploadDate,
+  scan_status: record.scanStatus,
+  scan_verdict: record.scanVerdict,
+  tags: JSON.stringify(record.tags || {}),
+  metadata: JSON.stringify(record.metadata || {})
+});
+
+const fromRow = row => ({
+  name: row.name,
+  originalName: row.original_name,
+  owner: row.owner,
+  mimetype: row.mimetype,
+  size: row.size,
+  hash: row.hash,
+  checksum: row.checksum,
+  etag: row.etag,
+  lastModified: row.last_modified,
+  uploadDate: row.upload_date,
+  scanStatus: row.scan_status,
+  scanVerdict: row.scan_verdict,
+  tags: JSON.parse(row.tags),
+  metadata: JSON.parse(row.metadata)
+});
+
+// First string past every name starting with prefix, so a prefix can be
+// searched as a range of the primary key; null when no such string exists
+const prefixEnd = (prefix) => {
+  const chars = Array.from(prefix);
+  while (chars.length) {
+    const code = chars.pop().codePointAt(0);
+    if (code < 0x10ffff) {
+      // Past U+D7FF come the surrogates, which are not characters
+      return chars.join('') + String.fromCodePoint(code === 0xd7ff ? 0xe000 : code + 1);
+    }
+  }
+  return null;
+};
+
+/**
+ * Metadata store in an SQLite file, the default. better-sqlite3 is
+ * synchronous; queries are short and indexed, so they are run inline. Names
+ * compare as UTF-8 bytes (SQLite's BINARY collation), the order S3 lists in.
+ */
+class SqliteMetadataStore {
+  constructor({ path: file = './data/metadata.db' } = {}) {
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    // SQLite's lower() only folds ASCII; search terms are lowercased by JavaScript
+    this.db.function('js_lower', { deterministic: true }, value => (value === null ? null : String(value).toLowerCase()));
+
+    this.statements = {
+      put: this.db.prepare(`
+        INSERT OR REPLACE INTO files (bucket, name, original_name, owner, mimetype, size, hash, checksum, etag,
+          last_modified, upload_date, scan_status, scan_verdict, tags, metadata)
+        VALUES (@bucket, @name, @original_name, @owner, @mimetype, @size, @hash, @checksum, @etag,
+          @last_modified, @upload_date, @scan_status, @scan_verdict, @tags, @metadata)
+      `),
+      get: this.db.prepare('SELECT * FROM files WHERE bucket = ? AND name = ?'),
+      remove: this.db.prepare('DELETE FROM files WHERE bucket = ? AND name = ?'),
+      // The name range lets SQLite seek to the prefix; substr then compares it
+      // bytewise, unlike LIKE, which treats % and _ as wildcards
+      list: this.db.prepare(`
+        SELECT * FROM files
+        WHERE bucket = @bucket AND name > @after AND name >= @prefix AND name < @prefixEnd
+          AND substr(name, 1, length(@prefix)) = @prefix
+        ORDER BY name LIMIT @limit
+      `),
+      listOpen: this.db.prepare(`
+        SELECT * FROM files
+        WHERE bucket = @bucket AND name > @after AND name >= @prefix AND substr(name, 1, length(@prefix)) = @prefix
+        ORDER BY name LIMIT @limit
+      `),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM files WHERE bucket = ?')
+    };
+  }
+
+  async put(bucket, record) {
+    this.statements.put.run(toRow(bucket, record));
+  }
+
+  async get(bucket, name) {
+    const row = this.statements.get.get(bucket, name);
+    return row ? fromRow(row) : null;
+  }
+
+  async remove(bucket, name) {
+    this.statements.remove.run(bucket, name);
+  }
+
+  async list(bucket, { prefix = '', after = '', limit = 1000 } = {}) {
+    const end = prefixEnd(prefix);
+    return end === null
+      ? this.statements.listOpen.all({ bucket, prefix, after, limit }).map(fromRow)
+      : this.statements.list.all({ bucket, prefix, prefixEnd: end, after, limit }).map(fromRow);
+  }
+
+  async count(bucket) {
+    return this.statements.count.get(bucket).count;
+  }
+
+  // Queries vary with the criteria given, so they are built per search
+  async search(bucket, criteria = {}) {
+    const {
+      prefix = '', terms = [], types = [], minSize = null, maxSize = null, uploadedFrom = null, uploadedTo = null,
+      owner = null, tags = {}, sort = 'name', order = 'asc', after = null, limit = 1000
+    } = criteria;
+    const column = SORT_COLUMNS[sort];
+    const params = { bucket, prefix, limit };
+    const where = ['bucket = @bucket', 'name >= @prefix', 'substr(name, 1, length(@prefix)) = @prefix'];
+    const end = prefixEnd(prefix);
+    if (end !== null) {
+      params.prefixEnd = end;
+      where.push('name < @prefixEnd');
+    }
+
+    terms.forEach((term, i) => {
+      params[`term${i}`] = term;
+      where.push(`instr(js_lower(original_name), @term${i}) > 0`);
+    });
+    if (types.length) {
+      where.push(`(${types.map((type, i) => {
+        params[`type${i}`] = type;
+        return type.endsWith('/') ? `substr(mimetype, 1, length(@type${i})) = @type${i}` : `mimetype = @type${i}`;
+      }).join(' OR ')})`);
+    }
+    if (minSize !== null) {
+      params.minSize = minSize;
+      where.push('size >= @minSize');
+    }
+    if (maxSize !== null) {
+      params.maxSize = maxSize;
+      where.push('size <= @maxSize');
+    }
+    if (uploadedFrom !== null) {
+      params.uploadedFrom = uploadedFrom;
+      where.push(`${SORT_COLUMNS.uploadDate} >= @uploadedFrom`);
+    }
+    if (uploadedTo !== null) {
+      params.uploadedTo = uploadedTo;
+      where.push(`${SORT_COLUMNS.uploadDate} <= @uploadedTo`);
+    }
+    if (owner !== null) {
+      params.owner = owner;
+      where.push('owner = @owner');
+    }
+    Object.entries(tags).forEach(([key, value], i) => {
+      params[`tagKey${i}`] = key;
+      params[`tagValue${i}`] = value;
+      where.push(`EXISTS (SELECT 1 FROM json_each(files.tags) WHERE key = @tagKey${i} AND value = @tagValue${i})`);
+    });
+
+    // Keyset paging: continue after the last (sort value, name) seen
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    if (after) {
+      const past = direction === 'DESC' ? '<' : '>';
+      params.afterValue = after.value;
+      params.afterName = after.name;
+      where.push(`(${column} ${past} @afterValue OR (${column} = @afterValue AND name ${past} @afterName))`);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM files WHERE ${where.join(' AND ')}
+      ORDER BY ${column} ${direction}, name ${direction} LIMIT @limit
+    `).all(params).map(fromRow);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteMetadataStore;
@@ -0,0 +1,287 @@
+const path = require('path');
+const { AppError } = require('../utils/errors');
+const { customMetadata } = require('../utils/userMetadata');
+
+// Sorts after every name starting with the string it is appended to
+const PAST = '\u{10FFFF}';
+
+const encodeCursor = after => Buffer.from(after).toString('base64url');
+const decodeCursor = cursor => Buffer.from(cursor, 'base64url').toString('utf8');
+
+const toListItem = record => ({
+  name: record.name,
+  originalName: record.originalName,
+  size: record.size,
+  mimetype: record.mimetype,
+  lastModified: record.lastModified,
+  etag: record.etag,
+  owner: record.owner
+});
+
+const toSearchItem = record => ({
+  ...toListItem(record),
+  uploadDate: record.uploadDate,
+  tags: record.tags
+});
+
+// Value a search sorts by, as the stores compare it
+const SEARCH_SORTS = {
+  name: record => record.originalName,
+  mimetype: record => record.mimetype,
+  size: record => record.size,
+  uploadDate: record => record.uploadDate || record.lastModified || '',
+  owner: record => record.owner || ''
+};
+
+const invalidSearch = message => new AppError(message, 400, 'INVALID_SEARCH');
+
+const parseBytes = (value, name) => {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(value)) throw invalidSearch(`${name} must be a number of bytes`);
+  return parseInt(value, 10);
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw invalidSearch(`${name} must be a date`);
+  return new Date(time).toISOString();
+};
+
+// "video", "video/*" and "video/" name a family, "video/mp4" one type
+const parseTypes = value => [].concat(value || [])
+  .join(',')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean)
+  .map((type) => {
+    if (type.endsWith('/*')) return type.slice(0, -1);
+    return type.includes('/') ? type : `${type}/`;
+  });
+
+// tags[project]=launch arrives as { project: 'launch' }
+const parseTags = (value) => {
+  if (value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(tag => typeof tag !== 'string')) {
+    throw invalidSearch('Filter tags as tags[<key>]=<value>');
+  }
+  return value;
+};
+
+/**
+ * File metadata of one bucket, kept in the metadata store so files can be
+ * listed with their original names and queried without a request per
+ * object. Object headers stay the source of truth: records are rebuilt from
+ * them after every change (`sync`) and, for the whole bucket, by `rebuild`.
+ */
+class MetadataService {
+  constructor(minioService, store) {
+    this.minioService = minioService;
+    this.store = store;
+  }
+
+  get bucket() {
+    return this.minioService.bucketName;
+  }
+
+  // The record of a file as stored in the bucket, or null if it does not exist
+  async build(objectName) {
+    let stat;
+    try {
+      stat = await this.minioService.statFile(objectName);
+    } catch (error) {
+      // A reference whose content went missing is still a file
+      stat = await this.minioService.statObject(objectName);
+    }
+    if (!stat) return null;
+
+    const { metaData } = stat;
+    return {
+      name: objectName,
+      originalName: metaData['original-name'] || path.posix.basename(objectName),
+      owner: metaData.owner || null,
+      mimetype: metaData['content-type'] || 'application/octet-stream',
+      size: stat.size,
+      hash: await this.minioService.dedup.hashOf(objectName, metaData),
+      checksum: metaData.checksum || null,
+      etag: stat.etag,
+      lastModified: stat.lastModified ? new Date(stat.lastModified).toISOString() : null,
+      uploadDate: metaData['upload-date'] || null,
+      scanStatus: metaData['scan-status'] || null,
+      scanVerdict: metaData['scan-verdict'] || null,
+      tags: await this.minioService.getObjectTags(objectName),
+      metadata: customMetadata(metaData)
+    };
+  }
+
+  /**
+   * Bring the record of a file in line with the bucket after it was stored,
+   * changed or deleted. Failures are logged, not thrown: the file itself was
+   * written, and the next rebuild fixes the record.
+   */
+  async sync(objectName) {
+    try {
+      const record = await this.build(objectName);
+      if (record) {
+        await this.store.put(this.bucket, record);
+      } else {
+        await this.store.remove(this.bucket, objectName);
+      }
+      return record;
+    } catch (error) {
+      console.error('❌ Error updating file metadata:', error.message);
+      return null;
+    }
+  }
+
+  async remove(objectName) {
+    try {
+      await this.store.remove(this.bucket, objectName);
+    } catch (error) {
+      console.error('❌ Error updating file metadata:', error.message);
+    }
+  }
+
+  // Files stored before the record was written (or before the store existed) are recorded on first sight
+  async get(objectName) {
+    const record = await this.store.get(this.bucket, objectName);
+    if (record) return record;
+
+    const built = await this.build(objectName);
+    if (built) {
+      await this.store.put(this.bucket, built);
+    }
+    return built;
+  }
+
+  async isEmpty() {
+    return (await this.store.count(this.bucket)) === 0;
+  }
+
+  /**
+   * One page of files below `prefix`, read from the store. With a
+   * delimiter, names sharing a prefix up to the next delimiter are rolled
+   * up into `folders`. `nextCursor` continues after the page; `startAfter`
+   * starts after a given name.
+   */
+  async list(prefix, maxKeys, { delimiter = '', cursor = '', startAfter = '' } = {}) {
+    const files = [];
+    const folders = [];
+    let after = cursor ? decodeCursor(cursor) : startAfter;
+    let more = true;
+
+    while (more && files.length + folders.length < maxKeys) {
+      const limit = maxKeys - files.length - folders.length;
+      const records = await this.store.list(this.bucket, { prefix, after, limit });
+      more = records.length === limit;
+
+      for (const record of records) {
+        const rest = record.name.slice(prefix.length);
+        const cut = delimiter ? rest.indexOf(delimiter) : -1;
+        if (cut >= 0) {
+          // Skip the rest of the folder; the next query starts past it
+          const folder = `${prefix}${rest.slice(0, cut + delimiter.length)}`;
+          folders.push({ prefix: folder });
+          after = `${folder}${PAST}`;
+          more = true;
+          break;
+        }
+        files.push(toListItem(record));
+        after = record.name;
+      }
+    }
+
+    if (more) {
+      more = (await this.store.list(this.bucket, { prefix, after, limit: 1 })).length > 0;
+    }
+    return { files, folders, nextCursor: more ? encodeCursor(after) : null };
+  }
+
+  /**
+   * One page of files matching the search query, given as query string
+   * values: `q` (words of the original name), `type`, `minSize`, `maxSize`,
+   * `uploadedFrom`, `uploadedTo`, `owner`, `tags`, `prefix`, `sort`,
+   * `order`, `limit` and `cursor`. Invalid values throw 400 INVALID_SEARCH.
+   */
+  async search(query = {}) {
+    const sort = query.sort || 'name';
+    const order = query.order || 'asc';
+    if (!Object.prototype.hasOwnProperty.call(SEARCH_SORTS, sort)) {
+      throw invalidSearch(`sort must be one of ${Object.keys(SEARCH_SORTS).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw invalidSearch('order must be asc or desc');
+    }
+    const limit = Math.min(parseInt(query.limit) || 1000, 1000);
+
+    // The cursor holds the sort key of the last file returned, which only makes sense for the same sort
+    let after = null;
+    if (query.cursor) {
+      let key;
+      try {
+        key = JSON.parse(decodeCursor(query.cursor));
+      } catch (error) {
+        key = null;
+      }
+      if (!Array.isArray(key) || key[0] !== sort || key[1] !== order) {
+        throw invalidSearch('The cursor does not belong to this search');
+      }
+      after = { value: key[2], name: key[3] };
+    }
+
+    const records = await this.store.search(this.bucket, {
+      prefix: query.prefix || '',
+      terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+      types: parseTypes(query.type),
+      minSize: parseBytes(query.minSize, 'minSize'),
+      maxSize: parseBytes(query.maxSize, 'maxSize'),
+      uploadedFrom: parseDate(query.uploadedFrom, 'uploadedFrom'),
+      uploadedTo: parseDate(query.uploadedTo, 'uploadedTo'),
+      owner: typeof query.owner === 'string' && query.owner ? query.owner : null,
+      tags: parseTags(query.tags),
+      sort,
+      order,
+      after,
+      limit: limit + 1
+    });
+
+    const files = records.slice(0, limit);
+    let nextCursor = null;
+    if (records.length > limit) {
+      const last = files[files.length - 1];
+      nextCursor = encodeCursor(JSON.stringify([sort, order, SEARCH_SORTS[sort](last), last.name]));
+    }
+    return { files: files.map(toSearchItem), nextCursor };
+  }
+
+  /**
+   * Recreate the bucket's records from the files in it, dropping records of
+   * files that are gone. Resolves to { files, removed }.
+   */
+  async rebuild() {
+    const names = new Set();
+    for await (const { name } of this.minioService.iterateFiles()) {
+      const record = await this.build(name);
+      if (!record) continue;
+      await this.store.put(this.bucket, record);
+      names.add(name);
+    }
+
+    let removed = 0;
+    let after = '';
+    for (;;) {
+      const records = await this.store.list(this.bucket, { after, limit: 1000 });
+      if (!records.length) break;
+      for (const { name } of records) {
+        if (!names.has(name)) {
+          await this.store.remove(this.bucket, name);
+          removed += 1;
+        }
+      }
+      after = records[records.length - 1].name;
+    }
+    return { files: names.size, removed };
+  }
+}
+
+module.exports = MetadataService;
@@ -1,29 +1,150 @@
 const Minio = require('minio');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { Transform, pipeline } = require('stream');
 const config = require('../config');
+const { AppError, ForbiddenError, isNotFoundError } = require('../utils/errors');
+const { SYSTEM_PREFIX, assertValidObjectKey } = require('../utils/objectKey');
+const DedupService = require('./dedupService');
+const ScanService = require('./scanService');
+const UsageService = require('./usageService');
+const MetadataService = require('./metadataService');
+const TrashService = require('./trashService');
+const VersionService = require('./versionService');
+const LifecycleService = require('./lifecycleService');
+const RetentionService = require('./retentionService');
+const RenditionService = require('./renditionService');
+const { createScanner } = require('./scanners');
+const { getMetadataStore } = require('./metadata');
+const { checksumMismatch, verifyChecksum } = require('../utils/checksum');
+const { SNIFF_BYTES, resolveContentType, peekStream } = require('../utils/fileType');
+const { scopedPath, scopedPrefix, ownerMetadata, ownerScope, assertOwner } = require('../utils/ownership');
+const { customMetadata, parseMetadata, assertMetadataSize, parseTags } = require('../utils/userMetadata');
+const { toUploadResult } = require('../utils/uploadResult');
+
+// S3 multi-object deletes take up to 1000 keys
+const DELETE_BATCH_SIZE = 1000;
+
+// Request options reading one version of an object; the current one takes none
+const versionOptions = versionId => (versionId ? [{ versionId }] : []);
+
+// Errors of buckets without object locking, and of objects without retention or legal hold
+const NO_LOCK_CODES = ['ObjectLockConfigurationNotFoundError', 'NoSuchObjectLockConfiguration'];
+
+// Errors of conditional writes losing to another writer
+const PRECONDITION_CODES = ['PreconditionFailed', 'ConditionalRequestConflict'];
+
+// Headers S3 accepts as-is; anything else is stored as X-Amz-Meta-* user metadata
+const STANDARD_HEADERS = ['content-type', 'content-encoding', 'content-disposition', 'content-language', 'cache-control', 'expires'];
+
+function toObjectHeaders(metaData) {
+  return Object.entries(metaData).reduce((headers, [key, value]) => {
+    const isStandard = STANDARD_HEADERS.includes(key.toLowerCase()) || key.toLowerCase().startsWith('x-amz-');
+    headers[isStandard ? key : `X-Amz-Meta-${key}`] = value;
+    return headers;
+  }, {});
+}
+
+// Copy destination sending the given object headers, so metadata is named as toObjectHeaders names it
+class CopyDestination extends Minio.CopyDestinationOptions {
+  constructor(options, headers) {
+    super(options);
+    this.headers = headers;
+  }
+
+  getHeaders() {
+    return { ...super.getHeaders(), ...this.headers };
+  }
+}
+
+// Pass-through stream that records how many bytes went through it and their
+// SHA-256. Given an expected checksum, it errors out at the end of the stream
+// on a mismatch, before the last part reaches MinIO.
+function createByteCounter(checksum) {
+  const hashes = { sha256: crypto.createHash('sha256') };
+  if (checksum && !hashes[checksum.algorithm]) {
+    hashes[checksum.algorithm] = crypto.createHash(checksum.algorithm);
+  }
+  const digests = {};
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      Object.values(hashes).forEach(hash => hash.update(chunk));
+      callback(null, chunk);
+    },
+    flush(callback) {
+      Object.entries(hashes).forEach(([algorithm, hash]) => {
+        digests[algorithm] = hash.digest('hex');
+      });
+      const actual = checksum && digests[checksum.algorithm];
+      callback(actual && actual !== checksum.value ? checksumMismatch(checksum, actual) : null);
+    }
+  });
+  counter.bytes = 0;
+  counter.digest = () => digests.sha256;
+  return counter;
+}
 
 class MinioService {
-  constructor() {
+  /**
+   * Tenants get a service of their own with `bucketName` and upload `limits`
+   * ({ allowedFileTypes, maxFileSize, urlExpiry, quotaSize, quotaObjects })
+   * replacing the configured ones.
+   */
+  constructor({ bucketName = config.minio.bucketName, limits = {} } = {}) {
     this.client = new Minio.Client({
       endPoint: config.minio.endPoint,
       port: config.minio.port,
       useSSL: config.minio.useSSL,
       accessKey: config.minio.accessKey,
-      secretKey: config.minio.secretKey
+      secretKey: config.minio.secretKey,
+      partSize: config.minio.partSize
     });
-    this.bucketName = config.minio.bucketName;
+    this.bucketName = bucketName;
+    this.limits = {
+      allowedFileTypes: config.upload.allowedFileTypes,
+      maxFileSize: config.upload.maxFileSize,
+      urlExpiry: config.presignedUrl.expiry,
+      quotaSize: config.quota.tenantSize,
+      quotaObjects: config.quota.tenantObjects,
+      ...limits
+    };
+    this.dedup = new DedupService(this);
+    this.usage = new UsageService(this);
+    this.metadata = new MetadataService(this, getMetadataStore());
+    this.trash = new TrashService(this);
+    this.versions = new VersionService(this);
+    this.lifecycle = new LifecycleService(this);
+    this.retention = new RetentionService(this);
+    this.renditions = new RenditionService(this);
+    this.scans = new ScanService(this, config.scan.enabled ? createScanner(config.scan) : null);
   }
 
   async initialize() {
     try {
       const bucketExists = await this.client.bucketExists(this.bucketName);
       if (!bucketExists) {
-        await this.client.makeBucket(this.bucketName);
+        if (config.objectLock.enabled) {
+          // Object locking can only be turned on when the bucket is created
+          await this.client.makeBucket(this.bucketName, '', { ObjectLocking: true });
+        } else {
+          await this.client.makeBucket(this.bucketName);
+        }
         console.log(`✅ Bucket '${this.bucketName}' created successfully`);
       } else {
         console.log(`✅ Bucket '${this.bucketName}' already exists`);
       }
+      if (config.versioning.enabled) {
+        // Bookkeeping objects are rewritten all the time and keep no history
+        await this.client.setBucketVersioning(this.bucketName, {
+          Status: 'Enabled',
+          ExcludedPrefixes: { Prefix: SYSTEM_PREFIX }
+        });
+        console.log(`🕘 Versioning enabled on bucket '${this.bucketName}'`);
+      }
     } catch (error) {
       console.error('❌ Error initializing MinIO:', error.message);
       throw error;
@@ -38,45 +159,497 @@ class MinioService {
     return `${baseName}_${timestamp}_${uuid}${ext}`;
   }
 
-  async uploadFile(file, customPath = '') {
+  // With `unique: false` the file keeps its original name, so uploads of the same name replace each other
+  buildObjectName(originalName, customPath = '', { unique = true } = {}) {
+    const filename = unique ? this.generateUniqueFilename(originalName) : path.posix.basename(originalName);
+    const prefix = customPath.replace(/^\/+|\/+$/g, '');
+    return assertValidObjectKey(prefix ? `${prefix}/${filename}` : filename);
+  }
+
+  /**
+   * Store a file in the bucket under a unique name, or under its original
+   * name with `file.overwrite`, replacing the file stored there.
+   * Accepts either a buffered file (`file.buffer` + `file.size`) or a
+   * streamed one (`file.stream`), in which case the object is written part
+   * by part through a multipart upload and the size is counted on the fly.
+   * The content's SHA-256 is computed along the way; if identical content is
+   * already stored, the new object becomes a reference to it. A client
+   * checksum (`file.checksum`, { algorithm, value }) is verified before the
+   * object is completed and kept in its metadata. The stored Content-Type is
+   * the one detected from the leading bytes, not the one the client claimed.
+   * With scanning enabled the file stays unavailable until its malware scan
+   * has passed (`scanStatus: 'pending'`). Given the uploading principal
+   * (req.auth), the file is recorded as its own and placed inside its prefix.
+   * `file.metadata` and `file.tags`, validated by the caller, are stored as
+   * custom metadata and object tags. The file is counted towards its owner's and the bucket's storage usage
+   * and recorded in the metadata store. Images are queued for their renditions.
+   */
+  async uploadFile(file, customPath = '', principal = null) {
+    const objectName = this.buildObjectName(file.originalname, scopedPath(principal, customPath), { unique: !file.overwrite });
+
     try {
-      const uniqueFilename = this.generateUniqueFilename(file.originalname);
-      const objectName = customPath ? `${customPath}/${uniqueFilename}` : uniqueFilename;
+      const existing = file.overwrite ? await this.statObject(objectName) : null;
+      if (existing) {
+        assertOwner(principal, existing.metaData.owner);
+      }
+
+      let content = file.stream;
+      let head;
+      if (content) {
+        ({ head, stream: content } = await peekStream(content, SNIFF_BYTES));
+      } else {
+        head = file.buffer.subarray(0, SNIFF_BYTES);
+      }
+      const mimetype = resolveContentType(head, file.originalname, file.mimetype, this.limits.allowedFileTypes);
 
       const metaData = {
-        'Content-Type': file.mimetype,
+        ...file.metadata,
+        'Content-Type': mimetype,
         'Original-Name': file.originalname,
-        'Upload-Date': new Date().toISOString()
+        'Upload-Date': new Date().toISOString(),
+        ...ownerMetadata(principal),
+        ...this.scans.pendingMetadata()
       };
+      if (file.checksum) {
+        metaData.Checksum = `${file.checksum.algorithm}:${file.checksum.value}`;
+        if (!file.stream) {
+          verifyChecksum(file.checksum, file.buffer);
+        }
+      }
+      // Bytes the replaced file holds for others must not be overwritten
+      if (existing) {
+        await this.vacateFile(objectName, existing);
+      }
 
-      await this.client.putObject(
-        this.bucketName,
-        objectName,
-        file.buffer,
-        file.size,
-        metaData
-      );
+      let size = file.size;
+      let hash;
+      if (file.stream) {
+        const counter = createByteCounter(file.checksum);
+        pipeline(content, counter, () => {});
+        await this.client.putObject(this.bucketName, objectName, counter, undefined, metaData);
+        size = counter.bytes;
+        hash = counter.digest();
+      } else {
+        hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        await this.client.putObject(
+          this.bucketName,
+          objectName,
+          file.buffer,
+          file.size,
+          metaData
+        );
+      }
 
-      return {
-        success: true,
+      // Only let go of the replaced file once the new one is stored; before
+      // registering it, which may index the same content under this name
+      const replaced = existing ? await this.retireFile(objectName, existing) : null;
+      const deduplicated = await this.deduplicate(objectName, hash, size, metaData);
+      // Tagged last: deduplication may replace the object with a reference
+      if (file.tags && Object.keys(file.tags).length) {
+        await this.setObjectTags(objectName, file.tags);
+      }
+      const scanStatus = await this.scans.enqueue(objectName);
+      if (replaced) {
+        await this.usage.record(replaced.owner, -replaced.size, -1);
+      }
+      await this.usage.record(principal ? principal.id : null, size, 1);
+      await this.metadata.sync(objectName);
+      this.renditions.enqueue(objectName, mimetype);
+
+      return toUploadResult({
         objectName,
         originalName: file.originalname,
-        size: file.size,
-        mimetype: file.mimetype,
-        uploadDate: new Date().toISOString()
-      };
+        size,
+        mimetype,
+        hash,
+        deduplicated,
+        replaced: Boolean(replaced),
+        scanStatus,
+        owner: principal ? principal.id : null,
+        metadata: file.metadata,
+        tags: file.tags
+      });
     } catch (error) {
       console.error('❌ Error uploading file:', error.message);
+      if (file.stream) {
+        await this.abortUpload(objectName);
+      }
+      if (error instanceof AppError) throw error;
       throw new Error(`Upload failed: ${error.message}`);
     }
   }
 
-  async getPresignedUrl(objectName, expiry = config.presignedUrl.expiry) {
+  /**
+   * Ready the file stored under `objectName`, given its stat, to be
+   * replaced in place: bytes it holds for other files move to their blob.
+   */
+  async vacateFile(objectName, stat) {
+    const hash = await this.dedup.hashOf(objectName, stat.metaData);
+    if (hash) {
+      await this.dedup.vacate(objectName, hash);
+    }
+  }
+
+  /**
+   * Let go of the file that was stored under `objectName`, given its stat,
+   * once new content has replaced it: its content leaves the deduplication
+   * index, and is deleted when no other file uses it. Resolves to the owner
+   * and size to take off the usage. See vacateFile for what comes first.
+   */
+  async retireFile(objectName, stat) {
+    const hash = await this.dedup.hashOf(objectName, stat.metaData);
+    let size = stat.size;
+    if (hash) {
+      const contentSize = await this.dedup.release(objectName, hash);
+      // References are empty; their owner was charged for the content
+      if (stat.metaData['dedup-ref']) size = contentSize || 0;
+    }
+    return { owner: stat.metaData.owner || null, size };
+  }
+
+  // The object is already stored in full, so a failure here only costs the saving
+  async deduplicate(objectName, hash, size, metaData) {
+    if (!config.dedup.enabled) return false;
+
+    try {
+      return await this.dedup.register(objectName, hash, size, metaData);
+    } catch (error) {
+      console.error('❌ Error deduplicating file:', error.message);
+      return false;
+    }
+  }
+
+  // Files stored other than through uploadFile (tus, direct uploads) are read back to be hashed
+  async deduplicateStored(objectName, size, metaData) {
+    if (!config.dedup.enabled) return { hash: null, deduplicated: false };
+
+    let hash;
+    try {
+      const digest = crypto.createHash('sha256');
+      for await (const chunk of await this.client.getObject(this.bucketName, objectName)) {
+        digest.update(chunk);
+      }
+      hash = digest.digest('hex');
+    } catch (error) {
+      console.error('❌ Error hashing file:', error.message);
+      return { hash: null, deduplicated: false };
+    }
+    return { hash, deduplicated: await this.deduplicate(objectName, hash, size, metaData) };
+  }
+
+  // Discard the parts of an interrupted multipart upload
+  async abortUpload(objectName) {
+    try {
+      await this.client.removeIncompleteUpload(this.bucketName, objectName);
+    } catch (error) {
+      console.error('❌ Error aborting upload:', error.message);
+    }
+  }
+
+  async createMultipartUpload(objectName, metaData) {
+    return this.client.initiateNewMultipartUpload(this.bucketName, objectName, toObjectHeaders(metaData));
+  }
+
+  async uploadPart(objectName, uploadId, partNumber, data) {
+    const response = await this.client.makeRequestAsync({
+      method: 'PUT',
+      bucketName: this.bucketName,
+      objectName,
+      query: `partNumber=${partNumber}&uploadId=${encodeURIComponent(uploadId)}`,
+      headers: { 'Content-Length': data.length }
+    }, data, [200]);
+    response.resume();
+    return { part: partNumber, etag: response.headers.etag.replace(/"/g, '') };
+  }
+
+  async completeMultipartUpload(objectName, uploadId, parts) {
+    return this.client.completeMultipartUpload(this.bucketName, objectName, uploadId, parts);
+  }
+
+  async abortMultipartUpload(objectName, uploadId) {
+    await this.client.abortMultipartUpload(this.bucketName, objectName, uploadId);
+  }
+
+  async getObjectBuffer(objectName) {
+    const stream = await this.client.getObject(this.bucketName, objectName);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Up to `length` leading bytes of an object, for content sniffing
+  async readHead(objectName, length = SNIFF_BYTES) {
+    // A range request on an empty object is not satisfiable
+    if (length <= 0) return Buffer.alloc(0);
+
+    const stream = await this.client.getPartialObject(this.bucketName, objectName, 0, length);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Stream an object, or only the inclusive byte range { start, end } of it
+  async getObjectStream(objectName, range, versionId) {
+    if (range) {
+      return this.client.getPartialObject(
+        this.bucketName, objectName, range.start, range.end - range.start + 1, ...versionOptions(versionId)
+      );
+    }
+    return this.client.getObject(this.bucketName, objectName, ...versionOptions(versionId));
+  }
+
+  async putObject(objectName, data, metaData = {}) {
+    return this.client.putObject(this.bucketName, objectName, data, data.length, metaData);
+  }
+
+  /**
+   * Store an object only if it still has the ETag it was read with, or is
+   * still missing when read without one. Resolves to false, storing
+   * nothing, when another writer changed it in the meantime.
+   */
+  async putObjectIf(objectName, data, metaData, etag) {
+    try {
+      const response = await this.client.makeRequestAsync({
+        method: 'PUT',
+        bucketName: this.bucketName,
+        objectName,
+        headers: {
+          ...toObjectHeaders(metaData),
+          'Content-Length': data.length,
+          ...(etag ? { 'If-Match': `"${etag}"` } : { 'If-None-Match': '*' })
+        }
+      }, data, [200]);
+      response.resume();
+      return true;
+    } catch (error) {
+      if (PRECONDITION_CODES.includes(error.code)) return false;
+      throw error;
+    }
+  }
+
+  // Server-side copy, keeping the source's metadata
+  async copyObject(sourceName, targetName) {
+    return this.client.copyObject(
+      this.bucketName,
+      targetName,
+      `/${this.bucketName}/${sourceName}`,
+      new Minio.CopyConditions()
+    );
+  }
+
+  /**
+   * Server-side copy of `sourceKey` to `targetName`, storing `metaData` and
+   * `tags` in place of the source's; given a `versionId`, that version of
+   * the source is copied. Objects up to 5 GB take a single copy request;
+   * larger ones are copied in parts.
+   */
+  async copyContent(sourceKey, targetName, metaData, tags = {}, versionId) {
+    // A stat's x-amz-* response headers, such as the request id, are not the object's to copy
+    const stored = Object.fromEntries(Object.entries(metaData).filter(([key]) => !key.toLowerCase().startsWith('x-amz-')));
+    const headers = {
+      ...toObjectHeaders(stored),
+      'X-Amz-Metadata-Directive': 'REPLACE',
+      'X-Amz-Tagging-Directive': 'REPLACE'
+    };
+    if (Object.keys(tags).length) {
+      headers['X-Amz-Tagging'] = querystring.stringify(tags);
+    }
+    await this.client.composeObject(
+      new CopyDestination({ Bucket: this.bucketName, Object: targetName }, headers),
+      [new Minio.CopySourceOptions({ Bucket: this.bucketName, Object: sourceKey, ...(versionId && { VersionID: versionId }) })]
+    );
+  }
+
+  /**
+   * Move an object within the bucket with the given metaData and tags,
+   * keeping the deduplication index pointing at it. A reference moves as the
+   * empty object it is; the bytes stay with their holder.
+   */
+  async relocateObject(source, target, metaData, tags = {}) {
+    const hash = await this.dedup.hashOf(source, metaData);
+    await this.copyContent(source, target, metaData, tags);
+    if (hash) {
+      await this.dedup.rename(source, target, hash);
+    }
+    await this.client.removeObject(this.bucketName, source);
+  }
+
+  async removeObject(objectName, versionId) {
+    await this.client.removeObject(this.bucketName, objectName, ...versionOptions(versionId));
+  }
+
+  // Bookkeeping data is stored under SYSTEM_PREFIX, out of sight of file listings
+  async readSystemData(key) {
+    try {
+      return await this.getObjectBuffer(`${SYSTEM_PREFIX}${key}`);
+    } catch (error) {
+      if (isNotFoundError(error)) return null;
+      throw error;
+    }
+  }
+
+  async writeSystemData(key, data) {
+    await this.putObject(`${SYSTEM_PREFIX}${key}`, data);
+  }
+
+  async readSystemObject(key) {
+    const data = await this.readSystemData(key);
+    return data ? JSON.parse(data.toString('utf8')) : null;
+  }
+
+  async writeSystemObject(key, value) {
+    await this.putObject(`${SYSTEM_PREFIX}${key}`, Buffer.from(JSON.stringify(value)), {
+      'Content-Type': 'application/json'
+    });
+  }
+
+  /**
+   * Read a bookkeeping object as { value, etag }, to update it with
+   * writeSystemObjectIf; a missing object reads as { value: null, etag: null }.
+   */
+  async readSystemRecord(key) {
+    try {
+      const response = await this.client.makeRequestAsync({
+        method: 'GET',
+        bucketName: this.bucketName,
+        objectName: `${SYSTEM_PREFIX}${key}`
+      }, '', [200]);
+      const chunks = [];
+      for await (const chunk of response) {
+        chunks.push(chunk);
+      }
+      return {
+        value: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+        etag: response.headers.etag.replace(/"/g, '')
+      };
+    } catch (error) {
+      if (isNotFoundError(error)) return { value: null, etag: null };
+      throw error;
+    }
+  }
+
+  // Like writeSystemObject, but only if unchanged since read; see putObjectIf
+  async writeSystemObjectIf(key, value, etag) {
+    return this.putObjectIf(`${SYSTEM_PREFIX}${key}`, Buffer.from(JSON.stringify(value)), {
+      'Content-Type': 'application/json'
+    }, etag);
+  }
+
+  async removeSystemObject(key) {
+    await this.client.removeObject(this.bucketName, `${SYSTEM_PREFIX}${key}`);
+  }
+
+  // Object tags as { key: value }
+  async getObjectTags(objectName, versionId) {
+    const tags = await this.client.getObjectTagging(this.bucketName, objectName, ...versionOptions(versionId));
+    return Object.fromEntries((tags || []).map(tag => [tag.Key, tag.Value]));
+  }
+
+  // Replace an object's tags; no tags removes them
+  async setObjectTags(objectName, tags) {
+    if (Object.keys(tags).length) {
+      await this.client.setObjectTagging(this.bucketName, objectName, tags);
+    } else {
+      await this.client.removeObjectTagging(this.bucketName, objectName);
+    }
+  }
+
+  // Every file in the bucket, or below `prefix`, bookkeeping objects left out
+  async *iterateFiles(prefix = '') {
+    for await (const obj of this.client.listObjects(this.bucketName, prefix, true)) {
+      if (!obj.name.startsWith(SYSTEM_PREFIX)) yield obj;
+    }
+  }
+
+  // Lifecycle configuration of the bucket as parsed from S3, or null without one
+  async getBucketLifecycle() {
+    try {
+      return (await this.client.getBucketLifecycle(this.bucketName)) || null;
+    } catch (error) {
+      if (error.code === 'NoSuchLifecycleConfiguration') return null;
+      throw error;
+    }
+  }
+
+  // Replace the lifecycle configuration of the bucket; null removes it
+  async setBucketLifecycle(lifecycleConfig) {
+    await this.client.setBucketLifecycle(this.bucketName, lifecycleConfig);
+  }
+
+  // Object lock configuration of the bucket, or null when it was created without object locking
+  async getObjectLockConfig() {
+    try {
+      const lockConfig = await this.client.getObjectLockConfig(this.bucketName);
+      return lockConfig && lockConfig.objectLockEnabled === 'Enabled' ? lockConfig : null;
+    } catch (error) {
+      if (NO_LOCK_CODES.includes(error.code)) return null;
+      throw error;
+    }
+  }
+
+  // Retention of an object as { mode, retainUntilDate }, or null without one
+  async getObjectRetention(objectName, versionId) {
+    try {
+      return await this.client.getObjectRetention(this.bucketName, objectName, versionId ? { versionId } : {});
+    } catch (error) {
+      if (NO_LOCK_CODES.includes(error.code)) return null;
+      throw error;
+    }
+  }
+
+  async putObjectRetention(objectName, retention) {
+    await this.client.putObjectRetention(this.bucketName, objectName, retention);
+  }
+
+  async getObjectLegalHold(objectName, versionId) {
+    try {
+      const legalHold = await this.client.getObjectLegalHold(this.bucketName, objectName, versionId ? { versionId } : {});
+      return Boolean(legalHold) && legalHold.Status === 'ON';
+    } catch (error) {
+      if (NO_LOCK_CODES.includes(error.code)) return false;
+      throw error;
+    }
+  }
+
+  async setObjectLegalHold(objectName, enabled, versionId) {
+    await this.client.setObjectLegalHold(this.bucketName, objectName, {
+      status: enabled ? 'ON' : 'OFF',
+      ...(versionId && { versionId })
+    });
+  }
+
+  // Every version and delete marker of one key, as listed by S3
+  async *iterateVersions(objectName) {
+    for await (const obj of this.client.listObjects(this.bucketName, objectName, true, { IncludeVersion: true })) {
+      if (obj.name === objectName) yield obj;
+    }
+  }
+
+  async listSystemObjects(prefix) {
+    const keys = [];
+    const stream = this.client.listObjects(this.bucketName, `${SYSTEM_PREFIX}${prefix}`, true);
+    for await (const obj of stream) {
+      keys.push(obj.name.slice(SYSTEM_PREFIX.length));
+    }
+    return keys;
+  }
+
+  async getPresignedUrl(objectName, expiry = this.limits.urlExpiry, principal = null, versionId) {
     try {
+      const stat = versionId ? await this.versions.statFile(objectName, versionId) : await this.statFile(objectName);
+      if (stat) {
+        assertOwner(principal, stat.metaData.owner);
+        this.scans.assertScanPassed(stat);
+      }
       const url = await this.client.presignedGetObject(
         this.bucketName,
-        objectName,
-        expiry
+        stat ? stat.storageKey : objectName,
+        expiry,
+        ...versionOptions(stat && stat.storageVersionId)
       );
       return {
         success: true,
@@ -85,72 +658,616 @@ class MinioService {
         expiresAt: new Date(Date.now() + expiry * 1000).toISOString()
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       console.error('❌ Error generating presigned URL:', error.message);
       throw new Error(`Failed to generate URL: ${error.message}`);
     }
   }
 
-  async deleteFile(objectName) {
+  async getPresignedUploadUrl(objectName, expiry = this.limits.urlExpiry) {
     try {
+      const url = await this.client.presignedPutObject(this.bucketName, objectName, expiry);
+      return {
+        success: true,
+        url,
+        method: 'PUT',
+        expiresIn: expiry,
+        expiresAt: new Date(Date.now() + expiry * 1000).toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Error generating presigned upload URL:', error.message);
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a signed POST policy pinning the object key, content type, size
+   * range and metadata a browser may submit straight to MinIO.
+   */
+  async getPresignedPostPolicy(objectName, { contentType, maxSize, metaData = {}, expiry = this.limits.urlExpiry }) {
+    try {
+      const policy = this.client.newPostPolicy();
+      policy.setBucket(this.bucketName);
+      policy.setKey(objectName);
+      policy.setContentType(contentType);
+      policy.setContentLengthRange(0, maxSize);
+      policy.setUserMetaData(metaData);
+      policy.setExpires(new Date(Date.now() + expiry * 1000));
+
+      const { postURL, formData } = await this.client.presignedPostPolicy(policy);
+      return {
+        success: true,
+        url: postURL,
+        method: 'POST',
+        fields: formData,
+        expiresIn: expiry,
+        expiresAt: new Date(Date.now() + expiry * 1000).toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Error generating presigned POST policy:', error.message);
+      throw new Error(`Failed to generate upload policy: ${error.message}`);
+    }
+  }
+
+  // Like statObject, but resolves to null for missing objects and versions
+  async statObject(objectName, versionId) {
+    try {
+      return await this.client.statObject(this.bucketName, objectName, ...versionOptions(versionId));
+    } catch (error) {
+      if (isNotFoundError(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Stat a file as clients see it. Deduplicated references report the size
+   * and ETag of the content they point to; `storageKey` names the object to
+   * read the bytes from.
+   */
+  async statFile(objectName) {
+    const stat = await this.statObject(objectName);
+    if (!stat) return null;
+
+    if (!stat.metaData['dedup-ref']) {
+      return { ...stat, storageKey: objectName };
+    }
+
+    const blob = await this.dedup.resolve(stat.metaData['content-sha256']);
+    return { ...stat, size: blob.stat.size, etag: blob.stat.etag, storageKey: blob.key };
+  }
+
+  // Rewrite an object's metadata by copying it onto itself
+  async replaceMetadata(objectName, metaData) {
+    const source = `/${this.bucketName}/${objectName}`.split('/').map(encodeURIComponent).join('/');
+    const response = await this.client.makeRequestAsync({
+      method: 'PUT',
+      bucketName: this.bucketName,
+      objectName,
+      headers: {
+        ...toObjectHeaders(metaData),
+        'X-Amz-Copy-Source': source,
+        'X-Amz-Metadata-Directive': 'REPLACE'
+      }
+    }, '', [200]);
+    response.resume();
+  }
+
+  /**
+   * Delete a file. With the trash enabled it is moved there to be restored
+   * later, unless `permanent`; internal cleanups always delete for good.
+   */
+  async deleteFile(objectName, principal = null, { permanent = false } = {}) {
+    try {
+      const stat = await this.statObject(objectName);
+      if (stat) {
+        assertOwner(principal, stat.metaData.owner);
+      }
+      if (stat && this.trash.enabled && !permanent) {
+        const trashed = await this.trash.add(objectName, stat, principal);
+        await this.renditions.remove(objectName);
+        return { success: true, message: 'File moved to trash', trash: trashed };
+      }
+      const hash = stat && await this.dedup.hashOf(objectName, stat.metaData);
+      let size = stat ? stat.size : 0;
+      if (hash) {
+        const contentSize = await this.dedup.release(objectName, hash);
+        // References are empty; their owner was charged for the content
+        if (stat.metaData['dedup-ref']) size = contentSize || 0;
+      }
+
       await this.client.removeObject(this.bucketName, objectName);
+      if (stat) {
+        await this.usage.record(stat.metaData.owner, -size, -1);
+      }
+      await this.metadata.remove(objectName);
+      await this.renditions.remove(objectName);
       return { success: true, message: 'File deleted successfully' };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       console.error('❌ Error deleting file:', error.message);
       throw new Error(`Delete failed: ${error.message}`);
     }
   }
 
-  async listFiles(prefix = '', maxKeys = 1000) {
+  /**
+   * Delete many files at once: the given `keys` (up to 1000) or every file
+   * below `prefix`. Each file is checked like in deleteFile, then the files
+   * are removed with one multi-object delete per 1000 keys, or moved to the
+   * trash one by one unless `permanent`. With `dryRun` nothing is deleted
+   * and the result tells what would be. Files that
+   * cannot be deleted do not stop the rest; the result reports each key.
+   */
+  async deleteFiles({ keys, prefix, dryRun = false, permanent = false } = {}, principal = null) {
+    const invalid = message => new AppError(message, 400, 'INVALID_BULK_DELETE');
+    if ((keys === undefined) === (prefix === undefined)) {
+      throw invalid('Give either keys or a prefix');
+    }
+    if (keys !== undefined && (!Array.isArray(keys) || keys.some(key => typeof key !== 'string'))) {
+      throw invalid('keys must be a list of object keys');
+    }
+    if (keys !== undefined && keys.length > DELETE_BATCH_SIZE) {
+      throw invalid(`Up to ${DELETE_BATCH_SIZE} keys can be deleted at once; delete a prefix instead`);
+    }
+    if (prefix !== undefined && typeof prefix !== 'string') {
+      throw invalid('prefix must be a string');
+    }
+    const own = principal && principal.prefix;
+    if (prefix !== undefined && own && !prefix.startsWith(own)) {
+      throw new ForbiddenError(`Access is limited to ${own}`);
+    }
+
     try {
-      const objects = [];
-      const stream = this.client.listObjects(this.bucketName, prefix, true);
-      
-      return new Promise((resolve, reject) => {
-        stream.on('data', (obj) => {
-          if (objects.length < maxKeys) {
-            objects.push({
-              name: obj.name,
-              size: obj.size,
-              lastModified: obj.lastModified,
-              etag: obj.etag
-            });
-          }
-        });
-        
-        stream.on('end', () => {
-          resolve({ success: true, files: objects, count: objects.length });
-        });
-        
-        stream.on('error', (error) => {
-          reject(new Error(`List failed: ${error.message}`));
-        });
-      });
+      const items = [];
+      let batch = [];
+      const flush = async () => {
+        items.push(...await this.deleteBatch(batch, { dryRun, permanent }, principal));
+        batch = [];
+      };
+
+      // Prefixes are deleted batch by batch as they are listed
+      const names = prefix !== undefined ? this.iterateFiles(prefix) : [...new Set(keys)];
+      for await (const entry of names) {
+        batch.push(typeof entry === 'string' ? entry : entry.name);
+        if (batch.length === DELETE_BATCH_SIZE) await flush();
+      }
+      if (batch.length) await flush();
+
+      const succeeded = items.filter(item => item.success).length;
+      return {
+        success: true,
+        dryRun,
+        ...(prefix !== undefined && { prefix }),
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        items
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error deleting files:', error.message);
+      throw new Error(`Bulk delete failed: ${error.message}`);
+    }
+  }
+
+  // One batch of deleteFiles; resolves to an item per key, in the order given
+  async deleteBatch(names, { dryRun, permanent }, principal) {
+    const results = new Map();
+    const fail = (key, error) => results.set(key, { key, success: false, error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    const own = principal && principal.prefix;
+
+    const files = [];
+    for (const key of names) {
+      try {
+        assertValidObjectKey(key);
+        if (own && !key.startsWith(own)) {
+          throw new ForbiddenError(`Access is limited to ${own}`);
+        }
+        const stat = await this.statObject(key);
+        if (!stat) {
+          throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+        }
+        assertOwner(principal, stat.metaData.owner);
+        files.push({ key, stat });
+      } catch (error) {
+        fail(key, error);
+      }
+    }
+
+    if (dryRun) {
+      files.forEach(({ key }) => results.set(key, { key, success: true }));
+      return names.map(key => results.get(key));
+    }
+
+    if (this.trash.enabled && !permanent) {
+      for (const { key, stat } of files) {
+        try {
+          await this.trash.add(key, stat, principal);
+          await this.renditions.remove(key);
+          results.set(key, { key, success: true });
+        } catch (error) {
+          fail(key, error);
+        }
+      }
+      return names.map(key => results.get(key));
+    }
+
+    const removals = new Map();
+    for (const { key, stat } of files) {
+      let size = stat.size;
+      try {
+        const hash = await this.dedup.hashOf(key, stat.metaData);
+        if (hash) {
+          const contentSize = await this.dedup.release(key, hash);
+          // References are empty; their owner was charged for the content
+          if (stat.metaData['dedup-ref']) size = contentSize || 0;
+        }
+        removals.set(key, { owner: stat.metaData.owner, size });
+      } catch (error) {
+        fail(key, error);
+      }
+    }
+
+    if (removals.size) {
+      const errors = await this.client.removeObjects(this.bucketName, [...removals.keys()]);
+      for (const error of errors || []) {
+        const key = String(error.Key);
+        fail(key, { message: error.Message, code: error.Code });
+        removals.delete(key);
+      }
+    }
+
+    // Usage is recorded once per owner for the whole batch
+    const usage = new Map();
+    for (const [key, { owner, size }] of removals) {
+      const counted = usage.get(owner) || { bytes: 0, objects: 0 };
+      usage.set(owner, { bytes: counted.bytes + size, objects: counted.objects + 1 });
+      await this.metadata.remove(key);
+      await this.renditions.remove(key);
+      results.set(key, { key, success: true });
+    }
+    for (const [owner, { bytes, objects }] of usage) {
+      await this.usage.record(owner, -bytes, -objects);
+    }
+
+    return names.map(key => results.get(key));
+  }
+
+  /**
+   * List one page of files from the metadata store, with their original
+   * names. With a delimiter, keys sharing a prefix up to the next delimiter
+   * are rolled up into `folders`. Pass the returned `nextCursor` back as
+   * `cursor` to continue where the page ended. Given a principal, the
+   * listing is confined to its prefix; the prefix used is returned.
+   */
+  async listFiles(prefix = '', maxKeys = 1000, { delimiter = '', cursor = '', startAfter = '', principal = null } = {}) {
+    prefix = scopedPrefix(principal, prefix);
+    try {
+      const { files, folders, nextCursor } = await this.metadata.list(prefix, maxKeys, { delimiter, cursor, startAfter });
+
+      return {
+        success: true,
+        prefix,
+        files,
+        folders,
+        count: files.length,
+        nextCursor
+      };
     } catch (error) {
       console.error('❌ Error listing files:', error.message);
       throw new Error(`List failed: ${error.message}`);
     }
   }
 
-  async getFileInfo(objectName) {
+  /**
+   * Search the files in the metadata store (see MetadataService#search).
+   * Like listings, searches stay inside the principal's prefix, and token
+   * users only find their own files.
+   */
+  async searchFiles(query = {}, { principal = null } = {}) {
+    const prefix = scopedPrefix(principal, query.prefix || '');
+    const owner = ownerScope(principal) || query.owner;
+    try {
+      const { files, nextCursor } = await this.metadata.search({ ...query, prefix, owner });
+
+      return {
+        success: true,
+        files,
+        count: files.length,
+        nextCursor
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error searching files:', error.message);
+      throw new Error(`Search failed: ${error.message}`);
+    }
+  }
+
+  // File details as recorded in the metadata store, with the renditions of images
+  async getFileInfo(objectName, principal = null) {
     try {
-      const stat = await this.client.statObject(this.bucketName, objectName);
+      const record = await this.metadata.get(objectName);
+      if (!record) {
+        throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+      }
+      assertOwner(principal, record.owner);
+
       return {
         success: true,
         info: {
           name: objectName,
-          size: stat.size,
-          lastModified: stat.lastModified,
-          etag: stat.etag,
-          contentType: stat.metaData['content-type'],
-          originalName: stat.metaData['original-name'],
-          uploadDate: stat.metaData['upload-date']
+          size: record.size,
+          lastModified: record.lastModified,
+          etag: record.etag,
+          contentType: record.mimetype,
+          originalName: record.originalName,
+          uploadDate: record.uploadDate,
+          hash: record.hash,
+          checksum: record.checksum,
+          owner: record.owner,
+          scanStatus: record.scanStatus,
+          scanVerdict: record.scanVerdict,
+          tags: record.tags,
+          metadata: record.metadata,
+          renditions: await this.renditions.describe(objectName, record)
         }
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       console.error('❌ Error getting file info:', error.message);
       throw new Error(`File info failed: ${error.message}`);
     }
   }
+
+  // Stat of a file the principal may change, or 404 FILE_NOT_FOUND
+  async requireFile(objectName, principal = null) {
+    const stat = await this.statObject(objectName);
+    if (!stat) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    assertOwner(principal, stat.metaData.owner);
+    return stat;
+  }
+
+  async getFileTags(objectName, principal = null) {
+    try {
+      await this.requireFile(objectName, principal);
+      return { success: true, objectName, tags: await this.getObjectTags(objectName) };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error getting file tags:', error.message);
+      throw new Error(`Getting tags failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the tags of a file, given in any form parseTags accepts. An
+   * empty set removes them.
+   */
+  async setFileTags(objectName, tags, principal = null) {
+    try {
+      const parsed = parseTags(tags);
+      await this.requireFile(objectName, principal);
+      await this.setObjectTags(objectName, parsed);
+      await this.metadata.sync(objectName);
+      return { success: true, objectName, tags: parsed };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error setting file tags:', error.message);
+      throw new Error(`Tagging failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge changes into a file's custom metadata; null values remove a
+   * field. S3 metadata cannot be edited, so the object is copied onto itself
+   * with the new metadata, keeping its content, tags and the service's own
+   * fields.
+   */
+  async updateFileMetadata(objectName, changes, principal = null) {
+    try {
+      const parsed = parseMetadata(changes, { allowNull: true });
+      const stat = await this.requireFile(objectName, principal);
+
+      const current = customMetadata(stat.metaData);
+      const metadata = { ...current };
+      Object.entries(parsed).forEach(([key, value]) => {
+        if (value === null) {
+          delete metadata[key];
+        } else {
+          metadata[key] = value;
+        }
+      });
+      assertMetadataSize(metadata);
+
+      const kept = Object.fromEntries(Object.entries(stat.metaData).filter(([key]) => !(key in current)));
+      await this.replaceMetadata(objectName, { ...kept, ...metadata });
+      await this.metadata.sync(objectName);
+      return { success: true, objectName, metadata };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error updating file metadata:', error.message);
+      throw new Error(`Metadata update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a copy or move of `source` to `target` before anything is
+   * written: the principal must own the source, which must have passed its
+   * malware scan, and an existing target may only be replaced with
+   * `overwrite` (else 409 FILE_EXISTS) by a principal owning it. Resolves to
+   * the source's stat (see statFile), the metaData and tags for the target
+   * and whether a target is to be replaced.
+   */
+  async prepareTransfer(source, target, { overwrite = false, metadataDirective = 'COPY', metadata } = {}, principal = null) {
+    const invalid = message => new AppError(message, 400, 'INVALID_TRANSFER');
+    assertValidObjectKey(source);
+    assertValidObjectKey(target);
+    if (source === target) {
+      throw invalid('Source and target are the same file');
+    }
+    const directive = String(metadataDirective).toUpperCase();
+    if (!['COPY', 'REPLACE'].includes(directive)) {
+      throw invalid('metadataDirective must be COPY or REPLACE');
+    }
+    if (directive === 'COPY' && metadata !== undefined) {
+      throw invalid('metadata is only accepted with metadataDirective REPLACE');
+    }
+    const replacement = directive === 'REPLACE' ? parseMetadata(metadata) : null;
+    if (replacement) {
+      assertMetadataSize(replacement);
+    }
+
+    const stat = await this.statFile(source);
+    if (!stat) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    assertOwner(principal, stat.metaData.owner);
+    this.scans.assertScanPassed(stat);
+
+    const existing = await this.statObject(target);
+    if (existing) {
+      if (!overwrite) {
+        throw new AppError(`${target} already exists`, 409, 'FILE_EXISTS');
+      }
+      assertOwner(principal, existing.metaData.owner);
+    }
+
+    const current = customMetadata(stat.metaData);
+    const kept = Object.fromEntries(Object.entries(stat.metaData).filter(([key]) => !(key in current)));
+    const custom = replacement || current;
+    return {
+      stat,
+      metaData: { ...kept, ...custom },
+      metadata: custom,
+      tags: await this.getObjectTags(source),
+      replaces: Boolean(existing)
+    };
+  }
+
+  /**
+   * Copy a file to `target` on the server side. The copy keeps the file's
+   * tags and custom metadata, unless `metadataDirective` is REPLACE, which
+   * stores `metadata` instead; `overwrite` allows replacing an existing
+   * target. A copy made by a principal is its own and counts towards its
+   * quota. Deduplicated content is shared with the copy, not copied.
+   */
+  async copyFile(source, target, options = {}, principal = null) {
+    try {
+      const { stat, metaData, metadata, tags, replaces } = await this.prepareTransfer(source, target, options, principal);
+      const hash = await this.dedup.hashOf(source, stat.metaData);
+      const owner = principal ? principal.id : stat.metaData.owner || null;
+      await this.usage.assertWithinQuota(principal, stat.size, 1);
+      if (replaces) {
+        await this.deleteFile(target, principal);
+      }
+
+      const copied = Object.fromEntries(Object.entries(metaData)
+        .filter(([key]) => !['owner', 'content-sha256', 'dedup-ref'].includes(key)));
+      Object.assign(copied, owner ? { Owner: owner } : {});
+
+      const deduplicated = Boolean(hash && config.dedup.enabled) && await this.dedup.link(target, hash, copied);
+      if (deduplicated) {
+        if (Object.keys(tags).length) {
+          await this.setObjectTags(target, tags);
+        }
+      } else {
+        await this.copyContent(stat.storageKey, target, hash ? { ...copied, 'Content-Sha256': hash } : copied, tags);
+        if (hash) {
+          await this.deduplicate(target, hash, stat.size, copied);
+        }
+      }
+      await this.usage.record(owner, stat.size, 1);
+      await this.metadata.sync(target);
+
+      return { success: true, source, target, size: stat.size, owner, deduplicated, metadata, tags };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error copying file:', error.message);
+      throw new Error(`Copy failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move (rename) a file to `target` on the server side: the object is
+   * copied with its owner, tags and metadata (see copyFile for the options),
+   * then the source is removed. Storage usage does not change.
+   */
+  async moveFile(source, target, options = {}, principal = null) {
+    try {
+      const { stat, metaData, metadata, tags, replaces } = await this.prepareTransfer(source, target, options, principal);
+      if (replaces) {
+        await this.deleteFile(target, principal);
+      }
+
+      await this.relocateObject(source, target, metaData, tags);
+      await this.metadata.remove(source);
+      await this.metadata.sync(target);
+      await this.renditions.remove(source);
+
+      return { success: true, source, target, size: stat.size, owner: stat.metaData.owner || null, metadata, tags };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error('❌ Error moving file:', error.message);
+      throw new Error(`Move failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy or move every file below `sourcePrefix` to the same name below
+   * `targetPrefix`, one file at a time, with the options of copyFile. The
+   * source may not be the root. A file that fails does not stop the batch:
+   * the result counts the files done and failed and reports each outcome.
+   */
+  async transferPrefix(operation, sourcePrefix, targetPrefix, options = {}, principal = null) {
+    const normalize = prefix => String(prefix || '').replace(/^\/+/, '').replace(/\/*$/, '/').replace(/^\/$/, '');
+    const from = normalize(sourcePrefix);
+    const to = normalize(targetPrefix);
+    // An empty source would take every file of the bucket, or of the caller's scope
+    if (!from) {
+      throw new AppError('sourcePrefix must name a folder; the root cannot be copied or moved', 400, 'INVALID_TRANSFER');
+    }
+    if (from === to) {
+      throw new AppError('Source and target prefix are the same', 400, 'INVALID_TRANSFER');
+    }
+    const transfer = operation === 'move' ? this.moveFile : this.copyFile;
+
+    try {
+      // Listed up front, as the target may lie below the source prefix
+      const names = [];
+      for await (const { name } of this.iterateFiles(from)) {
+        names.push(name);
+      }
+
+      const items = [];
+      for (const source of names) {
+        const target = `${to}${source.slice(from.length)}`;
+        try {
+          await transfer.call(this, source, target, options, principal);
+          items.push({ source, target, success: true });
+        } catch (error) {
+          items.push({ source, target, success: false, error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        }
+      }
+
+      const succeeded = items.filter(item => item.success).length;
+      return {
+        success: true,
+        operation,
+        sourcePrefix: from,
+        targetPrefix: to,
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        items
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      console.error(`❌ Error during prefix ${operation}:`, error.message);
+      throw new Error(`Prefix ${operation} failed: ${error.message}`);
+    }
+  }
 }
 
+MinioService.SYSTEM_PREFIX = SYSTEM_PREFIX;
+
 module.exports = MinioService;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const sharp = require('sharp');
+const config = require('../config');
+const { SYSTEM_PREFIX } = require('../utils/objectKey');
+const { AppError } = require('../utils/errors');
+
+const RECORD_PREFIX = 'renditions/';
+
+// Image types renditions are made of; SVGs are left out, rendering them is not worth the risk
+const SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+const FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+/**
+ * Scaled-down renditions of uploaded images, e.g. thumbnails, one per
+ * configured size: the image fitted into a square of that many pixels,
+ * never enlarged, in the configured format. Renditions are stored under
+ * `.minvault/renditions/<key>.<size>.<format>`, next to a record of them
+ * and of the ETag of the image they were made from, so renditions of a
+ * replaced image are recognized as stale. New uploads are queued here;
+ * renditions still missing are made when first asked for. Images waiting
+ * for their malware scan, or quarantined by it, are not rendered: the scan
+ * queues them again once it finds them clean.
+ */
+class RenditionService {
+  constructor(minioService, options = config.renditions) {
+    this.minioService = minioService;
+    this.options = options;
+    // Images are processed one at a time on this instance
+    this.queue = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.options.enabled && this.options.sizes.length > 0;
+  }
+
+  supports(mimetype) {
+    return this.enabled && SOURCE_TYPES.includes(mimetype);
+  }
+
+  recordKey(objectName) {
+    return `${RECORD_PREFIX}${objectName}.json`;
+  }
+
+  renditionKey(objectName, size, format = this.options.format) {
+    return `${RECORD_PREFIX}${objectName}.${size}.${format}`;
+  }
+
+  // Queue a freshly stored file for its renditions; files that are not images are left alone,
+  // and generate skips files still being scanned
+  enqueue(objectName, mimetype) {
+    if (!this.supports(mimetype)) return;
+    // Failures are logged by schedule
+    this.schedule(objectName).catch(() => {});
+  }
+
+  schedule(objectName) {
+    const run = this.queue.then(() => this.generate(objectName));
+    this.queue = run.catch(error => console.error(`❌ Error rendering ${objectName}:`, error.message));
+    return run;
+  }
+
+  /**
+   * Make the renditions of a file and record them. Resolves to the record,
+   * or null if the file is gone, not an image or not found clean by the
+   * malware scan yet; images that cannot be decoded fail with 422
+   * RENDITION_FAILED.
+   */
+  async generate(objectName) {
+    const stat = await this.minioService.statFile(objectName);
+    if (!stat || stat.size === 0 || !this.supports(stat.metaData['content-type'])) {
+      return null;
+    }
+    // Decoding is left to files the scanner has passed
+    const scanStatus = stat.metaData['scan-status'];
+    if (scanStatus && scanStatus !== 'clean') {
+      return null;
+    }
+
+    const { format, quality } = this.options;
+    const image = sharp();
+    const stream = await this.minioService.getObjectStream(stat.storageKey);
+    stream.on('error', error => image.destroy(error));
+    stream.pipe(image);
+
+    const renditions = [];
+    for (const size of this.options.sizes) {
+      let data;
+      let info;
+      try {
+        ({ data, info } = await image.clone()
+          .rotate()
+          .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+          .toFormat(format, { quality })
+          .toBuffer({ resolveWithObject: true }));
+      } catch (error) {
+        throw new AppError(`Renditions could not be made: ${error.message}`, 422, 'RENDITION_FAILED');
+      }
+      await this.minioService.writeSystemData(this.renditionKey(objectName, size), data);
+      renditions.push({ size, width: info.width, height: info.height, bytes: data.length });
+    }
+
+    const previous = await this.minioService.readSystemObject(this.recordKey(objectName));
+    const record = { objectName, etag: stat.etag, format, renditions, createdAt: new Date().toISOString() };
+    await this.minioService.writeSystemObject(this.recordKey(objectName), record);
+    if (previous) {
+      // Sizes or a format no longer configured
+      await this.removeRenditions(objectName, previous, record);
+    }
+    return record;
+  }
+
+  // The record of a file's renditions, if made from the file as `stat` describes it now
+  async getRecord(objectName, stat) {
+    const record = await this.minioService.readSystemObject(this.recordKey(objectName));
+    return record && record.etag === stat.etag && record.format === this.options.format ? record : null;
+  }
+
+  /**
+   * The rendition of a file (given its statFile stat) in `size`, the
+   * smallest configured size if not given: { key, contentType, etag,
+   * size, width, height, bytes }. Missing or stale renditions are made
+   * first.
+   */
+  async get(objectName, stat, size) {
+    if (!this.supports(stat.metaData['content-type'])) {
+      throw new AppError('This file has no renditions', 404, 'RENDITION_NOT_FOUND');
+    }
+    const sizes = this.options.sizes;
+    const wanted = size === undefined || size === '' ? Math.min(...sizes) : Number(size);
+    if (!sizes.includes(wanted)) {
+      throw new AppError(`size must be one of ${sizes.join(', ')}`, 400, 'INVALID_RENDITION_SIZE');
+    }
+
+    const record = await this.getRecord(objectName, stat) || await this.schedule(objectName);
+    const rendition = record && record.renditions.find(entry => entry.size === wanted);
+    if (!rendition) {
+      throw new AppError('Rendition not found', 404, 'RENDITION_NOT_FOUND');
+    }
+    return {
+      ...rendition,
+      key: `${SYSTEM_PREFIX}${this.renditionKey(objectName, wanted, record.format)}`,
+      contentType: FORMATS[record.format],
+      etag: `${record.etag}-${wanted}.${record.format}`
+    };
+  }
+
+  /**
+   * The renditions a file offers, as file info shows them: one per
+   * configured size, with its dimensions once made. None for files that
+   * are not images.
+   */
+  async describe(objectName, { mimetype, etag }) {
+    if (!this.supports(mimetype)) return [];
+
+    const record = await this.getRecord(objectName, { etag });
+    return this.options.sizes.map((size) => {
+      const made = record && record.renditions.find(entry => entry.size === size);
+      return {
+        size,
+        format: this.options.format,
+        width: made ? made.width : null,
+        height: made ? made.height : null
+      };
+    });
+  }
+
+  // Delete the renditions of `record` that `keep` does not have
+  async removeRenditions(objectName, record, keep = null) {
+    for (const { size } of record.renditions) {
+      const kept = keep && keep.format === record.format && keep.renditions.some(entry => entry.size === size);
+      if (!kept) {
+        await this.minioService.removeSystemObject(this.renditionKey(objectName, size, record.format));
+      }
+    }
+  }
+
+  /**
+   * Delete the renditions of a file that was deleted or moved away. Failures
+   * are logged, not thrown: the file itself is gone either way.
+   */
+  async remove(objectName) {
+    try {
+      const record = await this.minioService.readSystemObject(this.recordKey(objectName));
+      if (!record) return;
+      await this.removeRenditions(objectName, record);
+      await this.minioService.removeSystemObject(this.recordKey(objectName));
+    } catch (error) {
+      console.error('❌ Error removing renditions:', error.message);
+    }
+  }
+}
+
+RenditionService.FORMATS = FORMATS;
+
+module.exports = RenditionService;
@@ -0,0 +1,141 @@
+const { AppError } = require('../utils/errors');
+const { assertValidObjectKey } = require('../utils/objectKey');
+
+const RETENTION_MODES = ['GOVERNANCE', 'COMPLIANCE'];
+
+const invalid = message => new AppError(message, 400, 'INVALID_RETENTION');
+
+// MinIO refuses changes a retention or legal hold in force does not allow
+const locked = (error) => {
+  if (error.code === 'AccessDenied') {
+    return new AppError('The retention of this file does not allow this change', 409, 'OBJECT_LOCKED');
+  }
+  return error;
+};
+
+/**
+ * Object lock of one bucket: retention periods and legal holds of files,
+ * which keep a version from being deleted or overwritten. Only buckets
+ * created with object locking support it; MinIO turns on versioning for
+ * them, so replacing or deleting a locked file leaves the locked version in
+ * place. Both are set on a version, the current one unless given.
+ */
+class RetentionService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  // Whether the bucket supports object locking, and the retention it gives new versions
+  async getBucketLock() {
+    const lockConfig = await this.minioService.getObjectLockConfig();
+    if (!lockConfig) {
+      return { enabled: false, defaultRetention: null };
+    }
+    return {
+      enabled: true,
+      defaultRetention: lockConfig.mode
+        ? { mode: lockConfig.mode, validity: Number(lockConfig.validity), unit: lockConfig.unit }
+        : null
+    };
+  }
+
+  // The stat of the version to lock, current unless given
+  async target(objectName, versionId) {
+    assertValidObjectKey(objectName);
+    if (!(await this.minioService.getObjectLockConfig())) {
+      throw new AppError('The bucket was not created with object locking', 409, 'OBJECT_LOCK_UNSUPPORTED');
+    }
+
+    const stat = versionId
+      ? await this.minioService.versions.statVersion(objectName, versionId)
+      : await this.minioService.statObject(objectName);
+    if (!stat) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    return stat;
+  }
+
+  /**
+   * The stat of the version to lock. A lock on a deduplicated reference
+   * would hold an empty object, not the content shared with other files, so
+   * the current version first gets its own copy of the content; earlier
+   * versions cannot be changed that way.
+   */
+  async lockTarget(objectName, versionId) {
+    const stat = await this.target(objectName, versionId);
+    if (!stat.metaData['dedup-ref']) {
+      return stat;
+    }
+    if (versionId) {
+      throw new AppError('Earlier versions of deduplicated copies cannot be locked', 409, 'OBJECT_LOCK_UNSUPPORTED');
+    }
+    return this.minioService.dedup.materialize(objectName, stat);
+  }
+
+  async describe(objectName, versionId) {
+    const retention = await this.minioService.getObjectRetention(objectName, versionId);
+    const legalHold = await this.minioService.getObjectLegalHold(objectName, versionId);
+    return {
+      objectName,
+      versionId: versionId || null,
+      retention: retention && retention.mode
+        ? { mode: retention.mode, retainUntil: new Date(retention.retainUntilDate).toISOString() }
+        : null,
+      legalHold
+    };
+  }
+
+  // Retention and legal hold of a file, or of one version of it
+  async get(objectName, versionId) {
+    const stat = await this.target(objectName, versionId);
+    return this.describe(objectName, versionId || stat.versionId);
+  }
+
+  /**
+   * Keep a version until `retainUntil`. Retention can always be extended;
+   * GOVERNANCE retention can be shortened or lifted with `bypassGovernance`,
+   * COMPLIANCE retention not at all.
+   */
+  async setRetention(objectName, { mode, retainUntil, bypassGovernance = false, versionId } = {}) {
+    if (!RETENTION_MODES.includes(mode)) {
+      throw invalid(`mode must be one of ${RETENTION_MODES.join(', ')}`);
+    }
+    const until = new Date(retainUntil);
+    if (!retainUntil || Number.isNaN(until.getTime()) || until <= new Date()) {
+      throw invalid('retainUntil must be a date in the future');
+    }
+
+    const stat = await this.lockTarget(objectName, versionId);
+    const id = versionId || stat.versionId;
+    try {
+      await this.minioService.putObjectRetention(objectName, {
+        mode,
+        retainUntilDate: until.toISOString(),
+        governanceBypass: bypassGovernance === true,
+        versionId: id
+      });
+    } catch (error) {
+      throw locked(error);
+    }
+    return this.describe(objectName, id);
+  }
+
+  // A legal hold keeps a version, regardless of retention, until it is lifted
+  async setLegalHold(objectName, enabled, versionId) {
+    if (typeof enabled !== 'boolean') {
+      throw invalid('enabled must be true or false');
+    }
+
+    // Lifting a hold needs no content of its own
+    const stat = enabled ? await this.lockTarget(objectName, versionId) : await this.target(objectName, versionId);
+    const id = versionId || stat.versionId;
+    try {
+      await this.minioService.setObjectLegalHold(objectName, enabled, id);
+    } catch (error) {
+      throw locked(error);
+    }
+    return this.describe(objectName, id);
+  }
+}
+
+module.exports = RetentionService;
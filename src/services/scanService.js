@@ -0,0 +1,155 @@
+const { SYSTEM_PREFIX } = require('../utils/objectKey');
+const { AppError } = require('../utils/errors');
+
+const QUEUE_PREFIX = 'scans/';
+const QUARANTINE_PREFIX = `${SYSTEM_PREFIX}quarantine/`;
+
+/**
+ * Malware scanning of uploaded files.
+ * New uploads are stored with `Scan-Status: pending` and queued here; until
+ * the scan finishes they cannot be downloaded or presigned. Clean files are
+ * released under their key, and images among them queued for their
+ * renditions. The bytes of infected files are moved to the quarantine prefix
+ * along with the verdict, and an empty marker carrying the verdict is left
+ * under the original key; renditions made of the key before are deleted. Queued scans are also recorded in
+ * the bucket, so scans lost to a restart or an unreachable scanner can be
+ * picked up again by `scanPending`.
+ */
+class ScanService {
+  constructor(minioService, scanner = null) {
+    this.minioService = minioService;
+    this.scanner = scanner;
+    // Scans run one at a time on this instance
+    this.queue = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.scanner !== null;
+  }
+
+  recordKey(objectName) {
+    return `${QUEUE_PREFIX}${objectName}.json`;
+  }
+
+  // Metadata new uploads are stored with while scanning is enabled
+  pendingMetadata() {
+    return this.enabled ? { 'Scan-Status': 'pending' } : {};
+  }
+
+  /**
+   * Queue a freshly stored object for scanning. Resolves to its scan status
+   * ('pending'), or null when scanning is disabled.
+   */
+  async enqueue(objectName) {
+    if (!this.enabled) return null;
+
+    try {
+      await this.minioService.writeSystemObject(this.recordKey(objectName), {
+        objectName,
+        queuedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // The scan below still runs; only a retry after a restart is lost
+      console.error('❌ Error recording pending scan:', error.message);
+    }
+    this.schedule(objectName);
+    return 'pending';
+  }
+
+  schedule(objectName) {
+    const scan = this.queue.then(() => this.scanObject(objectName));
+    this.queue = scan.catch(error => console.error(`❌ Error scanning ${objectName}:`, error.message));
+    return scan;
+  }
+
+  // Scan one object and act on the verdict; resolves to the verdict, or null if there was nothing to scan
+  async scanObject(objectName) {
+    const stat = await this.minioService.statFile(objectName);
+    if (!stat || stat.metaData['scan-status'] !== 'pending') {
+      await this.minioService.removeSystemObject(this.recordKey(objectName));
+      return null;
+    }
+
+    const stream = await this.minioService.getObjectStream(stat.storageKey);
+    const verdict = await this.scanner.scan(stream);
+    const scanDate = new Date().toISOString();
+
+    if (verdict.infected) {
+      await this.quarantine(objectName, stat, verdict.signature, scanDate);
+      console.log(`☣️  Quarantined ${objectName}: ${verdict.signature}`);
+    } else {
+      await this.minioService.replaceMetadata(objectName, {
+        ...stat.metaData,
+        'scan-status': 'clean',
+        'scan-date': scanDate
+      });
+    }
+    await this.minioService.metadata.sync(objectName);
+    await this.minioService.removeSystemObject(this.recordKey(objectName));
+    if (!verdict.infected) {
+      this.minioService.renditions.enqueue(objectName, stat.metaData['content-type']);
+    }
+    return verdict;
+  }
+
+  async quarantine(objectName, stat, signature, scanDate) {
+    const hash = await this.minioService.dedup.hashOf(objectName, stat.metaData);
+    const metaData = { ...stat.metaData };
+    delete metaData['content-sha256'];
+    delete metaData['dedup-ref'];
+    const verdict = { 'scan-status': 'infected', 'scan-verdict': signature, 'scan-date': scanDate };
+    const quarantineKey = `${QUARANTINE_PREFIX}${objectName}`;
+
+    await this.minioService.copyObject(stat.storageKey, quarantineKey);
+    await this.minioService.replaceMetadata(quarantineKey, { ...metaData, ...verdict, 'original-key': objectName });
+
+    // Deduplicated content must not keep resolving for this key
+    if (hash) {
+      await this.minioService.dedup.release(objectName, hash);
+    }
+    await this.minioService.putObject(objectName, Buffer.alloc(0), { ...metaData, ...verdict });
+    // The marker stays a file of its owner, but the bytes no longer count
+    await this.minioService.usage.record(metaData.owner, -stat.size, 0);
+    await this.minioService.renditions.remove(objectName);
+  }
+
+  /**
+   * Scan every object still recorded as pending, e.g. after a restart.
+   * Only scans queued before `queuedBefore` are picked up; later ones may
+   * still be waiting in the queue of another instance.
+   */
+  async scanPending(queuedBefore = new Date()) {
+    if (!this.enabled) return 0;
+
+    const keys = await this.minioService.listSystemObjects(QUEUE_PREFIX);
+    let scanned = 0;
+
+    for (const key of keys) {
+      const record = await this.minioService.readSystemObject(key);
+      if (record && new Date(record.queuedAt) < queuedBefore) {
+        try {
+          await this.schedule(record.objectName);
+          scanned++;
+        } catch (error) {
+          // Already logged; the record stays for the next attempt
+        }
+      }
+    }
+    return scanned;
+  }
+
+  // Files are only handed out once a scan has found them clean
+  assertScanPassed(stat) {
+    const status = stat.metaData['scan-status'];
+    if (status === 'pending') {
+      throw new AppError('File is still being scanned for malware', 409, 'SCAN_PENDING');
+    }
+    if (status === 'infected') {
+      throw new AppError(`File was quarantined: ${stat.metaData['scan-verdict']}`, 403, 'FILE_INFECTED');
+    }
+  }
+}
+
+ScanService.QUARANTINE_PREFIX = QUARANTINE_PREFIX;
+
+module.exports = ScanService;
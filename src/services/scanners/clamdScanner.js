@@ -0,0 +1,92 @@
+const net = require('net');
+
+// clamd rejects INSTREAM chunks above its StreamMaxLength; keep them small
+const CHUNK_SIZE = 64 * 1024;
+
+function parseReply(reply) {
+  const text = reply.replace(/\0/g, '').trim();
+  if (text === 'stream: OK') {
+    return { infected: false, signature: null };
+  }
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  throw new Error(`clamd scan failed: ${text || 'no reply'}`);
+}
+
+/**
+ * Scanner backed by a ClamAV daemon, reached over TCP or a Unix socket.
+ * Content is sent with the INSTREAM command, so clamd needs no access to
+ * the bucket.
+ */
+class ClamdScanner {
+  constructor({ host = 'localhost', port = 3310, socket = '', timeout = 60000 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.socket = socket;
+    this.timeout = timeout;
+  }
+
+  connect() {
+    return this.socket
+      ? net.createConnection(this.socket)
+      : net.createConnection(this.port, this.host);
+  }
+
+  // Resolves to { infected, signature } once clamd has seen the whole stream
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const connection = this.connect();
+      let reply = '';
+      let settled = false;
+
+      const done = (error) => {
+        if (settled) return;
+        settled = true;
+        connection.destroy();
+        stream.destroy();
+
+        // clamd may answer (e.g. "size limit exceeded") and hang up mid-upload
+        if (reply) {
+          try {
+            return resolve(parseReply(reply));
+          } catch (replyError) {
+            return reject(replyError);
+          }
+        }
+        reject(error || new Error('clamd closed the connection without a reply'));
+      };
+      const send = data => new Promise((drained) => {
+        if (connection.write(data)) return drained();
+        connection.once('drain', drained);
+        connection.once('close', drained);
+      });
+
+      connection.setTimeout(this.timeout, () => done(new Error('clamd scan timed out')));
+      connection.on('data', (chunk) => { reply += chunk.toString('utf8'); });
+      connection.on('end', () => done());
+      connection.on('error', done);
+      connection.once('connect', async () => {
+        try {
+          await send('zINSTREAM\0');
+          for await (const chunk of stream) {
+            for (let offset = 0; offset < chunk.length && !settled; offset += CHUNK_SIZE) {
+              const slice = chunk.subarray(offset, offset + CHUNK_SIZE);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(slice.length);
+              await send(Buffer.concat([length, slice]));
+            }
+            if (settled) return;
+          }
+          // A zero-length chunk ends the stream
+          await send(Buffer.alloc(4));
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
@@ -0,0 +1,30 @@
+// The standard antivirus test file, detected by every scanner
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * In-process scanner for tests and local development. Content containing
+ * one of the given strings is reported under the matching signature name;
+ * by default only the EICAR test file is detected.
+ */
+class FakeScanner {
+  constructor(signatures = { 'Eicar-Test-Signature': EICAR }) {
+    this.signatures = Object.entries(signatures).map(([name, text]) => ({ name, bytes: Buffer.from(text) }));
+  }
+
+  async scan(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    const content = Buffer.concat(chunks);
+
+    const match = this.signatures.find(signature => content.includes(signature.bytes));
+    return match
+      ? { infected: true, signature: match.name }
+      : { infected: false, signature: null };
+  }
+}
+
+FakeScanner.EICAR = EICAR;
+
+module.exports = FakeScanner;
@@ -0,0 +1,23 @@
+const ClamdScanner = require('./clamdScanner');
+const FakeScanner = require('./fakeScanner');
+
+/**
+ * Build the malware scanner named in the scan configuration. A scanner has
+ * one method, `scan(stream)`, resolving to { infected, signature }.
+ */
+function createScanner(options) {
+  switch (options.scanner) {
+    case 'clamd':
+      return new ClamdScanner(options.clamd);
+    case 'fake':
+      return new FakeScanner();
+    default:
+      throw new Error(`Unknown malware scanner: ${options.scanner}`);
+  }
+}
+
+module.exports = {
+  createScanner,
+  ClamdScanner,
+  FakeScanner
+};
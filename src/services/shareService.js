@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AppError, ForbiddenError } = require('../utils/errors');
+const { assertValidObjectKey } = require('../utils/objectKey');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SHARES_PREFIX = 'shares/';
+// 16 random bytes, base64url encoded
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+const MAX_PASSWORD_LENGTH = 1024;
+
+const hashPassword = async (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = await scrypt(password, salt, 32);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+// Records as returned to clients, without the password's hash
+const publicRecord = ({ passwordHash, ...record }) => ({ ...record, hasPassword: Boolean(passwordHash) });
+
+const isAdmin = principal => principal.scopes.includes('admin');
+
+/**
+ * Share links stored as system objects of the default bucket, whatever the
+ * tenant of the shared file. A link is a random token that opens one file,
+ * optionally only with a password (kept as a salted scrypt hash), until a
+ * date or for a number of downloads, and until it is revoked. Unlike
+ * presigned URLs, links are checked on every request, so revoking one takes
+ * effect at once.
+ */
+class ShareService {
+  constructor(minioService) {
+    this.minioService = minioService;
+    // Download counts are updated one at a time on this instance
+    this.queue = Promise.resolve();
+  }
+
+  recordKey(token) {
+    return `${SHARES_PREFIX}${token}.json`;
+  }
+
+  serialise(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async createShare({
+    objectName, tenant = null, createdBy = null, password = null, expiresAt = null, maxDownloads = null
+  }) {
+    assertValidObjectKey(objectName);
+    if (password != null && (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH)) {
+      throw new AppError(`password must be a string of 1-${MAX_PASSWORD_LENGTH} characters`, 400, 'INVALID_SHARE');
+    }
+    const expires = expiresAt == null ? null : new Date(expiresAt);
+    if (expires && (Number.isNaN(expires.getTime()) || expires <= new Date())) {
+      throw new AppError('expiresAt must be a date in the future', 400, 'INVALID_SHARE');
+    }
+    if (maxDownloads != null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      throw new AppError('maxDownloads must be a positive integer', 400, 'INVALID_SHARE');
+    }
+
+    const token = crypto.randomBytes(16).toString('base64url');
+    const record = {
+      token,
+      objectName,
+      tenant,
+      createdBy,
+      passwordHash: password ? await hashPassword(password) : null,
+      expiresAt: expires && expires.toISOString(),
+      maxDownloads,
+      downloads: 0,
+      lastAccessedAt: null,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    await this.minioService.writeSystemObject(this.recordKey(token), record);
+    return publicRecord(record);
+  }
+
+  async readShare(token) {
+    const share = TOKEN_PATTERN.test(token)
+      ? await this.minioService.readSystemObject(this.recordKey(token))
+      : null;
+    if (!share) {
+      throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+    }
+    return share;
+  }
+
+  async getShare(token) {
+    return publicRecord(await this.readShare(token));
+  }
+
+  // Shares of a tenant (null for the default bucket) the principal may manage, optionally of one file
+  async listShares({ tenant = null, principal = null, objectName = null } = {}) {
+    const keys = await this.minioService.listSystemObjects(SHARES_PREFIX);
+    const shares = await Promise.all(keys.map(key => this.minioService.readSystemObject(key)));
+    return shares
+      .filter(share => share && share.tenant === tenant)
+      .filter(share => !objectName || share.objectName === objectName)
+      .filter(share => !principal || isAdmin(principal) || share.createdBy === principal.id)
+      .map(publicRecord);
+  }
+
+  // Throw unless the principal created the share or is an admin; anonymous callers pass
+  assertManager(principal, share) {
+    if (principal && !isAdmin(principal) && share.createdBy !== principal.id) {
+      throw new ForbiddenError('This share link belongs to another user');
+    }
+  }
+
+  // Revoked shares are kept, so the listing still shows how often they were used
+  async revokeShare(token, { tenant = null, principal = null } = {}) {
+    const share = await this.readShare(token);
+    if (share.tenant !== tenant) {
+      throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+    }
+    this.assertManager(principal, share);
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date().toISOString();
+      await this.minioService.writeSystemObject(this.recordKey(token), share);
+    }
+    return publicRecord(share);
+  }
+
+  // Throw unless the share can still be used, whoever asks
+  assertActive(share) {
+    if (share.revokedAt) {
+      throw new AppError('Share link was revoked', 410, 'SHARE_REVOKED');
+    }
+    if (share.expiresAt && new Date(share.expiresAt) <= new Date()) {
+      throw new AppError('Share link has expired', 410, 'SHARE_EXPIRED');
+    }
+    if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+      throw new AppError(`Share link was used for its ${share.maxDownloads} downloads`, 410, 'SHARE_EXHAUSTED');
+    }
+  }
+
+  /**
+   * Resolve to the share behind `token` if it is active and `password`
+   * matches the one it was created with; throws SHARE_NOT_FOUND, a 410
+   * error or SHARE_PASSWORD_REQUIRED / INVALID_SHARE_PASSWORD otherwise.
+   */
+  async openShare(token, password) {
+    const share = await this.readShare(token);
+    this.assertActive(share);
+
+    if (share.passwordHash) {
+      if (!password) {
+        throw new AppError('This share link requires a password', 401, 'SHARE_PASSWORD_REQUIRED');
+      }
+      const [salt] = share.passwordHash.split(':');
+      const expected = Buffer.from(share.passwordHash);
+      const actual = Buffer.from(await hashPassword(String(password), salt));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AppError('Incorrect share link password', 401, 'INVALID_SHARE_PASSWORD');
+      }
+    }
+    return publicRecord(share);
+  }
+
+  /**
+   * Count a download of the share. The limit is checked again against the
+   * stored count, so concurrent downloads cannot overrun it on this
+   * instance.
+   */
+  async recordDownload(token) {
+    return this.serialise(async () => {
+      const share = await this.readShare(token);
+      this.assertActive(share);
+
+      share.downloads += 1;
+      share.lastAccessedAt = new Date().toISOString();
+      await this.minioService.writeSystemObject(this.recordKey(token), share);
+      return publicRecord(share);
+    });
+  }
+}
+
+module.exports = ShareService;
@@ -0,0 +1,132 @@
+const config = require('../config');
+const MinioService = require('./minioService');
+const { AppError } = require('../utils/errors');
+
+const TENANTS_PREFIX = 'tenants/';
+const TENANT_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+// S3 bucket naming rules, minus the rarely wanted dots
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/;
+
+const MIME_PATTERN = /^[\w.+-]+\/(?:\*|[\w.+-]+)$/;
+
+// Limits a tenant leaves unset fall back to the global configuration
+function tenantLimits(tenant) {
+  return Object.fromEntries(
+    ['allowedFileTypes', 'maxFileSize', 'urlExpiry', 'quotaSize', 'quotaObjects']
+      .filter(key => tenant[key] != null)
+      .map(key => [key, tenant[key]])
+  );
+}
+
+const SIZE_PATTERN = /^\d+(?:\.\d+)?\s*(B|KB|MB|GB)$/i;
+
+function validateLimits({ allowedFileTypes, maxFileSize, urlExpiry, quotaSize, quotaObjects }) {
+  if (allowedFileTypes != null
+    && (!Array.isArray(allowedFileTypes) || !allowedFileTypes.length || !allowedFileTypes.every(type => MIME_PATTERN.test(type)))) {
+    throw new AppError('allowedFileTypes must be a non-empty array of MIME types such as image/*', 400, 'INVALID_TENANT');
+  }
+  // parseSize falls back to 10MB for anything it cannot read
+  if (maxFileSize != null && !SIZE_PATTERN.test(maxFileSize)) {
+    throw new AppError('maxFileSize must be a size such as 500MB', 400, 'INVALID_TENANT');
+  }
+  if (quotaSize != null && !SIZE_PATTERN.test(quotaSize)) {
+    throw new AppError('quotaSize must be a size such as 50GB', 400, 'INVALID_TENANT');
+  }
+  if (quotaObjects != null && (!Number.isInteger(quotaObjects) || quotaObjects < 1)) {
+    throw new AppError('quotaObjects must be a positive integer', 400, 'INVALID_TENANT');
+  }
+  if (urlExpiry != null && (!Number.isInteger(urlExpiry) || urlExpiry < 1 || urlExpiry > 604800)) {
+    throw new AppError('urlExpiry must be between 1 and 604800 seconds', 400, 'INVALID_TENANT');
+  }
+}
+
+/**
+ * Tenants of a shared deployment. Each one stores its files in a bucket of
+ * its own and may override the allowed file types, maximum file size, URL
+ * expiry and storage quota. Tenant records live in the default bucket; the MinioService
+ * serving each tenant is created once and reused.
+ */
+class TenantService {
+  constructor(minioService) {
+    this.minioService = minioService;
+    this.services = new Map();
+  }
+
+  recordKey(id) {
+    return `${TENANTS_PREFIX}${id}.json`;
+  }
+
+  async createTenant({
+    id, name = '', bucket, allowedFileTypes = null, maxFileSize = null, urlExpiry = null, quotaSize = null, quotaObjects = null
+  }) {
+    if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+      throw new AppError('id must be 1-32 lowercase letters, digits or dashes', 400, 'INVALID_TENANT');
+    }
+    const bucketName = bucket || `${config.minio.bucketName}-${id}`;
+    if (!BUCKET_PATTERN.test(bucketName)) {
+      throw new AppError(`Invalid bucket name: ${bucketName}`, 400, 'INVALID_TENANT');
+    }
+    validateLimits({ allowedFileTypes, maxFileSize, urlExpiry, quotaSize, quotaObjects });
+
+    const tenants = await this.listTenants();
+    if (tenants.some(tenant => tenant.id === id)) {
+      throw new AppError(`Tenant ${id} already exists`, 409, 'TENANT_EXISTS');
+    }
+    if (bucketName === this.minioService.bucketName || tenants.some(tenant => tenant.bucket === bucketName)) {
+      throw new AppError(`Bucket ${bucketName} is already in use`, 409, 'TENANT_EXISTS');
+    }
+
+    const tenant = {
+      id,
+      name,
+      bucket: bucketName,
+      allowedFileTypes,
+      maxFileSize,
+      urlExpiry,
+      quotaSize,
+      quotaObjects,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      disabledAt: null
+    };
+    await this.serviceFor(tenant).initialize();
+    await this.minioService.writeSystemObject(this.recordKey(id), tenant);
+    return tenant;
+  }
+
+  async listTenants() {
+    const keys = await this.minioService.listSystemObjects(TENANTS_PREFIX);
+    const tenants = await Promise.all(keys.map(key => this.minioService.readSystemObject(key)));
+    return tenants.filter(Boolean);
+  }
+
+  async getTenant(id) {
+    const tenant = typeof id === 'string' && TENANT_ID_PATTERN.test(id)
+      ? await this.minioService.readSystemObject(this.recordKey(id))
+      : null;
+    if (!tenant) {
+      throw new AppError(`Tenant ${id} not found`, 404, 'TENANT_NOT_FOUND');
+    }
+    return tenant;
+  }
+
+  // Disabled tenants keep their bucket and files but can no longer be used
+  async disableTenant(id) {
+    const tenant = await this.getTenant(id);
+    if (!tenant.disabled) {
+      tenant.disabled = true;
+      tenant.disabledAt = new Date().toISOString();
+      await this.minioService.writeSystemObject(this.recordKey(id), tenant);
+    }
+    return tenant;
+  }
+
+  serviceFor(tenant) {
+    if (!this.services.has(tenant.id)) {
+      this.services.set(tenant.id, new MinioService({ bucketName: tenant.bucket, limits: tenantLimits(tenant) }));
+    }
+    return this.services.get(tenant.id);
+  }
+}
+
+module.exports = TenantService;
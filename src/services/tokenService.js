@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { jwtVerify, createRemoteJWKSet, errors } = require('jose');
+const config = require('../config');
+const { UnauthorizedError } = require('../utils/errors');
+
+// As long as jose waits for the JWKS
+const DISCOVERY_TIMEOUT = 5000;
+
+// Compact JWS: three base64url segments
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+// Claims may be dotted paths, e.g. Keycloak's realm_access.roles
+const readClaim = (payload, path) => path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), payload);
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean);
+  return [];
+};
+
+/**
+ * Verifies OIDC bearer tokens. Keys come from the issuer's JWKS, found
+ * through its discovery document unless JWT_JWKS_URI is set and cached by
+ * jose, or from JWT_PUBLIC_KEY (a PEM public key or an HMAC secret) when
+ * testing without an identity provider.
+ */
+class TokenService {
+  constructor(options = config.auth.jwt) {
+    this.options = options;
+    this.keySet = null;
+  }
+
+  get enabled() {
+    return Boolean(this.options.issuer || this.options.jwksUri || this.options.publicKey);
+  }
+
+  static isToken(value) {
+    return JWT_PATTERN.test(value);
+  }
+
+  async getKey() {
+    const { publicKey, jwksUri, jwksCacheMaxAge } = this.options;
+
+    if (publicKey) {
+      return publicKey.includes('-----BEGIN')
+        ? crypto.createPublicKey(publicKey)
+        : crypto.createSecretKey(Buffer.from(publicKey));
+    }
+
+    if (!this.keySet) {
+      this.keySet = (jwksUri ? Promise.resolve(jwksUri) : this.discoverJwksUri())
+        .then(uri => createRemoteJWKSet(new URL(uri), { cacheMaxAge: jwksCacheMaxAge }))
+        .catch((error) => {
+          // Retry discovery on the next request
+          this.keySet = null;
+          throw error;
+        });
+    }
+    return this.keySet;
+  }
+
+  async discoverJwksUri() {
+    const url = `${this.options.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(DISCOVERY_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed: ${url} returned ${response.status}`);
+    }
+
+    const { jwks_uri: jwksUri } = await response.json();
+    if (!jwksUri) {
+      throw new Error(`OIDC discovery failed: ${url} has no jwks_uri`);
+    }
+    return jwksUri;
+  }
+
+  // Resolves to { id, roles, tenant, claims } or throws UnauthorizedError
+  async verify(token) {
+    const { issuer, audience, algorithms, userClaim, rolesClaim, tenantClaim } = this.options;
+    const key = await this.getKey();
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, key, {
+        issuer: issuer || undefined,
+        audience: audience || undefined,
+        algorithms: algorithms.length ? algorithms : undefined
+      }));
+    } catch (error) {
+      if (error instanceof errors.JWTExpired) {
+        throw new UnauthorizedError('Bearer token has expired');
+      }
+      // Key set fetch failures are ours, not the client's
+      if (error instanceof errors.JOSEError && !(error instanceof errors.JWKSTimeout || error instanceof errors.JWKSInvalid)) {
+        throw new UnauthorizedError('Invalid bearer token');
+      }
+      throw error;
+    }
+
+    const id = readClaim(payload, userClaim);
+    if (id == null || id === '') {
+      throw new UnauthorizedError(`Bearer token has no ${userClaim} claim`);
+    }
+
+    const tenant = readClaim(payload, tenantClaim);
+    return {
+      id: String(id),
+      roles: toList(readClaim(payload, rolesClaim)),
+      tenant: typeof tenant === 'string' && tenant ? tenant : null,
+      claims: payload
+    };
+  }
+}
+
+module.exports = TokenService;
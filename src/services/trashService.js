@@ -0,0 +1,226 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { AppError, ForbiddenError } = require('../utils/errors');
+const { SYSTEM_PREFIX, assertValidObjectKey } = require('../utils/objectKey');
+const { ownerScope, assertOwner } = require('../utils/ownership');
+
+const RECORD_PREFIX = 'trash/records/';
+const CONTENT_PREFIX = `${SYSTEM_PREFIX}trash/objects/`;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+
+// Prefix-limited keys only see trashed files that were stored inside their prefix
+const assertInPrefix = (principal, objectName) => {
+  const own = principal && principal.prefix;
+  if (own && !objectName.startsWith(own)) {
+    throw new ForbiddenError(`Access is limited to ${own}`);
+  }
+};
+
+const assertIds = (ids) => {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    throw new AppError('ids must be a list of trash ids', 400, 'INVALID_TRASH_REQUEST');
+  }
+  if (ids.length > BATCH_SIZE) {
+    throw new AppError(`Up to ${BATCH_SIZE} trashed files can be handled at once`, 400, 'INVALID_TRASH_REQUEST');
+  }
+};
+
+/**
+ * Deleted files of one bucket, kept for TRASH_RETENTION_DAYS before they are
+ * gone for good. Trashing a file moves its object, metadata and tags included,
+ * below the system prefix, next to a record of where it came from;
+ * restoring moves it back. Trashed files are out of listings and no longer
+ * count towards storage usage. `purgeExpired` deletes files kept past the
+ * retention period.
+ */
+class TrashService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  get enabled() {
+    return config.trash.enabled;
+  }
+
+  recordKey(id) {
+    return `${RECORD_PREFIX}${id}.json`;
+  }
+
+  contentKey(id) {
+    return `${CONTENT_PREFIX}${id}`;
+  }
+
+  /**
+   * Move a file, given with its stat, into the trash. Resolves to the
+   * record of the trashed file.
+   */
+  async add(objectName, stat, principal = null) {
+    const id = uuidv4();
+    const deletedAt = new Date();
+    const hash = stat.metaData['content-sha256'];
+    let size = stat.size;
+    if (stat.metaData['dedup-ref']) {
+      // References are empty; their owner was charged for the content
+      const content = await this.minioService.dedup.resolve(hash).catch(() => null);
+      size = content ? content.stat.size : 0;
+    }
+
+    const record = {
+      id,
+      objectName,
+      originalName: stat.metaData['original-name'] || path.posix.basename(objectName),
+      owner: stat.metaData.owner || null,
+      size,
+      deletedAt: deletedAt.toISOString(),
+      deletedBy: principal ? principal.id : null,
+      expiresAt: new Date(deletedAt.getTime() + config.trash.retentionDays * DAY).toISOString()
+    };
+
+    // Recorded first, so the moved object is never left without its record
+    await this.minioService.writeSystemObject(this.recordKey(id), record);
+    try {
+      const tags = await this.minioService.getObjectTags(objectName);
+      await this.minioService.relocateObject(objectName, this.contentKey(id), stat.metaData, tags);
+    } catch (error) {
+      await this.minioService.removeSystemObject(this.recordKey(id));
+      throw error;
+    }
+
+    await this.minioService.usage.record(record.owner, -size, -1);
+    await this.minioService.metadata.remove(objectName);
+    return record;
+  }
+
+  /**
+   * Trashed files the principal may see, most recently deleted first: token
+   * users see their own, prefix-limited keys those from inside their prefix.
+   */
+  async list(principal = null) {
+    const owner = ownerScope(principal);
+    const own = principal && principal.prefix;
+    const keys = await this.minioService.listSystemObjects(RECORD_PREFIX);
+    const records = await Promise.all(keys.map(key => this.minioService.readSystemObject(key)));
+
+    return records
+      .filter(Boolean)
+      .filter(record => owner === null || record.owner === owner)
+      .filter(record => !own || record.objectName.startsWith(own))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  async get(id, principal = null) {
+    const record = ID_PATTERN.test(String(id)) && await this.minioService.readSystemObject(this.recordKey(id));
+    if (!record) {
+      throw new AppError('Trashed file not found', 404, 'TRASH_NOT_FOUND');
+    }
+    assertOwner(principal, record.owner);
+    assertInPrefix(principal, record.objectName);
+    return record;
+  }
+
+  /**
+   * Move a trashed file back to where it was deleted from, or to `target`.
+   * An existing file there is only replaced with `overwrite`, else 409
+   * FILE_EXISTS. The file counts towards storage usage again.
+   */
+  async restore(id, { target, overwrite = false } = {}, principal = null) {
+    const record = await this.get(id, principal);
+    const objectName = target || record.objectName;
+    assertValidObjectKey(objectName);
+    assertInPrefix(principal, objectName);
+
+    const content = await this.minioService.statObject(this.contentKey(id));
+    if (!content) {
+      throw new AppError('Trashed content is missing', 500, 'CONTENT_MISSING');
+    }
+    const existing = await this.minioService.statObject(objectName);
+    if (existing && !overwrite) {
+      throw new AppError(`${objectName} already exists`, 409, 'FILE_EXISTS');
+    }
+    await this.minioService.usage.assertWithinQuota(principal, record.size, 1);
+    if (existing) {
+      await this.minioService.deleteFile(objectName, principal);
+    }
+
+    const tags = await this.minioService.getObjectTags(this.contentKey(id));
+    await this.minioService.relocateObject(this.contentKey(id), objectName, content.metaData, tags);
+    await this.minioService.removeSystemObject(this.recordKey(id));
+    await this.minioService.usage.record(record.owner, record.size, 1);
+    await this.minioService.metadata.sync(objectName);
+    return { ...record, restoredTo: objectName };
+  }
+
+  // Delete a trashed file for good
+  async purge(id, principal = null) {
+    const record = await this.get(id, principal);
+    await this.remove(record);
+    return record;
+  }
+
+  // Restore the trashed files of up to 1000 ids, each to where it was deleted from
+  async restoreMany(ids, principal = null) {
+    assertIds(ids);
+    return this.batch(ids, id => this.restore(id, {}, principal));
+  }
+
+  async purgeMany(ids, principal = null) {
+    assertIds(ids);
+    return this.batch(ids, id => this.purge(id, principal));
+  }
+
+  // Purge every trashed file the principal may see
+  async purgeAll(principal = null) {
+    const records = await this.list(principal);
+    return this.batch(records.map(record => record.id), id => this.purge(id, principal));
+  }
+
+  // Items that fail do not stop the rest; the result reports each id
+  async batch(ids, task) {
+    const items = [];
+    for (const id of [...new Set(ids)]) {
+      try {
+        await task(id);
+        items.push({ id, success: true });
+      } catch (error) {
+        items.push({ id, success: false, error: error.message, code: error.code || 'INTERNAL_ERROR' });
+      }
+    }
+    const succeeded = items.filter(item => item.success).length;
+    return { total: items.length, succeeded, failed: items.length - succeeded, items };
+  }
+
+  async remove(record) {
+    const contentKey = this.contentKey(record.id);
+    const content = await this.minioService.statObject(contentKey);
+    const hash = content && await this.minioService.dedup.hashOf(contentKey, content.metaData);
+    if (hash) {
+      await this.minioService.dedup.release(contentKey, hash);
+    }
+    if (content) {
+      await this.minioService.removeObject(contentKey);
+    }
+    await this.minioService.removeSystemObject(this.recordKey(record.id));
+  }
+
+  // Purge the files kept past the retention period; resolves to how many
+  async purgeExpired(now = new Date()) {
+    let count = 0;
+    for (const record of await this.list()) {
+      if (new Date(record.expiresAt) > now) continue;
+      try {
+        await this.remove(record);
+        count += 1;
+      } catch (error) {
+        console.error(`❌ Error purging ${record.objectName} from the trash:`, error.message);
+      }
+    }
+    return count;
+  }
+}
+
+TrashService.CONTENT_PREFIX = CONTENT_PREFIX;
+
+module.exports = TrashService;
@@ -0,0 +1,284 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { AppError } = require('../utils/errors');
+const { SNIFF_BYTES, resolveContentType } = require('../utils/fileType');
+const { scopedPath, ownerMetadata, assertOwner } = require('../utils/ownership');
+const { parseMetadata, assertMetadataSize, parseTags } = require('../utils/userMetadata');
+const { toUploadResult } = require('../utils/uploadResult');
+
+const UPLOADS_PREFIX = 'tus/';
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Resumable uploads following the tus 1.0 protocol.
+ * Every upload is backed by a MinIO multipart upload. Bytes that do not fill
+ * a whole part yet are parked in a side object until the next PATCH arrives,
+ * and the upload state itself is kept as a JSON document in the bucket so any
+ * instance of the service can resume it.
+ */
+class TusService {
+  constructor(minioService) {
+    this.minioService = minioService;
+    this.partSize = config.minio.partSize;
+    this.expiry = config.tus.uploadExpiry;
+    // Uploads currently receiving a PATCH on this instance
+    this.lockedUploads = new Set();
+  }
+
+  infoKey(id) {
+    return `${UPLOADS_PREFIX}${id}.info`;
+  }
+
+  tailKey(id) {
+    return `${UPLOADS_PREFIX}${id}.part`;
+  }
+
+  nextExpiry() {
+    return new Date(Date.now() + this.expiry * 1000).toISOString();
+  }
+
+  async createUpload(length, metadata = {}, principal = null) {
+    const id = uuidv4().replace(/-/g, '');
+    const originalName = metadata.filename || id;
+    const mimetype = metadata.filetype || 'application/octet-stream';
+    const objectName = this.minioService.buildObjectName(originalName, scopedPath(principal, metadata.path));
+    // Custom metadata (JSON) and tags may be announced in Upload-Metadata like the file name
+    const userMetadata = parseMetadata(metadata.metadata);
+    assertMetadataSize(userMetadata);
+    const tags = parseTags(metadata.tags);
+    const metaData = {
+      ...userMetadata,
+      'Content-Type': mimetype,
+      'Original-Name': originalName,
+      'Upload-Date': new Date().toISOString(),
+      ...ownerMetadata(principal),
+      ...this.minioService.scans.pendingMetadata()
+    };
+
+    const upload = {
+      id,
+      objectName,
+      uploadId: await this.minioService.createMultipartUpload(objectName, metaData),
+      length,
+      offset: 0,
+      tailSize: 0,
+      parts: [],
+      metadata,
+      originalName,
+      mimetype,
+      metaData,
+      tags,
+      owner: principal ? principal.id : null,
+      createdAt: new Date().toISOString(),
+      expiresAt: this.nextExpiry(),
+      result: null
+    };
+
+    // An empty file is complete as soon as it is announced
+    if (length === 0) {
+      await this.finish(upload, Buffer.alloc(0));
+    }
+
+    await this.save(upload);
+    return upload;
+  }
+
+  // Given a principal, only its own uploads are returned
+  async getUpload(id, principal = null) {
+    const upload = UPLOAD_ID_PATTERN.test(id)
+      ? await this.minioService.readSystemObject(this.infoKey(id))
+      : null;
+
+    if (!upload) {
+      throw new AppError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+    }
+    assertOwner(principal, upload.owner);
+    if (!upload.result && new Date(upload.expiresAt) < new Date()) {
+      throw new AppError('Upload has expired', 410, 'UPLOAD_EXPIRED');
+    }
+    return upload;
+  }
+
+  /**
+   * Append the bytes of a PATCH request at `offset`.
+   * Full parts are sent to MinIO as soon as they are buffered; whatever has
+   * arrived is kept even if the client disconnects, so it can resume from the
+   * offset reported by the next HEAD request.
+   */
+  async writeChunk(id, offset, stream, principal = null) {
+    if (this.lockedUploads.has(id)) {
+      throw new AppError('Upload is already being written to', 423, 'UPLOAD_LOCKED');
+    }
+    this.lockedUploads.add(id);
+
+    try {
+      const upload = await this.getUpload(id, principal);
+      if (offset !== upload.offset) {
+        throw new AppError(`Upload-Offset ${offset} does not match current offset ${upload.offset}`, 409, 'OFFSET_MISMATCH');
+      }
+
+      const pending = [];
+      let pendingSize = upload.tailSize;
+      if (upload.tailSize) {
+        pending.push(await this.minioService.readSystemData(this.tailKey(id)));
+      }
+
+      let received = 0;
+      let streamError = null;
+      try {
+        for await (const chunk of stream) {
+          if (upload.offset + received + chunk.length > upload.length) {
+            throw new AppError('Request body exceeds the declared Upload-Length', 413, 'UPLOAD_LENGTH_EXCEEDED');
+          }
+          pending.push(chunk);
+          pendingSize += chunk.length;
+          received += chunk.length;
+
+          if (pendingSize >= this.partSize) {
+            await this.uploadNextPart(upload, Buffer.concat(pending));
+            pending.length = 0;
+            pendingSize = 0;
+          }
+        }
+      } catch (error) {
+        streamError = error;
+      }
+
+      upload.offset += received;
+      const rest = Buffer.concat(pending);
+      if (upload.offset === upload.length) {
+        await this.finish(upload, rest);
+      } else {
+        await this.saveTail(upload, rest);
+        upload.expiresAt = this.nextExpiry();
+      }
+      await this.save(upload);
+
+      if (streamError) throw streamError;
+      return upload;
+    } finally {
+      this.lockedUploads.delete(id);
+    }
+  }
+
+  async uploadNextPart(upload, data) {
+    const part = await this.minioService.uploadPart(
+      upload.objectName,
+      upload.uploadId,
+      upload.parts.length + 1,
+      data
+    );
+    upload.parts.push(part);
+  }
+
+  async saveTail(upload, data) {
+    if (data.length) {
+      await this.minioService.writeSystemData(this.tailKey(upload.id), data);
+    } else if (upload.tailSize) {
+      await this.minioService.removeSystemObject(this.tailKey(upload.id));
+    }
+    upload.tailSize = data.length;
+  }
+
+  async finish(upload, rest) {
+    if (upload.parts.length === 0 && rest.length === 0) {
+      // S3 cannot complete a multipart upload without parts
+      await this.minioService.abortMultipartUpload(upload.objectName, upload.uploadId);
+      await this.minioService.putObject(upload.objectName, rest, upload.metaData);
+    } else {
+      if (rest.length) {
+        await this.uploadNextPart(upload, rest);
+      }
+      await this.minioService.completeMultipartUpload(upload.objectName, upload.uploadId, upload.parts);
+    }
+    await this.saveTail(upload, Buffer.alloc(0));
+    await this.checkContentType(upload);
+    const { hash, deduplicated } = await this.minioService.deduplicateStored(upload.objectName, upload.length, upload.metaData);
+    // Tagged after deduplication, which may replace the object with a reference
+    if (upload.tags && Object.keys(upload.tags).length) {
+      await this.minioService.setObjectTags(upload.objectName, upload.tags);
+    }
+
+    upload.result = toUploadResult({
+      objectName: upload.objectName,
+      originalName: upload.originalName,
+      size: upload.length,
+      mimetype: upload.mimetype,
+      hash,
+      deduplicated,
+      owner: upload.owner,
+      scanStatus: await this.minioService.scans.enqueue(upload.objectName),
+      metadata: parseMetadata(upload.metadata.metadata),
+      tags: upload.tags
+    });
+    await this.minioService.usage.record(upload.owner, upload.length, 1);
+    await this.minioService.metadata.sync(upload.objectName);
+    this.minioService.renditions.enqueue(upload.objectName, upload.mimetype);
+    // Completed uploads are remembered only so late HEAD requests still succeed
+    upload.expiresAt = this.nextExpiry();
+  }
+
+  // The filetype from Upload-Metadata is only a claim; check it against the assembled bytes
+  async checkContentType(upload) {
+    const head = await this.minioService.readHead(upload.objectName, Math.min(upload.length, SNIFF_BYTES));
+    let mimetype;
+    try {
+      mimetype = resolveContentType(head, upload.originalName, upload.mimetype, this.minioService.limits.allowedFileTypes);
+    } catch (error) {
+      // Not counted as stored yet, so removed directly rather than through deleteFile
+      await this.minioService.removeObject(upload.objectName);
+      await this.minioService.removeSystemObject(this.infoKey(upload.id));
+      throw error;
+    }
+
+    if (mimetype !== upload.mimetype) {
+      upload.mimetype = mimetype;
+      upload.metaData = { ...upload.metaData, 'Content-Type': mimetype };
+      await this.minioService.replaceMetadata(upload.objectName, upload.metaData);
+    }
+  }
+
+  async save(upload) {
+    await this.minioService.writeSystemObject(this.infoKey(upload.id), upload);
+  }
+
+  async terminate(id, principal = null) {
+    const upload = UPLOAD_ID_PATTERN.test(id)
+      ? await this.minioService.readSystemObject(this.infoKey(id))
+      : null;
+    if (!upload) {
+      throw new AppError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+    }
+    assertOwner(principal, upload.owner);
+    await this.discard(upload);
+  }
+
+  async discard(upload) {
+    if (!upload.result) {
+      try {
+        await this.minioService.abortMultipartUpload(upload.objectName, upload.uploadId);
+      } catch (error) {
+        console.error('❌ Error aborting tus upload:', error.message);
+      }
+      await this.saveTail(upload, Buffer.alloc(0));
+    }
+    await this.minioService.removeSystemObject(this.infoKey(upload.id));
+  }
+
+  // Drop uploads (finished or not) whose expiration date has passed
+  async removeExpired() {
+    const keys = await this.minioService.listSystemObjects(UPLOADS_PREFIX);
+    let removed = 0;
+
+    for (const key of keys.filter(name => name.endsWith('.info'))) {
+      const upload = await this.minioService.readSystemObject(key);
+      if (upload && new Date(upload.expiresAt) < new Date() && !this.lockedUploads.has(upload.id)) {
+        await this.discard(upload);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = TusService;
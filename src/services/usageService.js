@@ -0,0 +1,189 @@
+const config = require('../config');
+const { AppError } = require('../utils/errors');
+const { parseSize } = require('../utils/uploadLimits');
+
+const USAGE_PREFIX = 'usage/';
+const BUCKET_KEY = `${USAGE_PREFIX}bucket.json`;
+const OWNERS_PREFIX = `${USAGE_PREFIX}owners/`;
+
+// Times a counter update is retried after losing to a concurrent one
+const MAX_ATTEMPTS = 5;
+
+// Update queues per bucket, so every service of a bucket in this process shares them
+const bucketQueues = new Map();
+
+// Quota as { bytes, objects }, either null when unlimited
+const toQuota = (size, objects) => ({ bytes: size ? parseSize(size) : null, objects: objects || null });
+
+const isUnlimited = quota => !quota || (quota.bytes === null && quota.objects === null);
+
+/**
+ * Storage used per owner and by the whole bucket, kept as counters in
+ * system objects that are updated as files are stored and deleted. Updates
+ * run one at a time per bucket within the process and are written
+ * conditionally on the counter's ETag, so updates racing another process are
+ * redone. The counters can still drift, e.g. when the process dies between
+ * storing a file and counting it; `reconcile` recomputes them from a bucket
+ * listing. Sizes are the ones clients see, so
+ * deduplicated references count in full.
+ */
+class UsageService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  ownerKey(owner) {
+    return `${OWNERS_PREFIX}${encodeURIComponent(owner)}.json`;
+  }
+
+  serialise(task) {
+    const { bucketName } = this.minioService;
+    const run = (bucketQueues.get(bucketName) || Promise.resolve()).then(task);
+    bucketQueues.set(bucketName, run.catch(() => {}));
+    return run;
+  }
+
+  async read(key) {
+    const usage = await this.minioService.readSystemObject(key);
+    return { bytes: 0, objects: 0, ...usage };
+  }
+
+  async write(key, { bytes, objects }) {
+    await this.minioService.writeSystemObject(key, { bytes, objects, updatedAt: new Date().toISOString() });
+  }
+
+  // Add to a counter, redoing the update when another process wrote the counter meanwhile
+  async add(key, bytes, objects) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const { value, etag } = await this.minioService.readSystemRecord(key);
+      const usage = { bytes: 0, objects: 0, ...value };
+      const written = await this.minioService.writeSystemObjectIf(key, {
+        bytes: Math.max(0, usage.bytes + bytes),
+        objects: Math.max(0, usage.objects + objects),
+        updatedAt: new Date().toISOString()
+      }, etag);
+      if (written) return;
+    }
+    throw new Error(`${key} kept changing`);
+  }
+
+  /**
+   * Count `objects` files holding `bytes` for `owner` and the bucket; pass
+   * negative numbers when files go away. Anonymous files (no owner) only
+   * count for the bucket. Failures are logged, not thrown: the file itself
+   * was stored or deleted, and the next reconciliation fixes the counters.
+   */
+  async record(owner, bytes, objects) {
+    try {
+      await this.serialise(async () => {
+        const keys = owner ? [BUCKET_KEY, this.ownerKey(owner)] : [BUCKET_KEY];
+        for (const key of keys) {
+          await this.add(key, bytes, objects);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error updating storage usage:', error.message);
+    }
+  }
+
+  // User quotas bind every principal but admins; the bucket's comes from the tenant's limits
+  quotas(principal) {
+    const { quotaSize, quotaObjects } = this.minioService.limits;
+    return {
+      user: principal && !principal.scopes.includes('admin')
+        ? toQuota(config.quota.userSize, config.quota.userObjects)
+        : null,
+      tenant: toQuota(quotaSize, quotaObjects)
+    };
+  }
+
+  // Usage and quota of the principal (null when anonymous) and of the bucket
+  async getUsage(principal) {
+    const quotas = this.quotas(principal);
+    const [bucket, own] = await Promise.all([
+      this.read(BUCKET_KEY),
+      principal ? this.read(this.ownerKey(principal.id)) : null
+    ]);
+
+    return {
+      user: own && { id: principal.id, bytes: own.bytes, objects: own.objects, quota: quotas.user },
+      tenant: { bucket: this.minioService.bucketName, bytes: bucket.bytes, objects: bucket.objects, quota: quotas.tenant }
+    };
+  }
+
+  /**
+   * Throw QUOTA_EXCEEDED unless `objects` more files holding `bytes` fit in
+   * the principal's and the bucket's quota. With nothing to add, this checks
+   * whether either quota is already exceeded.
+   */
+  async assertWithinQuota(principal, bytes = 0, objects = 0) {
+    const quotas = this.quotas(principal);
+    if (isUnlimited(quotas.user) && isUnlimited(quotas.tenant)) return;
+
+    const usage = await this.getUsage(principal);
+    for (const [label, current] of [['User', usage.user], ['Tenant', usage.tenant]]) {
+      const quota = current && current.quota;
+      if (!quota) continue;
+
+      if (quota.bytes !== null && current.bytes + bytes > quota.bytes) {
+        throw new AppError(`${label} storage quota of ${quota.bytes} bytes exceeded (${current.bytes} used)`, 413, 'QUOTA_EXCEEDED');
+      }
+      if (quota.objects !== null && current.objects + objects > quota.objects) {
+        throw new AppError(`${label} quota of ${quota.objects} files exceeded (${current.objects} stored)`, 413, 'QUOTA_EXCEEDED');
+      }
+    }
+  }
+
+  /**
+   * Recompute all counters from the files in the bucket, replacing the
+   * stored ones. Files stored or deleted while it runs may be miscounted
+   * until the next run. Resolves to the bucket totals.
+   */
+  async reconcile() {
+    // Files expired behind the service's back still hold on to deduplicated content
+    const blobs = await this.minioService.dedup.prune();
+    if (blobs) {
+      console.log(`🧹 Removed ${blobs} deduplicated blobs no file uses from '${this.minioService.bucketName}'`);
+    }
+
+    const bucket = { bytes: 0, objects: 0 };
+    const owners = new Map();
+
+    for await (const { name } of this.minioService.iterateFiles()) {
+      let stat;
+      try {
+        stat = await this.minioService.statFile(name);
+      } catch (error) {
+        // A reference whose content went missing still counts as a file
+        stat = await this.minioService.statObject(name);
+      }
+      if (!stat) continue;
+
+      bucket.bytes += stat.size;
+      bucket.objects += 1;
+      const { owner } = stat.metaData;
+      if (owner) {
+        const usage = owners.get(owner) || { bytes: 0, objects: 0 };
+        usage.bytes += stat.size;
+        usage.objects += 1;
+        owners.set(owner, usage);
+      }
+    }
+
+    await this.serialise(async () => {
+      const current = new Set([...owners.keys()].map(owner => this.ownerKey(owner)));
+      const stored = await this.minioService.listSystemObjects(OWNERS_PREFIX);
+      for (const key of stored.filter(key => !current.has(key))) {
+        await this.minioService.removeSystemObject(key);
+      }
+      for (const [owner, usage] of owners) {
+        await this.write(this.ownerKey(owner), usage);
+      }
+      await this.write(BUCKET_KEY, bucket);
+    });
+
+    return { ...bucket, owners: owners.size };
+  }
+}
+
+module.exports = UsageService;
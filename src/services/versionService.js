@@ -0,0 +1,232 @@
+const path = require('path');
+const { AppError } = require('../utils/errors');
+const { assertValidObjectKey } = require('../utils/objectKey');
+const { assertOwner } = require('../utils/ownership');
+
+// MinIO names versions by UUID; objects stored before versioning was turned on have the version "null"
+const VERSION_ID_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|null)$/i;
+
+function assertVersionId(versionId) {
+  if (typeof versionId !== 'string' || !VERSION_ID_PATTERN.test(versionId)) {
+    throw new AppError('versionId must be a version id as listed by /versions', 400, 'INVALID_VERSION');
+  }
+}
+
+const versionNotFound = () => new AppError('Version not found', 404, 'VERSION_NOT_FOUND');
+
+// Metadata of a version to store on its restored copy: x-amz-* response headers
+// are not the object's, and deduplication marks the copy anew
+const restoredMetadata = metaData => Object.fromEntries(Object.entries(metaData).filter(([key]) => {
+  const name = key.toLowerCase();
+  return !name.startsWith('x-amz-') && name !== 'content-sha256' && name !== 'dedup-ref';
+}));
+
+// A file's owner is the owner of its newest version with content
+function ownerOf(versions) {
+  const newest = versions.find(version => !version.isDeleteMarker);
+  return newest ? newest.owner : null;
+}
+
+/**
+ * Version history of files, on top of MinIO bucket versioning. Every
+ * upload replacing a file, and every delete, leaves the previous content
+ * as a noncurrent version that can be read, restored as the current file
+ * or deleted. Bookkeeping objects below the system prefix keep no history.
+ *
+ * Storing one upload may take several writes (deduplication and malware
+ * scans rewrite the object's metadata), each a version of its own; versions
+ * sharing an upload date are one upload and listed as one.
+ */
+class VersionService {
+  constructor(minioService) {
+    this.minioService = minioService;
+  }
+
+  // Versions of a key, newest first, with the ids of the writes folded into each
+  async history(objectName) {
+    const listed = [];
+    for await (const obj of this.minioService.iterateVersions(objectName)) {
+      listed.push({ ...obj, isLatest: String(obj.isLatest) === 'true' });
+    }
+    // Versions and delete markers are listed apart
+    listed.sort((a, b) => (b.lastModified - a.lastModified) || (b.isLatest - a.isLatest));
+
+    const versions = [];
+    for (const obj of listed) {
+      const version = obj.isDeleteMarker
+        ? { versionId: obj.versionId, isLatest: obj.isLatest, isDeleteMarker: true, lastModified: obj.lastModified }
+        : await this.summarize(obj);
+      if (!version) continue;
+
+      const newer = versions[versions.length - 1];
+      if (newer && !newer.isDeleteMarker && !version.isDeleteMarker && newer.uploadDate && newer.uploadDate === version.uploadDate) {
+        newer.versionIds.push(version.versionId);
+        continue;
+      }
+      versions.push({ ...version, versionIds: [version.versionId] });
+    }
+    return versions;
+  }
+
+  async summarize(obj) {
+    const stat = await this.minioService.statObject(obj.name, obj.versionId);
+    // Deleted since it was listed
+    if (!stat) return null;
+
+    const { metaData } = stat;
+    let size = stat.size;
+    if (metaData['dedup-ref']) {
+      const content = await this.minioService.dedup.resolve(metaData['content-sha256']).catch(() => null);
+      size = content ? content.stat.size : null;
+    }
+    return {
+      versionId: obj.versionId,
+      isLatest: obj.isLatest,
+      isDeleteMarker: false,
+      lastModified: obj.lastModified,
+      size,
+      etag: stat.etag,
+      originalName: metaData['original-name'] || path.posix.basename(obj.name),
+      mimetype: metaData['content-type'] || 'application/octet-stream',
+      owner: metaData.owner || null,
+      uploadDate: metaData['upload-date'] || null
+    };
+  }
+
+  /**
+   * Versions of a file, newest first, including delete markers left by
+   * deleting it. The file belongs to the owner of its newest version.
+   */
+  async list(objectName, principal = null) {
+    assertValidObjectKey(objectName);
+    const versions = await this.history(objectName);
+    if (!versions.length) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    assertOwner(principal, ownerOf(versions));
+    return versions.map(({ versionIds, ...version }) => version);
+  }
+
+  // Stat of one version; delete markers have no content to stat
+  async statVersion(objectName, versionId) {
+    assertValidObjectKey(objectName);
+    assertVersionId(versionId);
+
+    let stat;
+    try {
+      stat = await this.minioService.statObject(objectName, versionId);
+    } catch (error) {
+      if (error.code === 'MethodNotAllowed') {
+        throw new AppError('This version is a delete marker', 400, 'INVALID_VERSION');
+      }
+      throw error;
+    }
+    if (!stat) throw versionNotFound();
+    return stat;
+  }
+
+  /**
+   * Like MinioService.statFile, for one version. A deduplicated version
+   * resolves to the content it points to, as long as that is stored;
+   * `storageVersionId` is the version to read otherwise.
+   */
+  async statFile(objectName, versionId) {
+    const stat = await this.statVersion(objectName, versionId);
+    if (!stat.metaData['dedup-ref']) {
+      return { ...stat, storageKey: objectName, storageVersionId: versionId };
+    }
+
+    const blob = await this.minioService.dedup.resolve(stat.metaData['content-sha256']);
+    return { ...stat, size: blob.stat.size, etag: blob.stat.etag, storageKey: blob.key };
+  }
+
+  /**
+   * Make an older version the current file again, by copying it on top.
+   * The file it replaces becomes a version itself; restoring a deleted
+   * file brings it back.
+   */
+  async restore(objectName, versionId, principal = null) {
+    const version = await this.statVersion(objectName, versionId);
+    assertOwner(principal, version.metaData.owner);
+    const current = await this.minioService.statObject(objectName);
+    if (current) {
+      assertOwner(principal, current.metaData.owner);
+    }
+
+    const owner = version.metaData.owner || null;
+    const hash = version.metaData['content-sha256'];
+    const reference = Boolean(version.metaData['dedup-ref']);
+    let size = version.size;
+    if (reference) {
+      const content = await this.minioService.dedup.resolve(hash).catch(() => null);
+      if (!content) {
+        throw new AppError('The content of this version is no longer stored', 410, 'VERSION_CONTENT_MISSING');
+      }
+      size = content.stat.size;
+    }
+    if (current && current.versionId === versionId) {
+      return { success: true, objectName, versionId, size, owner, restored: false };
+    }
+
+    await this.minioService.usage.assertWithinQuota(principal, size, current ? 0 : 1);
+    if (current) {
+      await this.minioService.vacateFile(objectName, current);
+    }
+
+    // The current file is only let go of once the version is in place: it may
+    // be the last file using the very content the version links to
+    const tags = await this.minioService.getObjectTags(objectName, versionId);
+    const metaData = restoredMetadata(version.metaData);
+    if (reference) {
+      if (!(await this.minioService.dedup.link(objectName, hash, metaData))) {
+        throw new AppError('The content of this version is no longer stored', 410, 'VERSION_CONTENT_MISSING');
+      }
+      await this.minioService.setObjectTags(objectName, tags);
+    } else {
+      await this.minioService.copyContent(objectName, objectName, metaData, tags, versionId);
+    }
+    const replaced = current ? await this.minioService.retireFile(objectName, current) : null;
+    if (!reference && hash) {
+      await this.minioService.deduplicate(objectName, hash, size, metaData);
+    }
+
+    if (replaced) {
+      await this.minioService.usage.record(replaced.owner, -replaced.size, -1);
+    }
+    await this.minioService.usage.record(owner, size, 1);
+    await this.minioService.metadata.sync(objectName);
+    return { success: true, objectName, versionId, size, owner, restored: true };
+  }
+
+  /**
+   * Delete an older version, or a delete marker, for good. The current
+   * version is the file itself: delete the file, or restore another version
+   * first. Versions under retention or legal hold stay.
+   */
+  async remove(objectName, versionId, principal = null) {
+    assertValidObjectKey(objectName);
+    assertVersionId(versionId);
+
+    const versions = await this.history(objectName);
+    const version = versions.find(entry => entry.versionIds.includes(versionId));
+    if (!version) throw versionNotFound();
+    assertOwner(principal, version.isDeleteMarker ? ownerOf(versions) : version.owner);
+    if (version.isLatest) {
+      throw new AppError('This is the current version; delete the file instead', 409, 'VERSION_IS_CURRENT');
+    }
+
+    for (const id of version.versionIds) {
+      try {
+        await this.minioService.removeObject(objectName, id);
+      } catch (error) {
+        if (error.code === 'AccessDenied') {
+          throw new AppError('This version is under retention or legal hold', 409, 'OBJECT_LOCKED');
+        }
+        throw error;
+      }
+    }
+    return { success: true, objectName, versionId: version.versionId, removed: version.versionIds.length };
+  }
+}
+
+module.exports = VersionService;
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+// Digest length in bytes of each supported algorithm
+const ALGORITHMS = {
+  md5: 16,
+  sha256: 32
+};
+
+function invalidChecksum(message) {
+  return new AppError(message, 400, 'INVALID_CHECKSUM');
+}
+
+// Digests may be sent as hex or base64; they are compared as hex
+function toHex(algorithm, digest) {
+  const length = ALGORITHMS[algorithm];
+
+  if (new RegExp(`^[a-f0-9]{${length * 2}}$`, 'i').test(digest)) {
+    return digest.toLowerCase();
+  }
+  const bytes = Buffer.from(digest, 'base64');
+  if (bytes.length === length && bytes.toString('base64') === digest) {
+    return bytes.toString('hex');
+  }
+  throw invalidChecksum(`Invalid ${algorithm} checksum: ${digest}`);
+}
+
+/**
+ * Parse a `checksum` form field: "<algorithm>:<digest>", or a bare hex
+ * digest whose length identifies the algorithm.
+ */
+function parseChecksum(value) {
+  const separator = value.indexOf(':');
+  if (separator === -1) {
+    const algorithm = Object.keys(ALGORITHMS).find(name => value.length === ALGORITHMS[name] * 2);
+    if (!algorithm) {
+      throw invalidChecksum('Checksum must be "md5:<digest>" or "sha256:<digest>"');
+    }
+    return { algorithm, value: toHex(algorithm, value) };
+  }
+
+  const algorithm = value.slice(0, separator).toLowerCase();
+  if (!ALGORITHMS[algorithm]) {
+    throw invalidChecksum(`Unsupported checksum algorithm: ${algorithm}`);
+  }
+  return { algorithm, value: toHex(algorithm, value.slice(separator + 1)) };
+}
+
+/**
+ * Checksum the client declared for the index-th file of an upload request.
+ * Each `checksum` field belongs to the file in the same position; the
+ * Content-MD5 and X-Checksum-SHA256 headers describe a single uploaded file.
+ */
+function requestChecksum(req, index) {
+  const fields = [].concat(req.body.checksum || []);
+  if (fields[index]) {
+    return parseChecksum(fields[index]);
+  }
+  if (index > 0) return null;
+
+  if (req.get('X-Checksum-SHA256')) {
+    return { algorithm: 'sha256', value: toHex('sha256', req.get('X-Checksum-SHA256')) };
+  }
+  if (req.get('Content-MD5')) {
+    return { algorithm: 'md5', value: toHex('md5', req.get('Content-MD5')) };
+  }
+  return null;
+}
+
+function checksumMismatch(checksum, actual) {
+  return new AppError(
+    `Checksum mismatch: expected ${checksum.algorithm} ${checksum.value}, got ${actual}`,
+    400,
+    'CHECKSUM_MISMATCH'
+  );
+}
+
+function verifyChecksum(checksum, data) {
+  const actual = crypto.createHash(checksum.algorithm).update(data).digest('hex');
+  if (actual !== checksum.value) {
+    throw checksumMismatch(checksum, actual);
+  }
+}
+
+module.exports = {
+  parseChecksum,
+  requestChecksum,
+  checksumMismatch,
+  verifyChecksum
+};
@@ -0,0 +1,83 @@
+const { pipeline } = require('stream');
+
+// A Range request only applies while If-Range still matches the stored object
+function rangeApplies(req, etag, lastModified) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange === etag;
+  return Date.parse(ifRange) >= Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+/**
+ * Answer a GET or HEAD request with the file `stat` describes (as returned by
+ * MinioService.statFile), honouring single byte ranges and conditional
+ * requests. Access checks are the caller's business. `onBody(range)`, if
+ * given, is awaited before a GET sends content (range is undefined for the
+ * whole file), not for HEAD, 304 or 416; what it throws is not sent.
+ */
+async function sendFile(req, res, minioService, stat, filename, { onBody } = {}) {
+  const etag = `"${stat.etag}"`;
+  const lastModified = new Date(stat.lastModified);
+  const headers = {
+    'Content-Type': stat.metaData['content-type'] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Last-Modified': lastModified.toUTCString(),
+    // Keep the compression middleware from re-encoding byte ranges
+    'Cache-Control': 'private, no-transform'
+  };
+  res.attachment(stat.metaData['original-name'] || filename);
+  res.set(headers);
+
+  // req.fresh evaluates If-None-Match / If-Modified-Since against the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range;
+  const ranges = req.get('Range') && stat.size > 0 && rangeApplies(req, etag, lastModified)
+    ? req.range(stat.size, { combine: true })
+    : undefined;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${stat.size}`);
+    return res.status(416).json({
+      success: false,
+      error: 'Requested range not satisfiable',
+      code: 'RANGE_NOT_SATISFIABLE'
+    });
+  }
+  // Malformed or multi-part ranges fall back to the whole object
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    range = ranges[0];
+  }
+  if (onBody && req.method !== 'HEAD') {
+    try {
+      await onBody(range);
+    } catch (error) {
+      // Leave the error response free of the file's headers
+      ['Content-Disposition', ...Object.keys(headers)].forEach(name => res.removeHeader(name));
+      throw error;
+    }
+  }
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+  }
+
+  res.set('Content-Length', String(range ? range.end - range.start + 1 : stat.size));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = await minioService.getObjectStream(stat.storageKey, range, stat.storageVersionId);
+  pipeline(stream, res, error => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('❌ Error streaming download:', error.message);
+    }
+  });
+}
+
+module.exports = {
+  sendFile
+};
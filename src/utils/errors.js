@@ -0,0 +1,40 @@
+/**
+ * Error carrying the HTTP status and error code that errorHandler should
+ * respond with.
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Missing or invalid credentials; errorHandler answers 401 UNAUTHORIZED
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// Valid credentials that do not grant the requested operation
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, 403, 'FORBIDDEN');
+    this.name = 'ForbiddenError';
+  }
+}
+
+// S3 reports missing objects as NoSuchKey (GET) or NotFound (HEAD), and missing versions as NoSuchVersion
+function isNotFoundError(error) {
+  return error.code === 'NoSuchKey' || error.code === 'NotFound' || error.code === 'NoSuchVersion';
+}
+
+module.exports = {
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+  isNotFoundError
+};
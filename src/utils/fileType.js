@@ -0,0 +1,230 @@
+const path = require('path');
+const { PassThrough, pipeline } = require('stream');
+const config = require('../config');
+const { AppError } = require('./errors');
+const { isAllowedType } = require('./uploadLimits');
+
+// Enough leading bytes to recognise every format below, including OOXML part names
+const SNIFF_BYTES = 4100;
+
+// File extensions each detectable type may be stored under
+const EXTENSIONS = {
+  'image/jpeg': ['jpg', 'jpeg', 'jpe', 'jfif'],
+  'image/png': ['png'],
+  'image/gif': ['gif'],
+  'image/webp': ['webp'],
+  'image/bmp': ['bmp'],
+  'image/tiff': ['tif', 'tiff'],
+  'image/x-icon': ['ico'],
+  'image/heic': ['heic', 'heif'],
+  'image/avif': ['avif'],
+  'image/svg+xml': ['svg'],
+  'video/mp4': ['mp4', 'm4v'],
+  'video/x-m4v': ['m4v'],
+  'video/quicktime': ['mov', 'qt'],
+  'video/3gpp': ['3gp', '3g2'],
+  'video/webm': ['webm'],
+  'video/x-matroska': ['mkv'],
+  'video/x-msvideo': ['avi'],
+  'video/mpeg': ['mpg', 'mpeg'],
+  'video/mp2t': ['ts', 'm2ts'],
+  'video/x-flv': ['flv'],
+  'video/ogg': ['ogv', 'ogg'],
+  'audio/mpeg': ['mp3'],
+  'audio/mp4': ['m4a'],
+  'audio/wav': ['wav'],
+  'audio/flac': ['flac'],
+  'audio/ogg': ['oga', 'ogg', 'opus'],
+  'application/pdf': ['pdf'],
+  'application/msword': ['doc', 'dot'],
+  'application/vnd.ms-excel': ['xls'],
+  'application/vnd.ms-powerpoint': ['ppt'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['docx'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['xlsx'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['pptx'],
+  'application/zip': ['zip'],
+  'application/gzip': ['gz', 'tgz'],
+  'application/x-msdownload': ['exe', 'dll'],
+  'application/x-executable': [],
+  'text/plain': ['txt', 'log', 'md'],
+  'text/csv': ['csv'],
+  'application/json': ['json'],
+  'application/xml': ['xml']
+};
+
+const OLE_TYPES = ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'];
+const OOXML_TYPES = {
+  'word/': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'xl/': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'ppt/': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+// Types with no signature that plain text may claim to be
+const TEXT_TYPES = ['text/plain', 'text/csv', 'application/json', 'application/xml'];
+
+// ISO base media ("ftyp") brands
+const FTYP_BRANDS = {
+  qt: 'video/quicktime',
+  M4V: 'video/x-m4v',
+  M4A: 'audio/mp4',
+  '3gp': 'video/3gpp',
+  '3g2': 'video/3gpp',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heic',
+  msf1: 'image/heic',
+  avif: 'image/avif'
+};
+
+function startsWith(head, bytes, offset = 0) {
+  return head.length >= offset + bytes.length &&
+    bytes.every((byte, i) => head[offset + i] === byte);
+}
+
+function ascii(head, text, offset = 0) {
+  return head.toString('latin1', offset, offset + text.length) === text;
+}
+
+function isText(head) {
+  if (head.includes(0)) return false;
+  // A multi-byte character may be cut off at the end of the sample
+  const text = head.toString('utf8', 0, Math.max(0, head.length - 3));
+  return !text.includes('\uFFFD');
+}
+
+/**
+ * Candidate MIME types for content starting with `head`, most likely first.
+ * Container formats that cannot be told apart from their first bytes (OLE,
+ * some ZIP files, Ogg) yield several candidates; unknown content yields none.
+ */
+function detectFileType(head) {
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return ['image/jpeg'];
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return ['image/png'];
+  if (ascii(head, 'GIF87a') || ascii(head, 'GIF89a')) return ['image/gif'];
+  if (ascii(head, 'RIFF')) {
+    if (ascii(head, 'WEBP', 8)) return ['image/webp'];
+    if (ascii(head, 'AVI ', 8)) return ['video/x-msvideo'];
+    if (ascii(head, 'WAVE', 8)) return ['audio/wav'];
+  }
+  if (ascii(head, 'BM') && head.length >= 14 && head.readUInt32LE(6) === 0) return ['image/bmp'];
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return ['image/tiff'];
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00])) return ['image/x-icon'];
+  if (ascii(head, 'ftyp', 4)) {
+    const brand = head.toString('latin1', 8, 12).trim();
+    return [FTYP_BRANDS[brand] || 'video/mp4'];
+  }
+  if (startsWith(head, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return head.includes('webm') ? ['video/webm'] : ['video/x-matroska'];
+  }
+  if (startsWith(head, [0x00, 0x00, 0x01, 0xBA]) || startsWith(head, [0x00, 0x00, 0x01, 0xB3])) return ['video/mpeg'];
+  if (head.length > 376 && head[0] === 0x47 && head[188] === 0x47 && head[376] === 0x47) return ['video/mp2t'];
+  if (ascii(head, 'FLV')) return ['video/x-flv'];
+  if (ascii(head, 'OggS')) return ['video/ogg', 'audio/ogg'];
+  if (ascii(head, 'ID3') || startsWith(head, [0xFF, 0xFB]) || startsWith(head, [0xFF, 0xF3])) return ['audio/mpeg'];
+  if (ascii(head, 'fLaC')) return ['audio/flac'];
+  if (ascii(head, '%PDF-')) return ['application/pdf'];
+  if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return OLE_TYPES;
+  if (ascii(head, 'PK\x03\x04')) {
+    const sample = head.toString('latin1');
+    const part = Object.keys(OOXML_TYPES).find(prefix => sample.includes(prefix));
+    if (part) return [OOXML_TYPES[part]];
+    if (sample.includes('[Content_Types].xml')) return [...Object.values(OOXML_TYPES), 'application/zip'];
+    return ['application/zip'];
+  }
+  if (startsWith(head, [0x1F, 0x8B])) return ['application/gzip'];
+  if (ascii(head, 'MZ')) return ['application/x-msdownload'];
+  if (startsWith(head, [0x7F, 0x45, 0x4C, 0x46]) || startsWith(head, [0xCF, 0xFA, 0xED, 0xFE])) return ['application/x-executable'];
+
+  if (head.length && isText(head)) {
+    const text = head.toString('utf8').trimStart().slice(0, 1024).toLowerCase();
+    if (text.includes('<svg')) return ['image/svg+xml'];
+    return TEXT_TYPES;
+  }
+  return [];
+}
+
+/**
+ * Decide the Content-Type to store for an upload from its leading bytes.
+ * The claimed type only breaks ties between candidates the content allows,
+ * or stands in for empty files, which have nothing to inspect.
+ * Throws INVALID_FILE_TYPE when the detected type is not in `allowedTypes`
+ * or the file extension belongs to a different type.
+ */
+function resolveContentType(head, originalName, claimedType, allowedTypes = config.upload.allowedFileTypes) {
+  const candidates = head.length ? detectFileType(head) : [claimedType].filter(Boolean);
+  const detected = candidates.includes(claimedType)
+    ? claimedType
+    : candidates[0] || 'application/octet-stream';
+
+  if (!isAllowedType(detected, allowedTypes)) {
+    throw new AppError(
+      `File type ${detected} is not allowed. Allowed types: ${allowedTypes.join(', ')}`,
+      400,
+      'INVALID_FILE_TYPE'
+    );
+  }
+
+  const extension = path.extname(originalName).slice(1).toLowerCase();
+  const knownTypes = Object.keys(EXTENSIONS).filter(type => EXTENSIONS[type].includes(extension));
+  if (knownTypes.length && !knownTypes.includes(detected)) {
+    throw new AppError(
+      `File extension .${extension} does not match the detected file type ${detected}`,
+      400,
+      'INVALID_FILE_TYPE'
+    );
+  }
+
+  return detected;
+}
+
+/**
+ * Read up to `length` leading bytes of a stream without losing them.
+ * Resolves to the bytes read and a stream replaying the whole content.
+ */
+function peekStream(source, length = SNIFF_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const cleanup = () => {
+      source.removeListener('readable', onReadable);
+      source.removeListener('end', onEnd);
+      source.removeListener('error', onError);
+    };
+    const finish = (ended) => {
+      cleanup();
+      const head = Buffer.concat(chunks);
+      const replay = new PassThrough();
+      replay.write(head);
+      if (ended) {
+        replay.end();
+      } else {
+        pipeline(source, replay, () => {});
+      }
+      resolve({ head: head.subarray(0, length), stream: replay });
+    };
+    const onReadable = () => {
+      let chunk;
+      while (size < length && (chunk = source.read()) !== null) {
+        chunks.push(chunk);
+        size += chunk.length;
+      }
+      if (size >= length) finish(false);
+    };
+    const onEnd = () => finish(true);
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    source.on('readable', onReadable);
+    source.once('end', onEnd);
+    source.once('error', onError);
+  });
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectFileType,
+  resolveContentType,
+  peekStream
+};
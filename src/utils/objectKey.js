@@ -0,0 +1,52 @@
+const { AppError } = require('./errors');
+
+// Objects the service keeps for its own bookkeeping live under this prefix
+const SYSTEM_PREFIX = '.minvault/';
+
+// S3 object keys are limited to 1024 bytes of UTF-8
+const MAX_KEY_BYTES = 1024;
+
+const CONTROL_CHARACTERS = new RegExp('[\\u0000-\\u001f\\u007f]');
+
+/**
+ * Check an object key supplied by a client. Returns a description of the
+ * first problem found, or null when the key is acceptable.
+ */
+function validateObjectKey(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    return 'Object key is required';
+  }
+  if (Buffer.byteLength(key, 'utf8') > MAX_KEY_BYTES) {
+    return `Object key must not exceed ${MAX_KEY_BYTES} bytes`;
+  }
+  if (CONTROL_CHARACTERS.test(key)) {
+    return 'Object key must not contain control characters';
+  }
+
+  const segments = key.split('/');
+  if (segments.some(segment => segment === '')) {
+    return 'Object key must not contain empty path segments';
+  }
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    return 'Object key must not contain relative path segments';
+  }
+  if (key.startsWith(SYSTEM_PREFIX)) {
+    return 'Object key uses a reserved prefix';
+  }
+  return null;
+}
+
+function assertValidObjectKey(key) {
+  const problem = validateObjectKey(key);
+  if (problem) {
+    throw new AppError(problem, 400, 'INVALID_OBJECT_KEY');
+  }
+  return key;
+}
+
+module.exports = {
+  SYSTEM_PREFIX,
+  MAX_KEY_BYTES,
+  validateObjectKey,
+  assertValidObjectKey
+};
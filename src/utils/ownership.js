@@ -0,0 +1,54 @@
+const config = require('../config');
+const { ForbiddenError } = require('./errors');
+
+const isAdmin = principal => principal.scopes.includes('admin');
+
+// Folder a token user's files live in; ids are reduced to characters safe in a key
+const userPrefix = id => `${config.auth.userPrefix}${String(id).replace(/[^A-Za-z0-9._@-]/g, '_')}/`;
+
+/**
+ * Place an upload path inside the principal's prefix. Paths already inside
+ * it are kept, anything else is nested below it, so "videos" uploaded by
+ * alice ends up in "users/alice/videos".
+ */
+function scopedPath(principal, path = '') {
+  const folder = String(path).replace(/^\/+|\/+$/g, '');
+  const prefix = principal && principal.prefix;
+  if (!prefix || `${folder}/`.startsWith(prefix)) return folder;
+  return `${prefix}${folder}`;
+}
+
+// Same for a listing prefix; prefixes wider than the principal's are narrowed to it
+function scopedPrefix(principal, prefix = '') {
+  const own = principal && principal.prefix;
+  if (!own || prefix.startsWith(own)) return prefix;
+  if (own.startsWith(prefix)) return own;
+  return `${own}${prefix.replace(/^\/+/, '')}`;
+}
+
+// Metadata recording who uploaded an object; anonymous uploads have no owner
+const ownerMetadata = principal => (principal ? { Owner: principal.id } : {});
+
+// Owner whose files alone the principal may see, or null when not limited to its own files
+const ownerScope = principal => (principal && principal.isolated && !isAdmin(principal) ? principal.id : null);
+
+/**
+ * Throw unless the principal may touch an object owned by `owner`. Token
+ * users are limited to their own files; API keys are bound by their prefix
+ * instead, and admins may do anything.
+ */
+function assertOwner(principal, owner) {
+  const own = ownerScope(principal);
+  if (own !== null && owner !== own) {
+    throw new ForbiddenError('This file belongs to another user');
+  }
+}
+
+module.exports = {
+  userPrefix,
+  scopedPath,
+  scopedPrefix,
+  ownerMetadata,
+  ownerScope,
+  assertOwner
+};
@@ -0,0 +1,23 @@
+const config = require('../config');
+
+// Convert size string to bytes
+function parseSize(sizeStr) {
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  const match = sizeStr.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)$/i);
+  if (!match) return 10 * 1024 * 1024; // Default 10MB
+  return parseFloat(match[1]) * units[match[2].toUpperCase()];
+}
+
+// Check a MIME type against a whitelist, ALLOWED_FILE_TYPES by default (supports type/* wildcards)
+const isAllowedType = (mimetype, allowedTypes = config.upload.allowedFileTypes) => allowedTypes.some(type => {
+  if (type.endsWith('/*')) {
+    const baseType = type.slice(0, -2);
+    return mimetype.startsWith(baseType);
+  }
+  return mimetype === type;
+});
+
+module.exports = {
+  parseSize,
+  isAllowedType
+};
@@ -0,0 +1,34 @@
+/**
+ * The FileUploadResult reported for a stored file, whichever way it was
+ * uploaded: through /upload, tus or a presigned URL.
+ */
+const toUploadResult = ({
+  objectName,
+  originalName,
+  size,
+  mimetype,
+  hash = null,
+  deduplicated = false,
+  replaced = false,
+  scanStatus = null,
+  owner = null,
+  metadata = {},
+  tags = {},
+  uploadDate = new Date().toISOString()
+}) => ({
+  success: true,
+  objectName,
+  originalName,
+  size,
+  mimetype,
+  hash,
+  deduplicated,
+  replaced,
+  scanStatus,
+  owner,
+  metadata,
+  tags,
+  uploadDate
+});
+
+module.exports = { toUploadResult };
@@ -0,0 +1,136 @@
+const { AppError } = require('./errors');
+
+// User metadata the service sets itself; any other is the uploader's own
+const SYSTEM_METADATA = [
+  'original-name', 'upload-date', 'owner', 'checksum', 'content-sha256', 'dedup-ref',
+  'scan-status', 'scan-verdict', 'scan-date'
+];
+
+// minio reports standard and X-Amz-* headers among metaData, next to the X-Amz-Meta-* user metadata
+const STANDARD_METADATA = ['content-type', 'content-encoding', 'content-disposition', 'content-language', 'cache-control', 'expires'];
+
+// S3 allows 2 KB of user metadata per object; the rest is left to the service's own fields
+const MAX_METADATA_SIZE = 1024;
+const METADATA_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,127}$/;
+// Metadata travels in HTTP headers, so values are limited to printable ASCII
+const METADATA_VALUE_PATTERN = /^[\x20-\x7E]*$/;
+
+// Limits of S3 object tagging
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u;
+
+const isReserved = key => SYSTEM_METADATA.includes(key) || STANDARD_METADATA.includes(key) || key.startsWith('x-amz-');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The uploader's own metadata among an object's metaData
+const customMetadata = metaData => Object.fromEntries(
+  Object.entries(metaData).filter(([key]) => !isReserved(key.toLowerCase()))
+);
+
+// Objects may arrive as JSON in form fields and Upload-Metadata
+const parseJson = (value, error) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw error;
+  }
+};
+
+/**
+ * Validate custom metadata, given as an object or its JSON, and return it
+ * with lowercased keys and string values. With `allowNull`, null values are
+ * kept to mark fields to remove. Throws 400 INVALID_METADATA.
+ */
+function parseMetadata(value, { allowNull = false } = {}) {
+  if (value === undefined || value === null || value === '') return {};
+
+  const invalid = message => new AppError(message, 400, 'INVALID_METADATA');
+  const metadata = parseJson(value, invalid('metadata must be a JSON object'));
+  if (!isPlainObject(metadata)) {
+    throw invalid('metadata must be a JSON object');
+  }
+
+  return Object.entries(metadata).reduce((result, [rawKey, rawValue]) => {
+    const key = rawKey.toLowerCase();
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      throw invalid(`Invalid metadata key "${rawKey}": use letters, digits, "-" and "_"`);
+    }
+    if (isReserved(key)) {
+      throw invalid(`Metadata key "${rawKey}" is reserved`);
+    }
+    if (rawValue === null && allowNull) {
+      result[key] = null;
+      return result;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof rawValue)) {
+      throw invalid(`Metadata value of "${rawKey}" must be a string`);
+    }
+    const text = String(rawValue);
+    if (!METADATA_VALUE_PATTERN.test(text)) {
+      throw invalid(`Metadata value of "${rawKey}" must be printable ASCII`);
+    }
+    result[key] = text;
+    return result;
+  }, {});
+}
+
+function assertMetadataSize(metadata) {
+  const size = Object.entries(metadata).reduce((sum, [key, value]) => sum + key.length + value.length, 0);
+  if (size > MAX_METADATA_SIZE) {
+    throw new AppError(`Custom metadata may take up to ${MAX_METADATA_SIZE} bytes (${size} given)`, 400, 'INVALID_METADATA');
+  }
+}
+
+/**
+ * Validate object tags, given as an object, its JSON, or a list of
+ * "key=value" pairs (an array or a comma-separated string). Throws 400
+ * INVALID_TAGS.
+ */
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  const invalid = message => new AppError(message, 400, 'INVALID_TAGS');
+  let tags = value;
+  if (typeof value === 'string') {
+    tags = value.trim().startsWith('{')
+      ? parseJson(value, invalid('tags must be a JSON object or a list of key=value pairs'))
+      : value.split(',');
+  }
+  if (Array.isArray(tags)) {
+    tags = Object.fromEntries(tags.map(String).filter(pair => pair.trim()).map((pair) => {
+      const cut = pair.indexOf('=');
+      return cut < 0 ? [pair.trim(), ''] : [pair.slice(0, cut).trim(), pair.slice(cut + 1).trim()];
+    }));
+  }
+  if (!isPlainObject(tags)) {
+    throw invalid('tags must be a JSON object or a list of key=value pairs');
+  }
+
+  const entries = Object.entries(tags);
+  if (entries.length > MAX_TAGS) {
+    throw invalid(`A file may have up to ${MAX_TAGS} tags`);
+  }
+  for (const [key, tag] of entries) {
+    if (typeof tag !== 'string') {
+      throw invalid(`Tag "${key}" must have a string value`);
+    }
+    if (!key || key.length > 128 || !TAG_PATTERN.test(key) || key.toLowerCase().startsWith('aws:')) {
+      throw invalid(`Invalid tag key "${key}"`);
+    }
+    if (tag.length > 256 || !TAG_PATTERN.test(tag)) {
+      throw invalid(`Invalid value of tag "${key}"`);
+    }
+  }
+  return tags;
+}
+
+module.exports = {
+  SYSTEM_METADATA,
+  STANDARD_METADATA,
+  customMetadata,
+  parseMetadata,
+  assertMetadataSize,
+  parseTags
+};
@@ -0,0 +1,325 @@
+const AdminController = require('../../../src/controllers/adminController');
+
+jest.mock('../../../src/services/minioService');
+jest.mock('../../../src/services/apiKeyService');
+jest.mock('../../../src/services/tenantService');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const TenantService = require('../../../src/services/tenantService');
+
+describe('AdminController', () => {
+  let adminController;
+  let mockApiKeyService;
+  let mockTenantService;
+  let req, res, next;
+
+  beforeEach(() => {
+    mockApiKeyService = {
+      createKey: jest.fn(),
+      listKeys: jest.fn(),
+      revokeKey: jest.fn()
+    };
+    mockTenantService = {
+      createTenant: jest.fn(),
+      listTenants: jest.fn(),
+      getTenant: jest.fn(),
+      disableTenant: jest.fn(),
+      serviceFor: jest.fn()
+    };
+    ApiKeyService.mockImplementation(() => mockApiKeyService);
+    TenantService.mockImplementation(() => mockTenantService);
+
+    adminController = new AdminController();
+
+    req = { body: {}, params: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('createApiKey', () => {
+    test('should create a key and return it with 201', async () => {
+      const created = { id: 'abc', scopes: ['files:read'], prefix: '', key: 'mvk_abc_secret' };
+      req.body = { name: 'reader', scopes: ['files:read'] };
+      mockApiKeyService.createKey.mockResolvedValue(created);
+
+      await adminController.createApiKey(req, res, next);
+
+      expect(mockApiKeyService.createKey).toHaveBeenCalledWith({ name: 'reader', scopes: ['files:read'], prefix: undefined, tenant: undefined });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: created }));
+    });
+
+    test('should require scopes', async () => {
+      await adminController.createApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+      expect(mockApiKeyService.createKey).not.toHaveBeenCalled();
+    });
+
+    test('should only bind keys to existing tenants', async () => {
+      const error = Object.assign(new Error('Tenant acme not found'), { statusCode: 404, code: 'TENANT_NOT_FOUND' });
+      req.body = { scopes: ['files:read'], tenant: 'acme' };
+      mockTenantService.getTenant.mockRejectedValue(error);
+
+      await adminController.createApiKey(req, res, next);
+
+      expect(mockTenantService.getTenant).toHaveBeenCalledWith('acme');
+      expect(mockApiKeyService.createKey).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    test('should pass service errors on', async () => {
+      const error = Object.assign(new Error('Unknown scopes: x'), { statusCode: 400, code: 'INVALID_SCOPE' });
+      req.body = { scopes: ['x'] };
+      mockApiKeyService.createKey.mockRejectedValue(error);
+
+      await adminController.createApiKey(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('listApiKeys', () => {
+    test('should return keys with a count', async () => {
+      mockApiKeyService.listKeys.mockResolvedValue([{ id: 'a' }, { id: 'b' }]);
+
+      await adminController.listApiKeys(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: { keys: [{ id: 'a' }, { id: 'b' }], count: 2 }
+      }));
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    test('should revoke the key named in the path', async () => {
+      req.params.id = 'abc';
+      mockApiKeyService.revokeKey.mockResolvedValue({ id: 'abc', revokedAt: '2024-01-01T00:00:00.000Z' });
+
+      await adminController.revokeApiKey(req, res, next);
+
+      expect(mockApiKeyService.revokeKey).toHaveBeenCalledWith('abc');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('tenants', () => {
+    test('should create a tenant with the given settings', async () => {
+      const tenant = { id: 'acme', bucket: 'test-bucket-acme', maxFileSize: '1GB' };
+      req.body = { id: 'acme', maxFileSize: '1GB', extra: true };
+      mockTenantService.createTenant.mockResolvedValue(tenant);
+
+      await adminController.createTenant(req, res, next);
+
+      expect(mockTenantService.createTenant).toHaveBeenCalledWith({
+        id: 'acme',
+        name: undefined,
+        bucket: undefined,
+        allowedFileTypes: undefined,
+        maxFileSize: '1GB',
+        urlExpiry: undefined,
+        quotaSize: undefined,
+        quotaObjects: undefined
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: tenant }));
+    });
+
+    test('should require an id', async () => {
+      await adminController.createTenant(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+
+    test('should list tenants with a count', async () => {
+      mockTenantService.listTenants.mockResolvedValue([{ id: 'acme' }]);
+
+      await adminController.listTenants(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: { tenants: [{ id: 'acme' }], count: 1 } }));
+    });
+
+    test('should disable the tenant named in the path', async () => {
+      req.params.id = 'acme';
+      mockTenantService.disableTenant.mockResolvedValue({ id: 'acme', disabled: true });
+
+      await adminController.disableTenant(req, res, next);
+
+      expect(mockTenantService.disableTenant).toHaveBeenCalledWith('acme');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('reconcileUsage', () => {
+    test('should reconcile the default bucket', async () => {
+      const totals = { bytes: 2048, objects: 2, owners: 1 };
+      adminController.minioService.bucketName = 'test-bucket';
+      adminController.minioService.usage = { reconcile: jest.fn().mockResolvedValue(totals) };
+
+      await adminController.reconcileUsage(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: { bucket: 'test-bucket', ...totals }
+      }));
+    });
+
+    test('should reconcile the bucket of the named tenant', async () => {
+      const tenantMinio = { bucketName: 'test-bucket-acme', usage: { reconcile: jest.fn().mockResolvedValue({ bytes: 0, objects: 0, owners: 0 }) } };
+      req.body = { tenant: 'acme' };
+      mockTenantService.getTenant.mockResolvedValue({ id: 'acme' });
+      mockTenantService.serviceFor.mockReturnValue(tenantMinio);
+
+      await adminController.reconcileUsage(req, res, next);
+
+      expect(mockTenantService.getTenant).toHaveBeenCalledWith('acme');
+      expect(tenantMinio.usage.reconcile).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { bucket: 'test-bucket-acme', bytes: 0, objects: 0, owners: 0 }
+      }));
+    });
+  });
+
+  describe('lifecycle', () => {
+    const rule = { id: 'expire-tmp', enabled: true, prefix: 'tmp/', tags: {}, expirationDays: 7 };
+
+    beforeEach(() => {
+      req.query = {};
+      adminController.minioService.bucketName = 'test-bucket';
+      adminController.minioService.lifecycle = {
+        getRules: jest.fn().mockResolvedValue([rule]),
+        setRules: jest.fn().mockResolvedValue([rule]),
+        putRule: jest.fn().mockResolvedValue(rule),
+        removeRule: jest.fn().mockResolvedValue(rule)
+      };
+    });
+
+    test('should list the rules of the default bucket', async () => {
+      await adminController.getLifecycleRules(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { bucket: 'test-bucket', rules: [rule], count: 1 }
+      }));
+    });
+
+    test('should manage the rules of the named tenant', async () => {
+      const tenantMinio = { bucketName: 'test-bucket-acme', lifecycle: { getRules: jest.fn().mockResolvedValue([]) } };
+      req.query = { tenant: 'acme' };
+      mockTenantService.getTenant.mockResolvedValue({ id: 'acme' });
+      mockTenantService.serviceFor.mockReturnValue(tenantMinio);
+
+      await adminController.getLifecycleRules(req, res, next);
+
+      expect(tenantMinio.lifecycle.getRules).toHaveBeenCalled();
+      expect(adminController.minioService.lifecycle.getRules).not.toHaveBeenCalled();
+    });
+
+    test('should replace the rules', async () => {
+      req.body = { rules: [rule] };
+
+      await adminController.setLifecycleRules(req, res, next);
+
+      expect(adminController.minioService.lifecycle.setRules).toHaveBeenCalledWith([rule]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Lifecycle rules updated successfully' }));
+    });
+
+    test('should require rules', async () => {
+      await adminController.setLifecycleRules(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+
+    test('should save one rule under the id of the path', async () => {
+      req.params.id = 'expire-tmp';
+      req.body = { id: 'other', prefix: 'tmp/', expirationDays: 7 };
+
+      await adminController.putLifecycleRule(req, res, next);
+
+      expect(adminController.minioService.lifecycle.putRule).toHaveBeenCalledWith({ id: 'expire-tmp', prefix: 'tmp/', expirationDays: 7 });
+    });
+
+    test('should pass errors on', async () => {
+      req.params.id = 'missing';
+      const error = Object.assign(new Error('Lifecycle rule not found'), { statusCode: 404 });
+      adminController.minioService.lifecycle.removeRule.mockRejectedValue(error);
+
+      await adminController.removeLifecycleRule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('retention', () => {
+    const lock = { objectName: 'exports/q4.csv', versionId: 'v1', retention: null, legalHold: true };
+
+    beforeEach(() => {
+      req.query = {};
+      req.params.filename = 'exports/q4.csv';
+      adminController.minioService.bucketName = 'test-bucket';
+      adminController.minioService.retention = {
+        getBucketLock: jest.fn().mockResolvedValue({ enabled: true, defaultRetention: null }),
+        get: jest.fn().mockResolvedValue(lock),
+        setRetention: jest.fn().mockResolvedValue(lock),
+        setLegalHold: jest.fn().mockResolvedValue(lock)
+      };
+    });
+
+    test('should report object lock support of the bucket', async () => {
+      await adminController.getObjectLock(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { bucket: 'test-bucket', enabled: true, defaultRetention: null }
+      }));
+    });
+
+    test('should get the lock of a version', async () => {
+      req.query.versionId = 'v1';
+
+      await adminController.getRetention(req, res, next);
+
+      expect(adminController.minioService.retention.get).toHaveBeenCalledWith('exports/q4.csv', 'v1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: lock }));
+    });
+
+    test('should put a file under retention', async () => {
+      req.body = { mode: 'GOVERNANCE', retainUntil: '2030-01-01T00:00:00Z', bypassGovernance: 'true' };
+
+      await adminController.setRetention(req, res, next);
+
+      expect(adminController.minioService.retention.setRetention).toHaveBeenCalledWith('exports/q4.csv', {
+        mode: 'GOVERNANCE', retainUntil: '2030-01-01T00:00:00Z', bypassGovernance: true, versionId: undefined
+      });
+    });
+
+    test('should require a mode and a date', async () => {
+      req.body = { mode: 'GOVERNANCE' };
+
+      await adminController.setRetention(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(adminController.minioService.retention.setRetention).not.toHaveBeenCalled();
+    });
+
+    test('should place a legal hold', async () => {
+      req.body = { enabled: true };
+
+      await adminController.setLegalHold(req, res, next);
+
+      expect(adminController.minioService.retention.setLegalHold).toHaveBeenCalledWith('exports/q4.csv', true, undefined);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Legal hold placed successfully' }));
+    });
+
+    test('should require enabled for legal holds', async () => {
+      await adminController.setLegalHold(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+  });
+});
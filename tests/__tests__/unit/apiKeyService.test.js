@@ -0,0 +1,90 @@
+const ApiKeyService = require('../../../src/services/apiKeyService');
+
+describe('ApiKeyService', () => {
+  let service;
+  let minioService;
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    minioService = {
+      readSystemObject: jest.fn(async key => (store[key] ? JSON.parse(JSON.stringify(store[key])) : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      listSystemObjects: jest.fn(async () => Object.keys(store))
+    };
+    service = new ApiKeyService(minioService);
+  });
+
+  describe('createKey', () => {
+    test('should return the key once and store only its hash', async () => {
+      const result = await service.createKey({ name: 'uploader', scopes: ['files:write'], prefix: '/gallery/' });
+
+      expect(result.key).toMatch(/^mvk_[a-f0-9]{16}_[A-Za-z0-9_-]{32}$/);
+      expect(result).toEqual(expect.objectContaining({ name: 'uploader', scopes: ['files:write'], prefix: 'gallery/' }));
+      expect(result).not.toHaveProperty('hash');
+
+      const stored = store[`api-keys/${result.id}.json`];
+      expect(stored.hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain(result.key.slice(-32));
+    });
+
+    test.each([
+      [undefined, 'INVALID_SCOPE'],
+      [[], 'INVALID_SCOPE'],
+      [['files:everything'], 'INVALID_SCOPE']
+    ])('should reject scopes %j', async (scopes, code) => {
+      await expect(service.createKey({ scopes })).rejects.toMatchObject({ statusCode: 400, code });
+    });
+
+    test('should reject invalid prefixes', async () => {
+      await expect(service.createKey({ scopes: ['files:read'], prefix: '../other' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PREFIX' });
+    });
+  });
+
+  describe('verify', () => {
+    test('should resolve a valid key to its principal', async () => {
+      const { key, id } = await service.createKey({ name: 'reader', scopes: ['files:read'] });
+
+      await expect(service.verify(key)).resolves.toEqual({ id, name: 'reader', scopes: ['files:read'], prefix: '', tenant: null });
+    });
+
+    test('should reject wrong secrets, malformed keys and unknown ids', async () => {
+      const { key } = await service.createKey({ scopes: ['files:read'] });
+      const wrongSecret = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+      await expect(service.verify(wrongSecret)).resolves.toBeNull();
+      await expect(service.verify('not-a-key')).resolves.toBeNull();
+      await expect(service.verify(`mvk_${'0'.repeat(16)}_${'A'.repeat(32)}`)).resolves.toBeNull();
+    });
+
+    test('should reject revoked keys', async () => {
+      const { key, id } = await service.createKey({ scopes: ['files:read'] });
+
+      const revoked = await service.revokeKey(id);
+
+      expect(revoked.revokedAt).toEqual(expect.any(String));
+      await expect(service.verify(key)).resolves.toBeNull();
+    });
+  });
+
+  describe('revokeKey', () => {
+    test('should report unknown keys', async () => {
+      await expect(service.revokeKey('0123456789abcdef')).rejects.toMatchObject({ statusCode: 404, code: 'KEY_NOT_FOUND' });
+      await expect(service.revokeKey('../x')).rejects.toMatchObject({ code: 'KEY_NOT_FOUND' });
+      expect(minioService.readSystemObject).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listKeys', () => {
+    test('should list keys without their hashes', async () => {
+      await service.createKey({ name: 'a', scopes: ['files:read'] });
+      await service.createKey({ name: 'b', scopes: ['admin'] });
+
+      const keys = await service.listKeys();
+
+      expect(keys.map(key => key.name).sort()).toEqual(['a', 'b']);
+      keys.forEach(key => expect(key).not.toHaveProperty('hash'));
+    });
+  });
+});
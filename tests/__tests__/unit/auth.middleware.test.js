@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const express = require('express');
+const { SignJWT } = require('jose');
+const request = require('supertest');
+const config = require('../../../src/config');
+const { createAuth, requireScope, assertPrefix } = require('../../../src/middleware/auth');
+const { errorHandler } = require('../../../src/middleware/errorHandler');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const TokenService = require('../../../src/services/tokenService');
+
+describe('Auth middleware', () => {
+  let app;
+  let apiKeys;
+  let store;
+  let tokens;
+  const originalAuth = { ...config.auth };
+
+  beforeEach(() => {
+    store = {};
+    const minioService = {
+      readSystemObject: jest.fn(async key => store[key] || null),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; })
+    };
+    apiKeys = new ApiKeyService(minioService);
+    config.auth.enabled = true;
+    config.auth.adminApiKey = 'admin-secret';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tokens = new TokenService({ ...config.auth.jwt, issuer: '', jwksUri: '', publicKey: '' });
+    const { authenticate } = createAuth(minioService, tokens);
+    app = express();
+    app.use(authenticate);
+    app.get('/files/*', (req, res, next) => {
+      req.params.filename = req.params[0];
+      next();
+    }, requireScope('files:read', req => req.params.filename), (req, res) => res.json({ success: true, auth: req.auth }));
+    app.delete('/files/*', requireScope('files:delete'), (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    Object.assign(config.auth, originalAuth);
+    jest.restoreAllMocks();
+  });
+
+  test('should reject requests without a key', async () => {
+    const response = await request(app).get('/files/a.mp4');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toEqual(expect.objectContaining({ success: false, code: 'UNAUTHORIZED', error: 'API key required' }));
+  });
+
+  test('should reject unknown keys', async () => {
+    const response = await request(app).get('/files/a.mp4').set('X-API-Key', `mvk_${'0'.repeat(16)}_${'A'.repeat(32)}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('UNAUTHORIZED');
+  });
+
+  test('should accept keys as bearer tokens and in X-API-Key', async () => {
+    const { key } = await apiKeys.createKey({ scopes: ['files:read'] });
+
+    expect((await request(app).get('/files/a.mp4').set('Authorization', `Bearer ${key}`)).status).toBe(200);
+    const response = await request(app).get('/files/a.mp4').set('X-API-Key', key);
+    expect(response.status).toBe(200);
+    expect(response.body.auth.scopes).toEqual(['files:read']);
+  });
+
+  test('should refuse operations outside the key scopes', async () => {
+    const { key } = await apiKeys.createKey({ scopes: ['files:read'] });
+
+    const response = await request(app).delete('/files/a.mp4').set('X-API-Key', key);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual(expect.objectContaining({ code: 'FORBIDDEN', error: 'API key lacks the files:delete scope' }));
+  });
+
+  test('should limit keys to their prefix', async () => {
+    const { key } = await apiKeys.createKey({ scopes: ['files:read'], prefix: 'gallery' });
+
+    expect((await request(app).get('/files/gallery/a.jpg').set('X-API-Key', key)).status).toBe(200);
+    const response = await request(app).get('/files/gallery-private/a.jpg').set('X-API-Key', key);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Access is limited to gallery/');
+  });
+
+  test('should let the admin key do everything', async () => {
+    const response = await request(app).delete('/files/a.mp4').set('Authorization', 'Bearer admin-secret');
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should leave routes open while auth is disabled', async () => {
+    config.auth.enabled = false;
+
+    expect((await request(app).delete('/files/a.mp4')).status).toBe(200);
+  });
+
+  describe('bearer tokens', () => {
+    const secret = 'test-secret-that-is-long-enough-for-hs256';
+    const sign = claims => new SignJWT(claims)
+      .setProtectedHeader({ alg: 'HS256' })
+      .setExpirationTime('5m')
+      .sign(crypto.createSecretKey(Buffer.from(secret)));
+
+    beforeEach(() => {
+      tokens.options.publicKey = secret;
+    });
+
+    test('should attach the token user and file scopes', async () => {
+      const response = await request(app).get('/files/users/alice/a.mp4').set('Authorization', `Bearer ${await sign({ sub: 'alice', roles: ['editor'] })}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.auth).toEqual({
+        id: 'user:alice',
+        name: 'alice',
+        scopes: ['files:read', 'files:write', 'files:delete'],
+        prefix: 'users/alice/',
+        tenant: null,
+        isolated: true
+      });
+    });
+
+    test('should carry the tenant claim', async () => {
+      const token = await sign({ sub: 'alice', tenant: 'acme' });
+
+      const response = await request(app).get('/files/users/alice/a.mp4').set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.auth.tenant).toBe('acme');
+    });
+
+    test('should grant the admin scope to the admin role', async () => {
+      const token = await sign({ sub: 'root', roles: ['admin'] });
+
+      const response = await request(app).get('/files/a.mp4').set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.auth.scopes).toEqual(['admin']);
+      expect(response.body.auth.prefix).toBe('');
+    });
+
+    test('should keep users out of other users\' folders', async () => {
+      const token = await sign({ sub: 'alice' });
+
+      expect((await request(app).get('/files/users/alice/a.jpg').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+      const response = await request(app).get('/files/users/bob/a.jpg').set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Access is limited to users/alice/');
+    });
+
+    test('should reject invalid tokens', async () => {
+      const response = await request(app).get('/files/a.mp4').set('Authorization', 'Bearer aGVhZA.Ym9keQ.c2ln');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body).toEqual(expect.objectContaining({ code: 'UNAUTHORIZED', error: 'Invalid bearer token' }));
+    });
+
+    test('should still accept API keys', async () => {
+      const { key } = await apiKeys.createKey({ scopes: ['files:read'] });
+
+      expect((await request(app).get('/files/a.mp4').set('Authorization', `Bearer ${key}`)).status).toBe(200);
+    });
+  });
+
+  describe('requireApiKey', () => {
+    test('should demand a key even while auth is disabled', async () => {
+      config.auth.enabled = false;
+      const { requireApiKey } = createAuth({ readSystemObject: jest.fn() }, tokens);
+      const adminApp = express();
+      adminApp.get('/admin', requireApiKey, requireScope('admin'), (req, res) => res.json({ success: true }));
+      adminApp.use(errorHandler);
+
+      expect((await request(adminApp).get('/admin')).status).toBe(401);
+      expect((await request(adminApp).get('/admin').set('X-API-Key', 'admin-secret')).status).toBe(200);
+    });
+  });
+
+  describe('requireScope', () => {
+    test('should keep tenant-bound credentials out of administration', async () => {
+      const { key } = await apiKeys.createKey({ scopes: ['admin'], tenant: 'acme' });
+      const adminApp = express();
+      adminApp.get('/admin', createAuth(apiKeys.minioService, tokens).requireApiKey, requireScope('admin'), (req, res) => res.json({ success: true }));
+      adminApp.use(errorHandler);
+
+      const response = await request(adminApp).get('/admin').set('X-API-Key', key);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Credentials of tenant acme cannot administer the service');
+    });
+  });
+
+  describe('assertPrefix', () => {
+    test('should compare keys against the prefix', () => {
+      const auth = { scopes: ['files:write'], prefix: 'gallery/' };
+
+      expect(() => assertPrefix(auth, 'gallery/2024/a.jpg')).not.toThrow();
+      expect(() => assertPrefix(auth, 'gallery.jpg')).toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(() => assertPrefix(undefined, '')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { parseChecksum, requestChecksum, verifyChecksum } = require('../../../src/utils/checksum');
+
+describe('Checksum utilities', () => {
+  const content = Buffer.from('test content');
+  const sha256 = crypto.createHash('sha256').update(content);
+  const sha256Hex = sha256.copy().digest('hex');
+  const sha256Base64 = sha256.digest('base64');
+  const md5Hex = crypto.createHash('md5').update(content).digest('hex');
+  const md5Base64 = crypto.createHash('md5').update(content).digest('base64');
+
+  const request = (body = {}, headers = {}) => ({
+    body,
+    get: name => headers[name.toLowerCase()]
+  });
+
+  describe('parseChecksum', () => {
+    test('should parse prefixed hex and base64 digests', () => {
+      expect(parseChecksum(`sha256:${sha256Hex}`)).toEqual({ algorithm: 'sha256', value: sha256Hex });
+      expect(parseChecksum(`SHA256:${sha256Base64}`)).toEqual({ algorithm: 'sha256', value: sha256Hex });
+      expect(parseChecksum(`md5:${md5Base64}`)).toEqual({ algorithm: 'md5', value: md5Hex });
+    });
+
+    test('should infer the algorithm of bare hex digests', () => {
+      expect(parseChecksum(sha256Hex.toUpperCase())).toEqual({ algorithm: 'sha256', value: sha256Hex });
+      expect(parseChecksum(md5Hex)).toEqual({ algorithm: 'md5', value: md5Hex });
+    });
+
+    test.each([
+      'crc32:abcd',
+      'sha256:not-a-digest',
+      `md5:${sha256Hex}`,
+      'abc'
+    ])('should reject %s', (value) => {
+      expect(() => parseChecksum(value)).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CHECKSUM' }));
+    });
+  });
+
+  describe('requestChecksum', () => {
+    test('should pair checksum fields with files by position', () => {
+      const req = request({ checksum: [`md5:${md5Hex}`, `sha256:${sha256Hex}`] });
+
+      expect(requestChecksum(req, 0)).toEqual({ algorithm: 'md5', value: md5Hex });
+      expect(requestChecksum(req, 1)).toEqual({ algorithm: 'sha256', value: sha256Hex });
+      expect(requestChecksum(req, 2)).toBeNull();
+    });
+
+    test('should read the checksum headers for the first file', () => {
+      expect(requestChecksum(request({}, { 'x-checksum-sha256': sha256Base64 }), 0)).toEqual({ algorithm: 'sha256', value: sha256Hex });
+      expect(requestChecksum(request({}, { 'content-md5': md5Base64 }), 0)).toEqual({ algorithm: 'md5', value: md5Hex });
+      expect(requestChecksum(request({}, { 'content-md5': md5Base64 }), 1)).toBeNull();
+    });
+
+    test('should prefer the form field over headers', () => {
+      const req = request({ checksum: `sha256:${sha256Hex}` }, { 'content-md5': md5Base64 });
+
+      expect(requestChecksum(req, 0).algorithm).toBe('sha256');
+    });
+
+    test('should return null without a checksum', () => {
+      expect(requestChecksum(request(), 0)).toBeNull();
+    });
+  });
+
+  describe('verifyChecksum', () => {
+    test('should accept matching content', () => {
+      expect(() => verifyChecksum({ algorithm: 'md5', value: md5Hex }, content)).not.toThrow();
+    });
+
+    test('should reject different content', () => {
+      expect(() => verifyChecksum({ algorithm: 'sha256', value: sha256Hex }, Buffer.from('other')))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'CHECKSUM_MISMATCH' }));
+    });
+  });
+});
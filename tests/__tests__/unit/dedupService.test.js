@@ -0,0 +1,376 @@
+const DedupService = require('../../../src/services/dedupService');
+
+describe('DedupService', () => {
+  let service;
+  let minioService;
+  let store;
+  let etags;
+
+  const HASH = 'a'.repeat(64);
+  const INDEX_KEY = `dedup/${HASH}.json`;
+  const BLOB_KEY = `.minvault/blobs/${HASH}`;
+  const metaData = { 'Content-Type': 'video/mp4', 'Original-Name': 'clip.mp4' };
+
+  beforeEach(() => {
+    store = {};
+    etags = {};
+    const copy = value => JSON.parse(JSON.stringify(value));
+    minioService = {
+      bucketName: 'test-bucket',
+      readSystemObject: jest.fn(async key => (store[key] ? copy(store[key]) : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      readSystemRecord: jest.fn(async key => ({ value: store[key] ? copy(store[key]) : null, etag: etags[key] || null })),
+      writeSystemObjectIf: jest.fn(async (key, value, etag) => {
+        if ((etags[key] || null) !== etag) return false;
+        store[key] = value;
+        etags[key] = `etag-${Math.random()}`;
+        return true;
+      }),
+      removeSystemObject: jest.fn(async key => { delete store[key]; }),
+      listSystemObjects: jest.fn(async prefix => Object.keys(store).filter(key => key.startsWith(prefix))),
+      statObject: jest.fn().mockResolvedValue({ size: 100, etag: 'blob-etag', metaData: {} }),
+      replaceMetadata: jest.fn().mockResolvedValue(),
+      putObject: jest.fn().mockResolvedValue(),
+      putObjectIf: jest.fn().mockResolvedValue(true),
+      getObjectTags: jest.fn().mockResolvedValue({}),
+      copyObject: jest.fn().mockResolvedValue(),
+      copyContent: jest.fn().mockResolvedValue(),
+      removeObject: jest.fn().mockResolvedValue()
+    };
+    service = new DedupService(minioService);
+  });
+
+  describe('register', () => {
+    test('should index new content and record its holder without rewriting it', async () => {
+      const deduplicated = await service.register('a.mp4', HASH, 100, metaData);
+
+      expect(deduplicated).toBe(false);
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] });
+      expect(store['dedup-holders/a.mp4.json']).toEqual({ hash: HASH });
+      expect(minioService.replaceMetadata).not.toHaveBeenCalled();
+      expect(minioService.putObject).not.toHaveBeenCalled();
+      await expect(service.hashOf('a.mp4', {})).resolves.toBe(HASH);
+    });
+
+    test('should replace duplicate content with a reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+
+      const deduplicated = await service.register('b.mp4', HASH, 100, metaData);
+
+      expect(deduplicated).toBe(true);
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4', 'b.mp4']);
+      expect(minioService.putObject).toHaveBeenCalledWith('b.mp4', Buffer.alloc(0), {
+        ...metaData,
+        'Content-Sha256': HASH,
+        'Dedup-Ref': 'true'
+      });
+    });
+
+    test('should move shared bytes to a blob and make their first file a reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+      minioService.statObject.mockResolvedValue({
+        size: 100,
+        etag: 'a-etag',
+        metaData: { 'content-type': 'video/mp4', owner: 'user:alice', 'content-sha256': HASH, 'x-amz-request-id': '1' }
+      });
+      minioService.getObjectTags.mockResolvedValue({ project: 'launch' });
+
+      await service.register('b.mp4', HASH, 100, metaData);
+
+      expect(minioService.copyObject).toHaveBeenCalledWith('a.mp4', BLOB_KEY);
+      expect(store[INDEX_KEY].blob).toBe(BLOB_KEY);
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith('dedup-holders/a.mp4.json');
+      expect(minioService.putObjectIf).toHaveBeenCalledWith('a.mp4', Buffer.alloc(0), {
+        'content-type': 'video/mp4',
+        owner: 'user:alice',
+        'X-Amz-Tagging': 'project=launch',
+        'Content-Sha256': HASH,
+        'Dedup-Ref': 'true'
+      }, 'a-etag');
+    });
+
+    test('should not move bytes already on a blob', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'b.mp4'] };
+
+      await service.register('c.mp4', HASH, 100, metaData);
+
+      expect(minioService.copyObject).not.toHaveBeenCalled();
+      expect(minioService.putObjectIf).not.toHaveBeenCalled();
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'b.mp4', 'c.mp4'] });
+    });
+
+    test('should keep the reference when replacing the first file fails', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+      minioService.putObjectIf.mockRejectedValue(new Error('MinIO down'));
+
+      await expect(service.register('b.mp4', HASH, 100, metaData)).resolves.toBe(true);
+      expect(store[INDEX_KEY].blob).toBe(BLOB_KEY);
+      expect(console.error).toHaveBeenCalledWith('❌ Error replacing file with a reference:', 'MinIO down');
+    });
+
+    test('should start over when the indexed blob is gone', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+      minioService.statObject.mockResolvedValue(null);
+
+      const deduplicated = await service.register('c.mp4', HASH, 100, metaData);
+
+      expect(deduplicated).toBe(false);
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: 'c.mp4', refs: ['b.mp4', 'c.mp4'] });
+    });
+
+    test('should redo the update when another process changed the index', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+      const { readSystemRecord } = minioService;
+      minioService.readSystemRecord = jest.fn(async (key) => {
+        const record = await readSystemRecord(key);
+        if (minioService.readSystemRecord.mock.calls.length === 1) {
+          // Another process links a copy right after the entry was read
+          store[INDEX_KEY] = { ...store[INDEX_KEY], refs: ['a.mp4', 'other.mp4'] };
+          etags[INDEX_KEY] = 'etag-other';
+        }
+        return record;
+      });
+
+      await service.register('b.mp4', HASH, 100, metaData);
+
+      expect(minioService.writeSystemObjectIf).toHaveBeenCalledTimes(2);
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4', 'other.mp4', 'b.mp4']);
+    });
+
+    test('should give up on an index that keeps changing', async () => {
+      minioService.writeSystemObjectIf.mockResolvedValue(false);
+
+      await expect(service.register('a.mp4', HASH, 100, metaData)).rejects.toMatchObject({ statusCode: 503, code: 'DEDUP_CONFLICT' });
+      expect(minioService.replaceMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should serialise concurrent registrations of the same content', async () => {
+      const results = await Promise.all([
+        service.register('a.mp4', HASH, 100, metaData),
+        service.register('b.mp4', HASH, 100, metaData)
+      ]);
+
+      expect(results).toEqual([false, true]);
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4', 'b.mp4']);
+    });
+
+    test('should serialise registrations across services of the same bucket', async () => {
+      const other = new DedupService(minioService);
+
+      const results = await Promise.all([
+        service.register('a.mp4', HASH, 100, metaData),
+        other.register('b.mp4', HASH, 100, metaData)
+      ]);
+
+      expect(results).toEqual([false, true]);
+      expect(minioService.writeSystemObjectIf).toHaveBeenCalledTimes(2);
+    });
+
+    test('should treat an emptied entry as new content', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'gone.mp4', refs: [] };
+      etags[INDEX_KEY] = 'etag-empty';
+
+      await expect(service.register('a.mp4', HASH, 100, metaData)).resolves.toBe(false);
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] });
+    });
+  });
+
+  describe('link', () => {
+    test('should store a reference to indexed content', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+
+      await expect(service.link('copy.mp4', HASH, metaData)).resolves.toBe(true);
+
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'copy.mp4'] });
+      expect(minioService.putObject).toHaveBeenCalledWith('copy.mp4', Buffer.alloc(0), {
+        ...metaData,
+        'Content-Sha256': HASH,
+        'Dedup-Ref': 'true'
+      });
+    });
+
+    test('should keep a copy readable after its source expired behind the service', async () => {
+      const objects = { 'tmp/raw.mp4': { size: 100, etag: 'raw-etag', metaData: { 'content-sha256': HASH } } };
+      minioService.statObject.mockImplementation(async key => objects[key] || null);
+      minioService.copyObject.mockImplementation(async (source, target) => { objects[target] = objects[source]; });
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'tmp/raw.mp4', refs: ['tmp/raw.mp4'] };
+
+      await service.link('exports/raw.mp4', HASH, metaData);
+      // A lifecycle rule expires tmp/ without releasing it
+      delete objects['tmp/raw.mp4'];
+
+      const blob = await service.resolve(HASH);
+      expect(blob.key).toBe(BLOB_KEY);
+      expect(blob.stat.size).toBe(100);
+    });
+
+    test('should store nothing when the content is not indexed', async () => {
+      await expect(service.link('copy.mp4', HASH, metaData)).resolves.toBe(false);
+
+      expect(minioService.putObject).not.toHaveBeenCalled();
+      expect(store[INDEX_KEY]).toBeUndefined();
+    });
+  });
+
+  describe('rename', () => {
+    test('should follow a moved reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+
+      await service.rename('b.mp4', 'moved/b.mp4', HASH);
+
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'moved/b.mp4'] });
+    });
+
+    test('should follow moved bytes', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+      store['dedup-holders/a.mp4.json'] = { hash: HASH };
+
+      await service.rename('a.mp4', 'moved/a.mp4', HASH);
+
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: 'moved/a.mp4', refs: ['moved/a.mp4', 'b.mp4'] });
+      expect(store['dedup-holders/moved/a.mp4.json']).toEqual({ hash: HASH });
+      expect(store['dedup-holders/a.mp4.json']).toBeUndefined();
+    });
+  });
+
+  describe('resolve', () => {
+    test('should return the object holding the bytes', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+
+      const blob = await service.resolve(HASH);
+
+      expect(blob.key).toBe('a.mp4');
+      expect(blob.stat.size).toBe(100);
+    });
+
+    test('should fail when the content is missing', async () => {
+      await expect(service.resolve(HASH)).rejects.toMatchObject({ statusCode: 500, code: 'CONTENT_MISSING' });
+    });
+  });
+
+  describe('release', () => {
+    test('should drop a reference and keep the blob', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+
+      await expect(service.release('b.mp4', HASH)).resolves.toBe(100);
+
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4']);
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+
+    test('should move the bytes aside when their holder is deleted first', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+      store['dedup-holders/a.mp4.json'] = { hash: HASH };
+
+      await service.release('a.mp4', HASH);
+
+      expect(store['dedup-holders/a.mp4.json']).toBeUndefined();
+      expect(minioService.copyObject).toHaveBeenCalledWith('a.mp4', `.minvault/blobs/${HASH}`);
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: `.minvault/blobs/${HASH}`, refs: ['b.mp4'] });
+    });
+
+    test('should remove the blob and empty the index with the last reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: `.minvault/blobs/${HASH}`, refs: ['b.mp4'] };
+
+      await service.release('b.mp4', HASH);
+
+      expect(minioService.removeObject).toHaveBeenCalledWith(`.minvault/blobs/${HASH}`);
+      expect(store[INDEX_KEY].refs).toEqual([]);
+      await expect(service.resolve(HASH)).rejects.toMatchObject({ code: 'CONTENT_MISSING' });
+    });
+
+    test('should drop one use of a file linked again before its old reference was released', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: BLOB_KEY, refs: ['b.mp4'] };
+
+      await service.link('b.mp4', HASH, metaData);
+      await service.release('b.mp4', HASH);
+
+      expect(store[INDEX_KEY].refs).toEqual(['b.mp4']);
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+
+    test('should leave the holder to the caller when it is the last reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+
+      await service.release('a.mp4', HASH);
+
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+      expect(minioService.copyObject).not.toHaveBeenCalled();
+      expect(store[INDEX_KEY].refs).toEqual([]);
+    });
+  });
+
+  describe('vacate', () => {
+    test('should move bytes used by other files to the blob and keep the reference', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4', 'b.mp4'] };
+
+      await service.vacate('a.mp4', HASH);
+
+      expect(minioService.copyObject).toHaveBeenCalledWith('a.mp4', BLOB_KEY);
+      expect(store[INDEX_KEY]).toEqual({ hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'b.mp4'] });
+    });
+
+    test('should leave bytes no other file uses', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+
+      await service.vacate('a.mp4', HASH);
+
+      expect(minioService.copyObject).not.toHaveBeenCalled();
+      expect(minioService.writeSystemObjectIf).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('prune', () => {
+    const OTHER = 'b'.repeat(64);
+
+    test('should drop references to files that are gone and remove unused blobs', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'expired.mp4', 'a.mp4'] };
+      store[`dedup/${OTHER}.json`] = { hash: OTHER, size: 5, blob: `.minvault/blobs/${OTHER}`, refs: ['old.mp4'] };
+      const files = {
+        'a.mp4': { size: 0, metaData: { 'content-sha256': HASH, 'dedup-ref': 'true' } },
+        // Replaced since with other content
+        'old.mp4': { size: 7, metaData: {} }
+      };
+      minioService.statObject.mockImplementation(async name => files[name] || null);
+      const { listSystemObjects } = minioService;
+      minioService.listSystemObjects = jest.fn(async prefix => (prefix === 'blobs/'
+        ? [`blobs/${HASH}`, `blobs/${OTHER}`]
+        : listSystemObjects(prefix)));
+
+      await expect(service.prune()).resolves.toBe(1);
+
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4']);
+      expect(store[`dedup/${OTHER}.json`].refs).toEqual([]);
+      expect(minioService.removeObject).toHaveBeenCalledTimes(1);
+      expect(minioService.removeObject).toHaveBeenCalledWith(`.minvault/blobs/${OTHER}`);
+    });
+
+    test('should keep files holding the bytes and leave entries in use alone', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: 'a.mp4', refs: ['a.mp4'] };
+      store['dedup-holders/a.mp4.json'] = { hash: HASH };
+      minioService.statObject.mockResolvedValue({ size: 100, metaData: {} });
+
+      await expect(service.prune()).resolves.toBe(0);
+
+      expect(minioService.writeSystemObjectIf).not.toHaveBeenCalled();
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('materialize', () => {
+    test('should copy the content onto a reference and release it', async () => {
+      store[INDEX_KEY] = { hash: HASH, size: 100, blob: BLOB_KEY, refs: ['a.mp4', 'b.mp4'] };
+      minioService.getObjectTags.mockResolvedValue({ project: 'launch' });
+      const ref = { size: 0, metaData: { 'content-type': 'video/mp4', 'content-sha256': HASH, 'dedup-ref': 'true' } };
+
+      await service.materialize('b.mp4', ref);
+
+      expect(minioService.copyContent).toHaveBeenCalledWith(BLOB_KEY, 'b.mp4', {
+        'content-type': 'video/mp4',
+        'Content-Sha256': HASH
+      }, { project: 'launch' });
+      expect(store[INDEX_KEY].refs).toEqual(['a.mp4']);
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+  });
+});
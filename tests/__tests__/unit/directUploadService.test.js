@@ -0,0 +1,271 @@
+const DirectUploadService = require('../../../src/services/directUploadService');
+
+describe('DirectUploadService', () => {
+  let service;
+  let minioService;
+
+  const OBJECT_NAME = 'videos/clip_123_abc.mp4';
+  const PENDING_KEY = `direct-uploads/${OBJECT_NAME}.json`;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    minioService = {
+      buildObjectName: jest.fn().mockReturnValue(OBJECT_NAME),
+      writeSystemObject: jest.fn().mockResolvedValue(),
+      readSystemObject: jest.fn(),
+      listSystemObjects: jest.fn().mockResolvedValue([]),
+      removeSystemObject: jest.fn().mockResolvedValue(),
+      getPresignedUploadUrl: jest.fn().mockResolvedValue({ success: true, url: 'https://minio/put', method: 'PUT', expiresIn: 600 }),
+      getPresignedPostPolicy: jest.fn().mockResolvedValue({ success: true, url: 'https://minio/bucket', method: 'POST', fields: { key: OBJECT_NAME } }),
+      statObject: jest.fn(),
+      replaceMetadata: jest.fn().mockResolvedValue(),
+      deduplicateStored: jest.fn().mockResolvedValue({ hash: null, deduplicated: false }),
+      removeObject: jest.fn().mockResolvedValue(),
+      usage: { record: jest.fn().mockResolvedValue() },
+      metadata: { sync: jest.fn().mockResolvedValue() },
+      readHead: jest.fn().mockResolvedValue(Buffer.from('\x00\x00\x00\x18ftypisom', 'latin1')),
+      limits: { allowedFileTypes: ['video/*', 'image/*', 'application/pdf'], maxFileSize: '10MB', urlExpiry: 3600 },
+      scans: {
+        enabled: false,
+        pendingMetadata: jest.fn().mockReturnValue({}),
+        enqueue: jest.fn().mockResolvedValue(null)
+      },
+      renditions: {
+        enqueue: jest.fn()
+      }
+    };
+    service = new DirectUploadService(minioService);
+  });
+
+  describe('createPutUpload', () => {
+    test('should remember the upload and return a presigned PUT URL', async () => {
+      const result = await service.createPutUpload({ filename: 'clip.mp4', contentType: 'video/mp4', path: 'videos', expiry: 600 });
+
+      expect(minioService.buildObjectName).toHaveBeenCalledWith('clip.mp4', 'videos');
+      expect(minioService.writeSystemObject).toHaveBeenCalledWith(PENDING_KEY, expect.objectContaining({
+        objectName: OBJECT_NAME,
+        originalName: 'clip.mp4',
+        mimetype: 'video/mp4'
+      }));
+      expect(minioService.getPresignedUploadUrl).toHaveBeenCalledWith(OBJECT_NAME, 600);
+      expect(result).toEqual(expect.objectContaining({
+        objectName: OBJECT_NAME,
+        url: 'https://minio/put',
+        headers: { 'Content-Type': 'video/mp4' }
+      }));
+    });
+  });
+
+  describe('createPostUpload', () => {
+    test('should place uploads in the caller\'s folder and record the owner', async () => {
+      const alice = { id: 'user:alice', scopes: ['files:write'], prefix: 'users/alice/', isolated: true };
+
+      await service.createPostUpload({ filename: 'clip.mp4', contentType: 'video/mp4', path: 'videos', expiry: 600, principal: alice });
+
+      expect(minioService.buildObjectName).toHaveBeenCalledWith('clip.mp4', 'users/alice/videos');
+      expect(minioService.writeSystemObject).toHaveBeenCalledWith(PENDING_KEY, expect.objectContaining({ owner: 'user:alice' }));
+      expect(minioService.getPresignedPostPolicy).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({
+        metaData: expect.objectContaining({ owner: 'user:alice' })
+      }));
+    });
+
+    test('should restrict the policy to the content type and maximum size', async () => {
+      const result = await service.createPostUpload({ filename: 'clip.mp4', contentType: 'video/mp4', expiry: 600 });
+
+      expect(minioService.getPresignedPostPolicy).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({
+        contentType: 'video/mp4',
+        maxSize: 10 * 1024 * 1024,
+        metaData: expect.objectContaining({ 'original-name': 'clip.mp4' }),
+        expiry: 600
+      }));
+      expect(result.fields.key).toBe(OBJECT_NAME);
+    });
+  });
+
+  describe('completeUpload', () => {
+    const pending = { objectName: OBJECT_NAME, originalName: 'clip.mp4', mimetype: 'video/mp4' };
+
+    test('should register an uploaded object and add missing metadata', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue({ size: 2048, metaData: { 'content-type': 'video/mp4' } });
+
+      const result = await service.completeUpload(OBJECT_NAME);
+
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({
+        'Content-Type': 'video/mp4',
+        'Original-Name': 'clip.mp4'
+      }));
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith(PENDING_KEY);
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        objectName: OBJECT_NAME,
+        originalName: 'clip.mp4',
+        size: 2048,
+        mimetype: 'video/mp4'
+      }));
+      expect(minioService.usage.record).toHaveBeenCalledWith(undefined, 2048, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith(OBJECT_NAME);
+      expect(minioService.renditions.enqueue).toHaveBeenCalledWith(OBJECT_NAME, 'video/mp4');
+    });
+
+    test('should only let the owner complete an upload and rewrite a forged owner', async () => {
+      minioService.readSystemObject.mockResolvedValue({ ...pending, owner: 'user:alice' });
+      minioService.statObject.mockResolvedValue({
+        size: 2048,
+        metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mp4', owner: 'user:mallory' }
+      });
+      const alice = { id: 'user:alice', scopes: ['files:write'], prefix: 'users/alice/', isolated: true };
+
+      await expect(service.completeUpload(OBJECT_NAME, { ...alice, id: 'user:bob' })).rejects.toMatchObject({ statusCode: 403 });
+
+      const result = await service.completeUpload(OBJECT_NAME, alice);
+
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({ Owner: 'user:alice' }));
+      expect(result.owner).toBe('user:alice');
+    });
+
+    test('should deduplicate the object once its metadata is set', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue({ size: 2048, metaData: { 'content-type': 'video/mp4' } });
+      minioService.deduplicateStored.mockResolvedValue({ hash: 'abc', deduplicated: true });
+
+      const result = await service.completeUpload(OBJECT_NAME);
+
+      expect(minioService.deduplicateStored).toHaveBeenCalledWith(OBJECT_NAME, 2048, expect.objectContaining({
+        'Content-Type': 'video/mp4',
+        'Original-Name': 'clip.mp4'
+      }));
+      expect(minioService.replaceMetadata.mock.invocationCallOrder[0])
+        .toBeLessThan(minioService.deduplicateStored.mock.invocationCallOrder[0]);
+      expect(result).toEqual(expect.objectContaining({ hash: 'abc', deduplicated: true }));
+    });
+
+    test('should keep metadata set through a POST policy', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue({
+        size: 2048,
+        metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mp4', 'upload-date': '2024-01-01T00:00:00.000Z' }
+      });
+
+      const result = await service.completeUpload(OBJECT_NAME);
+
+      expect(minioService.replaceMetadata).not.toHaveBeenCalled();
+      expect(result.uploadDate).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    test('should mark the object pending and queue it when scanning is enabled', async () => {
+      minioService.scans.enabled = true;
+      minioService.scans.pendingMetadata.mockReturnValue({ 'Scan-Status': 'pending' });
+      minioService.scans.enqueue.mockResolvedValue('pending');
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue({
+        size: 2048,
+        metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mp4', 'scan-status': 'clean' }
+      });
+
+      const result = await service.completeUpload(OBJECT_NAME);
+
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({ 'Scan-Status': 'pending' }));
+      expect(minioService.scans.enqueue).toHaveBeenCalledWith(OBJECT_NAME);
+      expect(result.scanStatus).toBe('pending');
+    });
+
+    test('should reject objects that were never issued', async () => {
+      minioService.readSystemObject.mockResolvedValue(null);
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 404, code: 'UPLOAD_NOT_FOUND' });
+    });
+
+    test('should complete uploads that were stored after their URL expired, within the grace period', async () => {
+      minioService.readSystemObject.mockResolvedValue({ ...pending, expiresAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+      minioService.statObject.mockResolvedValue({
+        size: 2048, lastModified: new Date(Date.now() - 30 * 60 * 1000), metaData: { 'content-type': 'video/mp4' }
+      });
+
+      await expect(service.completeUpload(OBJECT_NAME)).resolves.toEqual(expect.objectContaining({ success: true, size: 2048 }));
+    });
+
+    test('should discard uploads stored past the grace period after their URL expired', async () => {
+      minioService.readSystemObject.mockResolvedValue({ ...pending, expiresAt: new Date(Date.now() - 3 * DAY).toISOString() });
+      minioService.statObject.mockResolvedValue({
+        size: 2048, lastModified: new Date(Date.now() - DAY), metaData: { 'content-type': 'video/mp4' }
+      });
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 410, code: 'UPLOAD_EXPIRED' });
+      expect(minioService.removeObject).toHaveBeenCalledWith(OBJECT_NAME);
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith(PENDING_KEY);
+      expect(minioService.usage.record).not.toHaveBeenCalled();
+    });
+
+    test('should discard uploads that never arrived once the grace period is over', async () => {
+      minioService.readSystemObject.mockResolvedValue({ ...pending, expiresAt: new Date(Date.now() - 2 * DAY).toISOString() });
+      minioService.statObject.mockResolvedValue(null);
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 410, code: 'UPLOAD_EXPIRED' });
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith(PENDING_KEY);
+    });
+
+    test('should reject uploads that have not arrived yet', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue(null);
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+    });
+
+    test('should delete objects exceeding the maximum size', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.statObject.mockResolvedValue({ size: 20 * 1024 * 1024, metaData: { 'content-type': 'video/mp4' } });
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 400, code: 'FILE_TOO_LARGE' });
+      expect(minioService.removeObject).toHaveBeenCalledWith(OBJECT_NAME);
+    });
+
+    test('should store the detected type instead of the claimed one', async () => {
+      minioService.readSystemObject.mockResolvedValue({ ...pending, originalName: 'clip.mov' });
+      minioService.readHead.mockResolvedValue(Buffer.from('\x00\x00\x00\x14ftypqt  ', 'latin1'));
+      minioService.statObject.mockResolvedValue({
+        size: 2048,
+        metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mov' }
+      });
+
+      const result = await service.completeUpload(OBJECT_NAME);
+
+      expect(minioService.readHead).toHaveBeenCalledWith(OBJECT_NAME, 2048);
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith(OBJECT_NAME, expect.objectContaining({
+        'Content-Type': 'video/quicktime'
+      }));
+      expect(result.mimetype).toBe('video/quicktime');
+    });
+
+    test('should delete objects with a disallowed content type', async () => {
+      minioService.readSystemObject.mockResolvedValue(pending);
+      minioService.readHead.mockResolvedValue(Buffer.from('MZ\x90\x00', 'latin1'));
+      minioService.statObject.mockResolvedValue({ size: 10, metaData: { 'content-type': 'video/mp4' } });
+
+      await expect(service.completeUpload(OBJECT_NAME)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_FILE_TYPE' });
+      expect(minioService.removeObject).toHaveBeenCalledWith(OBJECT_NAME);
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith(PENDING_KEY);
+    });
+  });
+
+  describe('removeExpired', () => {
+    test('should discard only uploads past the grace period and their objects', async () => {
+      const records = {
+        [PENDING_KEY]: { objectName: OBJECT_NAME, expiresAt: new Date(Date.now() - 2 * DAY).toISOString() },
+        // Its URL has expired, but a PUT started before may still be running
+        'direct-uploads/videos/landing.mp4.json': { objectName: 'videos/landing.mp4', expiresAt: new Date(Date.now() - 1000).toISOString() },
+        'direct-uploads/videos/live.mp4.json': { objectName: 'videos/live.mp4', expiresAt: new Date(Date.now() + 60000).toISOString() }
+      };
+      minioService.listSystemObjects.mockResolvedValue(Object.keys(records));
+      minioService.readSystemObject.mockImplementation(async key => records[key]);
+
+      const removed = await service.removeExpired();
+
+      expect(removed).toBe(1);
+      expect(minioService.listSystemObjects).toHaveBeenCalledWith('direct-uploads/');
+      expect(minioService.removeObject).toHaveBeenCalledTimes(1);
+      expect(minioService.removeObject).toHaveBeenCalledWith(OBJECT_NAME);
+      expect(minioService.removeSystemObject).toHaveBeenCalledWith(PENDING_KEY);
+    });
+  });
+});
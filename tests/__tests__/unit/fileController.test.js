@@ -1,4 +1,8 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
 const FileController = require('../../../src/controllers/fileController');
+const { AppError } = require('../../../src/utils/errors');
 
 // Mock MinioService
 jest.mock('../../../src/services/minioService');
@@ -14,12 +18,39 @@ describe('FileController', () => {
       uploadFile: jest.fn(),
       getPresignedUrl: jest.fn(),
       deleteFile: jest.fn(),
+      deleteFiles: jest.fn(),
       listFiles: jest.fn(),
+      searchFiles: jest.fn(),
+      getFileTags: jest.fn(),
+      setFileTags: jest.fn(),
+      updateFileMetadata: jest.fn(),
+      copyFile: jest.fn(),
+      moveFile: jest.fn(),
+      transferPrefix: jest.fn(),
       getFileInfo: jest.fn(),
+      statFile: jest.fn(),
+      getObjectStream: jest.fn(),
+      versions: {
+        list: jest.fn(),
+        statFile: jest.fn(),
+        restore: jest.fn(),
+        remove: jest.fn()
+      },
+      scans: {
+        assertScanPassed: jest.fn()
+      },
+      renditions: {
+        get: jest.fn()
+      },
+      usage: {
+        assertWithinQuota: jest.fn().mockResolvedValue(),
+        getUsage: jest.fn()
+      },
       client: {
         bucketExists: jest.fn()
       },
-      bucketName: 'test-bucket'
+      bucketName: 'test-bucket',
+      limits: { allowedFileTypes: ['image/*', 'video/*'], maxFileSize: '10MB', urlExpiry: 3600 }
     };
 
     MinioService.mockImplementation(() => mockMinioService);
@@ -36,7 +67,8 @@ describe('FileController', () => {
     
     res = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn()
+      json: jest.fn(),
+      set: jest.fn().mockReturnThis()
     };
     
     next = jest.fn();
@@ -70,7 +102,7 @@ describe('FileController', () => {
 
       await fileController.uploadSingle(req, res, next);
 
-      expect(mockMinioService.uploadFile).toHaveBeenCalledWith(mockFile, '');
+      expect(mockMinioService.uploadFile).toHaveBeenCalledWith(mockFile, '', undefined);
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -93,7 +125,31 @@ describe('FileController', () => {
 
       await fileController.uploadSingle(req, res, next);
 
-      expect(mockMinioService.uploadFile).toHaveBeenCalledWith(mockFile, 'videos/2024');
+      expect(mockMinioService.uploadFile).toHaveBeenCalledWith(mockFile, 'videos/2024', undefined);
+    });
+
+    test('should not upload again a file already streamed to storage', async () => {
+      const uploadResult = { success: true, objectName: 'test_123_abc.mp4', size: 2048 };
+      req.file = { originalname: 'test.mp4', objectName: 'test_123_abc.mp4', upload: uploadResult };
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'test-url', expiresAt: 'later' });
+
+      await fileController.uploadSingle(req, res, next);
+
+      expect(mockMinioService.uploadFile).not.toHaveBeenCalled();
+      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test_123_abc.mp4');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should not presign a file awaiting its malware scan', async () => {
+      const uploadResult = { success: true, objectName: 'test_123_abc.mp4', scanStatus: 'pending' };
+      req.file = { originalname: 'test.mp4', upload: uploadResult };
+
+      await fileController.uploadSingle(req, res, next);
+
+      expect(mockMinioService.getPresignedUrl).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { ...uploadResult, accessUrl: null, urlExpiresAt: null }
+      }));
     });
 
     test('should return error if no file provided', async () => {
@@ -160,6 +216,141 @@ describe('FileController', () => {
         code: 'NO_FILES'
       });
     });
+
+    test('should delete the uploaded files when they exceed a quota', async () => {
+      req.files = [{ originalname: 'test1.mp4' }, { originalname: 'test2.mp4' }];
+      mockMinioService.uploadFile.mockResolvedValueOnce({ objectName: 'test1.mp4' });
+      mockMinioService.uploadFile.mockResolvedValueOnce({ objectName: 'test2.mp4' });
+      mockMinioService.usage.assertWithinQuota.mockRejectedValue(new AppError('User quota of 1 files exceeded (2 stored)', 413, 'QUOTA_EXCEEDED'));
+
+      await fileController.uploadMultiple(req, res, next);
+
+      expect(mockMinioService.deleteFile).toHaveBeenCalledWith('test1.mp4', null, { permanent: true });
+      expect(mockMinioService.deleteFile).toHaveBeenCalledWith('test2.mp4', null, { permanent: true });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ code: 'QUOTA_EXCEEDED' }));
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkQuota', () => {
+    beforeEach(() => {
+      req.auth = { id: 'user:alice', scopes: ['files:write'] };
+      req.is = jest.fn().mockReturnValue('multipart/form-data');
+      req.get = jest.fn().mockReturnValue('2048');
+    });
+
+    test('should check the declared request size against the quota', async () => {
+      await fileController.checkQuota(req, res, next);
+
+      expect(mockMinioService.usage.assertWithinQuota).toHaveBeenCalledWith(req.auth, 2048, 1);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should refuse uploads over quota before storing them', async () => {
+      const error = new AppError('User storage quota of 1024 bytes exceeded (0 used)', 413, 'QUOTA_EXCEEDED');
+      mockMinioService.usage.assertWithinQuota.mockRejectedValue(error);
+
+      await fileController.checkQuota(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    test('should leave requests without a multipart body to the upload handler', async () => {
+      req.is.mockReturnValue(false);
+
+      await fileController.checkQuota(req, res, next);
+
+      expect(mockMinioService.usage.assertWithinQuota).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('getUsage', () => {
+    test('should report the usage of the caller and the bucket', async () => {
+      req.auth = { id: 'user:alice', scopes: ['files:read'] };
+      const usage = {
+        user: { id: 'user:alice', bytes: 10, objects: 1, quota: null },
+        tenant: { bucket: 'test-bucket', bytes: 30, objects: 2, quota: { bytes: 100, objects: null } }
+      };
+      mockMinioService.usage.getUsage.mockResolvedValue(usage);
+
+      await fileController.getUsage(req, res, next);
+
+      expect(mockMinioService.usage.getUsage).toHaveBeenCalledWith(req.auth);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Usage retrieved successfully',
+        data: { user: usage.user, tenant: { id: null, ...usage.tenant } }
+      });
+    });
+  });
+
+  describe('createPresignedUpload', () => {
+    test('should return a presigned PUT URL', async () => {
+      req.body = { filename: 'test.mp4', contentType: 'video/mp4', path: 'videos' };
+      fileController.directUploadService.createPutUpload = jest.fn().mockResolvedValue({ objectName: 'videos/test_123_abc.mp4', url: 'put-url' });
+
+      await fileController.createPresignedUpload(req, res, next);
+
+      expect(fileController.directUploadService.createPutUpload).toHaveBeenCalledWith({
+        filename: 'test.mp4',
+        contentType: 'video/mp4',
+        path: 'videos',
+        expiry: 3600
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should cap expiry at 7 days', async () => {
+      req.body = { filename: 'test.mp4', contentType: 'video/mp4', expiry: '9999999' };
+      fileController.directUploadService.createPutUpload = jest.fn().mockResolvedValue({});
+
+      await fileController.createPresignedUpload(req, res, next);
+
+      expect(fileController.directUploadService.createPutUpload).toHaveBeenCalledWith(expect.objectContaining({ expiry: 604800 }));
+    });
+
+    test('should require filename and content type', async () => {
+      req.body = { filename: 'test.mp4' };
+
+      await fileController.createPresignedUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+
+    test('should reject disallowed content types', async () => {
+      req.body = { filename: 'test.exe', contentType: 'application/x-msdownload' };
+
+      await fileController.createPresignedPost(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_FILE_TYPE' }));
+    });
+  });
+
+  describe('completeDirectUpload', () => {
+    test('should register the upload and return an access URL', async () => {
+      const result = { success: true, objectName: 'test_123_abc.mp4', originalName: 'test.mp4', size: 10, mimetype: 'video/mp4' };
+      req.body = { objectName: 'test_123_abc.mp4' };
+      fileController.directUploadService.completeUpload = jest.fn().mockResolvedValue(result);
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'get-url', expiresAt: 'later' });
+
+      await fileController.completeDirectUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'File uploaded successfully',
+        data: { ...result, accessUrl: 'get-url', urlExpiresAt: 'later' }
+      });
+    });
+
+    test('should require an object name', async () => {
+      await fileController.completeDirectUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
   });
 
   describe('getFileUrl', () => {
@@ -174,7 +365,7 @@ describe('FileController', () => {
 
       await fileController.getFileUrl(req, res, next);
 
-      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test.mp4', undefined);
+      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test.mp4', undefined, undefined, undefined);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'Presigned URL generated successfully',
@@ -182,6 +373,16 @@ describe('FileController', () => {
       });
     });
 
+    test('should presign a specific version', async () => {
+      req.params.filename = 'test.mp4';
+      req.query.versionId = '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b';
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'test-url' });
+
+      await fileController.getFileUrl(req, res, next);
+
+      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test.mp4', undefined, undefined, '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b');
+    });
+
     test('should use custom expiry from query', async () => {
       req.params.filename = 'test.mp4';
       req.query.expiry = '7200';
@@ -190,7 +391,7 @@ describe('FileController', () => {
 
       await fileController.getFileUrl(req, res, next);
 
-      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test.mp4', 7200);
+      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('test.mp4', 7200, undefined, undefined);
     });
 
     test('should return error if filename missing', async () => {
@@ -207,6 +408,207 @@ describe('FileController', () => {
     });
   });
 
+  describe('downloadFile', () => {
+    const content = Buffer.from('0123456789');
+    const stat = {
+      storageKey: 'clip_1_abc.mp4',
+      size: content.length,
+      etag: 'abc123',
+      lastModified: new Date('2024-01-01T12:00:00.000Z'),
+      metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mp4' }
+    };
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.get('/download/:filename', fileController.downloadFile.bind(fileController));
+      app.head('/download/:filename', fileController.downloadFile.bind(fileController));
+      mockMinioService.statFile.mockResolvedValue(stat);
+      mockMinioService.getObjectStream.mockImplementation(async (name, range) =>
+        Readable.from([range ? content.subarray(range.start, range.end + 1) : content])
+      );
+    });
+
+    test('should stream the whole file under its original name', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('video/mp4');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="clip.mp4"');
+      expect(response.headers['content-length']).toBe('10');
+      expect(response.headers['accept-ranges']).toBe('bytes');
+      expect(response.headers.etag).toBe('"abc123"');
+      expect(response.body.toString()).toBe('0123456789');
+      expect(mockMinioService.getObjectStream).toHaveBeenCalledWith('clip_1_abc.mp4', undefined, undefined);
+    });
+
+    test('should serve a byte range with 206', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4').set('Range', 'bytes=2-5');
+
+      expect(response.status).toBe(206);
+      expect(response.headers['content-range']).toBe('bytes 2-5/10');
+      expect(response.headers['content-length']).toBe('4');
+      expect(response.body.toString()).toBe('2345');
+      expect(mockMinioService.getObjectStream).toHaveBeenCalledWith('clip_1_abc.mp4', expect.objectContaining({ start: 2, end: 5 }), undefined);
+    });
+
+    test('should serve an open-ended suffix range', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4').set('Range', 'bytes=-3');
+
+      expect(response.status).toBe(206);
+      expect(response.headers['content-range']).toBe('bytes 7-9/10');
+    });
+
+    test('should answer 416 for unsatisfiable ranges', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4').set('Range', 'bytes=20-30');
+
+      expect(response.status).toBe(416);
+      expect(response.headers['content-range']).toBe('bytes */10');
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should ignore the range when If-Range no longer matches', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4')
+        .set('Range', 'bytes=2-5')
+        .set('If-Range', '"stale"');
+
+      expect(response.status).toBe(200);
+      expect(response.body.toString()).toBe('0123456789');
+    });
+
+    test('should answer 304 when the ETag matches', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4').set('If-None-Match', '"abc123"');
+
+      expect(response.status).toBe(304);
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should answer 304 when not modified since', async () => {
+      const response = await request(app).get('/download/clip_1_abc.mp4')
+        .set('If-Modified-Since', 'Mon, 01 Jan 2024 12:00:00 GMT');
+
+      expect(response.status).toBe(304);
+    });
+
+    test('should send headers only for HEAD', async () => {
+      const response = await request(app).head('/download/clip_1_abc.mp4');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-length']).toBe('10');
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should stream a specific version', async () => {
+      const versionId = '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b';
+      mockMinioService.versions.statFile.mockResolvedValue({ ...stat, storageVersionId: versionId });
+
+      const response = await request(app).get(`/download/clip_1_abc.mp4?versionId=${versionId}`);
+
+      expect(response.status).toBe(200);
+      expect(mockMinioService.versions.statFile).toHaveBeenCalledWith('clip_1_abc.mp4', versionId);
+      expect(mockMinioService.statFile).not.toHaveBeenCalled();
+      expect(mockMinioService.getObjectStream).toHaveBeenCalledWith('clip_1_abc.mp4', undefined, versionId);
+    });
+
+    test('should return 404 for missing files', async () => {
+      mockMinioService.statFile.mockResolvedValue(null);
+
+      const response = await request(app).get('/download/missing.mp4');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('should refuse files that have not passed the malware scan', async () => {
+      mockMinioService.scans.assertScanPassed.mockImplementation(() => {
+        throw new AppError('File is still being scanned for malware', 409, 'SCAN_PENDING');
+      });
+
+      const response = await request(app).get('/download/clip_1_abc.mp4');
+
+      expect(response.status).toBe(409);
+      expect(mockMinioService.scans.assertScanPassed).toHaveBeenCalledWith(stat);
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getThumbnail', () => {
+    const thumbnail = Buffer.from('webp bytes');
+    const stat = { storageKey: 'photos/cat.png', size: 2048, etag: 'abc123', metaData: { 'content-type': 'image/png' } };
+    const rendition = {
+      size: 150,
+      width: 150,
+      height: 100,
+      bytes: thumbnail.length,
+      key: '.minvault/renditions/photos/cat.png.150.webp',
+      contentType: 'image/webp',
+      etag: 'abc123-150.webp'
+    };
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.get('/thumbnail/*', (req, res, next) => {
+        req.params.filename = req.params[0];
+        next();
+      }, fileController.getThumbnail.bind(fileController));
+      mockMinioService.statFile.mockResolvedValue(stat);
+      mockMinioService.renditions.get.mockResolvedValue(rendition);
+      mockMinioService.getObjectStream.mockImplementation(async () => Readable.from([thumbnail]));
+    });
+
+    test('should stream the rendition of the requested size', async () => {
+      const response = await request(app).get('/thumbnail/photos/cat.png?size=150');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/webp');
+      expect(response.headers['content-length']).toBe(String(thumbnail.length));
+      expect(response.headers.etag).toBe('"abc123-150.webp"');
+      expect(response.body.toString()).toBe('webp bytes');
+      expect(mockMinioService.renditions.get).toHaveBeenCalledWith('photos/cat.png', stat, '150');
+      expect(mockMinioService.getObjectStream).toHaveBeenCalledWith('.minvault/renditions/photos/cat.png.150.webp');
+    });
+
+    test('should answer 304 while the cached rendition is current', async () => {
+      const response = await request(app).get('/thumbnail/photos/cat.png?size=150').set('If-None-Match', '"abc123-150.webp"');
+
+      expect(response.status).toBe(304);
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for missing files', async () => {
+      mockMinioService.statFile.mockResolvedValue(null);
+
+      const response = await request(app).get('/thumbnail/photos/missing.png');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('should refuse images that have not passed the malware scan', async () => {
+      mockMinioService.scans.assertScanPassed.mockImplementation(() => {
+        throw new AppError('File is still being scanned for malware', 409, 'SCAN_PENDING');
+      });
+
+      const response = await request(app).get('/thumbnail/photos/cat.png');
+
+      expect(response.status).toBe(409);
+      expect(mockMinioService.renditions.get).not.toHaveBeenCalled();
+    });
+
+    test('should only serve renditions of files of the caller', async () => {
+      mockMinioService.statFile.mockResolvedValue({ ...stat, metaData: { ...stat.metaData, owner: 'user:bob' } });
+      const alice = { id: 'user:alice', scopes: ['files:read'], prefix: 'users/alice/', isolated: true };
+      req.params.filename = 'users/bob/cat.png';
+      req.auth = alice;
+
+      await fileController.getThumbnail(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+      expect(mockMinioService.renditions.get).not.toHaveBeenCalled();
+    });
+  });
+
   describe('deleteFile', () => {
     test('should delete file successfully', async () => {
       req.params.filename = 'test.mp4';
@@ -216,7 +618,7 @@ describe('FileController', () => {
 
       await fileController.deleteFile(req, res, next);
 
-      expect(mockMinioService.deleteFile).toHaveBeenCalledWith('test.mp4');
+      expect(mockMinioService.deleteFile).toHaveBeenCalledWith('test.mp4', undefined, { permanent: false });
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'File deleted successfully',
@@ -238,14 +640,17 @@ describe('FileController', () => {
       const listResult = {
         success: true,
         files: [{ name: 'test1.mp4' }, { name: 'test2.mp4' }],
-        count: 2
+        folders: [],
+        count: 2,
+        nextCursor: null
       };
 
       mockMinioService.listFiles.mockResolvedValue(listResult);
 
       await fileController.listFiles(req, res, next);
 
-      expect(mockMinioService.listFiles).toHaveBeenCalledWith('', 1000);
+      expect(mockMinioService.listFiles).toHaveBeenCalledWith('', 1000, { delimiter: '', cursor: '', startAfter: '' });
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '2');
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'Files retrieved successfully',
@@ -256,12 +661,295 @@ describe('FileController', () => {
     test('should use query parameters', async () => {
       req.query.prefix = 'videos/';
       req.query.limit = '50';
+      req.query.delimiter = '/';
+      req.query.cursor = 'token-1';
+
+      mockMinioService.listFiles.mockResolvedValue({ files: [], folders: [], count: 0, nextCursor: 'token-2' });
+
+      await fileController.listFiles(req, res, next);
+
+      expect(mockMinioService.listFiles).toHaveBeenCalledWith('videos/', 50, { delimiter: '/', cursor: 'token-1', startAfter: '' });
+    });
 
-      mockMinioService.listFiles.mockResolvedValue({ files: [], count: 0 });
+    test('should cap the page size at 1000', async () => {
+      req.query.limit = '5000';
+      mockMinioService.listFiles.mockResolvedValue({ files: [], folders: [], count: 0, nextCursor: null });
 
       await fileController.listFiles(req, res, next);
 
-      expect(mockMinioService.listFiles).toHaveBeenCalledWith('videos/', 50);
+      expect(mockMinioService.listFiles).toHaveBeenCalledWith('', 1000, expect.any(Object));
+    });
+
+    test('should omit the total when more pages follow', async () => {
+      mockMinioService.listFiles.mockResolvedValue({ files: [{ name: 'a.mp4' }], folders: [], count: 1, nextCursor: 'token-2' });
+
+      await fileController.listFiles(req, res, next);
+
+      expect(res.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchFiles', () => {
+    test('should search with the query parameters', async () => {
+      req.query = { q: 'launch', type: 'video', sort: 'size' };
+      req.auth = { id: 'user:alice', scopes: ['files:read'] };
+      const searchResult = { success: true, files: [{ name: 'launch.mp4' }], count: 1, nextCursor: null };
+      mockMinioService.searchFiles.mockResolvedValue(searchResult);
+
+      await fileController.searchFiles(req, res, next);
+
+      expect(mockMinioService.searchFiles).toHaveBeenCalledWith(req.query, { principal: req.auth });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Search completed successfully',
+        data: searchResult
+      });
+    });
+
+    test('should pass errors on', async () => {
+      const error = new AppError('order must be asc or desc', 400, 'INVALID_SEARCH');
+      mockMinioService.searchFiles.mockRejectedValue(error);
+
+      await fileController.searchFiles(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('tags', () => {
+    beforeEach(() => {
+      req.params.filename = 'clip.mp4';
+    });
+
+    test('should return the tags of the file', async () => {
+      const result = { success: true, objectName: 'clip.mp4', tags: { project: 'launch' } };
+      mockMinioService.getFileTags.mockResolvedValue(result);
+
+      await fileController.getTags(req, res, next);
+
+      expect(mockMinioService.getFileTags).toHaveBeenCalledWith('clip.mp4', undefined);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: result }));
+    });
+
+    test('should replace the tags from the body', async () => {
+      req.body.tags = { project: 'launch' };
+      mockMinioService.setFileTags.mockResolvedValue({ success: true, objectName: 'clip.mp4', tags: req.body.tags });
+
+      await fileController.setTags(req, res, next);
+
+      expect(mockMinioService.setFileTags).toHaveBeenCalledWith('clip.mp4', { project: 'launch' }, undefined);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Tags updated successfully' }));
+    });
+
+    test('should require tags', async () => {
+      await fileController.setTags(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+      expect(mockMinioService.setFileTags).not.toHaveBeenCalled();
+    });
+
+    test('should remove the tags', async () => {
+      mockMinioService.setFileTags.mockResolvedValue({ success: true, objectName: 'clip.mp4', tags: {} });
+
+      await fileController.removeTags(req, res, next);
+
+      expect(mockMinioService.setFileTags).toHaveBeenCalledWith('clip.mp4', {}, undefined);
+    });
+  });
+
+  describe('updateMetadata', () => {
+    beforeEach(() => {
+      req.params.filename = 'clip.mp4';
+    });
+
+    test('should update the metadata from the body', async () => {
+      req.body.metadata = { campaign: 'spring', language: null };
+      req.auth = { id: 'user:alice', scopes: ['files:write'] };
+      mockMinioService.updateFileMetadata.mockResolvedValue({ success: true, objectName: 'clip.mp4', metadata: { campaign: 'spring' } });
+
+      await fileController.updateMetadata(req, res, next);
+
+      expect(mockMinioService.updateFileMetadata).toHaveBeenCalledWith('clip.mp4', req.body.metadata, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Metadata updated successfully' }));
+    });
+
+    test('should require metadata', async () => {
+      await fileController.updateMetadata(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockMinioService.updateFileMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should pass errors on', async () => {
+      req.body.metadata = { owner: 'user:bob' };
+      const error = new AppError('Metadata key "owner" is reserved', 400, 'INVALID_METADATA');
+      mockMinioService.updateFileMetadata.mockRejectedValue(error);
+
+      await fileController.updateMetadata(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('deleteFiles', () => {
+    const result = { success: true, dryRun: false, total: 2, succeeded: 2, failed: 0, items: [] };
+
+    test('should delete the listed keys', async () => {
+      req.body = { keys: ['a.mp4', 'b.mp4'] };
+      mockMinioService.deleteFiles.mockResolvedValue(result);
+
+      await fileController.deleteFiles(req, res, next);
+
+      expect(mockMinioService.deleteFiles).toHaveBeenCalledWith({ keys: ['a.mp4', 'b.mp4'], prefix: undefined, dryRun: false, permanent: false }, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: '2 of 2 files deleted', data: result }));
+    });
+
+    test('should require confirmation to delete a prefix', async () => {
+      req.body = { prefix: 'videos/' };
+
+      await fileController.deleteFiles(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONFIRMATION_REQUIRED' }));
+      expect(mockMinioService.deleteFiles).not.toHaveBeenCalled();
+    });
+
+    test('should run a dry run of a prefix without confirmation', async () => {
+      req.body = { prefix: 'videos/', dryRun: 'true' };
+      mockMinioService.deleteFiles.mockResolvedValue({ ...result, dryRun: true });
+
+      await fileController.deleteFiles(req, res, next);
+
+      expect(mockMinioService.deleteFiles).toHaveBeenCalledWith({ keys: undefined, prefix: 'videos/', dryRun: true, permanent: false }, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: '2 files would be deleted' }));
+    });
+
+    test('should require keys or a prefix', async () => {
+      await fileController.deleteFiles(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+  });
+
+  describe('copyFile and moveFile', () => {
+    test('should copy a file with the options from the body', async () => {
+      req.body = { source: 'a.mp4', target: 'b.mp4', overwrite: 'true', metadataDirective: 'REPLACE', metadata: { campaign: 'spring' } };
+      mockMinioService.copyFile.mockResolvedValue({ success: true, source: 'a.mp4', target: 'b.mp4' });
+
+      await fileController.copyFile(req, res, next);
+
+      expect(mockMinioService.copyFile).toHaveBeenCalledWith('a.mp4', 'b.mp4', {
+        overwrite: true, metadataDirective: 'REPLACE', metadata: { campaign: 'spring' }
+      }, req.auth);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'File copied successfully' }));
+    });
+
+    test('should move a file', async () => {
+      req.body = { source: 'a.mp4', target: 'b.mp4' };
+      mockMinioService.moveFile.mockResolvedValue({ success: true, source: 'a.mp4', target: 'b.mp4' });
+
+      await fileController.moveFile(req, res, next);
+
+      expect(mockMinioService.moveFile).toHaveBeenCalledWith('a.mp4', 'b.mp4', expect.objectContaining({ overwrite: false }), req.auth);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'File moved successfully' }));
+    });
+
+    test('should move a prefix and report the batch', async () => {
+      req.body = { sourcePrefix: 'videos/', targetPrefix: 'archive/' };
+      mockMinioService.transferPrefix.mockResolvedValue({ success: true, total: 3, succeeded: 2, failed: 1, items: [] });
+
+      await fileController.moveFile(req, res, next);
+
+      expect(mockMinioService.transferPrefix).toHaveBeenCalledWith('move', 'videos/', 'archive/', expect.any(Object), req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: '2 of 3 files moved' }));
+    });
+
+    test('should require a source and target', async () => {
+      req.body = { source: 'a.mp4' };
+      await fileController.copyFile(req, res, next);
+
+      req.body = { sourcePrefix: 'videos/' };
+      await fileController.moveFile(req, res, next);
+
+      expect(res.status.mock.calls).toEqual([[400], [400]]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+      expect(mockMinioService.copyFile).not.toHaveBeenCalled();
+      expect(mockMinioService.transferPrefix).not.toHaveBeenCalled();
+    });
+
+    test('should pass errors on', async () => {
+      req.body = { source: 'a.mp4', target: 'b.mp4' };
+      const error = new AppError('b.mp4 already exists', 409, 'FILE_EXISTS');
+      mockMinioService.copyFile.mockRejectedValue(error);
+
+      await fileController.copyFile(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('versions', () => {
+    const versionId = '0b6f4f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b';
+
+    beforeEach(() => {
+      req.params.filename = 'clip.mp4';
+      req.auth = { id: 'user:alice', scopes: ['files:read'] };
+    });
+
+    test('should list the versions of a file', async () => {
+      const versions = [{ versionId, isLatest: true, isDeleteMarker: false, size: 10 }];
+      mockMinioService.versions.list.mockResolvedValue(versions);
+
+      await fileController.listVersions(req, res, next);
+
+      expect(mockMinioService.versions.list).toHaveBeenCalledWith('clip.mp4', req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { objectName: 'clip.mp4', versions, count: 1 }
+      }));
+    });
+
+    test('should restore a version', async () => {
+      req.body = { versionId };
+      mockMinioService.versions.restore.mockResolvedValue({ success: true, objectName: 'clip.mp4', versionId, restored: true });
+
+      await fileController.restoreVersion(req, res, next);
+
+      expect(mockMinioService.versions.restore).toHaveBeenCalledWith('clip.mp4', versionId, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Version restored successfully' }));
+    });
+
+    test('should delete a version', async () => {
+      req.query.versionId = versionId;
+      mockMinioService.versions.remove.mockResolvedValue({ success: true, objectName: 'clip.mp4', versionId, removed: 1 });
+
+      await fileController.deleteVersion(req, res, next);
+
+      expect(mockMinioService.versions.remove).toHaveBeenCalledWith('clip.mp4', versionId, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Version deleted successfully' }));
+    });
+
+    test('should require a versionId', async () => {
+      await fileController.restoreVersion(req, res, next);
+      await fileController.deleteVersion(req, res, next);
+
+      expect(res.status.mock.calls).toEqual([[400], [400]]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+      expect(mockMinioService.versions.restore).not.toHaveBeenCalled();
+      expect(mockMinioService.versions.remove).not.toHaveBeenCalled();
+    });
+
+    test('should pass errors on', async () => {
+      req.query.versionId = versionId;
+      const error = new AppError('This is the current version; delete the file instead', 409, 'VERSION_IS_CURRENT');
+      mockMinioService.versions.remove.mockRejectedValue(error);
+
+      await fileController.deleteVersion(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
     });
   });
 
@@ -270,20 +958,39 @@ describe('FileController', () => {
       req.params.filename = 'test.mp4';
       const infoResult = {
         success: true,
-        info: { name: 'test.mp4', size: 1024 }
+        info: { name: 'test.mp4', size: 1024, renditions: [] }
       };
 
       mockMinioService.getFileInfo.mockResolvedValue(infoResult);
 
       await fileController.getFileInfo(req, res, next);
 
-      expect(mockMinioService.getFileInfo).toHaveBeenCalledWith('test.mp4');
+      expect(mockMinioService.getFileInfo).toHaveBeenCalledWith('test.mp4', undefined);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'File info retrieved successfully',
         data: infoResult
       });
     });
+
+    test('should link each rendition of an image to the thumbnail endpoint', async () => {
+      req.baseUrl = '/api/files';
+      req.params.filename = 'photos/my cat.png';
+      mockMinioService.getFileInfo.mockResolvedValue({
+        success: true,
+        info: { name: 'photos/my cat.png', renditions: [{ size: 150, format: 'webp', width: 150, height: 100 }] }
+      });
+
+      await fileController.getFileInfo(req, res, next);
+
+      expect(res.json.mock.calls[0][0].data.info.renditions).toEqual([{
+        size: 150,
+        format: 'webp',
+        width: 150,
+        height: 100,
+        url: '/api/files/thumbnail/photos/my%20cat.png?size=150'
+      }]);
+    });
   });
 
   describe('healthCheck', () => {
@@ -0,0 +1,105 @@
+const { PassThrough } = require('stream');
+const { detectFileType, resolveContentType, peekStream } = require('../../../src/utils/fileType');
+
+describe('fileType', () => {
+  const bytes = text => Buffer.from(text, 'latin1');
+  const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+  const MP4 = bytes('\x00\x00\x00\x18ftypisom\x00\x00\x02\x00');
+  const PDF = bytes('%PDF-1.7\n');
+
+  describe('detectFileType', () => {
+    test('should recognise common signatures', () => {
+      expect(detectFileType(JPEG)).toEqual(['image/jpeg']);
+      expect(detectFileType(MP4)).toEqual(['video/mp4']);
+      expect(detectFileType(PDF)).toEqual(['application/pdf']);
+      expect(detectFileType(bytes('RIFF\x00\x00\x00\x00WEBPVP8 '))).toEqual(['image/webp']);
+      expect(detectFileType(bytes('MZ\x90\x00'))).toEqual(['application/x-msdownload']);
+    });
+
+    test('should tell ISO media brands apart', () => {
+      expect(detectFileType(bytes('\x00\x00\x00\x14ftypqt  '))).toEqual(['video/quicktime']);
+      expect(detectFileType(bytes('\x00\x00\x00\x18ftypheic'))).toEqual(['image/heic']);
+    });
+
+    test('should pick the OOXML type from the ZIP entry names', () => {
+      const docx = bytes('PK\x03\x04\x14\x00\x00\x00[Content_Types].xml...word/document.xml');
+      expect(detectFileType(docx)).toEqual(['application/vnd.openxmlformats-officedocument.wordprocessingml.document']);
+      expect(detectFileType(bytes('PK\x03\x04\x14\x00photo.jpg'))).toEqual(['application/zip']);
+    });
+
+    test('should treat plain text as any text type and SVG as an image', () => {
+      expect(detectFileType(Buffer.from('a,b\n1,2\n'))).toContain('text/csv');
+      expect(detectFileType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'))).toEqual(['image/svg+xml']);
+    });
+
+    test('should return no candidates for unknown binary content', () => {
+      expect(detectFileType(Buffer.from([0x00, 0x01, 0x02, 0x03]))).toEqual([]);
+    });
+  });
+
+  describe('resolveContentType', () => {
+    test('should return the detected type regardless of the claimed one', () => {
+      expect(resolveContentType(MP4, 'clip.mp4', 'application/octet-stream')).toBe('video/mp4');
+      expect(resolveContentType(JPEG, 'photo.jpg', 'video/mp4')).toBe('image/jpeg');
+    });
+
+    test('should reject content whose type is not allowed', () => {
+      expect(() => resolveContentType(bytes('MZ\x90\x00'), 'clip.mp4', 'video/mp4'))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FILE_TYPE' }));
+      expect(() => resolveContentType(Buffer.from('hello'), 'notes.pdf', 'application/pdf'))
+        .toThrow(/text\/plain is not allowed/);
+    });
+
+    test('should reject extensions that belong to another type', () => {
+      expect(() => resolveContentType(PDF, 'photo.jpg', 'image/jpeg'))
+        .toThrow('File extension .jpg does not match the detected file type application/pdf');
+    });
+
+    test('should accept unknown extensions', () => {
+      expect(resolveContentType(MP4, 'recording.bin', 'video/mp4')).toBe('video/mp4');
+    });
+
+    test('should fall back to the claimed type for empty files', () => {
+      expect(resolveContentType(Buffer.alloc(0), 'empty.pdf', 'application/pdf')).toBe('application/pdf');
+      expect(() => resolveContentType(Buffer.alloc(0), 'empty', undefined))
+        .toThrow(expect.objectContaining({ code: 'INVALID_FILE_TYPE' }));
+    });
+  });
+
+  describe('peekStream', () => {
+    const collect = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    };
+
+    test('should return the leading bytes and replay the whole stream', async () => {
+      const source = new PassThrough();
+      source.write(Buffer.from('abcdef'));
+      source.end(Buffer.from('ghij'));
+
+      const { head, stream } = await peekStream(source, 4);
+
+      expect(head.toString()).toBe('abcd');
+      expect((await collect(stream)).toString()).toBe('abcdefghij');
+    });
+
+    test('should resolve with what there is when the stream ends early', async () => {
+      const source = new PassThrough();
+      source.end(Buffer.from('ab'));
+
+      const { head, stream } = await peekStream(source, 4);
+
+      expect(head.toString()).toBe('ab');
+      expect((await collect(stream)).toString()).toBe('ab');
+    });
+
+    test('should reject when the stream fails before enough bytes arrive', async () => {
+      const source = new PassThrough();
+      const peek = peekStream(source, 4);
+      source.destroy(new Error('Client disconnected'));
+
+      await expect(peek).rejects.toThrow('Client disconnected');
+    });
+  });
+});
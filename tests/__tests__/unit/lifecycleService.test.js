@@ -0,0 +1,158 @@
+const LifecycleService = require('../../../src/services/lifecycleService');
+
+describe('LifecycleService', () => {
+  let service;
+  let minioService;
+  let lifecycle;
+
+  beforeEach(() => {
+    lifecycle = null;
+    minioService = {
+      getBucketLifecycle: jest.fn(async () => lifecycle),
+      setBucketLifecycle: jest.fn(async (config) => { lifecycle = config; })
+    };
+    service = new LifecycleService(minioService);
+  });
+
+  describe('setRules', () => {
+    test('should apply the rules as the bucket lifecycle configuration', async () => {
+      const rules = await service.setRules([
+        { id: 'expire-tmp', prefix: 'tmp/', expirationDays: 7, abortIncompleteUploadDays: '2' },
+        { id: 'old-versions', noncurrentVersionExpirationDays: 30 },
+        { id: 'drafts', prefix: 'docs/', tags: 'status=draft,team=web', expirationDays: 90, enabled: false }
+      ]);
+
+      expect(rules[0]).toEqual({ id: 'expire-tmp', enabled: true, prefix: 'tmp/', tags: {}, expirationDays: 7, abortIncompleteUploadDays: 2 });
+      expect(minioService.setBucketLifecycle).toHaveBeenCalledWith({
+        Rule: [
+          {
+            ID: 'expire-tmp',
+            Status: 'Enabled',
+            Filter: { Prefix: 'tmp/' },
+            Expiration: { Days: 7 },
+            AbortIncompleteMultipartUpload: { DaysAfterInitiation: 2 }
+          },
+          {
+            ID: 'old-versions',
+            Status: 'Enabled',
+            Filter: { Prefix: '' },
+            NoncurrentVersionExpiration: { NoncurrentDays: 30 }
+          },
+          {
+            ID: 'drafts',
+            Status: 'Disabled',
+            Filter: { And: { Prefix: 'docs/', Tag: [{ Key: 'status', Value: 'draft' }, { Key: 'team', Value: 'web' }] } },
+            Expiration: { Days: 90 }
+          }
+        ]
+      });
+    });
+
+    test('should remove the configuration when no rules are left', async () => {
+      await service.setRules([]);
+
+      expect(minioService.setBucketLifecycle).toHaveBeenCalledWith(null);
+    });
+
+    test.each([
+      ['a rule without an action', [{ id: 'a', prefix: 'tmp/' }]],
+      ['an invalid id', [{ id: 'a b', prefix: 'tmp/', expirationDays: 1 }]],
+      ['duplicate ids', [{ id: 'a', prefix: 'tmp/', expirationDays: 1 }, { id: 'a', prefix: 'x/', expirationDays: 1 }]],
+      ['days that are not whole', [{ id: 'a', prefix: 'tmp/', expirationDays: 1.5 }]],
+      ['expiry of the whole bucket', [{ id: 'a', expirationDays: 1 }]],
+      ['expiry reaching the system prefix', [{ id: 'a', prefix: '.min', expirationDays: 1 }]],
+      ['rules on the system prefix', [{ id: 'a', prefix: '.minvault/blobs/', noncurrentVersionExpirationDays: 1 }]],
+      ['aborting uploads by tag', [{ id: 'a', tags: { team: 'web' }, abortIncompleteUploadDays: 1 }]],
+      ['something other than a list', { id: 'a' }]
+    ])('should reject %s', async (_, rules) => {
+      await expect(service.setRules(rules)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_LIFECYCLE_RULE' });
+      expect(minioService.setBucketLifecycle).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid tags', async () => {
+      await expect(service.setRules([{ id: 'a', prefix: 'tmp/', tags: { 'aws:x': 'y' }, expirationDays: 1 }]))
+        .rejects.toMatchObject({ code: 'INVALID_TAGS' });
+    });
+  });
+
+  describe('getRules', () => {
+    test('should list no rules without a configuration', async () => {
+      await expect(service.getRules()).resolves.toEqual([]);
+    });
+
+    test('should read rules as parsed from the bucket', async () => {
+      // A single rule is not parsed as a list, and tag values may come back as numbers
+      lifecycle = {
+        Rule: {
+          ID: 'drafts',
+          Status: 'Enabled',
+          Filter: { And: { Prefix: 'docs/', Tag: { Key: 'year', Value: 2024 } } },
+          Expiration: { Days: 90 },
+          NoncurrentVersionExpiration: { NoncurrentDays: 30 }
+        }
+      };
+
+      await expect(service.getRules()).resolves.toEqual([{
+        id: 'drafts',
+        enabled: true,
+        prefix: 'docs/',
+        tags: { year: '2024' },
+        expirationDays: 90,
+        noncurrentVersionExpirationDays: 30
+      }]);
+    });
+
+    test('should read back the rules it applied', async () => {
+      const rules = [
+        { id: 'expire-tmp', enabled: true, prefix: 'tmp/', tags: {}, expirationDays: 7 },
+        { id: 'tagged', enabled: true, prefix: '', tags: { status: 'draft' }, noncurrentVersionExpirationDays: 5 }
+      ];
+      await service.setRules(rules);
+
+      await expect(service.getRules()).resolves.toEqual(rules);
+    });
+  });
+
+  describe('putRule and removeRule', () => {
+    beforeEach(async () => {
+      await service.setRules([{ id: 'expire-tmp', prefix: 'tmp/', expirationDays: 7 }]);
+    });
+
+    test('should add a rule next to the existing ones', async () => {
+      await service.putRule({ id: 'old-versions', noncurrentVersionExpirationDays: 30 });
+
+      expect((await service.getRules()).map(rule => rule.id)).toEqual(['expire-tmp', 'old-versions']);
+    });
+
+    test('should replace the rule with the same id', async () => {
+      await service.putRule({ id: 'expire-tmp', prefix: 'tmp/', expirationDays: 1 });
+
+      const rules = await service.getRules();
+      expect(rules).toHaveLength(1);
+      expect(rules[0].expirationDays).toBe(1);
+    });
+
+    test('should remove a rule', async () => {
+      const removed = await service.removeRule('expire-tmp');
+
+      expect(removed.id).toBe('expire-tmp');
+      expect(minioService.setBucketLifecycle).toHaveBeenLastCalledWith(null);
+    });
+
+    test('should report unknown rules as not found', async () => {
+      await expect(service.removeRule('missing')).rejects.toMatchObject({ statusCode: 404, code: 'LIFECYCLE_RULE_NOT_FOUND' });
+    });
+  });
+
+  describe('expiresFiles', () => {
+    test('should tell whether an enabled rule expires files', async () => {
+      await expect(service.expiresFiles()).resolves.toBe(false);
+
+      await service.setRules([{ id: 'a', prefix: 'tmp/', expirationDays: 7, enabled: false }, { id: 'b', noncurrentVersionExpirationDays: 7 }]);
+      await expect(service.expiresFiles()).resolves.toBe(false);
+
+      await service.putRule({ id: 'a', prefix: 'tmp/', expirationDays: 7 });
+      await expect(service.expiresFiles()).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const MetadataService = require('../../../src/services/metadataService');
+const { MemoryMetadataStore } = require('../../../src/services/metadata');
+
+describe('MetadataService', () => {
+  let service;
+  let minioService;
+  let store;
+  let objects;
+
+  const stat = (metaData = {}) => ({
+    size: 10,
+    etag: 'abc',
+    lastModified: new Date('2024-01-01T00:00:00.000Z'),
+    metaData: { 'content-type': 'video/mp4', ...metaData }
+  });
+
+  beforeEach(() => {
+    objects = {};
+    store = new MemoryMetadataStore();
+    minioService = {
+      bucketName: 'uploads',
+      statFile: jest.fn(async name => objects[name] || null),
+      statObject: jest.fn(async name => objects[name] || null),
+      getObjectTags: jest.fn().mockResolvedValue({}),
+      iterateFiles: jest.fn(async function* iterate() {
+        for (const name of Object.keys(objects)) yield { name };
+      }),
+      dedup: {
+        hashOf: jest.fn(async (name, metaData) => metaData['content-sha256'] || null)
+      }
+    };
+    service = new MetadataService(minioService, store);
+  });
+
+  describe('sync', () => {
+    test('should record a file from its headers and tags', async () => {
+      objects['videos/clip_1_abc.mp4'] = stat({
+        'original-name': 'clip.mp4',
+        owner: 'user:alice',
+        'content-sha256': 'hash',
+        'scan-status': 'clean',
+        'scan-date': '2024-01-01T00:00:00.000Z',
+        campaign: 'spring',
+        'cache-control': 'no-cache'
+      });
+      minioService.getObjectTags.mockResolvedValue({ project: 'launch' });
+
+      await service.sync('videos/clip_1_abc.mp4');
+
+      await expect(store.get('uploads', 'videos/clip_1_abc.mp4')).resolves.toEqual({
+        name: 'videos/clip_1_abc.mp4',
+        originalName: 'clip.mp4',
+        owner: 'user:alice',
+        mimetype: 'video/mp4',
+        size: 10,
+        hash: 'hash',
+        checksum: null,
+        etag: 'abc',
+        lastModified: '2024-01-01T00:00:00.000Z',
+        uploadDate: null,
+        scanStatus: 'clean',
+        scanVerdict: null,
+        tags: { project: 'launch' },
+        metadata: { campaign: 'spring' }
+      });
+    });
+
+    test('should drop the record of a file that is gone', async () => {
+      await store.put('uploads', { name: 'gone.mp4' });
+
+      await service.sync('gone.mp4');
+
+      await expect(store.get('uploads', 'gone.mp4')).resolves.toBeNull();
+    });
+
+    test('should log instead of throwing when the store fails', async () => {
+      objects['a.mp4'] = stat();
+      jest.spyOn(store, 'put').mockRejectedValue(new Error('disk full'));
+
+      await expect(service.sync('a.mp4')).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith('❌ Error updating file metadata:', 'disk full');
+    });
+  });
+
+  describe('get', () => {
+    test('should record files missing from the store on first sight', async () => {
+      objects['old.mp4'] = stat();
+
+      const record = await service.get('old.mp4');
+
+      expect(record).toEqual(expect.objectContaining({ name: 'old.mp4', originalName: 'old.mp4' }));
+      await expect(store.count('uploads')).resolves.toBe(1);
+    });
+
+    test('should resolve to null for unknown files', async () => {
+      await expect(service.get('missing.mp4')).resolves.toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(async () => {
+      for (const [name, size] of [['a.mp4', 30], ['b.mp4', 10], ['c.mp4', 20], ['d.mp4', 20]]) {
+        await store.put('uploads', {
+          name, originalName: name, owner: null, mimetype: 'video/mp4', size, uploadDate: null, lastModified: null, tags: {}
+        });
+      }
+    });
+
+    test('should page through the results with a cursor', async () => {
+      const first = await service.search({ sort: 'size', limit: '2' });
+      const second = await service.search({ sort: 'size', limit: '2', cursor: first.nextCursor });
+
+      expect(first.files.map(file => file.name)).toEqual(['b.mp4', 'c.mp4']);
+      expect(second.files.map(file => file.name)).toEqual(['d.mp4', 'a.mp4']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should parse the query string values', async () => {
+      jest.spyOn(store, 'search');
+
+      await service.search({
+        q: 'Launch  Trailer', type: 'video,image/*,application/pdf', minSize: '10', uploadedFrom: '2024-01-01', tags: { project: 'launch' }
+      });
+
+      expect(store.search).toHaveBeenCalledWith('uploads', expect.objectContaining({
+        terms: ['launch', 'trailer'],
+        types: ['video/', 'image/', 'application/pdf'],
+        minSize: 10,
+        maxSize: null,
+        uploadedFrom: '2024-01-01T00:00:00.000Z',
+        tags: { project: 'launch' },
+        sort: 'name',
+        order: 'asc',
+        limit: 1001
+      }));
+    });
+
+    test.each([
+      [{ sort: 'color' }],
+      [{ order: 'up' }],
+      [{ minSize: '10MB' }],
+      [{ uploadedTo: 'yesterday' }],
+      [{ tags: 'launch' }],
+      [{ cursor: 'garbage' }]
+    ])('should reject %j', async (query) => {
+      await expect(service.search(query)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SEARCH' });
+    });
+
+    test('should reject cursors of another sort', async () => {
+      const { nextCursor } = await service.search({ sort: 'size', limit: '1' });
+
+      await expect(service.search({ sort: 'name', cursor: nextCursor })).rejects.toMatchObject({ code: 'INVALID_SEARCH' });
+    });
+  });
+
+  describe('rebuild', () => {
+    test('should record every file and drop stale records', async () => {
+      objects['a.mp4'] = stat();
+      objects['videos/b.mp4'] = stat();
+      await store.put('uploads', { name: 'deleted.mp4' });
+      await store.put('uploads-acme', { name: 'other-bucket.mp4' });
+
+      const result = await service.rebuild();
+
+      expect(result).toEqual({ files: 2, removed: 1 });
+      expect((await store.list('uploads')).map(record => record.name)).toEqual(['a.mp4', 'videos/b.mp4']);
+      await expect(store.count('uploads-acme')).resolves.toBe(1);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { createMetadataStore, SqliteMetadataStore, MemoryMetadataStore } = require('../../../src/services/metadata');
+
+const record = (name, fields = {}) => ({
+  name,
+  originalName: name.split('/').pop(),
+  owner: null,
+  mimetype: 'video/mp4',
+  size: 10,
+  hash: null,
+  checksum: null,
+  etag: 'abc',
+  lastModified: '2024-01-01T00:00:00.000Z',
+  uploadDate: '2024-01-01T00:00:00.000Z',
+  scanStatus: null,
+  scanVerdict: null,
+  tags: {},
+  metadata: {},
+  ...fields
+});
+
+describe.each([
+  ['SqliteMetadataStore', () => new SqliteMetadataStore({ path: ':memory:' })],
+  ['MemoryMetadataStore', () => new MemoryMetadataStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should store, replace and remove records per bucket', async () => {
+    await store.put('uploads', record('a.mp4', { tags: { project: 'launch' }, metadata: { campaign: 'spring' } }));
+    await store.put('uploads', record('a.mp4', { size: 20, tags: { project: 'launch' } }));
+    await store.put('uploads-acme', record('a.mp4', { size: 30 }));
+
+    await expect(store.get('uploads', 'a.mp4')).resolves.toEqual(record('a.mp4', { size: 20, tags: { project: 'launch' } }));
+    await expect(store.get('uploads-acme', 'a.mp4')).resolves.toEqual(expect.objectContaining({ size: 30 }));
+    await expect(store.count('uploads')).resolves.toBe(1);
+
+    await store.remove('uploads', 'a.mp4');
+
+    await expect(store.get('uploads', 'a.mp4')).resolves.toBeNull();
+    await expect(store.count('uploads-acme')).resolves.toBe(1);
+  });
+
+  test('should list names below a prefix in byte order', async () => {
+    for (const key of ['videos/b.mp4', 'videos/a.mp4', 'videos/é.mp4', 'videos/\u{1F3AC}.mp4', 'videos_x.mp4', 'a.mp4']) {
+      await store.put('uploads', record(key));
+    }
+
+    const records = await store.list('uploads', { prefix: 'videos/' });
+
+    expect(records.map(entry => entry.name)).toEqual(['videos/a.mp4', 'videos/b.mp4', 'videos/é.mp4', 'videos/\u{1F3AC}.mp4']);
+  });
+
+  test('should treat LIKE wildcards in prefixes literally', async () => {
+    await store.put('uploads', record('100%/a.mp4'));
+    await store.put('uploads', record('1000/a.mp4'));
+
+    const records = await store.list('uploads', { prefix: '100%' });
+
+    expect(records.map(entry => entry.name)).toEqual(['100%/a.mp4']);
+  });
+
+  test('should list prefixes ending in the last code point before a gap or the end of Unicode', async () => {
+    for (const key of ['a\uD7FF/x', 'a\uE000', 'a\u{10FFFF}/x', 'b']) {
+      await store.put('uploads', record(key));
+    }
+
+    await expect(store.list('uploads', { prefix: 'a\uD7FF' })).resolves.toEqual([expect.objectContaining({ name: 'a\uD7FF/x' })]);
+    await expect(store.list('uploads', { prefix: 'a\u{10FFFF}' })).resolves.toEqual([expect.objectContaining({ name: 'a\u{10FFFF}/x' })]);
+    await expect(store.search('uploads', { prefix: 'a\u{10FFFF}' })).resolves.toEqual([expect.objectContaining({ name: 'a\u{10FFFF}/x' })]);
+  });
+
+  test('should page with after and limit', async () => {
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await store.put('uploads', record(key));
+    }
+
+    const records = await store.list('uploads', { after: 'a', limit: 2 });
+
+    expect(records.map(entry => entry.name)).toEqual(['b', 'c']);
+  });
+
+  describe('search', () => {
+    beforeEach(async () => {
+      await store.put('uploads', record('a.mp4', {
+        originalName: 'Launch Trailer.mp4', size: 300, owner: 'user:alice', uploadDate: '2024-03-01T00:00:00.000Z', tags: { project: 'launch' }
+      }));
+      await store.put('uploads', record('b.png', {
+        originalName: 'launch poster.png', mimetype: 'image/png', size: 100, owner: 'user:bob', uploadDate: '2024-01-01T00:00:00.000Z', tags: { project: 'launch', draft: 'yes' }
+      }));
+      await store.put('uploads', record('c.mp4', {
+        originalName: 'Teaser.mp4', size: 200, uploadDate: null, lastModified: '2024-02-01T00:00:00.000Z'
+      }));
+      await store.put('uploads-acme', record('d.mp4', { originalName: 'launch.mp4' }));
+    });
+
+    const names = async criteria => (await store.search('uploads', criteria)).map(entry => entry.name);
+
+    test('should match every word of the original name, ignoring case', async () => {
+      await expect(names({ terms: ['launch'] })).resolves.toEqual(['a.mp4', 'b.png']);
+      await expect(names({ terms: ['launch', 'trailer'] })).resolves.toEqual(['a.mp4']);
+    });
+
+    test('should ignore the case of letters beyond ASCII', async () => {
+      await store.put('uploads', record('e.pdf', { originalName: 'ÉTÉ.pdf', mimetype: 'application/pdf' }));
+
+      await expect(names({ terms: ['été'] })).resolves.toEqual(['e.pdf']);
+    });
+
+    test('should filter by type, family, size, upload date, owner and tags', async () => {
+      await expect(names({ types: ['image/'] })).resolves.toEqual(['b.png']);
+      await expect(names({ types: ['video/mp4', 'image/jpeg'] })).resolves.toEqual(['a.mp4', 'c.mp4']);
+      await expect(names({ minSize: 150, maxSize: 300 })).resolves.toEqual(['a.mp4', 'c.mp4']);
+      await expect(names({ uploadedFrom: '2024-01-15T00:00:00.000Z', uploadedTo: '2024-02-15T00:00:00.000Z' })).resolves.toEqual(['c.mp4']);
+      await expect(names({ owner: 'user:bob' })).resolves.toEqual(['b.png']);
+      await expect(names({ tags: { project: 'launch', draft: 'yes' } })).resolves.toEqual(['b.png']);
+    });
+
+    test('should sort by the given field in either order', async () => {
+      await expect(names({ sort: 'size', order: 'desc' })).resolves.toEqual(['a.mp4', 'c.mp4', 'b.png']);
+      await expect(names({ sort: 'uploadDate' })).resolves.toEqual(['b.png', 'c.mp4', 'a.mp4']);
+      await expect(names({ sort: 'owner' })).resolves.toEqual(['c.mp4', 'a.mp4', 'b.png']);
+    });
+
+    test('should continue after a sort key', async () => {
+      await expect(names({ sort: 'size', after: { value: 200, name: 'c.mp4' }, limit: 1 })).resolves.toEqual(['a.mp4']);
+      await expect(names({ sort: 'size', order: 'desc', after: { value: 200, name: 'c.mp4' } })).resolves.toEqual(['b.png']);
+    });
+  });
+});
+
+describe('SqliteMetadataStore', () => {
+  test('should search a prefix as a range of the primary key', () => {
+    const store = new SqliteMetadataStore({ path: ':memory:' });
+    const plan = store.db.prepare(`EXPLAIN QUERY PLAN ${store.statements.list.source}`)
+      .all({ bucket: 'uploads', prefix: 'videos/', prefixEnd: 'videos0', after: '', limit: 10 });
+
+    expect(plan.map(step => step.detail).join('\n')).toMatch(/name>\? AND name<\?/);
+    store.db.close();
+  });
+});
+
+describe('createMetadataStore', () => {
+  test('should build the configured store', () => {
+    expect(createMetadataStore({ store: 'memory' })).toBeInstanceOf(MemoryMetadataStore);
+  });
+
+  test('should reject unknown stores', () => {
+    expect(() => createMetadataStore({ store: 'redis' })).toThrow('Unknown metadata store: redis');
+  });
+});
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
+const config = require('../../../src/config');
 const MinioService = require('../../../src/services/minioService');
+const { MemoryMetadataStore } = require('../../../src/services/metadata');
 
 // Mock the minio client
 jest.mock('minio', () => {
@@ -10,19 +14,60 @@ jest.mock('minio', () => {
       presignedGetObject: jest.fn(),
       removeObject: jest.fn(),
       listObjects: jest.fn(),
-      statObject: jest.fn()
-    }))
+      listObjectsV2Query: jest.fn(),
+      statObject: jest.fn(),
+      getObject: jest.fn(),
+      getPartialObject: jest.fn(),
+      removeIncompleteUpload: jest.fn(),
+      presignedPutObject: jest.fn(),
+      presignedPostPolicy: jest.fn(),
+      newPostPolicy: jest.fn(),
+      makeRequestAsync: jest.fn(),
+      copyObject: jest.fn(),
+      getObjectTagging: jest.fn(),
+      setObjectTagging: jest.fn(),
+      removeObjectTagging: jest.fn(),
+      composeObject: jest.fn(),
+      removeObjects: jest.fn(),
+      setBucketVersioning: jest.fn(),
+      getBucketLifecycle: jest.fn(),
+      setBucketLifecycle: jest.fn(),
+      getObjectLockConfig: jest.fn(),
+      getObjectRetention: jest.fn(),
+      putObjectRetention: jest.fn(),
+      getObjectLegalHold: jest.fn(),
+      setObjectLegalHold: jest.fn()
+    })),
+    CopyConditions: jest.fn(),
+    CopySourceOptions: class {
+      constructor(options) {
+        Object.assign(this, options);
+      }
+    },
+    CopyDestinationOptions: class {
+      constructor(options) {
+        Object.assign(this, options);
+      }
+
+      getHeaders() {
+        return {};
+      }
+    }
   };
 });
 
 describe('MinioService', () => {
   let minioService;
   let mockClient;
+  const alice = { id: 'user:alice', name: 'alice', scopes: ['files:read', 'files:write', 'files:delete'], prefix: 'users/alice/', isolated: true };
 
   beforeEach(() => {
     minioService = new MinioService();
+    minioService.metadata.store = new MemoryMetadataStore();
     mockClient = minioService.client;
     jest.clearAllMocks();
+    // Holder records and other system objects are missing unless a test provides them
+    mockClient.getObject.mockRejectedValue(Object.assign(new Error('NoSuchKey'), { code: 'NoSuchKey' }));
   });
 
   describe('initialize', () => {
@@ -45,6 +90,43 @@ describe('MinioService', () => {
       expect(mockClient.makeBucket).not.toHaveBeenCalled();
     });
 
+    test('should turn on versioning when enabled', async () => {
+      mockClient.bucketExists.mockResolvedValue(true);
+      config.versioning.enabled = true;
+
+      try {
+        await minioService.initialize();
+      } finally {
+        config.versioning.enabled = false;
+      }
+
+      expect(mockClient.setBucketVersioning).toHaveBeenCalledWith('test-bucket', {
+        Status: 'Enabled',
+        ExcludedPrefixes: { Prefix: '.minvault/' }
+      });
+    });
+
+    test('should create the bucket with object locking when enabled', async () => {
+      mockClient.bucketExists.mockResolvedValue(false);
+      config.objectLock.enabled = true;
+
+      try {
+        await minioService.initialize();
+      } finally {
+        config.objectLock.enabled = false;
+      }
+
+      expect(mockClient.makeBucket).toHaveBeenCalledWith('test-bucket', '', { ObjectLocking: true });
+    });
+
+    test('should leave versioning alone by default', async () => {
+      mockClient.bucketExists.mockResolvedValue(true);
+
+      await minioService.initialize();
+
+      expect(mockClient.setBucketVersioning).not.toHaveBeenCalled();
+    });
+
     test('should throw error if initialization fails', async () => {
       mockClient.bucketExists.mockRejectedValue(new Error('Connection failed'));
 
@@ -75,13 +157,42 @@ describe('MinioService', () => {
     });
   });
 
+  describe('buildObjectName', () => {
+    test('should place the file under the custom path', () => {
+      expect(minioService.buildObjectName('clip.mp4', 'videos/2024')).toMatch(/^videos\/2024\/clip_\d+_[a-f0-9]{8}\.mp4$/);
+    });
+
+    test('should ignore leading and trailing slashes in the path', () => {
+      expect(minioService.buildObjectName('clip.mp4', '/videos/')).toMatch(/^videos\/clip_/);
+    });
+
+    test('should keep the original name when not unique', () => {
+      expect(minioService.buildObjectName('clip.mp4', 'videos', { unique: false })).toBe('videos/clip.mp4');
+    });
+
+    test('should reject paths that escape their prefix', () => {
+      expect(() => minioService.buildObjectName('clip.mp4', 'videos/../..')).toThrow(expect.objectContaining({
+        code: 'INVALID_OBJECT_KEY'
+      }));
+    });
+  });
+
   describe('uploadFile', () => {
+    // An ISO base media header followed by some payload
+    const mp4 = text => Buffer.concat([Buffer.from('\x00\x00\x00\x18ftypisom', 'latin1'), Buffer.from(text)]);
     const mockFile = {
       originalname: 'test.mp4',
-      buffer: Buffer.from('test content'),
+      buffer: mp4('test content'),
       size: 1024,
       mimetype: 'video/mp4'
     };
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+    beforeEach(() => {
+      jest.spyOn(minioService.dedup, 'register').mockResolvedValue(false);
+      jest.spyOn(minioService.usage, 'record').mockResolvedValue();
+      jest.spyOn(minioService.metadata, 'sync').mockResolvedValue();
+    });
 
     test('should upload file successfully', async () => {
       mockClient.putObject.mockResolvedValue();
@@ -93,6 +204,130 @@ describe('MinioService', () => {
       expect(result.size).toBe(1024);
       expect(result.mimetype).toBe('video/mp4');
       expect(result.objectName).toMatch(/^test_\d+_[a-f0-9]{8}\.mp4$/);
+      expect(result.hash).toBe(sha256(mockFile.buffer));
+      expect(result.deduplicated).toBe(false);
+      expect(minioService.dedup.register).toHaveBeenCalledWith(
+        result.objectName,
+        sha256(mockFile.buffer),
+        1024,
+        expect.objectContaining({ 'Original-Name': 'test.mp4' })
+      );
+      expect(minioService.usage.record).toHaveBeenCalledWith(null, 1024, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith(result.objectName);
+    });
+
+    test('should store custom metadata and tags', async () => {
+      mockClient.putObject.mockResolvedValue();
+
+      const result = await minioService.uploadFile({ ...mockFile, metadata: { campaign: 'spring' }, tags: { project: 'launch' } });
+
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket', result.objectName, mockFile.buffer, 1024,
+        expect.objectContaining({ campaign: 'spring', 'Original-Name': 'test.mp4' })
+      );
+      expect(mockClient.setObjectTagging).toHaveBeenCalledWith('test-bucket', result.objectName, { project: 'launch' });
+      expect(minioService.dedup.register.mock.invocationCallOrder[0])
+        .toBeLessThan(mockClient.setObjectTagging.mock.invocationCallOrder[0]);
+      expect(result).toEqual(expect.objectContaining({ metadata: { campaign: 'spring' }, tags: { project: 'launch' } }));
+    });
+
+    test('should queue uploaded images for their renditions', async () => {
+      mockClient.putObject.mockResolvedValue();
+      jest.spyOn(minioService.renditions, 'enqueue').mockReturnValue();
+      const png = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(16)]);
+
+      const result = await minioService.uploadFile({ originalname: 'cat.png', buffer: png, size: png.length, mimetype: 'image/png' });
+
+      expect(minioService.renditions.enqueue).toHaveBeenCalledWith(result.objectName, 'image/png');
+    });
+
+    test('should report uploads replaced by a reference', async () => {
+      mockClient.putObject.mockResolvedValue();
+      minioService.dedup.register.mockResolvedValue(true);
+
+      const result = await minioService.uploadFile(mockFile);
+
+      expect(result.deduplicated).toBe(true);
+    });
+
+    test('should keep the upload when deduplication fails', async () => {
+      mockClient.putObject.mockResolvedValue();
+      minioService.dedup.register.mockRejectedValue(new Error('index unavailable'));
+
+      const result = await minioService.uploadFile(mockFile);
+
+      expect(result.success).toBe(true);
+      expect(result.deduplicated).toBe(false);
+    });
+
+    describe('with overwrite', () => {
+      beforeEach(() => {
+        mockClient.putObject.mockResolvedValue();
+        jest.spyOn(minioService.dedup, 'release').mockResolvedValue(2048);
+        jest.spyOn(minioService.dedup, 'vacate').mockResolvedValue();
+      });
+
+      test('should store the file under its original name', async () => {
+        mockClient.statObject.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'NotFound' }));
+
+        const result = await minioService.uploadFile({ ...mockFile, overwrite: true }, 'videos');
+
+        expect(result.objectName).toBe('videos/test.mp4');
+        expect(result.replaced).toBe(false);
+        expect(minioService.usage.record).toHaveBeenCalledTimes(1);
+      });
+
+      test('should replace the file stored there and uncount it', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 100, metaData: { owner: 'user:alice', 'content-sha256': 'abc' } });
+
+        const result = await minioService.uploadFile({ ...mockFile, overwrite: true }, '', alice);
+
+        expect(result.objectName).toBe('users/alice/test.mp4');
+        expect(result.replaced).toBe(true);
+        expect(minioService.dedup.vacate).toHaveBeenCalledWith('users/alice/test.mp4', 'abc');
+        expect(minioService.dedup.vacate.mock.invocationCallOrder[0])
+          .toBeLessThan(mockClient.putObject.mock.invocationCallOrder[0]);
+        expect(minioService.dedup.release).toHaveBeenCalledWith('users/alice/test.mp4', 'abc');
+        expect(minioService.dedup.release.mock.invocationCallOrder[0])
+          .toBeGreaterThan(mockClient.putObject.mock.invocationCallOrder[0]);
+        expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -100, -1);
+        expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', 1024, 1);
+      });
+
+      test('should uncount the content size of a replaced reference', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 0, metaData: { 'content-sha256': 'abc', 'dedup-ref': 'true' } });
+
+        await minioService.uploadFile({ ...mockFile, overwrite: true });
+
+        expect(minioService.usage.record).toHaveBeenCalledWith(null, -2048, -1);
+      });
+
+      test('should not replace files of other users', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 100, metaData: { owner: 'user:bob' } });
+
+        await expect(minioService.uploadFile({ ...mockFile, overwrite: true }, '', alice))
+          .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+        expect(mockClient.putObject).not.toHaveBeenCalled();
+      });
+
+      test('should keep the replaced file when the checksum does not match', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 100, metaData: { 'content-sha256': 'abc' } });
+        const checksum = { algorithm: 'sha256', value: sha256('other content') };
+
+        await expect(minioService.uploadFile({ ...mockFile, overwrite: true, checksum }))
+          .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+        expect(minioService.dedup.release).not.toHaveBeenCalled();
+        expect(mockClient.putObject).not.toHaveBeenCalled();
+      });
+
+      test('should keep the replaced file indexed when storing the new one fails', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 0, metaData: { 'content-sha256': 'abc', 'dedup-ref': 'true' } });
+        mockClient.putObject.mockRejectedValue(new Error('Connection reset'));
+
+        await expect(minioService.uploadFile({ ...mockFile, overwrite: true })).rejects.toThrow('Upload failed: Connection reset');
+        expect(minioService.dedup.release).not.toHaveBeenCalled();
+        expect(minioService.usage.record).not.toHaveBeenCalled();
+      });
     });
 
     test('should upload file with custom path', async () => {
@@ -103,11 +338,204 @@ describe('MinioService', () => {
       expect(result.objectName).toMatch(/^videos\/2024\/test_\d+_[a-f0-9]{8}\.mp4$/);
     });
 
+    test('should record the owner and place the file in their folder', async () => {
+      mockClient.putObject.mockResolvedValue();
+
+      const result = await minioService.uploadFile(mockFile, 'videos', alice);
+
+      expect(result.objectName).toMatch(/^users\/alice\/videos\/test_\d+_[a-f0-9]{8}\.mp4$/);
+      expect(result.owner).toBe('user:alice');
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket',
+        result.objectName,
+        mockFile.buffer,
+        1024,
+        expect.objectContaining({ Owner: 'user:alice' })
+      );
+    });
+
+    test('should store the type detected from the content', async () => {
+      mockClient.putObject.mockResolvedValue();
+
+      const result = await minioService.uploadFile({ ...mockFile, mimetype: 'application/octet-stream' });
+
+      expect(result.mimetype).toBe('video/mp4');
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket',
+        result.objectName,
+        mockFile.buffer,
+        mockFile.size,
+        expect.objectContaining({ 'Content-Type': 'video/mp4' })
+      );
+    });
+
+    test('should reject content that is not an allowed type', async () => {
+      const stream = new PassThrough();
+      stream.end(Buffer.from('MZ\x90\x00 not really a video', 'latin1'));
+      mockClient.removeIncompleteUpload.mockResolvedValue();
+
+      await expect(minioService.uploadFile({
+        originalname: 'test.mp4',
+        mimetype: 'video/mp4',
+        stream
+      })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_FILE_TYPE' });
+
+      expect(mockClient.putObject).not.toHaveBeenCalled();
+    });
+
+    test('should keep the file pending and queue it when scanning is enabled', async () => {
+      mockClient.putObject.mockResolvedValue();
+      minioService.scans.scanner = { scan: jest.fn() };
+      jest.spyOn(minioService.scans, 'enqueue').mockResolvedValue('pending');
+
+      const result = await minioService.uploadFile(mockFile);
+
+      expect(result.scanStatus).toBe('pending');
+      expect(minioService.scans.enqueue).toHaveBeenCalledWith(result.objectName);
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket',
+        result.objectName,
+        mockFile.buffer,
+        mockFile.size,
+        expect.objectContaining({ 'Scan-Status': 'pending' })
+      );
+    });
+
     test('should throw error if upload fails', async () => {
       mockClient.putObject.mockRejectedValue(new Error('Upload failed'));
 
       await expect(minioService.uploadFile(mockFile)).rejects.toThrow('Upload failed');
     });
+
+    test('should stream file and count its size', async () => {
+      mockClient.putObject.mockImplementation((bucket, name, stream) => new Promise((resolve) => {
+        stream.on('data', () => {});
+        stream.on('end', resolve);
+      }));
+      const stream = new PassThrough();
+      stream.end(mp4('streamed content'));
+
+      const result = await minioService.uploadFile({
+        originalname: 'test.mp4',
+        mimetype: 'video/mp4',
+        stream
+      });
+
+      expect(result.size).toBe(28);
+      expect(result.hash).toBe(sha256(mp4('streamed content')));
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket',
+        result.objectName,
+        expect.any(Object),
+        undefined,
+        expect.objectContaining({ 'Content-Type': 'video/mp4', 'Original-Name': 'test.mp4' })
+      );
+    });
+
+    test('should verify a checksum while streaming and store it', async () => {
+      mockClient.putObject.mockImplementation((bucket, name, stream) => new Promise((resolve, reject) => {
+        stream.on('data', () => {});
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      }));
+      const stream = new PassThrough();
+      stream.end(mp4('streamed content'));
+      const checksum = { algorithm: 'md5', value: crypto.createHash('md5').update(mp4('streamed content')).digest('hex') };
+
+      await minioService.uploadFile({ originalname: 'test.mp4', mimetype: 'video/mp4', stream, checksum });
+
+      expect(mockClient.putObject).toHaveBeenCalledWith(
+        'test-bucket',
+        expect.any(String),
+        expect.any(Object),
+        undefined,
+        expect.objectContaining({ Checksum: `md5:${checksum.value}` })
+      );
+    });
+
+    test('should fail the stream and abort on a checksum mismatch', async () => {
+      mockClient.putObject.mockImplementation((bucket, name, stream) => new Promise((resolve, reject) => {
+        stream.on('data', () => {});
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      }));
+      mockClient.removeIncompleteUpload.mockResolvedValue();
+      const stream = new PassThrough();
+      stream.end(mp4('streamed content'));
+
+      await expect(minioService.uploadFile({
+        originalname: 'test.mp4',
+        mimetype: 'video/mp4',
+        stream,
+        checksum: { algorithm: 'sha256', value: sha256('something else') }
+      })).rejects.toMatchObject({ statusCode: 400, code: 'CHECKSUM_MISMATCH' });
+
+      expect(mockClient.removeIncompleteUpload).toHaveBeenCalled();
+      expect(minioService.dedup.register).not.toHaveBeenCalled();
+    });
+
+    test('should verify buffered files before storing them', async () => {
+      await expect(minioService.uploadFile({
+        ...mockFile,
+        checksum: { algorithm: 'sha256', value: sha256('something else') }
+      })).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+
+      expect(mockClient.putObject).not.toHaveBeenCalled();
+    });
+
+    test('should abort incomplete multipart upload if streaming fails', async () => {
+      mockClient.putObject.mockRejectedValue(new Error('Connection reset'));
+      mockClient.removeIncompleteUpload.mockResolvedValue();
+      const stream = new PassThrough();
+      stream.end(mp4('streamed content'));
+
+      await expect(minioService.uploadFile({
+        originalname: 'test.mp4',
+        mimetype: 'video/mp4',
+        stream
+      })).rejects.toThrow('Upload failed: Connection reset');
+
+      expect(mockClient.removeIncompleteUpload).toHaveBeenCalledWith(
+        'test-bucket',
+        expect.stringMatching(/^test_\d+_[a-f0-9]{8}\.mp4$/)
+      );
+    });
+  });
+
+  describe('deduplicateStored', () => {
+    const content = Buffer.from('stored content');
+    const digest = crypto.createHash('sha256').update(content).digest('hex');
+
+    beforeEach(() => {
+      jest.spyOn(minioService.dedup, 'register').mockResolvedValue(true);
+    });
+
+    test('should hash the stored object and register it', async () => {
+      mockClient.getObject.mockResolvedValue(Readable.from([content.subarray(0, 6), content.subarray(6)]));
+
+      const result = await minioService.deduplicateStored('videos/clip.mp4', content.length, { 'Content-Type': 'video/mp4' });
+
+      expect(result).toEqual({ hash: digest, deduplicated: true });
+      expect(mockClient.getObject).toHaveBeenCalledWith('test-bucket', 'videos/clip.mp4');
+      expect(minioService.dedup.register).toHaveBeenCalledWith('videos/clip.mp4', digest, content.length, { 'Content-Type': 'video/mp4' });
+    });
+
+    test('should keep the file when it cannot be read back', async () => {
+      mockClient.getObject.mockRejectedValue(new Error('connection reset'));
+
+      await expect(minioService.deduplicateStored('videos/clip.mp4', 10, {})).resolves.toEqual({ hash: null, deduplicated: false });
+      expect(minioService.dedup.register).not.toHaveBeenCalled();
+    });
+
+    test('should not read the file with deduplication disabled', async () => {
+      config.dedup.enabled = false;
+      try {
+        await expect(minioService.deduplicateStored('videos/clip.mp4', 10, {})).resolves.toEqual({ hash: null, deduplicated: false });
+        expect(mockClient.getObject).not.toHaveBeenCalled();
+      } finally {
+        config.dedup.enabled = true;
+      }
+    });
   });
 
   describe('getPresignedUrl', () => {
@@ -132,6 +560,16 @@ describe('MinioService', () => {
       expect(mockClient.presignedGetObject).toHaveBeenCalledWith('test-bucket', 'test.mp4', 3600);
     });
 
+    test('should use the bucket and expiry of a tenant service', async () => {
+      const tenantService = new MinioService({ bucketName: 'test-bucket-acme', limits: { urlExpiry: 900 } });
+      tenantService.client.presignedGetObject.mockResolvedValue('https://minio.example.com/url');
+
+      await tenantService.getPresignedUrl('test.mp4');
+
+      expect(tenantService.client.presignedGetObject).toHaveBeenCalledWith('test-bucket-acme', 'test.mp4', 900);
+      expect(tenantService.limits.maxFileSize).toBe('10MB');
+    });
+
     test('should throw error if URL generation fails', async () => {
       mockClient.presignedGetObject.mockRejectedValue(new Error('URL generation failed'));
 
@@ -139,7 +577,750 @@ describe('MinioService', () => {
     });
   });
 
+  describe('getPresignedUploadUrl', () => {
+    test('should generate presigned PUT URL', async () => {
+      mockClient.presignedPutObject.mockResolvedValue('https://minio.example.com/put');
+
+      const result = await minioService.getPresignedUploadUrl('test.mp4', 600);
+
+      expect(mockClient.presignedPutObject).toHaveBeenCalledWith('test-bucket', 'test.mp4', 600);
+      expect(result).toEqual(expect.objectContaining({ url: 'https://minio.example.com/put', method: 'PUT', expiresIn: 600 }));
+    });
+  });
+
+  describe('getPresignedPostPolicy', () => {
+    test('should sign a policy with key, type and size conditions', async () => {
+      const policy = {
+        setBucket: jest.fn(),
+        setKey: jest.fn(),
+        setContentType: jest.fn(),
+        setContentLengthRange: jest.fn(),
+        setUserMetaData: jest.fn(),
+        setExpires: jest.fn()
+      };
+      mockClient.newPostPolicy.mockReturnValue(policy);
+      mockClient.presignedPostPolicy.mockResolvedValue({ postURL: 'https://minio.example.com/test-bucket', formData: { key: 'test.mp4' } });
+
+      const result = await minioService.getPresignedPostPolicy('test.mp4', { contentType: 'video/mp4', maxSize: 1024, expiry: 600 });
+
+      expect(policy.setBucket).toHaveBeenCalledWith('test-bucket');
+      expect(policy.setKey).toHaveBeenCalledWith('test.mp4');
+      expect(policy.setContentType).toHaveBeenCalledWith('video/mp4');
+      expect(policy.setContentLengthRange).toHaveBeenCalledWith(0, 1024);
+      expect(result).toEqual(expect.objectContaining({
+        url: 'https://minio.example.com/test-bucket',
+        method: 'POST',
+        fields: { key: 'test.mp4' }
+      }));
+    });
+  });
+
+  describe('lifecycle and object lock', () => {
+    const codeError = code => Object.assign(new Error(code), { code });
+
+    test('should read a missing lifecycle configuration as null', async () => {
+      mockClient.getBucketLifecycle.mockRejectedValue(codeError('NoSuchLifecycleConfiguration'));
+
+      await expect(minioService.getBucketLifecycle()).resolves.toBeNull();
+    });
+
+    test('should pass other lifecycle errors on', async () => {
+      mockClient.getBucketLifecycle.mockRejectedValue(codeError('AccessDenied'));
+
+      await expect(minioService.getBucketLifecycle()).rejects.toThrow('AccessDenied');
+    });
+
+    test('should tell buckets without object locking', async () => {
+      mockClient.getObjectLockConfig.mockRejectedValueOnce(codeError('ObjectLockConfigurationNotFoundError'));
+      await expect(minioService.getObjectLockConfig()).resolves.toBeNull();
+
+      mockClient.getObjectLockConfig.mockResolvedValueOnce({ objectLockEnabled: 'Enabled' });
+      await expect(minioService.getObjectLockConfig()).resolves.toEqual({ objectLockEnabled: 'Enabled' });
+    });
+
+    test('should read files without retention or legal hold', async () => {
+      mockClient.getObjectRetention.mockRejectedValue(codeError('NoSuchObjectLockConfiguration'));
+      mockClient.getObjectLegalHold.mockRejectedValue(codeError('NoSuchObjectLockConfiguration'));
+
+      await expect(minioService.getObjectRetention('a.csv', 'v1')).resolves.toBeNull();
+      await expect(minioService.getObjectLegalHold('a.csv')).resolves.toBe(false);
+      expect(mockClient.getObjectRetention).toHaveBeenCalledWith('test-bucket', 'a.csv', { versionId: 'v1' });
+    });
+
+    test('should set legal holds on a version', async () => {
+      mockClient.getObjectLegalHold.mockResolvedValue({ Status: 'ON' });
+
+      await minioService.setObjectLegalHold('a.csv', true, 'v1');
+
+      expect(mockClient.setObjectLegalHold).toHaveBeenCalledWith('test-bucket', 'a.csv', { status: 'ON', versionId: 'v1' });
+      await expect(minioService.getObjectLegalHold('a.csv', 'v1')).resolves.toBe(true);
+    });
+  });
+
+  describe('statObject', () => {
+    test('should resolve to null for missing objects', async () => {
+      mockClient.statObject.mockRejectedValue(Object.assign(new Error('Not Found'), { code: 'NotFound' }));
+
+      await expect(minioService.statObject('missing.mp4')).resolves.toBeNull();
+    });
+
+    test('should rethrow other errors', async () => {
+      mockClient.statObject.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(minioService.statObject('test.mp4')).rejects.toThrow('ECONNREFUSED');
+    });
+  });
+
+  describe('replaceMetadata', () => {
+    test('should copy the object onto itself with new metadata', async () => {
+      mockClient.makeRequestAsync.mockResolvedValue({ resume: jest.fn() });
+
+      await minioService.replaceMetadata('videos/test.mp4', { 'Content-Type': 'video/mp4', 'Original-Name': 'test.mp4' });
+
+      expect(mockClient.makeRequestAsync).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'PUT',
+        objectName: 'videos/test.mp4',
+        headers: {
+          'Content-Type': 'video/mp4',
+          'X-Amz-Meta-Original-Name': 'test.mp4',
+          'X-Amz-Copy-Source': '/test-bucket/videos/test.mp4',
+          'X-Amz-Metadata-Directive': 'REPLACE'
+        }
+      }), '', [200]);
+    });
+  });
+
+  describe('conditional system objects', () => {
+    test('should read a bookkeeping object with its ETag', async () => {
+      const response = Readable.from([Buffer.from('{"refs":["a.mp4"]}')]);
+      response.headers = { etag: '"e1"' };
+      mockClient.makeRequestAsync.mockResolvedValue(response);
+
+      await expect(minioService.readSystemRecord('dedup/abc.json')).resolves.toEqual({ value: { refs: ['a.mp4'] }, etag: 'e1' });
+      expect(mockClient.makeRequestAsync).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'GET',
+        objectName: '.minvault/dedup/abc.json'
+      }), '', [200]);
+    });
+
+    test('should read a missing bookkeeping object as empty', async () => {
+      mockClient.makeRequestAsync.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'NoSuchKey' }));
+
+      await expect(minioService.readSystemRecord('dedup/abc.json')).resolves.toEqual({ value: null, etag: null });
+    });
+
+    test('should write only over the ETag read', async () => {
+      mockClient.makeRequestAsync.mockResolvedValue({ resume: jest.fn() });
+
+      await expect(minioService.writeSystemObjectIf('dedup/abc.json', { refs: [] }, 'e1')).resolves.toBe(true);
+      await minioService.writeSystemObjectIf('dedup/abc.json', { refs: [] }, null);
+
+      expect(mockClient.makeRequestAsync.mock.calls[0][0].headers).toEqual(expect.objectContaining({ 'If-Match': '"e1"' }));
+      expect(mockClient.makeRequestAsync.mock.calls[1][0].headers).toEqual(expect.objectContaining({ 'If-None-Match': '*' }));
+    });
+
+    test('should report a write lost to another writer', async () => {
+      mockClient.makeRequestAsync.mockRejectedValue(Object.assign(new Error('Precondition failed'), { code: 'PreconditionFailed' }));
+
+      await expect(minioService.writeSystemObjectIf('dedup/abc.json', { refs: [] }, 'e1')).resolves.toBe(false);
+    });
+  });
+
+  describe('file tags', () => {
+    beforeEach(() => {
+      jest.spyOn(minioService.metadata, 'sync').mockResolvedValue();
+    });
+
+    test('should return the tags of a file', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 1, metaData: {} });
+      mockClient.getObjectTagging.mockResolvedValue([{ Key: 'project', Value: 'launch' }]);
+
+      await expect(minioService.getFileTags('a.mp4')).resolves.toEqual({ success: true, objectName: 'a.mp4', tags: { project: 'launch' } });
+    });
+
+    test('should replace the tags and update the metadata store', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 1, metaData: {} });
+
+      const result = await minioService.setFileTags('a.mp4', 'project=launch,status=draft');
+
+      expect(result.tags).toEqual({ project: 'launch', status: 'draft' });
+      expect(mockClient.setObjectTagging).toHaveBeenCalledWith('test-bucket', 'a.mp4', { project: 'launch', status: 'draft' });
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('a.mp4');
+    });
+
+    test('should remove the tags when none are given', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 1, metaData: {} });
+
+      await minioService.setFileTags('a.mp4', {});
+
+      expect(mockClient.removeObjectTagging).toHaveBeenCalledWith('test-bucket', 'a.mp4');
+    });
+
+    test('should refuse files of other users and missing files', async () => {
+      mockClient.statObject.mockResolvedValueOnce({ size: 1, metaData: { owner: 'user:bob' } });
+      await expect(minioService.setFileTags('users/alice/a.mp4', { a: 'b' }, alice)).rejects.toMatchObject({ statusCode: 403 });
+
+      mockClient.statObject.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { code: 'NotFound' }));
+      await expect(minioService.getFileTags('missing.mp4')).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+      expect(mockClient.setObjectTagging).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid tags before touching the file', async () => {
+      await expect(minioService.setFileTags('a.mp4', { 'aws:x': 'y' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TAGS' });
+      expect(mockClient.statObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateFileMetadata', () => {
+    beforeEach(() => {
+      jest.spyOn(minioService.metadata, 'sync').mockResolvedValue();
+      mockClient.makeRequestAsync.mockResolvedValue({ resume: jest.fn() });
+      mockClient.statObject.mockResolvedValue({
+        size: 1,
+        metaData: { 'content-type': 'video/mp4', 'original-name': 'a.mp4', owner: 'user:alice', campaign: 'winter', language: 'en' }
+      });
+    });
+
+    test('should merge the changes and copy the object onto itself', async () => {
+      const result = await minioService.updateFileMetadata('a.mp4', { campaign: 'spring', Status: 'final', language: null });
+
+      expect(result).toEqual({ success: true, objectName: 'a.mp4', metadata: { campaign: 'spring', status: 'final' } });
+      expect(mockClient.makeRequestAsync).toHaveBeenCalledWith(expect.objectContaining({
+        headers: {
+          'content-type': 'video/mp4',
+          'X-Amz-Meta-original-name': 'a.mp4',
+          'X-Amz-Meta-owner': 'user:alice',
+          'X-Amz-Meta-campaign': 'spring',
+          'X-Amz-Meta-status': 'final',
+          'X-Amz-Copy-Source': '/test-bucket/a.mp4',
+          'X-Amz-Metadata-Directive': 'REPLACE'
+        }
+      }), '', [200]);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('a.mp4');
+    });
+
+    test('should not let reserved fields be changed', async () => {
+      await expect(minioService.updateFileMetadata('a.mp4', { owner: 'user:bob' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_METADATA' });
+      expect(mockClient.makeRequestAsync).not.toHaveBeenCalled();
+    });
+
+    test('should keep the metadata within its size limit', async () => {
+      await expect(minioService.updateFileMetadata('a.mp4', { notes: 'x'.repeat(1020) })).rejects.toMatchObject({ code: 'INVALID_METADATA' });
+    });
+  });
+
+  describe('copyFile', () => {
+    let objects;
+    const HASH = 'a'.repeat(64);
+
+    beforeEach(() => {
+      objects = {
+        'users/alice/a.mp4': {
+          size: 10,
+          etag: 'e1',
+          metaData: { 'content-type': 'video/mp4', 'original-name': 'a.mp4', owner: 'user:alice', campaign: 'winter', 'x-amz-request-id': 'r1' }
+        }
+      };
+      mockClient.statObject.mockImplementation(async (bucket, name) => {
+        if (!objects[name]) throw Object.assign(new Error('Not Found'), { code: 'NotFound' });
+        return objects[name];
+      });
+      mockClient.getObjectTagging.mockResolvedValue([{ Key: 'project', Value: 'launch' }]);
+      mockClient.composeObject.mockResolvedValue();
+      jest.spyOn(minioService.metadata, 'sync').mockResolvedValue();
+      jest.spyOn(minioService.usage, 'record').mockResolvedValue();
+      jest.spyOn(minioService.usage, 'assertWithinQuota').mockResolvedValue();
+      jest.spyOn(minioService.dedup, 'register').mockResolvedValue(false);
+    });
+
+    const copyRequest = () => {
+      const [destination, [source]] = mockClient.composeObject.mock.calls[0];
+      return { target: destination.Object, headers: destination.getHeaders(), source: source.Object };
+    };
+
+    test('should copy the object with its metadata and tags on the server side', async () => {
+      const result = await minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {}, alice);
+
+      expect(result).toEqual({
+        success: true,
+        source: 'users/alice/a.mp4',
+        target: 'users/alice/b.mp4',
+        size: 10,
+        owner: 'user:alice',
+        deduplicated: false,
+        metadata: { campaign: 'winter' },
+        tags: { project: 'launch' }
+      });
+      expect(copyRequest()).toEqual({
+        source: 'users/alice/a.mp4',
+        target: 'users/alice/b.mp4',
+        headers: {
+          'content-type': 'video/mp4',
+          'X-Amz-Meta-original-name': 'a.mp4',
+          'X-Amz-Meta-campaign': 'winter',
+          'X-Amz-Meta-Owner': 'user:alice',
+          'X-Amz-Metadata-Directive': 'REPLACE',
+          'X-Amz-Tagging-Directive': 'REPLACE',
+          'X-Amz-Tagging': 'project=launch'
+        }
+      });
+      expect(minioService.usage.assertWithinQuota).toHaveBeenCalledWith(alice, 10, 1);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', 10, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('users/alice/b.mp4');
+    });
+
+    test('should give the copy to the principal making it', async () => {
+      const admin = { id: 'admin', scopes: ['admin'] };
+
+      const result = await minioService.copyFile('users/alice/a.mp4', 'shared/a.mp4', {}, admin);
+
+      expect(result.owner).toBe('admin');
+      expect(copyRequest().headers['X-Amz-Meta-Owner']).toBe('admin');
+      expect(minioService.usage.record).toHaveBeenCalledWith('admin', 10, 1);
+    });
+
+    test('should replace the custom metadata when asked to', async () => {
+      const result = await minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {
+        metadataDirective: 'replace',
+        metadata: { Status: 'final' }
+      }, alice);
+
+      expect(result.metadata).toEqual({ status: 'final' });
+      const { headers } = copyRequest();
+      expect(headers['X-Amz-Meta-status']).toBe('final');
+      expect(headers).not.toHaveProperty('X-Amz-Meta-campaign');
+      expect(headers['X-Amz-Meta-original-name']).toBe('a.mp4');
+    });
+
+    test('should share deduplicated content instead of copying it', async () => {
+      objects['users/alice/a.mp4'].metaData['content-sha256'] = HASH;
+      jest.spyOn(minioService.dedup, 'link').mockResolvedValue(true);
+
+      const result = await minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {}, alice);
+
+      expect(result.deduplicated).toBe(true);
+      expect(minioService.dedup.link).toHaveBeenCalledWith('users/alice/b.mp4', HASH, expect.not.objectContaining({ 'content-sha256': HASH }));
+      expect(mockClient.composeObject).not.toHaveBeenCalled();
+      expect(mockClient.setObjectTagging).toHaveBeenCalledWith('test-bucket', 'users/alice/b.mp4', { project: 'launch' });
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', 10, 1);
+    });
+
+    test('should copy and index content the index has lost', async () => {
+      objects['users/alice/a.mp4'].metaData['content-sha256'] = HASH;
+      jest.spyOn(minioService.dedup, 'link').mockResolvedValue(false);
+
+      await minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {}, alice);
+
+      expect(copyRequest().headers['X-Amz-Meta-Content-Sha256']).toBe(HASH);
+      expect(minioService.dedup.register).toHaveBeenCalledWith('users/alice/b.mp4', HASH, 10, expect.any(Object));
+    });
+
+    test('should only replace an existing target when overwriting', async () => {
+      objects['users/alice/b.mp4'] = { size: 5, metaData: { owner: 'user:alice' } };
+      jest.spyOn(minioService, 'deleteFile').mockResolvedValue({ success: true });
+
+      await expect(minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {}, alice))
+        .rejects.toMatchObject({ statusCode: 409, code: 'FILE_EXISTS' });
+      expect(mockClient.composeObject).not.toHaveBeenCalled();
+
+      await minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', { overwrite: true }, alice);
+      expect(minioService.deleteFile).toHaveBeenCalledWith('users/alice/b.mp4', alice);
+      expect(mockClient.composeObject).toHaveBeenCalled();
+    });
+
+    test('should not overwrite files of other users', async () => {
+      objects['users/alice/b.mp4'] = { size: 5, metaData: { owner: 'user:bob' } };
+
+      await expect(minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', { overwrite: true }, alice))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should respect the quota', async () => {
+      minioService.usage.assertWithinQuota.mockRejectedValue(Object.assign(new Error('quota'), { statusCode: 413 }));
+
+      await expect(minioService.copyFile('users/alice/a.mp4', 'users/alice/b.mp4', {}, alice)).rejects.toThrow();
+      expect(mockClient.composeObject).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['users/alice/a.mp4', 'users/alice/a.mp4', {}, 'INVALID_TRANSFER'],
+      ['users/alice/a.mp4', 'users/alice/b.mp4', { metadataDirective: 'MERGE' }, 'INVALID_TRANSFER'],
+      ['users/alice/a.mp4', 'users/alice/b.mp4', { metadata: { a: 'b' } }, 'INVALID_TRANSFER'],
+      ['users/alice/a.mp4', 'users/alice/b.mp4', { metadataDirective: 'REPLACE', metadata: { owner: 'x' } }, 'INVALID_METADATA'],
+      ['.minvault/api-keys/k.json', 'users/alice/k.json', {}, 'INVALID_OBJECT_KEY'],
+      ['users/alice/a.mp4', '../b.mp4', {}, 'INVALID_OBJECT_KEY']
+    ])('should reject copying %s to %s with %j', async (source, target, options, code) => {
+      await expect(minioService.copyFile(source, target, options)).rejects.toMatchObject({ statusCode: 400, code });
+      expect(mockClient.composeObject).not.toHaveBeenCalled();
+    });
+
+    test('should refuse missing files and files awaiting their scan', async () => {
+      await expect(minioService.copyFile('missing.mp4', 'b.mp4')).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+
+      objects['users/alice/a.mp4'].metaData['scan-status'] = 'pending';
+      await expect(minioService.copyFile('users/alice/a.mp4', 'b.mp4')).rejects.toMatchObject({ statusCode: 409, code: 'SCAN_PENDING' });
+    });
+  });
+
+  describe('moveFile', () => {
+    const HASH = 'a'.repeat(64);
+    let objects;
+
+    beforeEach(() => {
+      objects = {
+        'users/alice/b.mp4': {
+          size: 0,
+          metaData: { 'content-type': 'video/mp4', owner: 'user:alice', 'content-sha256': HASH, 'dedup-ref': 'true' }
+        }
+      };
+      mockClient.statObject.mockImplementation(async (bucket, name) => {
+        if (!objects[name]) throw Object.assign(new Error('Not Found'), { code: 'NotFound' });
+        return objects[name];
+      });
+      mockClient.getObjectTagging.mockResolvedValue([]);
+      mockClient.composeObject.mockResolvedValue();
+      mockClient.removeObject.mockResolvedValue();
+      jest.spyOn(minioService.dedup, 'resolve').mockResolvedValue({ key: 'users/alice/a.mp4', stat: { size: 2048, etag: 'e1' } });
+      jest.spyOn(minioService.dedup, 'rename').mockResolvedValue();
+      jest.spyOn(minioService.metadata, 'sync').mockResolvedValue();
+      jest.spyOn(minioService.metadata, 'remove').mockResolvedValue();
+      jest.spyOn(minioService.usage, 'record').mockResolvedValue();
+      jest.spyOn(minioService.renditions, 'remove').mockResolvedValue();
+    });
+
+    test('should move the object as it is and remove the source', async () => {
+      const result = await minioService.moveFile('users/alice/b.mp4', 'users/alice/archive/b.mp4', {}, alice);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, target: 'users/alice/archive/b.mp4', size: 2048, owner: 'user:alice' }));
+      const [destination, [source]] = mockClient.composeObject.mock.calls[0];
+      expect(source.Object).toBe('users/alice/b.mp4');
+      expect(destination.Object).toBe('users/alice/archive/b.mp4');
+      expect(destination.getHeaders()).toEqual(expect.objectContaining({
+        'X-Amz-Meta-owner': 'user:alice',
+        'X-Amz-Meta-dedup-ref': 'true',
+        'X-Amz-Meta-content-sha256': HASH
+      }));
+      expect(minioService.dedup.rename).toHaveBeenCalledWith('users/alice/b.mp4', 'users/alice/archive/b.mp4', HASH);
+      expect(mockClient.removeObject).toHaveBeenCalledWith('test-bucket', 'users/alice/b.mp4');
+      expect(minioService.metadata.remove).toHaveBeenCalledWith('users/alice/b.mp4');
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('users/alice/archive/b.mp4');
+      expect(minioService.renditions.remove).toHaveBeenCalledWith('users/alice/b.mp4');
+      expect(minioService.usage.record).not.toHaveBeenCalled();
+    });
+
+    test('should keep the source when the copy fails', async () => {
+      mockClient.composeObject.mockRejectedValue(new Error('SlowDown'));
+
+      await expect(minioService.moveFile('users/alice/b.mp4', 'users/alice/c.mp4', {}, alice)).rejects.toThrow('Move failed: SlowDown');
+      expect(mockClient.removeObject).not.toHaveBeenCalled();
+    });
+
+    test('should not move files of other users', async () => {
+      objects['users/alice/b.mp4'].metaData.owner = 'user:bob';
+
+      await expect(minioService.moveFile('users/alice/b.mp4', 'users/alice/c.mp4', {}, alice)).rejects.toMatchObject({ statusCode: 403 });
+      expect(mockClient.composeObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transferPrefix', () => {
+    beforeEach(() => {
+      mockClient.listObjects.mockReturnValue(Readable.from([{ name: 'videos/a.mp4' }, { name: 'videos/2024/b.mp4' }]));
+    });
+
+    test('should transfer every file below the prefix and report each one', async () => {
+      jest.spyOn(minioService, 'moveFile')
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(Object.assign(new Error('archive/2024/b.mp4 already exists'), { code: 'FILE_EXISTS' }));
+
+      const result = await minioService.transferPrefix('move', '/videos', 'archive/', { overwrite: false });
+
+      expect(mockClient.listObjects).toHaveBeenCalledWith('test-bucket', 'videos/', true);
+      expect(minioService.moveFile).toHaveBeenCalledWith('videos/a.mp4', 'archive/a.mp4', { overwrite: false }, null);
+      expect(result).toEqual({
+        success: true,
+        operation: 'move',
+        sourcePrefix: 'videos/',
+        targetPrefix: 'archive/',
+        total: 2,
+        succeeded: 1,
+        failed: 1,
+        items: [
+          { source: 'videos/a.mp4', target: 'archive/a.mp4', success: true },
+          {
+            source: 'videos/2024/b.mp4',
+            target: 'archive/2024/b.mp4',
+            success: false,
+            error: 'archive/2024/b.mp4 already exists',
+            code: 'FILE_EXISTS'
+          }
+        ]
+      });
+    });
+
+    test('should copy into a prefix below the source', async () => {
+      jest.spyOn(minioService, 'copyFile').mockResolvedValue({ success: true });
+
+      const result = await minioService.transferPrefix('copy', 'videos/', 'videos/backup/');
+
+      expect(result.succeeded).toBe(2);
+      expect(minioService.copyFile).toHaveBeenCalledWith('videos/2024/b.mp4', 'videos/backup/2024/b.mp4', {}, null);
+    });
+
+    test('should reject the same prefix', async () => {
+      await expect(minioService.transferPrefix('copy', 'videos', 'videos/')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TRANSFER' });
+    });
+
+    test.each(['', '/', undefined])('should refuse to transfer the whole bucket (%p)', async (sourcePrefix) => {
+      jest.spyOn(minioService, 'copyFile');
+
+      await expect(minioService.transferPrefix('copy', sourcePrefix, 'backup/')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TRANSFER' });
+      expect(minioService.copyFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('system objects', () => {
+    test('should read JSON documents under the system prefix', async () => {
+      mockClient.getObject.mockResolvedValue(Readable.from([Buffer.from('{"id":1}')]));
+
+      await expect(minioService.readSystemObject('tus/a.info')).resolves.toEqual({ id: 1 });
+      expect(mockClient.getObject).toHaveBeenCalledWith('test-bucket', '.minvault/tus/a.info');
+    });
+
+    test('should resolve to null for missing documents', async () => {
+      mockClient.getObject.mockRejectedValue(Object.assign(new Error('NoSuchKey'), { code: 'NoSuchKey' }));
+
+      await expect(minioService.readSystemObject('tus/missing.info')).resolves.toBeNull();
+    });
+  });
+
+  describe('listFiles', () => {
+    const store = names => Promise.all(names.map(name => minioService.metadata.store.put('test-bucket', {
+      name, originalName: `original-${name.split('/').pop()}`, size: 1, mimetype: 'video/mp4', owner: null
+    })));
+
+    test('should list files from the metadata store with their original names', async () => {
+      await store(['b.mp4', 'a.mp4']);
+
+      const result = await minioService.listFiles();
+
+      expect(result.files).toEqual([
+        expect.objectContaining({ name: 'a.mp4', originalName: 'original-a.mp4', mimetype: 'video/mp4' }),
+        expect.objectContaining({ name: 'b.mp4', originalName: 'original-b.mp4' })
+      ]);
+      expect(result.nextCursor).toBeNull();
+      expect(mockClient.listObjectsV2Query).not.toHaveBeenCalled();
+    });
+
+    test('should split files and folders when browsing with a delimiter', async () => {
+      await store(['videos/intro.mp4', 'videos/2024/a.mp4', 'videos/2024/b.mp4', 'videos/2025/c.mp4', 'other.mp4']);
+
+      const result = await minioService.listFiles('videos/', 100, { delimiter: '/' });
+
+      expect(result).toEqual(expect.objectContaining({
+        files: [expect.objectContaining({ name: 'videos/intro.mp4' })],
+        folders: [{ prefix: 'videos/2024/' }, { prefix: 'videos/2025/' }],
+        count: 1,
+        nextCursor: null
+      }));
+    });
+
+    test('should confine listings to the caller\'s prefix', async () => {
+      await store(['users/alice/a.mp4', 'users/bob/b.mp4']);
+
+      const result = await minioService.listFiles('', 10, { principal: alice });
+
+      expect(result.prefix).toBe('users/alice/');
+      expect(result.files.map(file => file.name)).toEqual(['users/alice/a.mp4']);
+      expect((await minioService.listFiles('videos/', 10, { principal: alice })).prefix).toBe('users/alice/videos/');
+      expect((await minioService.listFiles('users/alice/2024/', 10, { principal: alice })).prefix).toBe('users/alice/2024/');
+    });
+
+    test('should page through files with a cursor', async () => {
+      await store(['a.mp4', 'b.mp4', 'c.mp4', 'd/1.mp4', 'd/2.mp4', 'e.mp4']);
+
+      const first = await minioService.listFiles('', 2, { delimiter: '/' });
+      const second = await minioService.listFiles('', 2, { delimiter: '/', cursor: first.nextCursor });
+      const third = await minioService.listFiles('', 2, { delimiter: '/', cursor: second.nextCursor });
+
+      expect(first.files.map(file => file.name)).toEqual(['a.mp4', 'b.mp4']);
+      expect(second.files.map(file => file.name)).toEqual(['c.mp4']);
+      expect(second.folders).toEqual([{ prefix: 'd/' }]);
+      expect(third.files.map(file => file.name)).toEqual(['e.mp4']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    test('should start after a given name', async () => {
+      await store(['a.mp4', 'b.mp4', 'c.mp4']);
+
+      const result = await minioService.listFiles('', 10, { startAfter: 'a.mp4' });
+
+      expect(result.files.map(file => file.name)).toEqual(['b.mp4', 'c.mp4']);
+    });
+
+    test('should reject when listing fails', async () => {
+      jest.spyOn(minioService.metadata.store, 'list').mockRejectedValue(new Error('SQLITE_BUSY'));
+
+      await expect(minioService.listFiles()).rejects.toThrow('List failed: SQLITE_BUSY');
+    });
+  });
+
+  describe('searchFiles', () => {
+    const store = records => Promise.all(records.map(record => minioService.metadata.store.put('test-bucket', {
+      originalName: record.name.split('/').pop(), size: 1, mimetype: 'video/mp4', owner: null, tags: {}, ...record
+    })));
+
+    test('should search the metadata store', async () => {
+      await store([{ name: 'a.mp4', originalName: 'Launch Trailer.mp4' }, { name: 'b.mp4', originalName: 'Teaser.mp4' }]);
+
+      const result = await minioService.searchFiles({ q: 'launch' });
+
+      expect(result).toEqual({
+        success: true,
+        files: [expect.objectContaining({ name: 'a.mp4', originalName: 'Launch Trailer.mp4' })],
+        count: 1,
+        nextCursor: null
+      });
+    });
+
+    test('should only find the caller\'s own files inside its prefix', async () => {
+      await store([
+        { name: 'users/alice/a.mp4', owner: 'user:alice' },
+        { name: 'users/alice/shared.mp4', owner: 'user:bob' },
+        { name: 'users/bob/b.mp4', owner: 'user:bob' }
+      ]);
+
+      const result = await minioService.searchFiles({ owner: 'user:bob' }, { principal: alice });
+
+      expect(result.files.map(file => file.name)).toEqual(['users/alice/a.mp4']);
+    });
+
+    test('should pass on invalid searches', async () => {
+      await expect(minioService.searchFiles({ sort: 'color' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SEARCH' });
+    });
+
+    test('should reject when the search fails', async () => {
+      jest.spyOn(minioService.metadata.store, 'search').mockRejectedValue(new Error('SQLITE_BUSY'));
+
+      await expect(minioService.searchFiles()).rejects.toThrow('Search failed: SQLITE_BUSY');
+    });
+  });
+
+  describe('getObjectStream', () => {
+    test('should stream the whole object', async () => {
+      const stream = new PassThrough();
+      mockClient.getObject.mockResolvedValue(stream);
+
+      await expect(minioService.getObjectStream('test.mp4')).resolves.toBe(stream);
+      expect(mockClient.getObject).toHaveBeenCalledWith('test-bucket', 'test.mp4');
+    });
+
+    test('should request only the given byte range', async () => {
+      await minioService.getObjectStream('test.mp4', { start: 100, end: 199 });
+
+      expect(mockClient.getPartialObject).toHaveBeenCalledWith('test-bucket', 'test.mp4', 100, 100);
+    });
+
+    test('should stream a specific version', async () => {
+      mockClient.getObject.mockResolvedValue(Readable.from([]));
+
+      await minioService.getObjectStream('test.mp4', undefined, 'v1');
+      await minioService.getObjectStream('test.mp4', { start: 0, end: 9 }, 'v1');
+
+      expect(mockClient.getObject).toHaveBeenCalledWith('test-bucket', 'test.mp4', { versionId: 'v1' });
+      expect(mockClient.getPartialObject).toHaveBeenCalledWith('test-bucket', 'test.mp4', 0, 10, { versionId: 'v1' });
+    });
+  });
+
+  describe('statFile', () => {
+    test('should read plain objects from their own key', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 10, metaData: {} });
+
+      const stat = await minioService.statFile('a.mp4');
+
+      expect(stat).toEqual({ size: 10, metaData: {}, storageKey: 'a.mp4' });
+    });
+
+    test('should resolve deduplicated references to their content', async () => {
+      const metaData = { 'dedup-ref': 'true', 'content-sha256': 'abc', 'original-name': 'b.mp4' };
+      mockClient.statObject.mockResolvedValue({ size: 0, etag: 'empty', metaData });
+      jest.spyOn(minioService.dedup, 'resolve').mockResolvedValue({ key: 'a.mp4', stat: { size: 10, etag: 'full' } });
+
+      const stat = await minioService.statFile('b.mp4');
+
+      expect(minioService.dedup.resolve).toHaveBeenCalledWith('abc');
+      expect(stat).toEqual(expect.objectContaining({ size: 10, etag: 'full', storageKey: 'a.mp4', metaData }));
+    });
+
+    test('should refuse files that have not passed the malware scan', async () => {
+      jest.spyOn(minioService, 'statFile').mockResolvedValue({ storageKey: 'a.mp4', metaData: { 'scan-status': 'pending' } });
+
+      await expect(minioService.getPresignedUrl('a.mp4')).rejects.toMatchObject({ statusCode: 409, code: 'SCAN_PENDING' });
+      expect(mockClient.presignedGetObject).not.toHaveBeenCalled();
+    });
+
+    test('should refuse files of other users', async () => {
+      jest.spyOn(minioService, 'statFile').mockResolvedValue({ storageKey: 'a.mp4', metaData: { owner: 'user:bob' } });
+
+      await expect(minioService.getPresignedUrl('a.mp4', 60, alice)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      expect(mockClient.presignedGetObject).not.toHaveBeenCalled();
+    });
+
+    test('should presign the content of a reference', async () => {
+      jest.spyOn(minioService, 'statFile').mockResolvedValue({ storageKey: 'a.mp4', metaData: {} });
+      mockClient.presignedGetObject.mockResolvedValue('url');
+
+      await minioService.getPresignedUrl('b.mp4', 60);
+
+      expect(mockClient.presignedGetObject).toHaveBeenCalledWith('test-bucket', 'a.mp4', 60);
+    });
+
+    test('should presign a specific version', async () => {
+      jest.spyOn(minioService.versions, 'statFile').mockResolvedValue({ storageKey: 'b.mp4', storageVersionId: 'v1', metaData: {} });
+      mockClient.presignedGetObject.mockResolvedValue('url');
+
+      await minioService.getPresignedUrl('b.mp4', 60, null, 'v1');
+
+      expect(minioService.versions.statFile).toHaveBeenCalledWith('b.mp4', 'v1');
+      expect(mockClient.presignedGetObject).toHaveBeenCalledWith('test-bucket', 'b.mp4', 60, { versionId: 'v1' });
+    });
+  });
+
   describe('deleteFile', () => {
+    test('should release deduplicated content before deleting', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 0, metaData: { 'content-sha256': 'abc' } });
+      mockClient.removeObject.mockResolvedValue();
+      jest.spyOn(minioService.dedup, 'release').mockResolvedValue();
+
+      await minioService.deleteFile('b.mp4');
+
+      expect(minioService.dedup.release).toHaveBeenCalledWith('b.mp4', 'abc');
+      expect(mockClient.removeObject).toHaveBeenCalledWith('test-bucket', 'b.mp4');
+    });
+
+    test('should find the content of a file holding its own bytes through its holder record', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 2048, metaData: {} });
+      mockClient.getObject.mockResolvedValue(Readable.from([Buffer.from('{"hash":"abc"}')]));
+      mockClient.removeObject.mockResolvedValue();
+      jest.spyOn(minioService.dedup, 'release').mockResolvedValue(2048);
+
+      await minioService.deleteFile('a.mp4');
+
+      expect(mockClient.getObject).toHaveBeenCalledWith('test-bucket', '.minvault/dedup-holders/a.mp4.json');
+      expect(minioService.dedup.release).toHaveBeenCalledWith('a.mp4', 'abc');
+    });
+
+    test('should uncount the content size of deleted references', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 0, metaData: { 'content-sha256': 'abc', 'dedup-ref': 'true', owner: 'user:alice' } });
+      mockClient.removeObject.mockResolvedValue();
+      jest.spyOn(minioService.dedup, 'release').mockResolvedValue(2048);
+      jest.spyOn(minioService.usage, 'record').mockResolvedValue();
+
+      await minioService.deleteFile('users/alice/b.mp4', alice);
+
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -2048, -1);
+    });
+
     test('should delete file successfully', async () => {
       mockClient.removeObject.mockResolvedValue();
 
@@ -149,11 +1330,176 @@ describe('MinioService', () => {
       expect(mockClient.removeObject).toHaveBeenCalledWith('test-bucket', 'test.mp4');
     });
 
+    test('should only let owners and admins delete a user\'s file', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 1, metaData: { owner: 'user:bob' } });
+      mockClient.removeObject.mockResolvedValue();
+
+      await expect(minioService.deleteFile('users/bob/a.mp4', alice)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      expect(mockClient.removeObject).not.toHaveBeenCalled();
+
+      await minioService.deleteFile('users/bob/a.mp4', { id: 'user:root', scopes: ['admin'], prefix: '', isolated: true });
+      expect(mockClient.removeObject).toHaveBeenCalledWith('test-bucket', 'users/bob/a.mp4');
+    });
+
+    test('should delete the renditions of the file', async () => {
+      mockClient.removeObject.mockResolvedValue();
+      jest.spyOn(minioService.renditions, 'remove').mockResolvedValue();
+
+      await minioService.deleteFile('cat.png');
+
+      expect(minioService.renditions.remove).toHaveBeenCalledWith('cat.png');
+    });
+
     test('should throw error if deletion fails', async () => {
       mockClient.removeObject.mockRejectedValue(new Error('Delete failed'));
 
       await expect(minioService.deleteFile('test.mp4')).rejects.toThrow('Delete failed');
     });
+
+    describe('with the trash enabled', () => {
+      beforeEach(() => {
+        config.trash.enabled = true;
+      });
+
+      afterEach(() => {
+        config.trash.enabled = false;
+      });
+
+      test('should move the file to the trash', async () => {
+        const stat = { size: 10, metaData: { owner: 'user:alice' } };
+        mockClient.statObject.mockResolvedValue(stat);
+        jest.spyOn(minioService.trash, 'add').mockResolvedValue({ id: 'abc', objectName: 'users/alice/a.mp4' });
+
+        const result = await minioService.deleteFile('users/alice/a.mp4', alice);
+
+        expect(minioService.trash.add).toHaveBeenCalledWith('users/alice/a.mp4', stat, alice);
+        expect(result).toEqual({ success: true, message: 'File moved to trash', trash: { id: 'abc', objectName: 'users/alice/a.mp4' } });
+        expect(mockClient.removeObject).not.toHaveBeenCalled();
+      });
+
+      test('should delete for good when asked to', async () => {
+        mockClient.statObject.mockResolvedValue({ size: 10, metaData: { owner: 'user:alice' } });
+        mockClient.removeObject.mockResolvedValue();
+        jest.spyOn(minioService.trash, 'add');
+
+        await minioService.deleteFile('users/alice/a.mp4', alice, { permanent: true });
+
+        expect(minioService.trash.add).not.toHaveBeenCalled();
+        expect(mockClient.removeObject).toHaveBeenCalledWith('test-bucket', 'users/alice/a.mp4');
+      });
+    });
+  });
+
+  describe('deleteFiles', () => {
+    let objects;
+
+    beforeEach(() => {
+      objects = {
+        'users/alice/a.mp4': { size: 10, metaData: { owner: 'user:alice' } },
+        'users/alice/b.mp4': { size: 0, metaData: { owner: 'user:alice', 'content-sha256': 'abc', 'dedup-ref': 'true' } },
+        'users/alice/c.mp4': { size: 5, metaData: { owner: 'user:bob' } }
+      };
+      mockClient.statObject.mockImplementation(async (bucket, name) => {
+        if (!objects[name]) throw Object.assign(new Error('Not Found'), { code: 'NotFound' });
+        return objects[name];
+      });
+      mockClient.removeObjects.mockResolvedValue([]);
+      jest.spyOn(minioService.dedup, 'release').mockResolvedValue(2048);
+      jest.spyOn(minioService.usage, 'record').mockResolvedValue();
+      jest.spyOn(minioService.metadata, 'remove').mockResolvedValue();
+    });
+
+    test('should delete the keys in one request and report each', async () => {
+      const keys = ['users/alice/a.mp4', 'users/alice/b.mp4', 'users/alice/c.mp4', 'users/alice/missing.mp4', 'users/bob/d.mp4'];
+
+      const result = await minioService.deleteFiles({ keys }, alice);
+
+      expect(mockClient.removeObjects).toHaveBeenCalledTimes(1);
+      expect(mockClient.removeObjects).toHaveBeenCalledWith('test-bucket', ['users/alice/a.mp4', 'users/alice/b.mp4']);
+      expect(minioService.dedup.release).toHaveBeenCalledWith('users/alice/b.mp4', 'abc');
+      expect(minioService.usage.record).toHaveBeenCalledTimes(1);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -2058, -2);
+      expect(minioService.metadata.remove).toHaveBeenCalledWith('users/alice/a.mp4');
+      expect(result).toEqual(expect.objectContaining({ dryRun: false, total: 5, succeeded: 2, failed: 3 }));
+      expect(result.items.map(item => item.code || 'OK')).toEqual(['OK', 'OK', 'FORBIDDEN', 'FILE_NOT_FOUND', 'FORBIDDEN']);
+    });
+
+    test('should report keys the storage failed to delete', async () => {
+      mockClient.removeObjects.mockResolvedValue([{ Key: 'users/alice/a.mp4', Code: 'AccessDenied', Message: 'Access Denied.' }]);
+
+      const result = await minioService.deleteFiles({ keys: ['users/alice/a.mp4', 'users/alice/b.mp4'] });
+
+      expect(result.items).toEqual([
+        { key: 'users/alice/a.mp4', success: false, error: 'Access Denied.', code: 'AccessDenied' },
+        { key: 'users/alice/b.mp4', success: true }
+      ]);
+      expect(minioService.metadata.remove).not.toHaveBeenCalledWith('users/alice/a.mp4');
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -2048, -1);
+    });
+
+    test('should only report what would be deleted in a dry run', async () => {
+      const result = await minioService.deleteFiles({ keys: ['users/alice/a.mp4', 'users/alice/a.mp4', 'users/alice/c.mp4'], dryRun: true }, alice);
+
+      expect(result).toEqual(expect.objectContaining({ dryRun: true, total: 2, succeeded: 1, failed: 1 }));
+      expect(mockClient.removeObjects).not.toHaveBeenCalled();
+      expect(minioService.dedup.release).not.toHaveBeenCalled();
+      expect(minioService.usage.record).not.toHaveBeenCalled();
+    });
+
+    test('should delete everything below a prefix in batches of 1000', async () => {
+      const names = Array.from({ length: 1001 }, (_, i) => `users/alice/tmp/${i}.bin`);
+      names.forEach((name) => { objects[name] = { size: 1, metaData: { owner: 'user:alice' } }; });
+      mockClient.listObjects.mockReturnValue(Readable.from(names.map(name => ({ name }))));
+
+      const result = await minioService.deleteFiles({ prefix: 'users/alice/tmp/' }, alice);
+
+      expect(mockClient.listObjects).toHaveBeenCalledWith('test-bucket', 'users/alice/tmp/', true);
+      expect(mockClient.removeObjects).toHaveBeenCalledTimes(2);
+      expect(mockClient.removeObjects.mock.calls[0][1]).toHaveLength(1000);
+      expect(result).toEqual(expect.objectContaining({ prefix: 'users/alice/tmp/', total: 1001, succeeded: 1001 }));
+    });
+
+    test.each([
+      [{}, 'INVALID_BULK_DELETE'],
+      [{ keys: ['a.mp4'], prefix: 'a' }, 'INVALID_BULK_DELETE'],
+      [{ keys: 'a.mp4' }, 'INVALID_BULK_DELETE'],
+      [{ keys: Array.from({ length: 1001 }, (_, i) => `${i}.bin`) }, 'INVALID_BULK_DELETE']
+    ])('should reject %#', async (request, code) => {
+      await expect(minioService.deleteFiles(request)).rejects.toMatchObject({ statusCode: 400, code });
+    });
+
+    test('should refuse prefixes outside the principal\'s', async () => {
+      await expect(minioService.deleteFiles({ prefix: 'users/' }, alice)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      expect(mockClient.listObjects).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid keys one by one', async () => {
+      const result = await minioService.deleteFiles({ keys: ['.minvault/api-keys/k.json', 'users/alice/a.mp4'] });
+
+      expect(result.items[0]).toEqual(expect.objectContaining({ success: false, code: 'INVALID_OBJECT_KEY' }));
+      expect(mockClient.removeObjects).toHaveBeenCalledWith('test-bucket', ['users/alice/a.mp4']);
+    });
+
+    test('should move the files to the trash one by one when it is enabled', async () => {
+      config.trash.enabled = true;
+      jest.spyOn(minioService.trash, 'add')
+        .mockResolvedValue({ id: 'abc' })
+        .mockRejectedValueOnce(Object.assign(new Error('Copy failed'), { code: 'COPY_FAILED' }));
+
+      try {
+        const result = await minioService.deleteFiles({ keys: ['users/alice/a.mp4', 'users/alice/b.mp4', 'users/alice/c.mp4'] });
+
+        expect(minioService.trash.add).toHaveBeenCalledWith('users/alice/a.mp4', objects['users/alice/a.mp4'], null);
+        expect(mockClient.removeObjects).not.toHaveBeenCalled();
+        expect(minioService.usage.record).not.toHaveBeenCalled();
+        expect(result.items.map(item => item.code || 'OK')).toEqual(['COPY_FAILED', 'OK', 'OK']);
+
+        await minioService.deleteFiles({ keys: ['users/alice/a.mp4'], permanent: true });
+        expect(mockClient.removeObjects).toHaveBeenCalledWith('test-bucket', ['users/alice/a.mp4']);
+      } finally {
+        config.trash.enabled = false;
+      }
+    });
   });
 
   describe('getFileInfo', () => {
@@ -175,6 +1521,59 @@ describe('MinioService', () => {
       expect(result.success).toBe(true);
       expect(result.info.size).toBe(1024);
       expect(result.info.contentType).toBe('video/mp4');
+      expect(result.info.hash).toBeNull();
+    });
+
+    test('should read recorded files from the metadata store', async () => {
+      await minioService.metadata.store.put('test-bucket', {
+        name: 'test.mp4', originalName: 'clip.mp4', size: 10, mimetype: 'video/mp4', owner: null,
+        tags: { project: 'launch' }, metadata: { campaign: 'spring' }
+      });
+
+      const result = await minioService.getFileInfo('test.mp4');
+
+      expect(mockClient.statObject).not.toHaveBeenCalled();
+      expect(result.info).toEqual(expect.objectContaining({
+        originalName: 'clip.mp4', contentType: 'video/mp4', tags: { project: 'launch' }, metadata: { campaign: 'spring' }
+      }));
+    });
+
+    test('should list the renditions of images', async () => {
+      await minioService.metadata.store.put('test-bucket', {
+        name: 'cat.png', originalName: 'cat.png', size: 10, mimetype: 'image/png', etag: 'e1', owner: null, tags: {}, metadata: {}
+      });
+      const renditions = [{ size: 150, format: 'webp', width: 150, height: 100 }];
+      jest.spyOn(minioService.renditions, 'describe').mockResolvedValue(renditions);
+
+      const result = await minioService.getFileInfo('cat.png');
+
+      expect(minioService.renditions.describe).toHaveBeenCalledWith('cat.png', expect.objectContaining({ mimetype: 'image/png', etag: 'e1' }));
+      expect(result.info.renditions).toEqual(renditions);
+    });
+
+    test('should expose the content hash', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 10, metaData: { 'content-sha256': 'abc' } });
+
+      const result = await minioService.getFileInfo('test.mp4');
+
+      expect(result.info.hash).toBe('abc');
+      expect(result.info.checksum).toBeNull();
+    });
+
+    test('should expose the owner to them but not to other users', async () => {
+      mockClient.statObject.mockResolvedValue({ size: 10, metaData: { owner: 'user:alice' } });
+
+      const result = await minioService.getFileInfo('users/alice/a.mp4', alice);
+
+      expect(result.info.owner).toBe('user:alice');
+      await expect(minioService.getFileInfo('users/alice/a.mp4', { ...alice, id: 'user:bob' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should report missing files as not found', async () => {
+      mockClient.statObject.mockRejectedValue(Object.assign(new Error('Not Found'), { code: 'NotFound' }));
+
+      await expect(minioService.getFileInfo('missing.mp4')).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
     });
 
     test('should throw error if file info retrieval fails', async () => {
@@ -0,0 +1,188 @@
+const { PassThrough } = require('stream');
+const { EventEmitter } = require('events');
+const MinioStorage = require('../../../src/middleware/minioStorage');
+
+describe('MinioStorage', () => {
+  let storage;
+  let minioService;
+  let req;
+  let file;
+
+  beforeEach(() => {
+    minioService = {
+      uploadFile: jest.fn(),
+      deleteFile: jest.fn()
+    };
+    storage = new MinioStorage(minioService);
+
+    req = new EventEmitter();
+    req.body = {};
+    req.query = {};
+    req.complete = false;
+    req.headers = {};
+    req.get = name => req.headers[name.toLowerCase()];
+
+    file = {
+      fieldname: 'file',
+      originalname: 'test.mp4',
+      mimetype: 'video/mp4',
+      stream: new PassThrough()
+    };
+  });
+
+  // Mimics MinioService.uploadFile consuming the stream it is given
+  const consumeUpload = (uploadFile) => uploadFile.mockImplementation((input) => new Promise((resolve, reject) => {
+    let size = 0;
+    input.stream.on('data', chunk => { size += chunk.length; });
+    input.stream.on('end', () => resolve({ success: true, objectName: 'test_123_abc.mp4', size }));
+    input.stream.on('error', reject);
+  }));
+
+  describe('_handleFile', () => {
+    test('should stream the file to MinIO and report the stored object', (done) => {
+      consumeUpload(minioService.uploadFile);
+
+      storage._handleFile(req, file, (err, info) => {
+        expect(err).toBeNull();
+        expect(info.objectName).toBe('test_123_abc.mp4');
+        expect(info.size).toBe(12);
+        expect(info.upload.success).toBe(true);
+        done();
+      });
+
+      file.stream.end(Buffer.from('test content'));
+    });
+
+    test('should use custom path from body or query', () => {
+      minioService.uploadFile.mockReturnValue(new Promise(() => {}));
+      req.query.path = 'videos/2024';
+
+      storage._handleFile(req, file, jest.fn());
+
+      expect(minioService.uploadFile).toHaveBeenCalledWith(
+        expect.objectContaining({ originalname: 'test.mp4', mimetype: 'video/mp4' }),
+        'videos/2024',
+        undefined
+      );
+    });
+
+    test('should pass the checksum declared for each file', () => {
+      minioService.uploadFile.mockReturnValue(new Promise(() => {}));
+      req.body.checksum = ['md5:1b2cf535f27731c974343645a3985328', `sha256:${'a'.repeat(64)}`];
+
+      storage._handleFile(req, file, jest.fn());
+      storage._handleFile(req, { ...file, stream: new PassThrough() }, jest.fn());
+
+      expect(minioService.uploadFile.mock.calls[0][0].checksum).toEqual({ algorithm: 'md5', value: '1b2cf535f27731c974343645a3985328' });
+      expect(minioService.uploadFile.mock.calls[1][0].checksum).toEqual({ algorithm: 'sha256', value: 'a'.repeat(64) });
+    });
+
+    test('should reject malformed checksums without uploading', (done) => {
+      req.headers['x-checksum-sha256'] = 'nope';
+
+      storage._handleFile(req, file, (err) => {
+        expect(err.code).toBe('INVALID_CHECKSUM');
+        expect(minioService.uploadFile).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    test('should pass the custom metadata and tags fields', () => {
+      minioService.uploadFile.mockReturnValue(new Promise(() => {}));
+      req.body.metadata = '{"campaign":"spring"}';
+      req.body.tags = 'project=launch';
+
+      storage._handleFile(req, file, jest.fn());
+
+      expect(minioService.uploadFile).toHaveBeenCalledWith(
+        expect.objectContaining({ metadata: { campaign: 'spring' }, tags: { project: 'launch' } }),
+        '',
+        undefined
+      );
+    });
+
+    test('should pass the overwrite flag', () => {
+      minioService.uploadFile.mockReturnValue(new Promise(() => {}));
+      req.query.overwrite = 'true';
+
+      storage._handleFile(req, file, jest.fn());
+
+      expect(minioService.uploadFile).toHaveBeenCalledWith(expect.objectContaining({ overwrite: true }), '', undefined);
+    });
+
+    test('should reject invalid tags without uploading', (done) => {
+      req.body.tags = '{"aws:x":"y"}';
+
+      storage._handleFile(req, file, (err) => {
+        expect(err.code).toBe('INVALID_TAGS');
+        expect(minioService.uploadFile).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    test('should upload on behalf of the authenticated caller', () => {
+      minioService.uploadFile.mockReturnValue(new Promise(() => {}));
+      req.auth = { id: 'user:alice', scopes: ['files:write'], prefix: 'users/alice/', isolated: true };
+
+      storage._handleFile(req, file, jest.fn());
+
+      expect(minioService.uploadFile).toHaveBeenCalledWith(expect.any(Object), '', req.auth);
+    });
+
+    test('should abort the upload when the size limit is hit', (done) => {
+      consumeUpload(minioService.uploadFile);
+
+      storage._handleFile(req, file, (err) => {
+        expect(err.message).toBe('File size limit exceeded');
+        done();
+      });
+
+      file.stream.write(Buffer.from('partial'));
+      file.stream.emit('limit');
+    });
+
+    test('should abort the upload when the client disconnects', (done) => {
+      consumeUpload(minioService.uploadFile);
+
+      storage._handleFile(req, file, (err) => {
+        expect(err.message).toBe('Client disconnected during upload');
+        done();
+      });
+
+      req.emit('close');
+    });
+
+    test('should ignore close events after the request completed', (done) => {
+      consumeUpload(minioService.uploadFile);
+
+      storage._handleFile(req, file, (err) => {
+        expect(err).toBeNull();
+        done();
+      });
+
+      req.complete = true;
+      req.emit('close');
+      file.stream.end(Buffer.from('data'));
+    });
+  });
+
+  describe('_removeFile', () => {
+    test('should delete a stored object', (done) => {
+      minioService.deleteFile.mockResolvedValue({ success: true });
+
+      storage._removeFile(req, { objectName: 'test_123_abc.mp4' }, (err) => {
+        expect(err).toBeNull();
+        expect(minioService.deleteFile).toHaveBeenCalledWith('test_123_abc.mp4', null, { permanent: true });
+        done();
+      });
+    });
+
+    test('should skip files that were never stored', (done) => {
+      storage._removeFile(req, {}, (err) => {
+        expect(err).toBeNull();
+        expect(minioService.deleteFile).not.toHaveBeenCalled();
+        done();
+      });
+    });
+  });
+});
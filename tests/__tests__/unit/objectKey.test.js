@@ -0,0 +1,85 @@
+const { validateObjectKey, assertValidObjectKey } = require('../../../src/utils/objectKey');
+const { objectKeyParam } = require('../../../src/middleware/objectKey');
+
+describe('Object key validation', () => {
+  describe('validateObjectKey', () => {
+    test.each([
+      'video.mp4',
+      'videos/2024/clip_1640995200000_abc123.mp4',
+      'docs/report v2 (final).pdf',
+      'ünïcode/файл.txt'
+    ])('should accept %s', (key) => {
+      expect(validateObjectKey(key)).toBeNull();
+    });
+
+    test.each([
+      ['', 'required'],
+      ['../secret.txt', 'relative'],
+      ['videos/../../etc/passwd', 'relative'],
+      ['videos/./clip.mp4', 'relative'],
+      ['videos//clip.mp4', 'empty'],
+      ['/clip.mp4', 'empty'],
+      ['videos/', 'empty'],
+      ['clip\u0000.mp4', 'control'],
+      ['clip\n.mp4', 'control'],
+      ['.minvault/tus/a.info', 'reserved'],
+      ['a'.repeat(1025), '1024 bytes']
+    ])('should reject %j', (key, reason) => {
+      expect(validateObjectKey(key)).toMatch(reason);
+    });
+
+    test('should measure the length in UTF-8 bytes', () => {
+      expect(validateObjectKey('ü'.repeat(512))).toBeNull();
+      expect(validateObjectKey('ü'.repeat(513))).toMatch('1024 bytes');
+    });
+  });
+
+  describe('assertValidObjectKey', () => {
+    test('should throw a 400 error for invalid keys', () => {
+      expect(() => assertValidObjectKey('../x')).toThrow(expect.objectContaining({
+        statusCode: 400,
+        code: 'INVALID_OBJECT_KEY'
+      }));
+    });
+  });
+
+  describe('objectKeyParam', () => {
+    let res, next;
+
+    beforeEach(() => {
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      next = jest.fn();
+    });
+
+    test('should expose the wildcard key as params.filename', () => {
+      const req = { params: { 0: 'videos/2024/clip.mp4' } };
+
+      objectKeyParam(req, res, next);
+
+      expect(req.params.filename).toBe('videos/2024/clip.mp4');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should skip the route when no key is given', () => {
+      const req = { params: { 0: '' } };
+
+      objectKeyParam(req, res, next);
+
+      expect(next).toHaveBeenCalledWith('route');
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid keys', () => {
+      const req = { params: { 0: 'videos/../secret' } };
+
+      objectKeyParam(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_OBJECT_KEY' }));
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { userPrefix, scopedPath, scopedPrefix, ownerMetadata, ownerScope, assertOwner } = require('../../../src/utils/ownership');
+
+describe('Ownership', () => {
+  const alice = { id: 'user:alice', scopes: ['files:read'], prefix: 'users/alice/', isolated: true };
+  const galleryKey = { id: '3f9a0c1d2e4b5a6c', scopes: ['files:read'], prefix: 'gallery/' };
+
+  test('should derive a key-safe folder from the user id', () => {
+    expect(userPrefix('alice')).toBe('users/alice/');
+    expect(userPrefix('alice@example.com')).toBe('users/alice@example.com/');
+    expect(userPrefix('a/../b')).toBe('users/a_.._b/');
+  });
+
+  describe('scopedPath', () => {
+    test.each([
+      [null, '/videos/', 'videos'],
+      [alice, '', 'users/alice/'],
+      [alice, 'videos', 'users/alice/videos'],
+      [alice, 'users/alice/videos/', 'users/alice/videos'],
+      [alice, 'users/bob', 'users/alice/users/bob'],
+      [galleryKey, 'gallery', 'gallery'],
+      [galleryKey, 'gallery-private', 'gallery/gallery-private']
+    ])('should place %j uploads to %j in %j', (principal, path, expected) => {
+      expect(scopedPath(principal, path)).toBe(expected);
+    });
+  });
+
+  describe('scopedPrefix', () => {
+    test.each([
+      [null, 'videos/', 'videos/'],
+      [alice, '', 'users/alice/'],
+      [alice, 'users/', 'users/alice/'],
+      [alice, 'users/alice/2024', 'users/alice/2024'],
+      [alice, 'videos/', 'users/alice/videos/'],
+      [galleryKey, 'gallery-', 'gallery/gallery-']
+    ])('should narrow %j listings of %j to %j', (principal, prefix, expected) => {
+      expect(scopedPrefix(principal, prefix)).toBe(expected);
+    });
+  });
+
+  test('should record owners of authenticated uploads only', () => {
+    expect(ownerMetadata(alice)).toEqual({ Owner: 'user:alice' });
+    expect(ownerMetadata(undefined)).toEqual({});
+  });
+
+  describe('ownerScope', () => {
+    test('should name the owner only isolated users are limited to', () => {
+      expect(ownerScope(alice)).toBe('user:alice');
+      expect(ownerScope({ ...alice, scopes: ['admin'] })).toBeNull();
+      expect(ownerScope(galleryKey)).toBeNull();
+      expect(ownerScope(undefined)).toBeNull();
+    });
+  });
+
+  describe('assertOwner', () => {
+    test('should limit users to their own files', () => {
+      expect(() => assertOwner(alice, 'user:alice')).not.toThrow();
+      expect(() => assertOwner(alice, 'user:bob')).toThrow('This file belongs to another user');
+      expect(() => assertOwner(alice, undefined)).toThrow(expect.objectContaining({ statusCode: 403, code: 'FORBIDDEN' }));
+    });
+
+    test('should let admins, API keys and anonymous callers pass', () => {
+      expect(() => assertOwner({ ...alice, scopes: ['admin'] }, 'user:bob')).not.toThrow();
+      expect(() => assertOwner(galleryKey, 'user:bob')).not.toThrow();
+      expect(() => assertOwner(undefined, 'user:bob')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const sharp = require('sharp');
+const { Readable } = require('stream');
+const RenditionService = require('../../../src/services/renditionService');
+
+describe('RenditionService', () => {
+  let service;
+  let minioService;
+  let stored;
+  let image;
+
+  const key = 'photos/cat.png';
+  const options = { enabled: true, sizes: [150, 600], format: 'webp', quality: 80 };
+  const statOf = (content, extra = {}) => ({
+    size: content.length,
+    etag: 'e1',
+    metaData: { 'content-type': 'image/png' },
+    storageKey: key,
+    ...extra
+  });
+
+  beforeAll(async () => {
+    image = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#c33' } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    stored = {};
+    minioService = {
+      statFile: jest.fn(async () => statOf(image)),
+      getObjectStream: jest.fn(async () => Readable.from([image])),
+      writeSystemData: jest.fn(async (name, data) => { stored[name] = data; }),
+      readSystemObject: jest.fn(async name => stored[name] || null),
+      writeSystemObject: jest.fn(async (name, value) => { stored[name] = value; }),
+      removeSystemObject: jest.fn(async (name) => { delete stored[name]; })
+    };
+    service = new RenditionService(minioService, options);
+  });
+
+  describe('generate', () => {
+    test('should fit the image into each size without enlarging it', async () => {
+      const record = await service.generate(key);
+
+      expect(record).toEqual(expect.objectContaining({
+        objectName: key,
+        etag: 'e1',
+        format: 'webp',
+        renditions: [
+          expect.objectContaining({ size: 150, width: 150, height: 75 }),
+          expect.objectContaining({ size: 600, width: 400, height: 200 })
+        ]
+      }));
+      const thumbnail = await sharp(stored['renditions/photos/cat.png.150.webp']).metadata();
+      expect(thumbnail).toEqual(expect.objectContaining({ format: 'webp', width: 150, height: 75 }));
+      expect(stored['renditions/photos/cat.png.json']).toEqual(record);
+    });
+
+    test('should render images the scanner found clean', async () => {
+      minioService.statFile.mockResolvedValue(statOf(image, { metaData: { 'content-type': 'image/png', 'scan-status': 'clean' } }));
+
+      await expect(service.generate(key)).resolves.toEqual(expect.objectContaining({ objectName: key }));
+    });
+
+    test('should read deduplicated images from their content', async () => {
+      minioService.statFile.mockResolvedValue(statOf(image, { storageKey: '.minvault/blobs/ab/abc' }));
+
+      await service.generate(key);
+
+      expect(minioService.getObjectStream).toHaveBeenCalledWith('.minvault/blobs/ab/abc');
+    });
+
+    test.each([
+      ['missing files', null],
+      ['files that are not images', { size: 10, etag: 'e1', metaData: { 'content-type': 'application/pdf' } }],
+      ['SVG images', { size: 10, etag: 'e1', metaData: { 'content-type': 'image/svg+xml' } }],
+      ['empty quarantine markers', { size: 0, etag: 'e1', metaData: { 'content-type': 'image/png' } }],
+      ['images still being scanned', { size: 10, etag: 'e1', metaData: { 'content-type': 'image/png', 'scan-status': 'pending' } }],
+      ['infected images', { size: 10, etag: 'e1', metaData: { 'content-type': 'image/png', 'scan-status': 'infected' } }]
+    ])('should skip %s', async (_, stat) => {
+      minioService.statFile.mockResolvedValue(stat);
+
+      await expect(service.generate(key)).resolves.toBeNull();
+      expect(minioService.writeSystemData).not.toHaveBeenCalled();
+    });
+
+    test('should remove renditions of sizes no longer configured', async () => {
+      await new RenditionService(minioService, { ...options, sizes: [150, 300] }).generate(key);
+
+      await service.generate(key);
+
+      expect(Object.keys(stored).sort()).toEqual([
+        'renditions/photos/cat.png.150.webp',
+        'renditions/photos/cat.png.600.webp',
+        'renditions/photos/cat.png.json'
+      ]);
+    });
+
+    test('should fail on images that cannot be decoded', async () => {
+      minioService.getObjectStream.mockResolvedValue(Readable.from([Buffer.from('not an image')]));
+
+      await expect(service.generate(key)).rejects.toMatchObject({ statusCode: 422, code: 'RENDITION_FAILED' });
+      expect(minioService.writeSystemObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueue', () => {
+    test('should queue images', async () => {
+      service.enqueue(key, 'image/png');
+      await service.queue;
+
+      expect(stored['renditions/photos/cat.png.json']).toBeDefined();
+    });
+
+    test('should leave other files and disabled renditions alone', async () => {
+      service.enqueue('docs/a.pdf', 'application/pdf');
+      new RenditionService(minioService, { ...options, enabled: false }).enqueue(key, 'image/png');
+      await service.queue;
+
+      expect(minioService.statFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('get', () => {
+    test('should serve a rendition already made', async () => {
+      await service.generate(key);
+      minioService.statFile.mockClear();
+
+      const rendition = await service.get(key, statOf(image), '600');
+
+      expect(rendition).toEqual(expect.objectContaining({
+        key: '.minvault/renditions/photos/cat.png.600.webp',
+        contentType: 'image/webp',
+        etag: 'e1-600.webp',
+        width: 400,
+        height: 200
+      }));
+      expect(minioService.statFile).not.toHaveBeenCalled();
+    });
+
+    test('should make missing renditions, the smallest size by default', async () => {
+      const rendition = await service.get(key, statOf(image));
+
+      expect(rendition.size).toBe(150);
+      expect(minioService.writeSystemData).toHaveBeenCalledTimes(2);
+    });
+
+    test('should make renditions of replaced images again', async () => {
+      await service.generate(key);
+      minioService.statFile.mockResolvedValue(statOf(image, { etag: 'e2' }));
+
+      const rendition = await service.get(key, statOf(image, { etag: 'e2' }), 150);
+
+      expect(rendition.etag).toBe('e2-150.webp');
+      expect(minioService.writeSystemData).toHaveBeenCalledTimes(4);
+    });
+
+    test('should reject sizes that are not configured', async () => {
+      await expect(service.get(key, statOf(image), '300')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RENDITION_SIZE' });
+    });
+
+    test('should report files that are not images', async () => {
+      const stat = { size: 10, etag: 'e1', metaData: { 'content-type': 'video/mp4' } };
+
+      await expect(service.get('a.mp4', stat, '150')).rejects.toMatchObject({ statusCode: 404, code: 'RENDITION_NOT_FOUND' });
+    });
+  });
+
+  describe('describe', () => {
+    test('should list the configured sizes with the dimensions made so far', async () => {
+      await expect(service.describe(key, { mimetype: 'image/png', etag: 'e1' })).resolves.toEqual([
+        { size: 150, format: 'webp', width: null, height: null },
+        { size: 600, format: 'webp', width: null, height: null }
+      ]);
+
+      await service.generate(key);
+
+      await expect(service.describe(key, { mimetype: 'image/png', etag: 'e1' })).resolves.toEqual([
+        { size: 150, format: 'webp', width: 150, height: 75 },
+        { size: 600, format: 'webp', width: 400, height: 200 }
+      ]);
+    });
+
+    test('should list nothing for files that are not images', async () => {
+      await expect(service.describe('a.mp4', { mimetype: 'video/mp4', etag: 'e1' })).resolves.toEqual([]);
+      expect(minioService.readSystemObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    test('should delete the renditions and their record', async () => {
+      await service.generate(key);
+
+      await service.remove(key);
+
+      expect(stored).toEqual({});
+    });
+
+    test('should not fail the delete it follows', async () => {
+      minioService.readSystemObject.mockRejectedValue(new Error('Connection refused'));
+
+      await expect(service.remove(key)).resolves.toBeUndefined();
+    });
+  });
+});
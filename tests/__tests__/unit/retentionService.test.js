@@ -0,0 +1,150 @@
+const RetentionService = require('../../../src/services/retentionService');
+
+describe('RetentionService', () => {
+  let service;
+  let minioService;
+
+  const key = 'exports/q4.csv';
+  const future = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    minioService = {
+      getObjectLockConfig: jest.fn().mockResolvedValue({ objectLockEnabled: 'Enabled' }),
+      statObject: jest.fn().mockResolvedValue({ size: 10, versionId: 'v-current', metaData: {} }),
+      versions: {
+        statVersion: jest.fn().mockResolvedValue({ size: 10, versionId: 'v-old', metaData: {} })
+      },
+      getObjectRetention: jest.fn().mockResolvedValue(null),
+      putObjectRetention: jest.fn().mockResolvedValue(),
+      getObjectLegalHold: jest.fn().mockResolvedValue(false),
+      setObjectLegalHold: jest.fn().mockResolvedValue(),
+      dedup: {
+        materialize: jest.fn().mockResolvedValue({ size: 10, versionId: 'v-full', metaData: {} })
+      }
+    };
+    service = new RetentionService(minioService);
+  });
+
+  describe('getBucketLock', () => {
+    test('should report buckets without object locking', async () => {
+      minioService.getObjectLockConfig.mockResolvedValue(null);
+
+      await expect(service.getBucketLock()).resolves.toEqual({ enabled: false, defaultRetention: null });
+    });
+
+    test('should report the default retention', async () => {
+      minioService.getObjectLockConfig.mockResolvedValue({ objectLockEnabled: 'Enabled', mode: 'GOVERNANCE', validity: '30', unit: 'Days' });
+
+      await expect(service.getBucketLock()).resolves.toEqual({
+        enabled: true,
+        defaultRetention: { mode: 'GOVERNANCE', validity: 30, unit: 'Days' }
+      });
+    });
+  });
+
+  describe('get', () => {
+    test('should describe the lock of the current version', async () => {
+      minioService.getObjectRetention.mockResolvedValue({ mode: 'COMPLIANCE', retainUntilDate: '2030-01-01T00:00:00Z' });
+      minioService.getObjectLegalHold.mockResolvedValue(true);
+
+      await expect(service.get(key)).resolves.toEqual({
+        objectName: key,
+        versionId: 'v-current',
+        retention: { mode: 'COMPLIANCE', retainUntil: '2030-01-01T00:00:00.000Z' },
+        legalHold: true
+      });
+      expect(minioService.getObjectRetention).toHaveBeenCalledWith(key, 'v-current');
+    });
+
+    test('should describe the lock of a given version', async () => {
+      const result = await service.get(key, 'v-old');
+
+      expect(minioService.versions.statVersion).toHaveBeenCalledWith(key, 'v-old');
+      expect(result).toEqual({ objectName: key, versionId: 'v-old', retention: null, legalHold: false });
+    });
+
+    test('should refuse buckets without object locking', async () => {
+      minioService.getObjectLockConfig.mockResolvedValue(null);
+
+      await expect(service.get(key)).rejects.toMatchObject({ statusCode: 409, code: 'OBJECT_LOCK_UNSUPPORTED' });
+    });
+
+    test('should report missing files as not found', async () => {
+      minioService.statObject.mockResolvedValue(null);
+
+      await expect(service.get(key)).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+    });
+
+    test('should describe deduplicated copies as they are', async () => {
+      minioService.statObject.mockResolvedValue({ size: 0, versionId: 'v-ref', metaData: { 'dedup-ref': 'true' } });
+
+      await expect(service.get(key)).resolves.toEqual(expect.objectContaining({ versionId: 'v-ref', legalHold: false }));
+      expect(minioService.dedup.materialize).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid keys', async () => {
+      await expect(service.get('../etc')).rejects.toMatchObject({ statusCode: 400 });
+      expect(minioService.getObjectLockConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setRetention', () => {
+    test('should retain the current version until the given date', async () => {
+      await service.setRetention(key, { mode: 'COMPLIANCE', retainUntil: future });
+
+      expect(minioService.putObjectRetention).toHaveBeenCalledWith(key, {
+        mode: 'COMPLIANCE',
+        retainUntilDate: future,
+        governanceBypass: false,
+        versionId: 'v-current'
+      });
+    });
+
+    test.each([
+      ['unknown modes', { mode: 'FOREVER', retainUntil: future }],
+      ['invalid dates', { mode: 'GOVERNANCE', retainUntil: 'next year' }],
+      ['dates in the past', { mode: 'GOVERNANCE', retainUntil: '2000-01-01T00:00:00Z' }]
+    ])('should reject %s', async (_, retention) => {
+      await expect(service.setRetention(key, retention)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RETENTION' });
+      expect(minioService.putObjectRetention).not.toHaveBeenCalled();
+    });
+
+    test('should report changes the retention in force does not allow', async () => {
+      minioService.putObjectRetention.mockRejectedValue(Object.assign(new Error('Access Denied.'), { code: 'AccessDenied' }));
+
+      await expect(service.setRetention(key, { mode: 'GOVERNANCE', retainUntil: future }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'OBJECT_LOCKED' });
+    });
+  });
+
+  describe('setLegalHold', () => {
+    test('should place and lift legal holds', async () => {
+      await service.setLegalHold(key, true);
+      await service.setLegalHold(key, false, 'v-old');
+
+      expect(minioService.setObjectLegalHold).toHaveBeenCalledWith(key, true, 'v-current');
+      expect(minioService.setObjectLegalHold).toHaveBeenCalledWith(key, false, 'v-old');
+    });
+
+    test('should give a deduplicated copy its own content before holding it', async () => {
+      const ref = { size: 0, versionId: 'v-ref', metaData: { 'dedup-ref': 'true', 'content-sha256': 'abc' } };
+      minioService.statObject.mockResolvedValue(ref);
+
+      await service.setLegalHold(key, true);
+
+      expect(minioService.dedup.materialize).toHaveBeenCalledWith(key, ref);
+      expect(minioService.setObjectLegalHold).toHaveBeenCalledWith(key, true, 'v-full');
+    });
+
+    test('should refuse earlier versions of deduplicated copies', async () => {
+      minioService.versions.statVersion.mockResolvedValue({ size: 0, versionId: 'v-old', metaData: { 'dedup-ref': 'true' } });
+
+      await expect(service.setLegalHold(key, true, 'v-old')).rejects.toMatchObject({ statusCode: 409, code: 'OBJECT_LOCK_UNSUPPORTED' });
+      expect(minioService.setObjectLegalHold).not.toHaveBeenCalled();
+    });
+
+    test('should require a boolean', async () => {
+      await expect(service.setLegalHold(key, 'yes')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RETENTION' });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { Readable } = require('stream');
+const ScanService = require('../../../src/services/scanService');
+
+describe('ScanService', () => {
+  let service;
+  let minioService;
+  let scanner;
+  let store;
+
+  const metaData = { 'content-type': 'video/mp4', 'original-name': 'clip.mp4', 'scan-status': 'pending' };
+  const RECORD_KEY = 'scans/videos/clip.mp4.json';
+
+  beforeEach(() => {
+    store = {};
+    minioService = {
+      statFile: jest.fn().mockResolvedValue({ size: 10, metaData, storageKey: 'videos/clip.mp4' }),
+      getObjectStream: jest.fn().mockResolvedValue(Readable.from([Buffer.from('content')])),
+      replaceMetadata: jest.fn().mockResolvedValue(),
+      copyObject: jest.fn().mockResolvedValue(),
+      putObject: jest.fn().mockResolvedValue(),
+      readSystemObject: jest.fn(async key => store[key] || null),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      removeSystemObject: jest.fn(async key => { delete store[key]; }),
+      listSystemObjects: jest.fn(async () => Object.keys(store)),
+      dedup: {
+        release: jest.fn().mockResolvedValue(),
+        hashOf: jest.fn(async (name, metaData) => metaData['content-sha256'] || null)
+      },
+      usage: { record: jest.fn().mockResolvedValue() },
+      metadata: { sync: jest.fn().mockResolvedValue() },
+      renditions: { enqueue: jest.fn(), remove: jest.fn().mockResolvedValue() }
+    };
+    scanner = { scan: jest.fn().mockResolvedValue({ infected: false, signature: null }) };
+    service = new ScanService(minioService, scanner);
+  });
+
+  describe('enqueue', () => {
+    test('should record and scan the object', async () => {
+      const status = await service.enqueue('videos/clip.mp4');
+
+      expect(status).toBe('pending');
+      expect(store[RECORD_KEY]).toEqual(expect.objectContaining({ objectName: 'videos/clip.mp4' }));
+      await service.queue;
+      expect(scanner.scan).toHaveBeenCalled();
+      expect(store[RECORD_KEY]).toBeUndefined();
+    });
+
+    test('should do nothing when scanning is disabled', async () => {
+      service = new ScanService(minioService);
+
+      expect(service.pendingMetadata()).toEqual({});
+      expect(await service.enqueue('videos/clip.mp4')).toBeNull();
+      expect(minioService.writeSystemObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scanObject', () => {
+    test('should mark clean files as scanned', async () => {
+      const verdict = await service.scanObject('videos/clip.mp4');
+
+      expect(verdict.infected).toBe(false);
+      expect(minioService.getObjectStream).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith('videos/clip.mp4', expect.objectContaining({
+        'original-name': 'clip.mp4',
+        'scan-status': 'clean',
+        'scan-date': expect.any(String)
+      }));
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(minioService.renditions.enqueue).toHaveBeenCalledWith('videos/clip.mp4', 'video/mp4');
+    });
+
+    test('should move infected files to quarantine and leave a marker', async () => {
+      scanner.scan.mockResolvedValue({ infected: true, signature: 'Eicar-Test-Signature' });
+
+      await service.scanObject('videos/clip.mp4');
+
+      expect(minioService.copyObject).toHaveBeenCalledWith('videos/clip.mp4', '.minvault/quarantine/videos/clip.mp4');
+      expect(minioService.replaceMetadata).toHaveBeenCalledWith('.minvault/quarantine/videos/clip.mp4', expect.objectContaining({
+        'scan-status': 'infected',
+        'scan-verdict': 'Eicar-Test-Signature',
+        'original-key': 'videos/clip.mp4'
+      }));
+      expect(minioService.putObject).toHaveBeenCalledWith('videos/clip.mp4', Buffer.alloc(0), expect.objectContaining({
+        'original-name': 'clip.mp4',
+        'scan-status': 'infected',
+        'scan-verdict': 'Eicar-Test-Signature'
+      }));
+      expect(minioService.usage.record).toHaveBeenCalledWith(undefined, -10, 0);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(minioService.renditions.remove).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(minioService.renditions.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should quarantine deduplicated content from where it is stored', async () => {
+      scanner.scan.mockResolvedValue({ infected: true, signature: 'Eicar-Test-Signature' });
+      minioService.statFile.mockResolvedValue({
+        size: 10,
+        metaData: { ...metaData, 'content-sha256': 'abc', 'dedup-ref': 'true' },
+        storageKey: 'videos/first.mp4'
+      });
+
+      await service.scanObject('videos/clip.mp4');
+
+      expect(minioService.copyObject).toHaveBeenCalledWith('videos/first.mp4', '.minvault/quarantine/videos/clip.mp4');
+      expect(minioService.dedup.release).toHaveBeenCalledWith('videos/clip.mp4', 'abc');
+      const markerMetadata = minioService.putObject.mock.calls[0][2];
+      expect(markerMetadata).not.toHaveProperty('dedup-ref');
+      expect(markerMetadata).not.toHaveProperty('content-sha256');
+    });
+
+    test('should skip objects that are gone or no longer pending', async () => {
+      store[RECORD_KEY] = { objectName: 'videos/clip.mp4' };
+      minioService.statFile.mockResolvedValue(null);
+
+      expect(await service.scanObject('videos/clip.mp4')).toBeNull();
+      expect(scanner.scan).not.toHaveBeenCalled();
+      expect(store[RECORD_KEY]).toBeUndefined();
+    });
+
+    test('should keep the record when the scanner fails', async () => {
+      store[RECORD_KEY] = { objectName: 'videos/clip.mp4' };
+      scanner.scan.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(service.scanObject('videos/clip.mp4')).rejects.toThrow('ECONNREFUSED');
+      expect(store[RECORD_KEY]).toBeDefined();
+      expect(minioService.replaceMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scanPending', () => {
+    test('should scan records queued before the given time', async () => {
+      store[RECORD_KEY] = { objectName: 'videos/clip.mp4', queuedAt: '2024-01-01T00:00:00.000Z' };
+      store['scans/new.mp4.json'] = { objectName: 'new.mp4', queuedAt: '2024-01-02T00:00:00.000Z' };
+
+      const scanned = await service.scanPending(new Date('2024-01-01T12:00:00.000Z'));
+
+      expect(scanned).toBe(1);
+      expect(minioService.statFile).toHaveBeenCalledTimes(1);
+      expect(minioService.statFile).toHaveBeenCalledWith('videos/clip.mp4');
+    });
+
+    test('should carry on past failing scans', async () => {
+      store[RECORD_KEY] = { objectName: 'videos/clip.mp4', queuedAt: '2024-01-01T00:00:00.000Z' };
+      store['scans/other.mp4.json'] = { objectName: 'other.mp4', queuedAt: '2024-01-01T00:00:00.000Z' };
+      scanner.scan.mockRejectedValueOnce(new Error('clamd scan timed out'));
+
+      const scanned = await service.scanPending();
+
+      expect(scanned).toBe(1);
+      expect(store[RECORD_KEY]).toBeDefined();
+    });
+  });
+
+  describe('assertScanPassed', () => {
+    test('should refuse pending and infected files', () => {
+      expect(() => service.assertScanPassed({ metaData: { 'scan-status': 'pending' } }))
+        .toThrow(expect.objectContaining({ statusCode: 409, code: 'SCAN_PENDING' }));
+      expect(() => service.assertScanPassed({ metaData: { 'scan-status': 'infected', 'scan-verdict': 'Eicar-Test-Signature' } }))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'FILE_INFECTED' }));
+    });
+
+    test('should allow clean and unscanned files', () => {
+      expect(() => service.assertScanPassed({ metaData: { 'scan-status': 'clean' } })).not.toThrow();
+      expect(() => service.assertScanPassed({ metaData: {} })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const net = require('net');
+const { Readable } = require('stream');
+const { createScanner, ClamdScanner, FakeScanner } = require('../../../src/services/scanners');
+
+// Minimal clamd speaking INSTREAM; answers with reply(content) once the stream ends
+function startClamd(reply) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    const chunks = [];
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (buffer.subarray(0, 10).toString() === 'zINSTREAM\0') {
+        buffer = buffer.subarray(10);
+      }
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          const content = Buffer.concat(chunks);
+          received.push(content);
+          socket.end(`stream: ${reply(content)}\0`);
+          return;
+        }
+        if (buffer.length < 4 + length) break;
+        chunks.push(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+describe('scanners', () => {
+  describe('ClamdScanner', () => {
+    let clamd;
+
+    afterEach(() => new Promise(resolve => clamd.server.close(resolve)));
+
+    test('should stream the content and report clean files', async () => {
+      clamd = await startClamd(() => 'OK');
+      const scanner = new ClamdScanner({ host: '127.0.0.1', port: clamd.port });
+      const content = Buffer.alloc(150 * 1024, 'a');
+
+      const verdict = await scanner.scan(Readable.from([content]));
+
+      expect(verdict).toEqual({ infected: false, signature: null });
+      expect(clamd.received[0].equals(content)).toBe(true);
+    });
+
+    test('should report the signature of infected files', async () => {
+      clamd = await startClamd(() => 'Eicar-Test-Signature FOUND');
+      const scanner = new ClamdScanner({ host: '127.0.0.1', port: clamd.port });
+
+      const verdict = await scanner.scan(Readable.from([Buffer.from(FakeScanner.EICAR)]));
+
+      expect(verdict).toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+    });
+
+    test('should fail on clamd errors', async () => {
+      clamd = await startClamd(() => 'INSTREAM size limit exceeded. ERROR');
+      const scanner = new ClamdScanner({ host: '127.0.0.1', port: clamd.port });
+
+      await expect(scanner.scan(Readable.from([Buffer.from('data')])))
+        .rejects.toThrow('clamd scan failed: stream: INSTREAM size limit exceeded. ERROR');
+    });
+
+    test('should fail when clamd is unreachable', async () => {
+      clamd = await startClamd(() => 'OK');
+      await new Promise(resolve => clamd.server.close(resolve));
+      const scanner = new ClamdScanner({ host: '127.0.0.1', port: clamd.port });
+
+      await expect(scanner.scan(Readable.from([Buffer.from('data')]))).rejects.toThrow(/ECONNREFUSED/);
+    });
+  });
+
+  describe('FakeScanner', () => {
+    test('should detect the EICAR test file', async () => {
+      const scanner = new FakeScanner();
+
+      expect(await scanner.scan(Readable.from([Buffer.from(`header ${FakeScanner.EICAR}`)])))
+        .toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+      expect(await scanner.scan(Readable.from([Buffer.from('harmless')])))
+        .toEqual({ infected: false, signature: null });
+    });
+
+    test('should accept custom signatures', async () => {
+      const scanner = new FakeScanner({ 'Test.Marker': 'MARKER' });
+
+      expect(await scanner.scan(Readable.from([Buffer.from('a MARKER b')])))
+        .toEqual({ infected: true, signature: 'Test.Marker' });
+    });
+  });
+
+  describe('createScanner', () => {
+    test('should build the configured scanner', () => {
+      expect(createScanner({ scanner: 'clamd', clamd: { port: 3310 } })).toBeInstanceOf(ClamdScanner);
+      expect(createScanner({ scanner: 'fake' })).toBeInstanceOf(FakeScanner);
+      expect(() => createScanner({ scanner: 'other' })).toThrow('Unknown malware scanner: other');
+    });
+  });
+});
@@ -0,0 +1,295 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+const config = require('../../../src/config');
+const ShareController = require('../../../src/controllers/shareController');
+const { AppError } = require('../../../src/utils/errors');
+
+jest.mock('../../../src/services/minioService');
+jest.mock('../../../src/services/shareService');
+jest.mock('../../../src/services/tenantService');
+const MinioService = require('../../../src/services/minioService');
+const ShareService = require('../../../src/services/shareService');
+const TenantService = require('../../../src/services/tenantService');
+
+describe('ShareController', () => {
+  let shareController;
+  let mockMinioService;
+  let mockShareService;
+  let mockTenantService;
+  let req, res, next;
+
+  const share = { token: 'q3Zr8v1XwJk2mN4pL6tY0a', objectName: 'clip.mp4', tenant: null, downloads: 0 };
+  const stat = {
+    storageKey: 'clip.mp4',
+    size: 10,
+    etag: 'abc123',
+    lastModified: new Date('2024-01-01T12:00:00.000Z'),
+    metaData: { 'content-type': 'video/mp4', 'original-name': 'clip.mp4', owner: 'user:alice' }
+  };
+
+  beforeEach(() => {
+    mockMinioService = {
+      statFile: jest.fn(),
+      getObjectStream: jest.fn(),
+      getPresignedUrl: jest.fn(),
+      scans: {
+        assertScanPassed: jest.fn()
+      }
+    };
+    mockShareService = {
+      createShare: jest.fn(),
+      listShares: jest.fn(),
+      revokeShare: jest.fn(),
+      openShare: jest.fn(),
+      recordDownload: jest.fn()
+    };
+    mockTenantService = {
+      getTenant: jest.fn(),
+      serviceFor: jest.fn()
+    };
+    MinioService.mockImplementation(() => mockMinioService);
+    ShareService.mockImplementation(() => mockShareService);
+    TenantService.mockImplementation(() => mockTenantService);
+
+    shareController = new ShareController();
+
+    req = {
+      body: {},
+      query: {},
+      params: {},
+      protocol: 'http',
+      get: jest.fn(name => (name === 'host' ? 'localhost:3000' : undefined))
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('createShare', () => {
+    test('should create a share of the file and return its link', async () => {
+      req.auth = { id: 'user:alice', scopes: ['files:read'], isolated: true };
+      req.body = { objectName: 'clip.mp4', password: 'hunter2', maxDownloads: 3 };
+      mockMinioService.statFile.mockResolvedValue(stat);
+      mockShareService.createShare.mockResolvedValue(share);
+
+      await shareController.createShare(req, res, next);
+
+      expect(mockShareService.createShare).toHaveBeenCalledWith({
+        objectName: 'clip.mp4',
+        tenant: null,
+        createdBy: 'user:alice',
+        password: 'hunter2',
+        expiresAt: undefined,
+        maxDownloads: 3
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { ...share, url: `http://localhost:3000/s/${share.token}` }
+      }));
+    });
+
+    test('should require an object name', async () => {
+      await shareController.createShare(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+
+    test('should not share missing files', async () => {
+      req.body = { objectName: 'missing.mp4' };
+      mockMinioService.statFile.mockResolvedValue(null);
+
+      await shareController.createShare(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(mockShareService.createShare).not.toHaveBeenCalled();
+    });
+
+    test('should not share files of other users', async () => {
+      req.auth = { id: 'user:bob', scopes: ['files:read'], isolated: true };
+      req.body = { objectName: 'clip.mp4' };
+      mockMinioService.statFile.mockResolvedValue(stat);
+
+      await shareController.createShare(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+      expect(mockShareService.createShare).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listShares', () => {
+    test('should list the shares of the tenant with their links', async () => {
+      req.auth = { id: 'user:alice', scopes: ['files:read'] };
+      req.tenant = { id: 'acme' };
+      mockShareService.listShares.mockResolvedValue([share]);
+
+      await shareController.listShares(req, res, next);
+
+      expect(mockShareService.listShares).toHaveBeenCalledWith({ tenant: 'acme', principal: req.auth, objectName: null });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { shares: [expect.objectContaining({ url: `http://localhost:3000/s/${share.token}` })], count: 1 }
+      }));
+    });
+  });
+
+  describe('revokeShare', () => {
+    test('should revoke the share named in the path', async () => {
+      req.params.token = share.token;
+      mockShareService.revokeShare.mockResolvedValue({ ...share, revokedAt: '2024-01-01T00:00:00.000Z' });
+
+      await shareController.revokeShare(req, res, next);
+
+      expect(mockShareService.revokeShare).toHaveBeenCalledWith(share.token, { tenant: null, principal: undefined });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('openShare', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.urlencoded({ extended: true }));
+      app.get('/s/:token', shareController.openShare.bind(shareController));
+      app.post('/s/:token', shareController.openShare.bind(shareController));
+      app.head('/s/:token', shareController.openShare.bind(shareController));
+      app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ code: err.code }));
+      mockShareService.openShare.mockResolvedValue(share);
+      mockMinioService.statFile.mockResolvedValue(stat);
+      mockMinioService.getObjectStream.mockResolvedValue(Readable.from([Buffer.from('0123456789')]));
+    });
+
+    afterEach(() => {
+      config.share.redirect = false;
+    });
+
+    test('should stream the shared file and count the download', async () => {
+      const response = await request(app).get(`/s/${share.token}`).set('X-Share-Password', 'hunter2');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="clip.mp4"');
+      expect(response.body.toString()).toBe('0123456789');
+      expect(mockShareService.openShare).toHaveBeenCalledWith(share.token, 'hunter2');
+      expect(mockShareService.recordDownload).toHaveBeenCalledWith(share.token);
+    });
+
+    test('should not count HEAD requests', async () => {
+      const response = await request(app).head(`/s/${share.token}`);
+
+      expect(response.status).toBe(200);
+      expect(mockShareService.recordDownload).not.toHaveBeenCalled();
+    });
+
+    test('should count a range from the first byte but not one that resumes the download', async () => {
+      mockMinioService.getObjectStream.mockResolvedValue(Readable.from([Buffer.from('01234')]));
+      const first = await request(app).get(`/s/${share.token}`).set('Range', 'bytes=0-4');
+
+      expect(first.status).toBe(206);
+      expect(mockShareService.recordDownload).toHaveBeenCalledTimes(1);
+
+      mockMinioService.getObjectStream.mockResolvedValue(Readable.from([Buffer.from('56789')]));
+      const rest = await request(app).get(`/s/${share.token}`).set('Range', 'bytes=5-');
+
+      expect(rest.status).toBe(206);
+      expect(rest.body.toString()).toBe('56789');
+      expect(mockShareService.recordDownload).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not count answers that the cached copy is fresh', async () => {
+      const response = await request(app).get(`/s/${share.token}`).set('If-None-Match', '"abc123"');
+
+      expect(response.status).toBe(304);
+      expect(mockShareService.recordDownload).not.toHaveBeenCalled();
+    });
+
+    test('should not send the file when the download cannot be counted', async () => {
+      mockShareService.recordDownload.mockRejectedValue(new AppError('Share link was used for its 1 downloads', 410, 'SHARE_EXHAUSTED'));
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(410);
+      expect(response.body.code).toBe('SHARE_EXHAUSTED');
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should accept the password posted from a form', async () => {
+      const response = await request(app).post(`/s/${share.token}`).type('form').send({ password: 'hunter2' });
+
+      expect(response.status).toBe(200);
+      expect(mockShareService.openShare).toHaveBeenCalledWith(share.token, 'hunter2');
+      expect(mockShareService.recordDownload).toHaveBeenCalledWith(share.token);
+    });
+
+    test('should ignore a password in the query string', async () => {
+      await request(app).get(`/s/${share.token}?password=hunter2`);
+
+      expect(mockShareService.openShare).toHaveBeenCalledWith(share.token, undefined);
+    });
+
+    test('should redirect to a presigned URL when configured', async () => {
+      config.share.redirect = true;
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'http://minio/clip.mp4?sig' });
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('http://minio/clip.mp4?sig');
+      expect(mockMinioService.getPresignedUrl).toHaveBeenCalledWith('clip.mp4', config.share.redirectExpiry);
+    });
+
+    test('should only count redirects of requests that start the file', async () => {
+      config.share.redirect = true;
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'http://minio/clip.mp4?sig' });
+
+      await request(app).get(`/s/${share.token}`).set('Range', 'bytes=5-');
+      expect(mockShareService.recordDownload).not.toHaveBeenCalled();
+
+      await request(app).get(`/s/${share.token}`).set('Range', 'bytes=0-');
+      expect(mockShareService.recordDownload).toHaveBeenCalledWith(share.token);
+    });
+
+    test('should refuse shares that can no longer be used', async () => {
+      mockShareService.openShare.mockRejectedValue(new AppError('Share link has expired', 410, 'SHARE_EXPIRED'));
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(410);
+      expect(response.body.code).toBe('SHARE_EXPIRED');
+      expect(mockMinioService.getObjectStream).not.toHaveBeenCalled();
+    });
+
+    test('should not count downloads of files that are gone', async () => {
+      mockMinioService.statFile.mockResolvedValue(null);
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(404);
+      expect(mockShareService.recordDownload).not.toHaveBeenCalled();
+    });
+
+    test('should serve shares of a tenant from its bucket', async () => {
+      const tenantMinio = { ...mockMinioService, statFile: jest.fn().mockResolvedValue(stat) };
+      mockShareService.openShare.mockResolvedValue({ ...share, tenant: 'acme' });
+      mockTenantService.getTenant.mockResolvedValue({ id: 'acme', disabled: false });
+      mockTenantService.serviceFor.mockReturnValue(tenantMinio);
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(200);
+      expect(tenantMinio.statFile).toHaveBeenCalledWith('clip.mp4');
+    });
+
+    test('should refuse shares of disabled tenants', async () => {
+      mockShareService.openShare.mockResolvedValue({ ...share, tenant: 'acme' });
+      mockTenantService.getTenant.mockResolvedValue({ id: 'acme', disabled: true });
+
+      const response = await request(app).get(`/s/${share.token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TENANT_DISABLED');
+    });
+  });
+});
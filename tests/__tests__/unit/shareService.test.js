@@ -0,0 +1,138 @@
+const ShareService = require('../../../src/services/shareService');
+
+describe('ShareService', () => {
+  let service;
+  let minioService;
+  let store;
+
+  const alice = { id: 'user:alice', scopes: ['files:read'] };
+  const bob = { id: 'user:bob', scopes: ['files:read'] };
+  const admin = { id: 'admin', scopes: ['admin'] };
+
+  beforeEach(() => {
+    store = {};
+    minioService = {
+      readSystemObject: jest.fn(async key => (store[key] ? JSON.parse(JSON.stringify(store[key])) : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = JSON.parse(JSON.stringify(value)); }),
+      listSystemObjects: jest.fn(async prefix => Object.keys(store).filter(key => key.startsWith(prefix)))
+    };
+    service = new ShareService(minioService);
+  });
+
+  describe('createShare', () => {
+    test('should store the share under a random token without the password', async () => {
+      const share = await service.createShare({ objectName: 'videos/clip.mp4', createdBy: 'user:alice', password: 'hunter2', maxDownloads: 3 });
+
+      expect(share.token).toMatch(/^[A-Za-z0-9_-]{22}$/);
+      expect(share).toEqual(expect.objectContaining({
+        objectName: 'videos/clip.mp4', createdBy: 'user:alice', hasPassword: true, maxDownloads: 3, downloads: 0, revokedAt: null
+      }));
+      expect(share).not.toHaveProperty('passwordHash');
+
+      const stored = store[`shares/${share.token}.json`];
+      expect(stored.passwordHash).toMatch(/^[a-f0-9]{32}:[a-f0-9]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain('hunter2');
+    });
+
+    test.each([
+      [{ objectName: '../secret' }, 'INVALID_OBJECT_KEY'],
+      [{ objectName: 'a.txt', password: '' }, 'INVALID_SHARE'],
+      [{ objectName: 'a.txt', expiresAt: 'someday' }, 'INVALID_SHARE'],
+      [{ objectName: 'a.txt', expiresAt: '2000-01-01T00:00:00.000Z' }, 'INVALID_SHARE'],
+      [{ objectName: 'a.txt', maxDownloads: 0 }, 'INVALID_SHARE']
+    ])('should reject %j', async (options, code) => {
+      await expect(service.createShare(options)).rejects.toMatchObject({ statusCode: 400, code });
+    });
+  });
+
+  describe('openShare', () => {
+    test('should open a share without a password', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt' });
+
+      await expect(service.openShare(token)).resolves.toEqual(expect.objectContaining({ token, objectName: 'a.txt' }));
+    });
+
+    test('should check the password', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', password: 'hunter2' });
+
+      await expect(service.openShare(token)).rejects.toMatchObject({ statusCode: 401, code: 'SHARE_PASSWORD_REQUIRED' });
+      await expect(service.openShare(token, 'hunter3')).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_SHARE_PASSWORD' });
+      await expect(service.openShare(token, 'hunter2')).resolves.toEqual(expect.objectContaining({ token }));
+    });
+
+    test('should reject unknown and malformed tokens', async () => {
+      await expect(service.openShare('A'.repeat(22))).rejects.toMatchObject({ statusCode: 404, code: 'SHARE_NOT_FOUND' });
+      await expect(service.openShare('../../api-keys/x')).rejects.toMatchObject({ statusCode: 404, code: 'SHARE_NOT_FOUND' });
+    });
+
+    test('should reject expired shares', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', expiresAt: new Date(Date.now() + 60000).toISOString() });
+      store[`shares/${token}.json`].expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      await expect(service.openShare(token)).rejects.toMatchObject({ statusCode: 410, code: 'SHARE_EXPIRED' });
+    });
+  });
+
+  describe('recordDownload', () => {
+    test('should count downloads up to the limit', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', maxDownloads: 2 });
+
+      await Promise.all([service.recordDownload(token), service.recordDownload(token)]);
+
+      expect(store[`shares/${token}.json`].downloads).toBe(2);
+      expect(store[`shares/${token}.json`].lastAccessedAt).toEqual(expect.any(String));
+      await expect(service.recordDownload(token)).rejects.toMatchObject({ statusCode: 410, code: 'SHARE_EXHAUSTED' });
+      await expect(service.openShare(token)).rejects.toMatchObject({ code: 'SHARE_EXHAUSTED' });
+    });
+  });
+
+  describe('listShares', () => {
+    test('should list the shares of the tenant the principal created', async () => {
+      await service.createShare({ objectName: 'a.txt', createdBy: 'user:alice' });
+      await service.createShare({ objectName: 'b.txt', createdBy: 'user:bob' });
+      await service.createShare({ objectName: 'c.txt', createdBy: 'user:alice', tenant: 'acme' });
+
+      const own = await service.listShares({ principal: alice });
+      expect(own.map(share => share.objectName)).toEqual(['a.txt']);
+
+      const all = await service.listShares({ principal: admin });
+      expect(all.map(share => share.objectName).sort()).toEqual(['a.txt', 'b.txt']);
+
+      const tenant = await service.listShares({ tenant: 'acme', principal: alice });
+      expect(tenant.map(share => share.objectName)).toEqual(['c.txt']);
+    });
+
+    test('should filter by file', async () => {
+      await service.createShare({ objectName: 'a.txt' });
+      await service.createShare({ objectName: 'b.txt' });
+
+      const shares = await service.listShares({ objectName: 'b.txt' });
+      expect(shares).toHaveLength(1);
+      expect(shares[0]).not.toHaveProperty('passwordHash');
+    });
+  });
+
+  describe('revokeShare', () => {
+    test('should let the creator revoke a share', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', createdBy: 'user:alice' });
+
+      const revoked = await service.revokeShare(token, { principal: alice });
+
+      expect(revoked.revokedAt).toEqual(expect.any(String));
+      await expect(service.openShare(token)).rejects.toMatchObject({ statusCode: 410, code: 'SHARE_REVOKED' });
+    });
+
+    test('should refuse other users but not admins', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', createdBy: 'user:alice' });
+
+      await expect(service.revokeShare(token, { principal: bob })).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      await expect(service.revokeShare(token, { principal: admin })).resolves.toEqual(expect.objectContaining({ token }));
+    });
+
+    test('should not find shares of another tenant', async () => {
+      const { token } = await service.createShare({ objectName: 'a.txt', tenant: 'acme' });
+
+      await expect(service.revokeShare(token, { tenant: 'globex' })).rejects.toMatchObject({ statusCode: 404, code: 'SHARE_NOT_FOUND' });
+    });
+  });
+});
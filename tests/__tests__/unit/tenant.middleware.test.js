@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../../src/config');
+const { createTenancy } = require('../../../src/middleware/tenant');
+const { errorHandler } = require('../../../src/middleware/errorHandler');
+
+jest.mock('../../../src/services/minioService');
+const MinioService = require('../../../src/services/minioService');
+
+describe('Tenant middleware', () => {
+  let app;
+  let store;
+  let principal;
+  const originalTenancy = { ...config.tenancy };
+
+  const tenant = (id, overrides = {}) => ({ id, bucket: `test-bucket-${id}`, allowedFileTypes: null, maxFileSize: null, urlExpiry: null, disabled: false, ...overrides });
+
+  beforeEach(() => {
+    store = {
+      'tenants/acme.json': tenant('acme'),
+      'tenants/globex.json': tenant('globex', { disabled: true })
+    };
+    const minioService = {
+      bucketName: 'test-bucket',
+      readSystemObject: jest.fn(async key => store[key] || null)
+    };
+    MinioService.mockImplementation(({ bucketName }) => ({ bucketName }));
+    Object.assign(config.tenancy, { enabled: true, header: 'X-Tenant-ID', baseDomain: 'files.example.com', required: false });
+    principal = undefined;
+
+    const { resolveTenant } = createTenancy(minioService);
+    app = express();
+    app.use((req, res, next) => {
+      req.auth = principal;
+      next();
+    }, resolveTenant);
+    app.get('/', (req, res) => res.json({
+      tenant: req.tenant ? req.tenant.id : null,
+      bucket: req.minioService ? req.minioService.bucketName : null
+    }));
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    Object.assign(config.tenancy, originalTenancy);
+  });
+
+  test('should resolve the tenant named in the header', async () => {
+    const response = await request(app).get('/').set('X-Tenant-ID', 'acme');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ tenant: 'acme', bucket: 'test-bucket-acme' });
+  });
+
+  test('should resolve the tenant from a subdomain', async () => {
+    const response = await request(app).get('/').set('Host', 'acme.files.example.com');
+
+    expect(response.body.tenant).toBe('acme');
+    expect((await request(app).get('/').set('Host', 'a.acme.files.example.com')).body.tenant).toBeNull();
+  });
+
+  test('should follow the tenant of the credentials', async () => {
+    principal = { id: 'user:alice', scopes: ['files:read'], prefix: 'users/alice/', tenant: 'acme' };
+
+    expect((await request(app).get('/')).body.tenant).toBe('acme');
+
+    const response = await request(app).get('/').set('X-Tenant-ID', 'other');
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('These credentials belong to tenant acme');
+  });
+
+  test('should use the default bucket without a tenant unless one is required', async () => {
+    expect((await request(app).get('/')).body).toEqual({ tenant: null, bucket: null });
+
+    config.tenancy.required = true;
+    const response = await request(app).get('/');
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('TENANT_REQUIRED');
+  });
+
+  test.each([
+    ['unknown', 'initech', 404, 'TENANT_NOT_FOUND'],
+    ['disabled', 'globex', 403, 'TENANT_DISABLED']
+  ])('should refuse %s tenants', async (name, id, status, code) => {
+    const response = await request(app).get('/').set('X-Tenant-ID', id);
+
+    expect(response.status).toBe(status);
+    expect(response.body.code).toBe(code);
+  });
+
+  test('should do nothing while tenancy is disabled', async () => {
+    config.tenancy.enabled = false;
+
+    expect((await request(app).get('/').set('X-Tenant-ID', 'acme')).body.tenant).toBeNull();
+  });
+});
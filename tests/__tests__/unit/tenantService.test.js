@@ -0,0 +1,95 @@
+const TenantService = require('../../../src/services/tenantService');
+
+jest.mock('../../../src/services/minioService');
+const MinioService = require('../../../src/services/minioService');
+
+describe('TenantService', () => {
+  let service;
+  let minioService;
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    minioService = {
+      bucketName: 'test-bucket',
+      readSystemObject: jest.fn(async key => (store[key] ? JSON.parse(JSON.stringify(store[key])) : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      listSystemObjects: jest.fn(async prefix => Object.keys(store).filter(key => key.startsWith(prefix)))
+    };
+    MinioService.mockClear();
+    MinioService.prototype.initialize.mockResolvedValue();
+    service = new TenantService(minioService);
+  });
+
+  describe('createTenant', () => {
+    test('should store the tenant and create its bucket', async () => {
+      const tenant = await service.createTenant({ id: 'acme', name: 'Acme', maxFileSize: '1GB', quotaSize: '50GB' });
+
+      expect(tenant).toEqual(expect.objectContaining({
+        id: 'acme',
+        name: 'Acme',
+        bucket: 'test-bucket-acme',
+        allowedFileTypes: null,
+        maxFileSize: '1GB',
+        urlExpiry: null,
+        quotaSize: '50GB',
+        quotaObjects: null,
+        disabled: false
+      }));
+      expect(store['tenants/acme.json']).toEqual(tenant);
+      expect(MinioService).toHaveBeenCalledWith({ bucketName: 'test-bucket-acme', limits: { maxFileSize: '1GB', quotaSize: '50GB' } });
+      expect(MinioService.prototype.initialize).toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ id: 'Acme!' }],
+      [{ id: 'acme', bucket: 'Bad_Bucket' }],
+      [{ id: 'acme', allowedFileTypes: 'image/*' }],
+      [{ id: 'acme', maxFileSize: 'huge' }],
+      [{ id: 'acme', urlExpiry: 0 }],
+      [{ id: 'acme', quotaSize: 'lots' }],
+      [{ id: 'acme', quotaObjects: -1 }]
+    ])('should reject %j', async (input) => {
+      await expect(service.createTenant(input)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TENANT' });
+      expect(minioService.writeSystemObject).not.toHaveBeenCalled();
+    });
+
+    test('should refuse duplicate ids and buckets', async () => {
+      await service.createTenant({ id: 'acme' });
+
+      await expect(service.createTenant({ id: 'acme' })).rejects.toMatchObject({ statusCode: 409, code: 'TENANT_EXISTS' });
+      await expect(service.createTenant({ id: 'other', bucket: 'test-bucket-acme' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(service.createTenant({ id: 'other', bucket: 'test-bucket' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getTenant', () => {
+    test('should report unknown tenants', async () => {
+      await expect(service.getTenant('nobody')).rejects.toMatchObject({ statusCode: 404, code: 'TENANT_NOT_FOUND' });
+      await expect(service.getTenant('../api-keys/x')).rejects.toMatchObject({ statusCode: 404 });
+      expect(minioService.readSystemObject).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('disableTenant', () => {
+    test('should mark the tenant disabled and keep its record', async () => {
+      await service.createTenant({ id: 'acme' });
+
+      const tenant = await service.disableTenant('acme');
+
+      expect(tenant.disabled).toBe(true);
+      expect(tenant.disabledAt).toEqual(expect.any(String));
+      expect((await service.listTenants()).map(({ id, disabled }) => ({ id, disabled }))).toEqual([{ id: 'acme', disabled: true }]);
+    });
+  });
+
+  describe('serviceFor', () => {
+    test('should create one service per tenant', () => {
+      const tenant = { id: 'acme', bucket: 'test-bucket-acme', allowedFileTypes: ['image/*'], maxFileSize: null, urlExpiry: 900 };
+
+      expect(service.serviceFor(tenant)).toBe(service.serviceFor(tenant));
+      expect(MinioService).toHaveBeenCalledTimes(1);
+      expect(MinioService).toHaveBeenCalledWith({ bucketName: 'test-bucket-acme', limits: { allowedFileTypes: ['image/*'], urlExpiry: 900 } });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const http = require('http');
+const crypto = require('crypto');
+const { SignJWT, exportJWK } = require('jose');
+const TokenService = require('../../../src/services/tokenService');
+
+const baseOptions = {
+  issuer: '',
+  audience: '',
+  jwksUri: '',
+  jwksCacheMaxAge: 600000,
+  publicKey: '',
+  algorithms: [],
+  userClaim: 'sub',
+  rolesClaim: 'roles',
+  adminRole: 'admin',
+  tenantClaim: 'tenant'
+};
+
+const sign = (claims, key, { alg = 'HS256', kid, expiresIn = '5m', issuer, audience } = {}) => {
+  let jwt = new SignJWT(claims).setProtectedHeader({ alg, kid }).setIssuedAt().setExpirationTime(expiresIn);
+  if (issuer) jwt = jwt.setIssuer(issuer);
+  if (audience) jwt = jwt.setAudience(audience);
+  return jwt.sign(key);
+};
+
+describe('TokenService', () => {
+  const secret = 'test-secret-that-is-long-enough-for-hs256';
+  const secretKey = crypto.createSecretKey(Buffer.from(secret));
+
+  test('should only be enabled once a key source is configured', () => {
+    expect(new TokenService(baseOptions).enabled).toBe(false);
+    expect(new TokenService({ ...baseOptions, issuer: 'https://idp.example.com' }).enabled).toBe(true);
+    expect(new TokenService({ ...baseOptions, publicKey: secret }).enabled).toBe(true);
+  });
+
+  test('should recognise compact JWTs', () => {
+    expect(TokenService.isToken('aGVhZA.Ym9keQ.c2ln')).toBe(true);
+    expect(TokenService.isToken(`mvk_${'0'.repeat(16)}_${'A'.repeat(32)}`)).toBe(false);
+  });
+
+  describe('static key mode', () => {
+    test('should verify HMAC tokens and map claims to a user', async () => {
+      const service = new TokenService({ ...baseOptions, publicKey: secret });
+      const token = await sign({ sub: 'alice', roles: ['admin', 'editor'] }, secretKey);
+
+      const user = await service.verify(token);
+
+      expect(user).toEqual({ id: 'alice', roles: ['admin', 'editor'], tenant: null, claims: expect.objectContaining({ sub: 'alice' }) });
+    });
+
+    test('should read the tenant claim', async () => {
+      const service = new TokenService({ ...baseOptions, publicKey: secret, tenantClaim: 'org.id' });
+      const token = await sign({ sub: 'alice', org: { id: 'acme' } }, secretKey);
+
+      await expect(service.verify(token)).resolves.toEqual(expect.objectContaining({ id: 'alice', tenant: 'acme' }));
+    });
+
+    test('should verify tokens signed for a PEM public key', async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      const service = new TokenService({ ...baseOptions, publicKey: pem, algorithms: ['ES256'] });
+
+      const user = await service.verify(await sign({ sub: 'bob' }, privateKey, { alg: 'ES256' }));
+
+      expect(user.id).toBe('bob');
+      expect(user.roles).toEqual([]);
+    });
+
+    test('should read nested claims', async () => {
+      const service = new TokenService({ ...baseOptions, publicKey: secret, userClaim: 'preferred_username', rolesClaim: 'realm_access.roles' });
+      const token = await sign({ preferred_username: 'carol', realm_access: { roles: ['admin'] } }, secretKey);
+
+      await expect(service.verify(token)).resolves.toEqual(expect.objectContaining({ id: 'carol', roles: ['admin'] }));
+    });
+
+    test.each([
+      ['expired', () => sign({ sub: 'a' }, secretKey, { expiresIn: Math.floor(Date.now() / 1000) - 60, issuer: 'https://idp.example.com', audience: 'minvault' }), 'Bearer token has expired'],
+      ['badly signed', () => sign({ sub: 'a' }, crypto.createSecretKey(Buffer.from('x'.repeat(32)))), 'Invalid bearer token'],
+      ['for another issuer', () => sign({ sub: 'a' }, secretKey, { issuer: 'https://evil.example.com' }), 'Invalid bearer token'],
+      ['for another audience', () => sign({ sub: 'a' }, secretKey, { issuer: 'https://idp.example.com', audience: 'other' }), 'Invalid bearer token'],
+      ['without a subject', () => sign({}, secretKey, { issuer: 'https://idp.example.com', audience: 'minvault' }), 'Bearer token has no sub claim']
+    ])('should reject tokens %s', async (name, makeToken, message) => {
+      const service = new TokenService({ ...baseOptions, publicKey: secret, issuer: 'https://idp.example.com', audience: 'minvault' });
+
+      await expect(service.verify(await makeToken())).rejects.toMatchObject({ statusCode: 401, code: 'UNAUTHORIZED', message });
+    });
+  });
+
+  describe('JWKS mode', () => {
+    let server;
+    let issuer;
+    let requests;
+    let privateKey;
+
+    beforeAll(async () => {
+      const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      privateKey = pair.privateKey;
+      const jwk = { ...(await exportJWK(pair.publicKey)), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+      requests = [];
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/.well-known/openid-configuration') {
+          res.end(JSON.stringify({ issuer, jwks_uri: `${issuer}/jwks` }));
+        } else if (req.url === '/jwks') {
+          res.end(JSON.stringify({ keys: [jwk] }));
+        } else {
+          res.statusCode = 404;
+          res.end('{}');
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      issuer = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll((done) => { server.close(done); });
+
+    beforeEach(() => {
+      requests.length = 0;
+    });
+
+    test('should discover the JWKS and cache its keys', async () => {
+      const service = new TokenService({ ...baseOptions, issuer });
+      const token = await sign({ sub: 'dave', roles: 'editor viewer' }, privateKey, { alg: 'RS256', kid: 'key-1', issuer });
+
+      await expect(service.verify(token)).resolves.toEqual(expect.objectContaining({ id: 'dave', roles: ['editor', 'viewer'] }));
+      await service.verify(token);
+
+      expect(requests).toEqual(['/.well-known/openid-configuration', '/jwks']);
+    });
+
+    test('should use JWT_JWKS_URI without discovery', async () => {
+      const service = new TokenService({ ...baseOptions, jwksUri: `${issuer}/jwks` });
+
+      await service.verify(await sign({ sub: 'erin' }, privateKey, { alg: 'RS256', kid: 'key-1' }));
+
+      expect(requests).toEqual(['/jwks']);
+    });
+
+    test('should retry discovery after it failed', async () => {
+      const service = new TokenService({ ...baseOptions, issuer: `${issuer}/missing` });
+      const token = await sign({ sub: 'frank' }, privateKey, { alg: 'RS256', kid: 'key-1' });
+
+      await expect(service.verify(token)).rejects.toThrow('OIDC discovery failed');
+      await expect(service.verify(token)).rejects.toThrow('OIDC discovery failed');
+
+      expect(requests).toHaveLength(2);
+    });
+  });
+});
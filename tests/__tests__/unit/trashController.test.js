@@ -0,0 +1,119 @@
+const TrashController = require('../../../src/controllers/trashController');
+
+jest.mock('../../../src/services/minioService');
+const MinioService = require('../../../src/services/minioService');
+
+describe('TrashController', () => {
+  let trashController;
+  let mockTrash;
+  let req, res, next;
+
+  const record = { id: '9b2f6c1e-4d3a-4f7b-8e21-5c0d9a7e3f10', objectName: 'clip.mp4', size: 10 };
+  const batch = { total: 1, succeeded: 1, failed: 0, items: [{ id: record.id, success: true }] };
+
+  beforeEach(() => {
+    mockTrash = {
+      list: jest.fn(),
+      restore: jest.fn(),
+      restoreMany: jest.fn(),
+      purgeMany: jest.fn(),
+      purgeAll: jest.fn()
+    };
+    MinioService.mockImplementation(() => ({ trash: mockTrash }));
+
+    trashController = new TrashController();
+
+    req = { body: {}, query: {}, params: {}, auth: { id: 'user:alice', scopes: ['files:read'] } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('listTrash', () => {
+    test('should list the trash of the caller', async () => {
+      mockTrash.list.mockResolvedValue([record]);
+
+      await trashController.listTrash(req, res, next);
+
+      expect(mockTrash.list).toHaveBeenCalledWith(req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: { items: [record], count: 1 } }));
+    });
+
+    test('should use the trash of the request\'s tenant', async () => {
+      const tenantTrash = { list: jest.fn().mockResolvedValue([]) };
+      req.minioService = { trash: tenantTrash };
+
+      await trashController.listTrash(req, res, next);
+
+      expect(tenantTrash.list).toHaveBeenCalled();
+      expect(mockTrash.list).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    test('should restore one file', async () => {
+      req.body = { id: record.id, target: 'old/clip.mp4', overwrite: 'true' };
+      mockTrash.restore.mockResolvedValue({ ...record, restoredTo: 'old/clip.mp4' });
+
+      await trashController.restore(req, res, next);
+
+      expect(mockTrash.restore).toHaveBeenCalledWith(record.id, { target: 'old/clip.mp4', overwrite: true }, req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'File restored successfully' }));
+    });
+
+    test('should restore several files', async () => {
+      req.body = { ids: [record.id] };
+      mockTrash.restoreMany.mockResolvedValue(batch);
+
+      await trashController.restore(req, res, next);
+
+      expect(mockTrash.restoreMany).toHaveBeenCalledWith([record.id], req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: '1 of 1 files restored', data: batch }));
+    });
+
+    test('should require an id', async () => {
+      await trashController.restore(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_FIELDS' }));
+    });
+
+    test('should pass service errors on', async () => {
+      req.body = { id: record.id };
+      const error = Object.assign(new Error('Trashed file not found'), { statusCode: 404 });
+      mockTrash.restore.mockRejectedValue(error);
+
+      await trashController.restore(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('purge', () => {
+    test('should purge the given ids', async () => {
+      req.body = { ids: [record.id] };
+      mockTrash.purgeMany.mockResolvedValue(batch);
+
+      await trashController.purge(req, res, next);
+
+      expect(mockTrash.purgeMany).toHaveBeenCalledWith([record.id], req.auth);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: '1 of 1 files purged' }));
+    });
+
+    test('should require confirmation to empty the trash', async () => {
+      await trashController.purge(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONFIRMATION_REQUIRED' }));
+      expect(mockTrash.purgeAll).not.toHaveBeenCalled();
+
+      req.body = { confirm: true };
+      mockTrash.purgeAll.mockResolvedValue(batch);
+      await trashController.purge(req, res, next);
+
+      expect(mockTrash.purgeAll).toHaveBeenCalledWith(req.auth);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const config = require('../../../src/config');
+const TrashService = require('../../../src/services/trashService');
+
+describe('TrashService', () => {
+  let service;
+  let minioService;
+  let store;
+  let objects;
+
+  const alice = { id: 'user:alice', name: 'alice', scopes: ['files:read', 'files:write', 'files:delete'], prefix: 'users/alice/', isolated: true };
+  const bob = { id: 'user:bob', name: 'bob', scopes: ['files:read', 'files:write', 'files:delete'], prefix: 'users/bob/', isolated: true };
+  const stat = { size: 100, metaData: { owner: 'user:alice', 'original-name': 'clip.mp4', 'content-type': 'video/mp4' } };
+
+  const trashed = () => Object.values(store);
+
+  beforeEach(() => {
+    store = {};
+    objects = { 'users/alice/clip.mp4': stat };
+    minioService = {
+      readSystemObject: jest.fn(async key => (store[key] ? { ...store[key] } : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      removeSystemObject: jest.fn(async (key) => { delete store[key]; }),
+      listSystemObjects: jest.fn(async prefix => Object.keys(store).filter(key => key.startsWith(prefix))),
+      statObject: jest.fn(async name => objects[name] || null),
+      getObjectTags: jest.fn().mockResolvedValue({ project: 'launch' }),
+      relocateObject: jest.fn(async (source, target) => {
+        objects[target] = objects[source];
+        delete objects[source];
+      }),
+      removeObject: jest.fn(async (name) => { delete objects[name]; }),
+      deleteFile: jest.fn().mockResolvedValue({ success: true }),
+      dedup: {
+        resolve: jest.fn(),
+        release: jest.fn().mockResolvedValue(100),
+        hashOf: jest.fn(async (name, metaData) => metaData['content-sha256'] || null)
+      },
+      usage: {
+        record: jest.fn().mockResolvedValue(),
+        assertWithinQuota: jest.fn().mockResolvedValue()
+      },
+      metadata: {
+        remove: jest.fn().mockResolvedValue(),
+        sync: jest.fn().mockResolvedValue()
+      }
+    };
+    service = new TrashService(minioService);
+  });
+
+  describe('add', () => {
+    test('should move the file into the trash and uncount it', async () => {
+      const record = await service.add('users/alice/clip.mp4', stat, alice);
+
+      expect(record).toEqual(expect.objectContaining({
+        objectName: 'users/alice/clip.mp4',
+        originalName: 'clip.mp4',
+        owner: 'user:alice',
+        size: 100,
+        deletedBy: 'user:alice'
+      }));
+      const retention = new Date(record.expiresAt) - new Date(record.deletedAt);
+      expect(retention).toBe(config.trash.retentionDays * 24 * 60 * 60 * 1000);
+      expect(store[`trash/records/${record.id}.json`]).toEqual(record);
+      expect(minioService.relocateObject).toHaveBeenCalledWith(
+        'users/alice/clip.mp4',
+        `.minvault/trash/objects/${record.id}`,
+        stat.metaData,
+        { project: 'launch' }
+      );
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -100, -1);
+      expect(minioService.metadata.remove).toHaveBeenCalledWith('users/alice/clip.mp4');
+    });
+
+    test('should uncount the content size of references', async () => {
+      const ref = { size: 0, metaData: { owner: 'user:alice', 'content-sha256': 'abc', 'dedup-ref': 'true' } };
+      minioService.dedup.resolve.mockResolvedValue({ key: 'a.mp4', stat: { size: 2048 } });
+
+      const record = await service.add('users/alice/ref.mp4', ref, alice);
+
+      expect(record.size).toBe(2048);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -2048, -1);
+    });
+
+    test('should drop the record when the file cannot be moved', async () => {
+      minioService.relocateObject.mockRejectedValue(new Error('Copy failed'));
+
+      await expect(service.add('users/alice/clip.mp4', stat, alice)).rejects.toThrow('Copy failed');
+      expect(trashed()).toEqual([]);
+      expect(minioService.usage.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      objects['users/bob/notes.pdf'] = { size: 5, metaData: { owner: 'user:bob' } };
+      await service.add('users/alice/clip.mp4', stat, alice);
+      await service.add('users/bob/notes.pdf', objects['users/bob/notes.pdf'], bob);
+    });
+
+    test('should list every trashed file, most recently deleted first', async () => {
+      const items = await service.list();
+
+      expect(items.map(item => item.objectName)).toEqual(
+        trashed().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)).map(item => item.objectName)
+      );
+      expect(items).toHaveLength(2);
+    });
+
+    test('should only show token users the files they owned', async () => {
+      const items = await service.list(alice);
+
+      expect(items.map(item => item.objectName)).toEqual(['users/alice/clip.mp4']);
+    });
+
+    test('should limit prefix-bound keys to their prefix', async () => {
+      const key = { id: 'key:1', scopes: ['files:read'], prefix: 'users/bob/' };
+
+      const items = await service.list(key);
+
+      expect(items.map(item => item.objectName)).toEqual(['users/bob/notes.pdf']);
+    });
+  });
+
+  describe('restore', () => {
+    let record;
+
+    beforeEach(async () => {
+      record = await service.add('users/alice/clip.mp4', stat, alice);
+      jest.clearAllMocks();
+    });
+
+    test('should move the file back and count it again', async () => {
+      const result = await service.restore(record.id, {}, alice);
+
+      expect(result.restoredTo).toBe('users/alice/clip.mp4');
+      expect(minioService.relocateObject).toHaveBeenCalledWith(
+        `.minvault/trash/objects/${record.id}`,
+        'users/alice/clip.mp4',
+        stat.metaData,
+        { project: 'launch' }
+      );
+      expect(minioService.usage.assertWithinQuota).toHaveBeenCalledWith(alice, 100, 1);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', 100, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('users/alice/clip.mp4');
+      expect(trashed()).toEqual([]);
+    });
+
+    test('should restore to another key', async () => {
+      const result = await service.restore(record.id, { target: 'users/alice/old/clip.mp4' }, alice);
+
+      expect(result.restoredTo).toBe('users/alice/old/clip.mp4');
+      expect(objects['users/alice/old/clip.mp4']).toBe(stat);
+    });
+
+    test('should not replace an existing file unless asked to', async () => {
+      objects['users/alice/clip.mp4'] = { size: 1, metaData: { owner: 'user:alice' } };
+
+      await expect(service.restore(record.id, {}, alice)).rejects.toMatchObject({ statusCode: 409, code: 'FILE_EXISTS' });
+      expect(minioService.relocateObject).not.toHaveBeenCalled();
+
+      await service.restore(record.id, { overwrite: true }, alice);
+      expect(minioService.deleteFile).toHaveBeenCalledWith('users/alice/clip.mp4', alice);
+      expect(minioService.relocateObject).toHaveBeenCalled();
+    });
+
+    test('should not restore over quota', async () => {
+      minioService.usage.assertWithinQuota.mockRejectedValue(Object.assign(new Error('Quota exceeded'), { statusCode: 413 }));
+
+      await expect(service.restore(record.id, {}, alice)).rejects.toMatchObject({ statusCode: 413 });
+      expect(minioService.relocateObject).not.toHaveBeenCalled();
+    });
+
+    test('should refuse files of other users and targets outside the prefix', async () => {
+      await expect(service.restore(record.id, {}, bob)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      await expect(service.restore(record.id, { target: 'users/bob/clip.mp4' }, alice)).rejects.toMatchObject({ statusCode: 403 });
+      expect(minioService.relocateObject).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown ids as not found', async () => {
+      await expect(service.restore('../api-keys/k', {}, alice)).rejects.toMatchObject({ statusCode: 404, code: 'TRASH_NOT_FOUND' });
+      await expect(service.restore('9b2f6c1e-4d3a-4f7b-8e21-5c0d9a7e3f10', {}, alice)).rejects.toMatchObject({ code: 'TRASH_NOT_FOUND' });
+      expect(minioService.readSystemObject).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('purge', () => {
+    test('should delete the trashed content and its record', async () => {
+      const record = await service.add('users/alice/clip.mp4', stat, alice);
+
+      await service.purge(record.id, alice);
+
+      expect(minioService.removeObject).toHaveBeenCalledWith(`.minvault/trash/objects/${record.id}`);
+      expect(minioService.dedup.release).not.toHaveBeenCalled();
+      expect(trashed()).toEqual([]);
+    });
+
+    test('should release deduplicated content', async () => {
+      const hashed = { size: 100, metaData: { owner: 'user:alice', 'content-sha256': 'abc' } };
+      objects['users/alice/clip.mp4'] = hashed;
+      const record = await service.add('users/alice/clip.mp4', hashed, alice);
+
+      await service.purge(record.id, alice);
+
+      expect(minioService.dedup.release).toHaveBeenCalledWith(`.minvault/trash/objects/${record.id}`, 'abc');
+    });
+
+    test('should purge a list of ids and report each', async () => {
+      const record = await service.add('users/alice/clip.mp4', stat, alice);
+
+      const result = await service.purgeMany([record.id, 'missing'], alice);
+
+      expect(result).toEqual({
+        total: 2,
+        succeeded: 1,
+        failed: 1,
+        items: [
+          { id: record.id, success: true },
+          { id: 'missing', success: false, error: 'Trashed file not found', code: 'TRASH_NOT_FOUND' }
+        ]
+      });
+    });
+
+    test.each([
+      ['a string', 'abc'],
+      ['more than 1000 ids', Array.from({ length: 1001 }, (_, i) => String(i))]
+    ])('should reject %s', async (_, ids) => {
+      await expect(service.purgeMany(ids)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TRASH_REQUEST' });
+    });
+
+    test('should only empty the trash the principal sees', async () => {
+      objects['users/bob/notes.pdf'] = { size: 5, metaData: { owner: 'user:bob' } };
+      await service.add('users/alice/clip.mp4', stat, alice);
+      await service.add('users/bob/notes.pdf', objects['users/bob/notes.pdf'], bob);
+
+      const result = await service.purgeAll(alice);
+
+      expect(result.succeeded).toBe(1);
+      expect(trashed().map(item => item.objectName)).toEqual(['users/bob/notes.pdf']);
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should purge files kept past the retention period', async () => {
+      const record = await service.add('users/alice/clip.mp4', stat, alice);
+
+      expect(await service.purgeExpired(new Date(record.deletedAt))).toBe(0);
+      expect(await service.purgeExpired(new Date(record.expiresAt))).toBe(1);
+      expect(trashed()).toEqual([]);
+    });
+
+    test('should carry on past files that fail to purge', async () => {
+      objects['users/bob/notes.pdf'] = { size: 5, metaData: { owner: 'user:bob' } };
+      await service.add('users/alice/clip.mp4', stat, alice);
+      await service.add('users/bob/notes.pdf', objects['users/bob/notes.pdf'], bob);
+      minioService.removeObject.mockRejectedValueOnce(new Error('Storage unavailable'));
+
+      const count = await service.purgeExpired(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000));
+
+      expect(count).toBe(1);
+      expect(trashed()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const TusController = require('../../../src/controllers/tusController');
+
+jest.mock('../../../src/services/minioService');
+jest.mock('../../../src/services/tusService');
+const MinioService = require('../../../src/services/minioService');
+const TusService = require('../../../src/services/tusService');
+
+describe('TusController', () => {
+  let tusController;
+  let mockMinioService;
+  let mockTusService;
+  let req, res, next;
+
+  const upload = {
+    id: 'a'.repeat(32),
+    offset: 0,
+    length: 1024,
+    metadata: { filename: 'clip.mp4' },
+    expiresAt: '2024-01-02T00:00:00.000Z',
+    result: null
+  };
+
+  beforeEach(() => {
+    mockMinioService = {
+      getPresignedUrl: jest.fn(),
+      usage: {
+        assertWithinQuota: jest.fn().mockResolvedValue()
+      },
+      limits: { allowedFileTypes: ['image/*', 'video/*'], maxFileSize: '10MB', urlExpiry: 3600 }
+    };
+    mockTusService = {
+      createUpload: jest.fn(),
+      getUpload: jest.fn(),
+      writeChunk: jest.fn(),
+      terminate: jest.fn()
+    };
+    MinioService.mockImplementation(() => mockMinioService);
+    TusService.mockImplementation(() => mockTusService);
+
+    tusController = new TusController();
+
+    const headers = {};
+    req = {
+      headers,
+      params: { id: upload.id },
+      protocol: 'http',
+      baseUrl: '/api/files/tus',
+      get: jest.fn(name => headers[name.toLowerCase()]),
+      is: jest.fn(type => headers['content-type'] === type)
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      end: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('createUpload', () => {
+    test('should create an upload and return its location', async () => {
+      req.headers.host = 'localhost:3000';
+      req.headers['upload-length'] = '1024';
+      req.headers['upload-metadata'] = `filename ${Buffer.from('clip.mp4').toString('base64')},filetype ${Buffer.from('video/mp4').toString('base64')}`;
+      mockTusService.createUpload.mockResolvedValue(upload);
+
+      await tusController.createUpload(req, res, next);
+
+      expect(mockTusService.createUpload).toHaveBeenCalledWith(1024, { filename: 'clip.mp4', filetype: 'video/mp4' }, undefined);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        Location: `http://localhost:3000/api/files/tus/${upload.id}`,
+        'Upload-Offset': '0'
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should require a valid Upload-Length', async () => {
+      req.headers['upload-length'] = 'abc';
+
+      await tusController.createUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_UPLOAD_LENGTH' }));
+    });
+
+    test('should reject uploads larger than the maximum file size', async () => {
+      req.headers['upload-length'] = String(11 * 1024 * 1024);
+
+      await tusController.createUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(413);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'FILE_TOO_LARGE' }));
+    });
+
+    test('should reject disallowed file types', async () => {
+      req.headers['upload-length'] = '10';
+      req.headers['upload-metadata'] = `filetype ${Buffer.from('application/x-msdownload').toString('base64')}`;
+
+      await tusController.createUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_FILE_TYPE' }));
+      expect(mockTusService.createUpload).not.toHaveBeenCalled();
+    });
+
+    test('should refuse uploads that would exceed a quota', async () => {
+      const error = Object.assign(new Error('User storage quota of 512 bytes exceeded (0 used)'), { statusCode: 413, code: 'QUOTA_EXCEEDED' });
+      req.auth = { id: 'user:alice', scopes: ['files:write'] };
+      req.headers['upload-length'] = '1024';
+      req.headers['upload-metadata'] = `filetype ${Buffer.from('video/mp4').toString('base64')}`;
+      mockMinioService.usage.assertWithinQuota.mockRejectedValue(error);
+
+      await tusController.createUpload(req, res, next);
+
+      expect(mockMinioService.usage.assertWithinQuota).toHaveBeenCalledWith(req.auth, 1024, 1);
+      expect(next).toHaveBeenCalledWith(error);
+      expect(mockTusService.createUpload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOffset', () => {
+    test('should report the offset in headers', async () => {
+      mockTusService.getUpload.mockResolvedValue({ ...upload, offset: 512 });
+
+      await tusController.getOffset(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Upload-Offset': '512',
+        'Upload-Length': '1024',
+        'Cache-Control': 'no-store'
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should answer errors without a body', async () => {
+      mockTusService.getUpload.mockRejectedValue(Object.assign(new Error('Upload not found'), { statusCode: 404 }));
+
+      await tusController.getOffset(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appendChunk', () => {
+    beforeEach(() => {
+      req.headers['content-type'] = 'application/offset+octet-stream';
+      req.headers['upload-offset'] = '0';
+    });
+
+    test('should require the tus content type', async () => {
+      req.headers['content-type'] = 'application/json';
+
+      await tusController.appendChunk(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(415);
+    });
+
+    test('should return 204 with the new offset while incomplete', async () => {
+      mockTusService.writeChunk.mockResolvedValue({ ...upload, offset: 512 });
+
+      await tusController.appendChunk(req, res, next);
+
+      expect(mockTusService.writeChunk).toHaveBeenCalledWith(upload.id, 0, req, undefined);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Upload-Offset': '512' }));
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    test('should return the upload result once complete', async () => {
+      const result = { success: true, objectName: 'clip_1_abc.mp4', originalName: 'clip.mp4', size: 1024, mimetype: 'video/mp4' };
+      mockTusService.writeChunk.mockResolvedValue({ ...upload, offset: 1024, result });
+      mockMinioService.getPresignedUrl.mockResolvedValue({ url: 'https://minio/clip', expiresAt: 'later' });
+
+      await tusController.appendChunk(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'File uploaded successfully',
+        data: { ...result, accessUrl: 'https://minio/clip', urlExpiresAt: 'later' }
+      });
+    });
+
+    test('should pass service errors to next', async () => {
+      const error = new Error('Offset mismatch');
+      mockTusService.writeChunk.mockRejectedValue(error);
+
+      await tusController.appendChunk(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('terminate', () => {
+    test('should terminate the upload', async () => {
+      mockTusService.terminate.mockResolvedValue();
+
+      await tusController.terminate(req, res, next);
+
+      expect(mockTusService.terminate).toHaveBeenCalledWith(upload.id, undefined);
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+  });
+});
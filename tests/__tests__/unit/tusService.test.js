@@ -0,0 +1,285 @@
+const { Readable } = require('stream');
+const TusService = require('../../../src/services/tusService');
+
+describe('TusService', () => {
+  let tusService;
+  let minioService;
+  let store;
+
+  const UPLOAD_ID = 'a'.repeat(32);
+  const MP4_HEAD = Buffer.from('\x00\x00\x00\x18ftypisom', 'latin1');
+
+  beforeEach(() => {
+    store = {};
+    minioService = {
+      buildObjectName: jest.fn((name, customPath) => (customPath ? `${customPath}/${name}` : name)),
+      createMultipartUpload: jest.fn().mockResolvedValue('multipart-1'),
+      uploadPart: jest.fn((objectName, uploadId, part, data) => Promise.resolve({ part, etag: `etag-${part}-${data.length}` })),
+      completeMultipartUpload: jest.fn().mockResolvedValue({ etag: 'final' }),
+      abortMultipartUpload: jest.fn().mockResolvedValue(),
+      putObject: jest.fn().mockResolvedValue(),
+      deduplicateStored: jest.fn().mockResolvedValue({ hash: null, deduplicated: false }),
+      readSystemObject: jest.fn(key => Promise.resolve(store[key] ? JSON.parse(JSON.stringify(store[key])) : null)),
+      writeSystemObject: jest.fn((key, value) => { store[key] = JSON.parse(JSON.stringify(value)); return Promise.resolve(); }),
+      readSystemData: jest.fn(key => Promise.resolve(store[key] || null)),
+      writeSystemData: jest.fn((key, data) => { store[key] = data; return Promise.resolve(); }),
+      removeSystemObject: jest.fn((key) => { delete store[key]; return Promise.resolve(); }),
+      listSystemObjects: jest.fn(() => Promise.resolve(Object.keys(store))),
+      readHead: jest.fn((objectName, length) => Promise.resolve(MP4_HEAD.subarray(0, length))),
+      replaceMetadata: jest.fn().mockResolvedValue(),
+      setObjectTags: jest.fn().mockResolvedValue(),
+      removeObject: jest.fn().mockResolvedValue(),
+      usage: { record: jest.fn().mockResolvedValue() },
+      metadata: { sync: jest.fn().mockResolvedValue() },
+      limits: { allowedFileTypes: ['video/*', 'image/*', 'application/pdf'], maxFileSize: '10MB', urlExpiry: 3600 },
+      scans: {
+        pendingMetadata: jest.fn().mockReturnValue({}),
+        enqueue: jest.fn().mockResolvedValue(null)
+      },
+      renditions: {
+        enqueue: jest.fn()
+      }
+    };
+    tusService = new TusService(minioService);
+    tusService.partSize = 10;
+  });
+
+  const createStoredUpload = (overrides = {}) => {
+    store[`tus/${UPLOAD_ID}.info`] = {
+      id: UPLOAD_ID,
+      objectName: 'videos/clip.mp4',
+      uploadId: 'multipart-1',
+      length: 25,
+      offset: 0,
+      tailSize: 0,
+      parts: [],
+      metadata: { filename: 'clip.mp4' },
+      originalName: 'clip.mp4',
+      mimetype: 'video/mp4',
+      metaData: { 'Content-Type': 'video/mp4' },
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      result: null,
+      ...overrides
+    };
+  };
+
+  describe('createUpload', () => {
+    test('should start a multipart upload and persist its state', async () => {
+      const upload = await tusService.createUpload(25, { filename: 'clip.mp4', filetype: 'video/mp4', path: 'videos' });
+
+      expect(upload.id).toMatch(/^[a-f0-9]{32}$/);
+      expect(upload.objectName).toBe('videos/clip.mp4');
+      expect(upload.uploadId).toBe('multipart-1');
+      expect(minioService.createMultipartUpload).toHaveBeenCalledWith(
+        'videos/clip.mp4',
+        expect.objectContaining({ 'Content-Type': 'video/mp4', 'Original-Name': 'clip.mp4' })
+      );
+      expect(store[`tus/${upload.id}.info`].offset).toBe(0);
+    });
+
+    test('should record the owner and place the file in their folder', async () => {
+      const alice = { id: 'user:alice', scopes: ['files:write'], prefix: 'users/alice/', isolated: true };
+
+      const upload = await tusService.createUpload(25, { filename: 'clip.mp4', filetype: 'video/mp4', path: 'videos' }, alice);
+
+      expect(upload.objectName).toBe('users/alice/videos/clip.mp4');
+      expect(upload.owner).toBe('user:alice');
+      expect(minioService.createMultipartUpload).toHaveBeenCalledWith(
+        'users/alice/videos/clip.mp4',
+        expect.objectContaining({ Owner: 'user:alice' })
+      );
+    });
+
+    test('should store custom metadata and tag the file once complete', async () => {
+      const upload = await tusService.createUpload(0, {
+        filename: 'empty.pdf', filetype: 'application/pdf', metadata: '{"campaign":"spring"}', tags: 'project=launch'
+      });
+
+      expect(minioService.createMultipartUpload).toHaveBeenCalledWith('empty.pdf', expect.objectContaining({ campaign: 'spring' }));
+      expect(minioService.setObjectTags).toHaveBeenCalledWith('empty.pdf', { project: 'launch' });
+      expect(upload.tags).toEqual({ project: 'launch' });
+    });
+
+    test('should reject invalid metadata before starting the upload', async () => {
+      await expect(tusService.createUpload(25, { filename: 'clip.mp4', metadata: '{"owner":"user:bob"}' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_METADATA' });
+      expect(minioService.createMultipartUpload).not.toHaveBeenCalled();
+    });
+
+    test('should complete empty uploads immediately', async () => {
+      const upload = await tusService.createUpload(0, { filename: 'empty.pdf', filetype: 'application/pdf' });
+
+      expect(minioService.abortMultipartUpload).toHaveBeenCalledWith('empty.pdf', 'multipart-1');
+      expect(minioService.putObject).toHaveBeenCalledWith('empty.pdf', Buffer.alloc(0), expect.any(Object));
+      expect(upload.result).toEqual(expect.objectContaining({ objectName: 'empty.pdf', size: 0 }));
+    });
+  });
+
+  describe('getUpload', () => {
+    test('should reject unknown uploads', async () => {
+      await expect(tusService.getUpload(UPLOAD_ID)).rejects.toMatchObject({ statusCode: 404, code: 'UPLOAD_NOT_FOUND' });
+    });
+
+    test('should reject malformed ids without hitting storage', async () => {
+      await expect(tusService.getUpload('../secret')).rejects.toMatchObject({ statusCode: 404 });
+      expect(minioService.readSystemObject).not.toHaveBeenCalled();
+    });
+
+    test('should hide uploads from users who did not start them', async () => {
+      createStoredUpload({ owner: 'user:alice' });
+      const bob = { id: 'user:bob', scopes: ['files:write'], prefix: 'users/bob/', isolated: true };
+
+      await expect(tusService.getUpload(UPLOAD_ID, bob)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+      await expect(tusService.terminate(UPLOAD_ID, bob)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(tusService.getUpload(UPLOAD_ID, { ...bob, id: 'user:alice' })).resolves.toMatchObject({ owner: 'user:alice' });
+    });
+
+    test('should reject expired uploads', async () => {
+      createStoredUpload({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      await expect(tusService.getUpload(UPLOAD_ID)).rejects.toMatchObject({ statusCode: 410, code: 'UPLOAD_EXPIRED' });
+    });
+  });
+
+  describe('writeChunk', () => {
+    test('should upload full parts and keep the remainder as a tail', async () => {
+      createStoredUpload();
+
+      const upload = await tusService.writeChunk(UPLOAD_ID, 0, Readable.from([Buffer.alloc(8), Buffer.alloc(6)]));
+
+      expect(upload.offset).toBe(14);
+      expect(minioService.uploadPart).toHaveBeenCalledWith('videos/clip.mp4', 'multipart-1', 1, expect.any(Buffer));
+      expect(upload.parts).toEqual([{ part: 1, etag: 'etag-1-14' }]);
+      expect(upload.tailSize).toBe(0);
+    });
+
+    test('should carry a short chunk over to the next request', async () => {
+      createStoredUpload();
+
+      await tusService.writeChunk(UPLOAD_ID, 0, Readable.from([Buffer.alloc(4)]));
+      expect(store[`tus/${UPLOAD_ID}.part`]).toHaveLength(4);
+      expect(minioService.uploadPart).not.toHaveBeenCalled();
+
+      const upload = await tusService.writeChunk(UPLOAD_ID, 4, Readable.from([Buffer.alloc(7)]));
+      expect(upload.parts).toEqual([{ part: 1, etag: 'etag-1-11' }]);
+      expect(store[`tus/${UPLOAD_ID}.part`]).toBeUndefined();
+    });
+
+    test('should complete the upload when the last byte arrives', async () => {
+      createStoredUpload({ offset: 20, tailSize: 0, parts: [{ part: 1, etag: 'etag-1' }, { part: 2, etag: 'etag-2' }],
+        metadata: { filename: 'clip.mp4', metadata: '{"campaign":"spring"}' },
+        tags: { project: 'launch' }
+      });
+
+      const upload = await tusService.writeChunk(UPLOAD_ID, 20, Readable.from([Buffer.alloc(5)]));
+
+      expect(minioService.completeMultipartUpload).toHaveBeenCalledWith('videos/clip.mp4', 'multipart-1', [
+        { part: 1, etag: 'etag-1' },
+        { part: 2, etag: 'etag-2' },
+        { part: 3, etag: 'etag-3-5' }
+      ]);
+      expect(upload.result).toEqual({
+        success: true,
+        objectName: 'videos/clip.mp4',
+        originalName: 'clip.mp4',
+        size: 25,
+        mimetype: 'video/mp4',
+        hash: null,
+        deduplicated: false,
+        replaced: false,
+        scanStatus: null,
+        owner: null,
+        metadata: { campaign: 'spring' },
+        tags: { project: 'launch' },
+        uploadDate: expect.any(String)
+      });
+      expect(minioService.usage.record).toHaveBeenCalledWith(undefined, 25, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(minioService.renditions.enqueue).toHaveBeenCalledWith('videos/clip.mp4', 'video/mp4');
+    });
+
+    test('should deduplicate the upload before tagging it', async () => {
+      createStoredUpload({ offset: 20, tailSize: 0, parts: [{ part: 1, etag: 'etag-1' }, { part: 2, etag: 'etag-2' }],
+        tags: { project: 'launch' }
+      });
+      minioService.deduplicateStored.mockResolvedValue({ hash: 'abc', deduplicated: true });
+
+      const upload = await tusService.writeChunk(UPLOAD_ID, 20, Readable.from([Buffer.alloc(5)]));
+
+      expect(minioService.deduplicateStored).toHaveBeenCalledWith('videos/clip.mp4', 25,
+        expect.objectContaining({ 'Content-Type': 'video/mp4' }));
+      expect(minioService.deduplicateStored.mock.invocationCallOrder[0])
+        .toBeLessThan(minioService.setObjectTags.mock.invocationCallOrder[0]);
+      expect(upload.result).toEqual(expect.objectContaining({ hash: 'abc', deduplicated: true }));
+    });
+
+    test('should delete a completed upload whose content is not the claimed type', async () => {
+      createStoredUpload({ offset: 20, tailSize: 0, parts: [{ part: 1, etag: 'etag-1' }, { part: 2, etag: 'etag-2' }] });
+      minioService.readHead.mockResolvedValue(Buffer.from('MZ\x90\x00', 'latin1'));
+
+      await expect(tusService.writeChunk(UPLOAD_ID, 20, Readable.from([Buffer.alloc(5)])))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_FILE_TYPE' });
+      expect(minioService.removeObject).toHaveBeenCalledWith('videos/clip.mp4');
+      expect(store[`tus/${UPLOAD_ID}.info`]).toBeUndefined();
+    });
+
+    test('should reject a mismatching offset', async () => {
+      createStoredUpload({ offset: 10 });
+
+      await expect(tusService.writeChunk(UPLOAD_ID, 0, Readable.from([])))
+        .rejects.toMatchObject({ statusCode: 409, code: 'OFFSET_MISMATCH' });
+    });
+
+    test('should reject data beyond the declared length but keep what fit', async () => {
+      createStoredUpload({ length: 5 });
+
+      await expect(tusService.writeChunk(UPLOAD_ID, 0, Readable.from([Buffer.alloc(3), Buffer.alloc(3)])))
+        .rejects.toMatchObject({ statusCode: 413 });
+      expect(store[`tus/${UPLOAD_ID}.info`].offset).toBe(3);
+    });
+
+    test('should save received bytes when the client disconnects', async () => {
+      createStoredUpload();
+      const stream = new Readable({ read() {} });
+      stream.push(Buffer.alloc(3));
+      setImmediate(() => stream.destroy(new Error('aborted')));
+
+      await expect(tusService.writeChunk(UPLOAD_ID, 0, stream)).rejects.toThrow('aborted');
+      expect(store[`tus/${UPLOAD_ID}.info`].offset).toBe(3);
+      expect(store[`tus/${UPLOAD_ID}.part`]).toHaveLength(3);
+    });
+
+    test('should refuse concurrent writes to the same upload', async () => {
+      createStoredUpload();
+      tusService.lockedUploads.add(UPLOAD_ID);
+
+      await expect(tusService.writeChunk(UPLOAD_ID, 0, Readable.from([])))
+        .rejects.toMatchObject({ statusCode: 423, code: 'UPLOAD_LOCKED' });
+    });
+  });
+
+  describe('terminate', () => {
+    test('should abort the multipart upload and forget the upload', async () => {
+      createStoredUpload({ tailSize: 2 });
+      store[`tus/${UPLOAD_ID}.part`] = Buffer.alloc(2);
+
+      await tusService.terminate(UPLOAD_ID);
+
+      expect(minioService.abortMultipartUpload).toHaveBeenCalledWith('videos/clip.mp4', 'multipart-1');
+      expect(store).toEqual({});
+    });
+  });
+
+  describe('removeExpired', () => {
+    test('should discard only expired uploads', async () => {
+      createStoredUpload({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+      const liveId = 'b'.repeat(32);
+      store[`tus/${liveId}.info`] = { id: liveId, expiresAt: new Date(Date.now() + 60000).toISOString() };
+
+      const removed = await tusService.removeExpired();
+
+      expect(removed).toBe(1);
+      expect(Object.keys(store)).toEqual([`tus/${liveId}.info`]);
+    });
+  });
+});
@@ -1,5 +1,7 @@
+const express = require('express');
 const multer = require('multer');
-const { handleMulterError } = require('../../../src/middleware/upload');
+const request = require('supertest');
+const { createUpload, handleMulterError } = require('../../../src/middleware/upload');
 
 describe('Upload Middleware', () => {
   let req, res, next;
@@ -29,6 +31,15 @@ describe('Upload Middleware', () => {
       });
     });
 
+    test('should report the size limit of the request\'s tenant', () => {
+      const error = new multer.MulterError('LIMIT_FILE_SIZE');
+      req.minioService = { limits: { maxFileSize: '1MB' } };
+
+      handleMulterError(error, req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Maximum file size is 1MB' }));
+    });
+
     test('should handle LIMIT_FILE_COUNT error', () => {
       const error = new multer.MulterError('LIMIT_FILE_COUNT');
       error.code = 'LIMIT_FILE_COUNT';
@@ -97,4 +108,37 @@ describe('Upload Middleware', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('createUpload', () => {
+    const fakeService = maxFileSize => ({
+      limits: { maxFileSize },
+      uploadFile: jest.fn(file => new Promise((resolve, reject) => {
+        file.stream.resume();
+        file.stream.on('end', () => resolve({ objectName: file.originalname }));
+        file.stream.on('error', reject);
+      })),
+      deleteFile: jest.fn().mockResolvedValue({})
+    });
+
+    test('should store into the tenant\'s service with its size limit', async () => {
+      const defaultService = fakeService('10MB');
+      const tenantService = fakeService('1B');
+      const upload = createUpload(defaultService);
+      const app = express();
+      app.post('/upload', (req, res, next) => {
+        req.minioService = req.get('X-Tenant-ID') ? tenantService : undefined;
+        next();
+      }, upload.single('file'), (req, res) => res.json({ objectName: req.file.objectName }));
+      app.use(handleMulterError);
+
+      const stored = await request(app).post('/upload').attach('file', Buffer.from('data'), 'a.txt');
+      expect(stored.body.objectName).toBe('a.txt');
+      expect(defaultService.uploadFile).toHaveBeenCalled();
+
+      const rejected = await request(app).post('/upload').set('X-Tenant-ID', 'acme').attach('file', Buffer.from('data'), 'a.txt');
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.message).toBe('Maximum file size is 1B');
+      expect(tenantService.uploadFile).toHaveBeenCalled();
+    });
+  });
+});
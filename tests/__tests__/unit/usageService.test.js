@@ -0,0 +1,177 @@
+const config = require('../../../src/config');
+const UsageService = require('../../../src/services/usageService');
+
+describe('UsageService', () => {
+  let service;
+  let minioService;
+  let store;
+  let etags;
+  let objects;
+  const originalQuota = { ...config.quota };
+  const alice = { id: 'user:alice', scopes: ['files:write'], prefix: 'users/alice/', isolated: true };
+  const root = { id: 'user:root', scopes: ['admin'], prefix: '', isolated: true };
+
+  beforeEach(() => {
+    store = {};
+    etags = {};
+    objects = {};
+    minioService = {
+      bucketName: 'test-bucket',
+      limits: { quotaSize: '', quotaObjects: 0 },
+      readSystemObject: jest.fn(async key => (store[key] ? { ...store[key] } : null)),
+      writeSystemObject: jest.fn(async (key, value) => { store[key] = value; }),
+      readSystemRecord: jest.fn(async key => ({ value: store[key] ? { ...store[key] } : null, etag: etags[key] || null })),
+      writeSystemObjectIf: jest.fn(async (key, value, etag) => {
+        if ((etags[key] || null) !== etag) return false;
+        store[key] = value;
+        etags[key] = `etag-${Math.random()}`;
+        return true;
+      }),
+      removeSystemObject: jest.fn(async (key) => { delete store[key]; }),
+      listSystemObjects: jest.fn(async prefix => Object.keys(store).filter(key => key.startsWith(prefix))),
+      iterateFiles: jest.fn(async function* () {
+        for (const name of Object.keys(objects)) yield { name };
+      }),
+      statFile: jest.fn(async name => objects[name] || null),
+      statObject: jest.fn(async name => objects[name] || null),
+      dedup: { prune: jest.fn().mockResolvedValue(0) }
+    };
+    service = new UsageService(minioService);
+  });
+
+  afterEach(() => {
+    Object.assign(config.quota, originalQuota);
+  });
+
+  describe('record', () => {
+    test('should count files for their owner and the bucket', async () => {
+      await service.record('user:alice', 100, 1);
+      await service.record('user:alice', 50, 1);
+      await service.record(null, 10, 1);
+      await service.record('user:alice', -100, -1);
+
+      expect(store['usage/bucket.json']).toEqual(expect.objectContaining({ bytes: 60, objects: 2 }));
+      expect(store['usage/owners/user%3Aalice.json']).toEqual(expect.objectContaining({ bytes: 50, objects: 1 }));
+    });
+
+    test('should serialise concurrent updates', async () => {
+      await Promise.all([1, 2, 3, 4].map(() => service.record('user:alice', 10, 1)));
+
+      expect(store['usage/owners/user%3Aalice.json']).toEqual(expect.objectContaining({ bytes: 40, objects: 4 }));
+    });
+
+    test('should serialise updates across services of the same bucket', async () => {
+      const other = new UsageService(minioService);
+
+      await Promise.all([service, other, service, other].map(usage => usage.record('user:alice', 10, 1)));
+
+      expect(store['usage/owners/user%3Aalice.json']).toEqual(expect.objectContaining({ bytes: 40, objects: 4 }));
+      expect(minioService.writeSystemObjectIf).toHaveBeenCalledTimes(8);
+    });
+
+    test('should redo an update when another process changed the counter', async () => {
+      store['usage/bucket.json'] = { bytes: 100, objects: 1 };
+      const { readSystemRecord } = minioService;
+      minioService.readSystemRecord = jest.fn(async (key) => {
+        const record = await readSystemRecord(key);
+        if (minioService.readSystemRecord.mock.calls.length === 1) {
+          // Another process counts a file right after the counter was read
+          store['usage/bucket.json'] = { bytes: 150, objects: 2 };
+          etags['usage/bucket.json'] = 'etag-other';
+        }
+        return record;
+      });
+
+      await service.record(null, 10, 1);
+
+      expect(store['usage/bucket.json']).toEqual(expect.objectContaining({ bytes: 160, objects: 3 }));
+    });
+
+    test('should log instead of failing the file operation', async () => {
+      minioService.writeSystemObjectIf.mockRejectedValue(new Error('MinIO down'));
+
+      await expect(service.record('user:alice', 10, 1)).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith('❌ Error updating storage usage:', 'MinIO down');
+    });
+  });
+
+  describe('getUsage', () => {
+    test('should report the caller\'s and the bucket\'s usage with their quotas', async () => {
+      config.quota.userSize = '1KB';
+      minioService.limits.quotaObjects = 10;
+      await service.record('user:alice', 100, 1);
+
+      const usage = await service.getUsage(alice);
+
+      expect(usage).toEqual({
+        user: { id: 'user:alice', bytes: 100, objects: 1, quota: { bytes: 1024, objects: null } },
+        tenant: { bucket: 'test-bucket', bytes: 100, objects: 1, quota: { bytes: null, objects: 10 } }
+      });
+      expect((await service.getUsage(root)).user.quota).toBeNull();
+      expect((await service.getUsage(null)).user).toBeNull();
+    });
+  });
+
+  describe('assertWithinQuota', () => {
+    test('should skip counting without quotas', async () => {
+      await service.assertWithinQuota(alice, 10 ** 12, 1000);
+
+      expect(minioService.readSystemObject).not.toHaveBeenCalled();
+    });
+
+    test('should refuse uploads exceeding the user quota', async () => {
+      config.quota.userSize = '1KB';
+      await service.record('user:alice', 1000, 1);
+
+      await expect(service.assertWithinQuota(alice, 24, 1)).resolves.toBeUndefined();
+      await expect(service.assertWithinQuota(alice, 25, 1)).rejects.toMatchObject({ statusCode: 413, code: 'QUOTA_EXCEEDED' });
+      await expect(service.assertWithinQuota(root, 25, 1)).resolves.toBeUndefined();
+    });
+
+    test('should refuse files beyond the tenant\'s object quota for everyone', async () => {
+      minioService.limits.quotaObjects = 2;
+      await service.record('user:bob', 1, 2);
+
+      await expect(service.assertWithinQuota(root, 0, 1)).rejects.toMatchObject({
+        code: 'QUOTA_EXCEEDED',
+        message: 'Tenant quota of 2 files exceeded (2 stored)'
+      });
+      await expect(service.assertWithinQuota(root)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('reconcile', () => {
+    test('should recompute the counters from the bucket', async () => {
+      objects = {
+        'users/alice/a.mp4': { size: 100, metaData: { owner: 'user:alice' } },
+        'users/alice/b.mp4': { size: 50, metaData: { owner: 'user:alice' } },
+        'public.jpg': { size: 10, metaData: {} }
+      };
+      store['usage/bucket.json'] = { bytes: 5, objects: 99 };
+      store['usage/owners/user%3Abob.json'] = { bytes: 70, objects: 1 };
+
+      const result = await service.reconcile();
+
+      expect(result).toEqual({ bytes: 160, objects: 3, owners: 1 });
+      expect(store['usage/bucket.json']).toEqual(expect.objectContaining({ bytes: 160, objects: 3 }));
+      expect(store['usage/owners/user%3Aalice.json']).toEqual(expect.objectContaining({ bytes: 150, objects: 2 }));
+      expect(store['usage/owners/user%3Abob.json']).toBeUndefined();
+    });
+
+    test('should free deduplicated content of files deleted behind the service', async () => {
+      minioService.dedup.prune.mockResolvedValue(2);
+
+      await service.reconcile();
+
+      expect(minioService.dedup.prune).toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith("🧹 Removed 2 deduplicated blobs no file uses from 'test-bucket'");
+    });
+
+    test('should count references whose content is missing', async () => {
+      objects = { 'ref.mp4': { size: 0, metaData: { owner: 'user:alice', 'dedup-ref': 'true' } } };
+      minioService.statFile.mockRejectedValue(Object.assign(new Error('Stored content for this file is missing'), { code: 'CONTENT_MISSING' }));
+
+      await expect(service.reconcile()).resolves.toEqual({ bytes: 0, objects: 1, owners: 1 });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { customMetadata, parseMetadata, assertMetadataSize, parseTags } = require('../../../src/utils/userMetadata');
+
+describe('User metadata', () => {
+  describe('customMetadata', () => {
+    test('should leave out the service\'s own and standard fields', () => {
+      expect(customMetadata({
+        'content-type': 'video/mp4',
+        'original-name': 'a.mp4',
+        owner: 'user:alice',
+        'x-amz-server-side-encryption': 'AES256',
+        campaign: 'spring'
+      })).toEqual({ campaign: 'spring' });
+    });
+  });
+
+  describe('parseMetadata', () => {
+    test('should accept objects and JSON with lowercased keys and string values', () => {
+      expect(parseMetadata('{"Campaign":"spring","year":2024}')).toEqual({ campaign: 'spring', year: '2024' });
+      expect(parseMetadata({ language: 'en' })).toEqual({ language: 'en' });
+      expect(parseMetadata(undefined)).toEqual({});
+    });
+
+    test('should only keep null values when removing fields', () => {
+      expect(parseMetadata({ language: null }, { allowNull: true })).toEqual({ language: null });
+      expect(() => parseMetadata({ language: null })).toThrow('Metadata value of "language" must be a string');
+    });
+
+    test.each([
+      ['not json'],
+      ['["a"]'],
+      [{ 'bad key': 'x' }],
+      [{ 'original-name': 'x' }],
+      [{ 'x-amz-acl': 'public-read' }],
+      [{ language: 'français' }],
+      [{ nested: { a: 1 } }]
+    ])('should reject %j', (value) => {
+      expect(() => parseMetadata(value)).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_METADATA' }));
+    });
+  });
+
+  describe('assertMetadataSize', () => {
+    test('should limit keys and values to 1 KB', () => {
+      expect(() => assertMetadataSize({ notes: 'x'.repeat(1019) })).not.toThrow();
+      expect(() => assertMetadataSize({ notes: 'x'.repeat(1020) })).toThrow(expect.objectContaining({ code: 'INVALID_METADATA' }));
+    });
+  });
+
+  describe('parseTags', () => {
+    test('should accept objects, JSON and key=value lists', () => {
+      expect(parseTags({ project: 'launch' })).toEqual({ project: 'launch' });
+      expect(parseTags('{"project":"launch"}')).toEqual({ project: 'launch' });
+      expect(parseTags('project=launch, status=draft,reviewed')).toEqual({ project: 'launch', status: 'draft', reviewed: '' });
+      expect(parseTags(['a=b=c'])).toEqual({ a: 'b=c' });
+      expect(parseTags('')).toEqual({});
+    });
+
+    test.each([
+      [Object.fromEntries(Array.from({ length: 11 }, (v, i) => [`t${i}`, 'x']))],
+      [{ 'aws:created': 'x' }],
+      [{ project: 'a;b' }],
+      [{ project: 1 }],
+      [{ ['k'.repeat(129)]: 'x' }],
+      ['{broken']
+    ])('should reject %j', (value) => {
+      expect(() => parseTags(value)).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_TAGS' }));
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const VersionService = require('../../../src/services/versionService');
+const DedupService = require('../../../src/services/dedupService');
+const MinioService = require('../../../src/services/minioService');
+
+describe('VersionService', () => {
+  let service;
+  let minioService;
+  let listed;
+  let stats;
+
+  const V1 = '11111111-1111-4111-8111-111111111111';
+  const V2 = '22222222-2222-4222-8222-222222222222';
+  const V3 = '33333333-3333-4333-8333-333333333333';
+  const MARKER = '44444444-4444-4444-8444-444444444444';
+
+  const alice = { id: 'user:alice', name: 'alice', scopes: ['files:read', 'files:write', 'files:delete'], prefix: 'users/alice/', isolated: true };
+  const bob = { id: 'user:bob', name: 'bob', scopes: ['files:read', 'files:write', 'files:delete'], prefix: 'users/bob/', isolated: true };
+  const key = 'users/alice/report.pdf';
+
+  const version = (versionId, minutes, isLatest = false) => ({
+    name: key, versionId, isLatest: String(isLatest), lastModified: new Date(Date.UTC(2024, 0, 1, 12, minutes))
+  });
+  const meta = (uploadDate, extra = {}) => ({
+    owner: 'user:alice', 'original-name': 'report.pdf', 'content-type': 'application/pdf', 'upload-date': uploadDate, ...extra
+  });
+
+  beforeEach(() => {
+    // V1 is the first upload; V2 and V3 are one later upload, rewritten by deduplication
+    listed = [version(V1, 0), version(V2, 5), version(V3, 6, true)];
+    stats = {
+      [V1]: { size: 10, etag: 'e1', metaData: meta('2024-01-01T12:00:00.000Z', { 'content-sha256': 'h1', 'x-amz-request-id': 'r' }) },
+      [V2]: { size: 20, etag: 'e2', metaData: meta('2024-01-01T12:05:00.000Z') },
+      [V3]: { size: 20, etag: 'e2', metaData: meta('2024-01-01T12:05:00.000Z', { 'content-sha256': 'h2' }) }
+    };
+    minioService = {
+      iterateVersions: jest.fn(async function* () {
+        yield* listed;
+      }),
+      statObject: jest.fn(async (name, versionId) => {
+        if (versionId === MARKER) throw Object.assign(new Error('Method not allowed'), { code: 'MethodNotAllowed' });
+        const current = listed.find(obj => obj.isLatest === 'true' && !obj.isDeleteMarker);
+        const stat = stats[versionId || (current && current.versionId)];
+        return stat ? { ...stat, versionId: versionId || current.versionId } : null;
+      }),
+      getObjectTags: jest.fn().mockResolvedValue({ project: 'launch' }),
+      setObjectTags: jest.fn().mockResolvedValue(),
+      copyContent: jest.fn().mockResolvedValue(),
+      removeObject: jest.fn().mockResolvedValue(),
+      deduplicate: jest.fn().mockResolvedValue(false),
+      vacateFile: jest.fn().mockResolvedValue(),
+      retireFile: jest.fn(async (name, stat) => ({ owner: stat.metaData.owner, size: stat.size })),
+      dedup: {
+        resolve: jest.fn(),
+        link: jest.fn().mockResolvedValue(true)
+      },
+      usage: {
+        record: jest.fn().mockResolvedValue(),
+        assertWithinQuota: jest.fn().mockResolvedValue()
+      },
+      metadata: {
+        sync: jest.fn().mockResolvedValue()
+      }
+    };
+    service = new VersionService(minioService);
+  });
+
+  describe('list', () => {
+    test('should list the versions newest first, one per upload', async () => {
+      const versions = await service.list(key, alice);
+
+      expect(versions.map(v => [v.versionId, v.isLatest, v.size])).toEqual([[V3, true, 20], [V1, false, 10]]);
+      expect(versions[1]).toEqual(expect.objectContaining({
+        originalName: 'report.pdf',
+        mimetype: 'application/pdf',
+        owner: 'user:alice',
+        uploadDate: '2024-01-01T12:00:00.000Z'
+      }));
+      expect(versions[0]).not.toHaveProperty('versionIds');
+    });
+
+    test('should list delete markers of deleted files', async () => {
+      listed = [version(V1, 0), { ...version(MARKER, 10, true), isDeleteMarker: true }];
+
+      const versions = await service.list(key, alice);
+
+      expect(versions).toEqual([
+        expect.objectContaining({ versionId: MARKER, isLatest: true, isDeleteMarker: true }),
+        expect.objectContaining({ versionId: V1, isLatest: false, isDeleteMarker: false })
+      ]);
+    });
+
+    test('should report the content size of deduplicated versions', async () => {
+      stats[V1].metaData = { ...stats[V1].metaData, 'dedup-ref': 'true' };
+      stats[V1].size = 0;
+      minioService.dedup.resolve.mockResolvedValue({ key: 'a.pdf', stat: { size: 10 } });
+
+      const versions = await service.list(key, alice);
+
+      expect(minioService.dedup.resolve).toHaveBeenCalledWith('h1');
+      expect(versions[1].size).toBe(10);
+    });
+
+    test('should report files without versions as not found', async () => {
+      listed = [];
+
+      await expect(service.list(key, alice)).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+    });
+
+    test('should refuse files of other users', async () => {
+      await expect(service.list(key, bob)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    });
+  });
+
+  describe('statFile', () => {
+    test('should read a version from its own key', async () => {
+      const stat = await service.statFile(key, V1);
+
+      expect(minioService.statObject).toHaveBeenCalledWith(key, V1);
+      expect(stat).toEqual(expect.objectContaining({ size: 10, storageKey: key, storageVersionId: V1 }));
+    });
+
+    test('should resolve deduplicated versions to their content', async () => {
+      stats[V1].metaData = { ...stats[V1].metaData, 'dedup-ref': 'true' };
+      minioService.dedup.resolve.mockResolvedValue({ key: 'a.pdf', stat: { size: 10, etag: 'full' } });
+
+      const stat = await service.statFile(key, V1);
+
+      expect(stat).toEqual(expect.objectContaining({ size: 10, etag: 'full', storageKey: 'a.pdf' }));
+      expect(stat.storageVersionId).toBeUndefined();
+    });
+
+    test.each([
+      ['malformed ids', 'v1'],
+      ['delete markers', MARKER]
+    ])('should reject %s', async (_, versionId) => {
+      await expect(service.statFile(key, versionId)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_VERSION' });
+    });
+
+    test('should report unknown versions as not found', async () => {
+      await expect(service.statFile(key, '55555555-5555-4555-8555-555555555555'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'VERSION_NOT_FOUND' });
+    });
+  });
+
+  describe('restore', () => {
+    test('should copy the version on top of the current file', async () => {
+      const result = await service.restore(key, V1, alice);
+
+      expect(result).toEqual({ success: true, objectName: key, versionId: V1, size: 10, owner: 'user:alice', restored: true });
+      expect(minioService.usage.assertWithinQuota).toHaveBeenCalledWith(alice, 10, 0);
+      expect(minioService.vacateFile).toHaveBeenCalledWith(key, expect.objectContaining({ versionId: V3 }));
+      expect(minioService.retireFile).toHaveBeenCalledWith(key, expect.objectContaining({ versionId: V3 }));
+      expect(minioService.getObjectTags).toHaveBeenCalledWith(key, V1);
+      expect(minioService.copyContent).toHaveBeenCalledWith(key, key, meta('2024-01-01T12:00:00.000Z'), { project: 'launch' }, V1);
+      expect(minioService.deduplicate).toHaveBeenCalledWith(key, 'h1', 10, meta('2024-01-01T12:00:00.000Z'));
+      // The current file is let go of between the copy and indexing its content
+      expect(minioService.retireFile.mock.invocationCallOrder[0]).toBeGreaterThan(minioService.copyContent.mock.invocationCallOrder[0]);
+      expect(minioService.retireFile.mock.invocationCallOrder[0]).toBeLessThan(minioService.deduplicate.mock.invocationCallOrder[0]);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', -20, -1);
+      expect(minioService.usage.record).toHaveBeenCalledWith('user:alice', 10, 1);
+      expect(minioService.metadata.sync).toHaveBeenCalledWith(key);
+    });
+
+    test('should bring a deleted file back', async () => {
+      listed = [version(V1, 0), { ...version(MARKER, 10, true), isDeleteMarker: true }];
+
+      await service.restore(key, V1, alice);
+
+      expect(minioService.usage.assertWithinQuota).toHaveBeenCalledWith(alice, 10, 1);
+      expect(minioService.retireFile).not.toHaveBeenCalled();
+      expect(minioService.copyContent).toHaveBeenCalled();
+      expect(minioService.usage.record).toHaveBeenCalledTimes(1);
+    });
+
+    test('should relink deduplicated versions to their content', async () => {
+      stats[V1].metaData = { ...stats[V1].metaData, 'dedup-ref': 'true' };
+      minioService.dedup.resolve.mockResolvedValue({ key: 'a.pdf', stat: { size: 10 } });
+
+      await service.restore(key, V1, alice);
+
+      expect(minioService.dedup.link).toHaveBeenCalledWith(key, 'h1', meta('2024-01-01T12:00:00.000Z'));
+      expect(minioService.setObjectTags).toHaveBeenCalledWith(key, { project: 'launch' });
+      expect(minioService.copyContent).not.toHaveBeenCalled();
+    });
+
+    test('should keep the content when a reference is restored over the last file using it', async () => {
+      const blob = '.minvault/blobs/h1';
+      const index = { 'dedup/h1.json': { hash: 'h1', size: 10, blob, refs: [key] } };
+      stats[V1].metaData = { ...stats[V1].metaData, 'dedup-ref': 'true' };
+      stats[V3] = { size: 0, etag: 'e3', metaData: meta('2024-01-01T12:05:00.000Z', { 'content-sha256': 'h1', 'dedup-ref': 'true' }) };
+      const storage = {
+        bucketName: 'version-bucket',
+        readSystemObject: jest.fn(async name => index[name] || null),
+        readSystemRecord: jest.fn(async name => ({ value: index[name] ? JSON.parse(JSON.stringify(index[name])) : null, etag: 'e' })),
+        writeSystemObjectIf: jest.fn(async (name, value) => { index[name] = value; return true; }),
+        removeSystemObject: jest.fn().mockResolvedValue(),
+        statObject: jest.fn(async name => (name === blob ? { size: 10, etag: 'b' } : null)),
+        putObject: jest.fn().mockResolvedValue(),
+        removeObject: jest.fn().mockResolvedValue()
+      };
+      minioService.dedup = new DedupService(storage);
+      minioService.vacateFile = MinioService.prototype.vacateFile.bind(minioService);
+      minioService.retireFile = MinioService.prototype.retireFile.bind(minioService);
+
+      await service.restore(key, V1, alice);
+
+      expect(index['dedup/h1.json']).toEqual({ hash: 'h1', size: 10, blob, refs: [key] });
+      expect(storage.removeObject).not.toHaveBeenCalled();
+      expect(storage.putObject).toHaveBeenCalledWith(key, Buffer.alloc(0), expect.objectContaining({ 'Content-Sha256': 'h1', 'Dedup-Ref': 'true' }));
+      await expect(minioService.dedup.resolve('h1')).resolves.toEqual({ key: blob, stat: { size: 10, etag: 'b' } });
+    });
+
+    test('should fail when the deduplicated content is gone', async () => {
+      stats[V1].metaData = { ...stats[V1].metaData, 'dedup-ref': 'true' };
+      minioService.dedup.resolve.mockRejectedValue(new Error('Content not found'));
+
+      await expect(service.restore(key, V1, alice)).rejects.toMatchObject({ statusCode: 410, code: 'VERSION_CONTENT_MISSING' });
+      expect(minioService.retireFile).not.toHaveBeenCalled();
+    });
+
+    test('should leave the current version as it is', async () => {
+      const result = await service.restore(key, V3, alice);
+
+      expect(result.restored).toBe(false);
+      expect(minioService.copyContent).not.toHaveBeenCalled();
+    });
+
+    test('should not restore over quota', async () => {
+      minioService.usage.assertWithinQuota.mockRejectedValue(Object.assign(new Error('Quota exceeded'), { statusCode: 413 }));
+
+      await expect(service.restore(key, V1, alice)).rejects.toMatchObject({ statusCode: 413 });
+      expect(minioService.retireFile).not.toHaveBeenCalled();
+    });
+
+    test('should refuse files of other users', async () => {
+      await expect(service.restore(key, V1, bob)).rejects.toMatchObject({ statusCode: 403 });
+      expect(minioService.copyContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    test('should delete every write of an older upload', async () => {
+      listed = [version(V2, 5), version(V3, 6), version(V1, 10, true)];
+      stats[V1].metaData['upload-date'] = '2024-01-01T12:10:00.000Z';
+
+      const result = await service.remove(key, V2, alice);
+
+      expect(result).toEqual({ success: true, objectName: key, versionId: V3, removed: 2 });
+      expect(minioService.removeObject).toHaveBeenCalledWith(key, V3);
+      expect(minioService.removeObject).toHaveBeenCalledWith(key, V2);
+    });
+
+    test('should delete delete markers', async () => {
+      listed = [version(V1, 0), { ...version(MARKER, 10), isDeleteMarker: true }, version(V3, 20, true)];
+
+      await service.remove(key, MARKER, alice);
+
+      expect(minioService.removeObject).toHaveBeenCalledWith(key, MARKER);
+    });
+
+    test('should refuse to delete the current version', async () => {
+      await expect(service.remove(key, V2, alice)).rejects.toMatchObject({ statusCode: 409, code: 'VERSION_IS_CURRENT' });
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+
+    test('should keep versions under retention or legal hold', async () => {
+      minioService.removeObject.mockRejectedValue(Object.assign(new Error('Access Denied.'), { code: 'AccessDenied' }));
+
+      await expect(service.remove(key, V1, alice)).rejects.toMatchObject({ statusCode: 409, code: 'OBJECT_LOCKED' });
+    });
+
+    test('should report unknown versions as not found', async () => {
+      await expect(service.remove(key, MARKER, alice)).rejects.toMatchObject({ statusCode: 404, code: 'VERSION_NOT_FOUND' });
+    });
+
+    test('should refuse versions of other users', async () => {
+      await expect(service.remove(key, V1, bob)).rejects.toMatchObject({ statusCode: 403 });
+      expect(minioService.removeObject).not.toHaveBeenCalled();
+    });
+  });
+});
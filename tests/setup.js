@@ -6,6 +6,11 @@ process.env.MINIO_ACCESS_KEY = 'testkey';
 process.env.MINIO_SECRET_KEY = 'testsecret';
 process.env.MINIO_BUCKET_NAME = 'test-bucket';
 process.env.MAX_FILE_SIZE = '10MB';
+process.env.METADATA_STORE = 'memory';
+// Deletes are permanent unless a test turns the trash on
+process.env.TRASH_ENABLED = 'false';
+// Uploaded images get no renditions unless a test asks for them
+process.env.RENDITIONS_ENABLED = 'false';
 
 // Increase timeout for integration tests
 jest.setTimeout(30000);